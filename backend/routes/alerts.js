@@ -0,0 +1,107 @@
+// backend/routes/alerts.js - Alert Rules API
+// Rule CRUD, test delivery and the fired-alert history
+
+const express = require("express");
+const router = express.Router();
+const alerts = require("../services/alerts");
+const { getChannelStatus } = require("../services/alertChannels");
+
+const sendError = (res, error, fallbackMessage) => {
+  const statusCode = error.statusCode || 500;
+  if (statusCode === 500) console.error(`❌ ${fallbackMessage}:`, error);
+
+  res.status(statusCode).json({
+    success: false,
+    error: statusCode === 500 ? fallbackMessage : error.message,
+    message: error.message,
+  });
+};
+
+// ============================================
+// RULE ENDPOINTS
+// ============================================
+
+router.get("/alerts/rules", (req, res) => {
+  try {
+    const rules = alerts.listRules();
+
+    res.json({
+      success: true,
+      data: rules,
+      metadata: {
+        total: rules.length,
+        fields: alerts.FIELDS,
+        operators: alerts.OPERATORS,
+        channels: getChannelStatus(),
+        lastUpdated: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to list alert rules");
+  }
+});
+
+router.post("/alerts/rules", (req, res) => {
+  try {
+    const rule = alerts.createRule(req.body);
+    res.status(201).json({ success: true, data: rule });
+  } catch (error) {
+    sendError(res, error, "Failed to create alert rule");
+  }
+});
+
+router.put("/alerts/rules/:id", (req, res) => {
+  try {
+    const rule = alerts.updateRule(req.params.id, req.body);
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    sendError(res, error, "Failed to update alert rule");
+  }
+});
+
+router.delete("/alerts/rules/:id", (req, res) => {
+  try {
+    const result = alerts.deleteRule(req.params.id);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, "Failed to delete alert rule");
+  }
+});
+
+router.post("/alerts/rules/:id/test", async (req, res) => {
+  try {
+    const event = await alerts.testRule(req.params.id);
+    res.json({ success: true, data: event });
+  } catch (error) {
+    sendError(res, error, "Failed to send test alert");
+  }
+});
+
+// ============================================
+// ALERT HISTORY ENDPOINT
+// ============================================
+
+router.get("/alerts/events", (req, res) => {
+  try {
+    const { since, ruleId, symbol, limit = 100 } = req.query;
+    const events = alerts.getEvents({
+      since,
+      ruleId,
+      symbol,
+      limit: parseInt(limit),
+    });
+
+    res.json({
+      success: true,
+      data: events,
+      metadata: {
+        total: events.length,
+        lastUpdated: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to fetch alert history");
+  }
+});
+
+module.exports = router;
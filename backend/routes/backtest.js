@@ -0,0 +1,84 @@
+// backend/routes/backtest.js - Historical Backtesting API
+// Replays local fixtures through the NISS engine and trade setup helper
+
+const express = require("express");
+const router = express.Router();
+const backtestEngine = require("../services/backtestEngine");
+
+// ============================================
+// FIXTURE DISCOVERY ENDPOINT
+// ============================================
+
+router.get("/backtest/fixtures", (req, res) => {
+  try {
+    const fixtures = backtestEngine.listFixtures();
+
+    res.json({
+      success: true,
+      data: fixtures,
+      metadata: {
+        totalSymbols: fixtures.symbols.length,
+        lastUpdated: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Backtest fixture listing failed:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list backtest fixtures",
+      message: error.message,
+    });
+  }
+});
+
+// ============================================
+// BACKTEST RUN ENDPOINT
+// ============================================
+
+router.post("/backtest/run", (req, res) => {
+  try {
+    const {
+      symbols,
+      months,
+      startDate,
+      endDate,
+      initialCapital,
+      maxHoldingDays,
+    } = req.body || {};
+    const startTime = Date.now();
+
+    const options = {
+      symbols: Array.isArray(symbols)
+        ? symbols
+        : symbols
+        ? String(symbols).split(",")
+        : [],
+      startDate,
+      endDate,
+    };
+    if (months) options.months = parseInt(months);
+    if (initialCapital) options.initialCapital = parseFloat(initialCapital);
+    if (maxHoldingDays) options.maxHoldingDays = parseInt(maxHoldingDays);
+
+    const result = backtestEngine.runBacktest(options);
+
+    res.json({
+      success: true,
+      data: result,
+      metadata: {
+        totalTrades: result.trades.length,
+        processingTime: `${Date.now() - startTime}ms`,
+        lastUpdated: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Backtest run failed:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: "Failed to run backtest",
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+// backend/routes/cache.js - Response Cache Admin API
+// Inspect and purge cached /api responses
+
+const crypto = require("crypto");
+const express = require("express");
+const router = express.Router();
+const responseCache = require("../services/responseCache");
+
+// Set ADMIN_TOKEN to require "Authorization: Bearer <token>" on these routes.
+// Without one they are closed in production and open only in development.
+const ADMIN_OPEN =
+  !process.env.ADMIN_TOKEN && process.env.NODE_ENV !== "production";
+
+if (ADMIN_OPEN) {
+  console.warn(
+    "⚠️ ADMIN_TOKEN is not set: cache admin routes are open (development only)"
+  );
+} else if (!process.env.ADMIN_TOKEN) {
+  console.warn("⚠️ ADMIN_TOKEN is not set: cache admin routes are disabled");
+}
+
+const tokenMatches = (header, token) => {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(header || "");
+  return (
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+  );
+};
+
+const requireAdmin = (req, res, next) => {
+  const token = process.env.ADMIN_TOKEN;
+  if (ADMIN_OPEN || (token && tokenMatches(req.get("Authorization"), token))) {
+    return next();
+  }
+
+  res.status(token ? 401 : 403).json({
+    success: false,
+    error: token ? "Unauthorized" : "Admin routes disabled",
+    message: token
+      ? "A valid admin token is required"
+      : "Set ADMIN_TOKEN to enable the cache admin routes",
+  });
+};
+
+const validateRoute = (route, res) => {
+  if (!route || responseCache.ROUTE_POLICIES[route]) return true;
+
+  res.status(400).json({
+    success: false,
+    error: "Unknown cache route",
+    message: `Known routes: ${Object.keys(responseCache.ROUTE_POLICIES).join(
+      ", "
+    )}`,
+  });
+  return false;
+};
+
+// ============================================
+// CACHE ADMIN ENDPOINTS
+// ============================================
+
+// GET /api/admin/cache?route=screening
+router.get("/admin/cache", requireAdmin, (req, res) => {
+  const { route } = req.query;
+  if (!validateRoute(route, res)) return;
+
+  const entries = responseCache.listEntries(route);
+
+  res.json({
+    success: true,
+    data: {
+      stats: responseCache.getStats(),
+      entries,
+    },
+    metadata: {
+      route: route || null,
+      total: entries.length,
+      lastUpdated: new Date().toISOString(),
+    },
+  });
+});
+
+// DELETE /api/admin/cache             - everything
+// DELETE /api/admin/cache?route=news  - one route
+// DELETE /api/admin/cache?key=<key>   - one entry
+router.delete("/admin/cache", requireAdmin, (req, res) => {
+  const { route, key } = req.query;
+  if (!validateRoute(route, res)) return;
+
+  const removed = responseCache.purge({ route, key });
+  console.log(
+    `🧹 Purged ${removed} cache entr${removed === 1 ? "y" : "ies"}${
+      key ? ` (${key})` : route ? ` (${route})` : ""
+    }`
+  );
+
+  res.json({
+    success: true,
+    data: { removed },
+    metadata: {
+      route: route || null,
+      key: key || null,
+      lastUpdated: new Date().toISOString(),
+    },
+  });
+});
+
+module.exports = router;
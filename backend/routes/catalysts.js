@@ -0,0 +1,108 @@
+// backend/routes/catalysts.js - Catalyst Classification API
+// A symbol's recent stories classified by event type (see services/catalysts)
+
+const express = require("express");
+const router = express.Router();
+const news = require("../services/news");
+const catalysts = require("../services/catalysts");
+const responseCache = require("../services/responseCache");
+
+// ============================================
+// CATALYST ANALYSIS ENDPOINT
+// ============================================
+
+/**
+ * Classified stories for a symbol, strongest catalyst first
+ * @param {string} symbol - Ticker
+ * @returns {Promise<Object>} Catalyst payload
+ */
+async function buildCatalystAnalysis(symbol) {
+  const startTime = Date.now();
+
+  const stories = await news.getSymbolNews(symbol);
+
+  // Relevance-weighted confidence ranks what moved the stock, not just what
+  // was classified most cleanly
+  const strength = (story) =>
+    story.catalyst.confidence * (story.relevanceScore || 0);
+
+  const classified = stories
+    .filter((story) => story.catalyst && story.catalyst.type !== "other")
+    .sort((a, b) => strength(b) - strength(a));
+
+  const byType = Object.keys(catalysts.CATALYST_TYPES).reduce(
+    (counts, type) => {
+      const count = classified.filter(
+        (story) => story.catalyst.type === type
+      ).length;
+      return count ? { ...counts, [type]: count } : counts;
+    },
+    {}
+  );
+
+  const primary = classified[0]
+    ? {
+        ...classified[0].catalyst,
+        headline: classified[0].headline,
+        timestamp: classified[0].timestamp,
+        storyId: classified[0].storyId,
+      }
+    : null;
+
+  return {
+    success: true,
+    data: {
+      symbol,
+      primary,
+      byType,
+      catalysts: classified.map((story) => ({
+        storyId: story.storyId,
+        headline: story.headline,
+        source: story.source,
+        sources: story.sources,
+        url: story.url,
+        timestamp: story.timestamp,
+        sentiment: story.sentiment,
+        sentimentScore: story.sentimentScore,
+        relevanceScore: story.relevanceScore,
+        impact: story.impact,
+        ...story.catalyst,
+      })),
+    },
+    metadata: {
+      symbol,
+      totalStories: stories.length,
+      classifiedStories: classified.length,
+      types: Object.fromEntries(
+        Object.entries(catalysts.CATALYST_TYPES).map(([type, { label }]) => [
+          type,
+          label,
+        ])
+      ),
+      processingTime: `${Date.now() - startTime}ms`,
+      lastUpdated: new Date().toISOString(),
+    },
+  };
+}
+
+router.get("/catalysts/:symbol", async (req, res) => {
+  const symbol = req.params.symbol.toUpperCase();
+
+  try {
+    console.log(`🎯 Classifying catalysts for ${symbol}...`);
+
+    await responseCache.respond("catalysts", req, res, () =>
+      buildCatalystAnalysis(symbol)
+    );
+  } catch (error) {
+    console.error(`❌ Catalyst analysis failed for ${symbol}:`, error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to classify catalysts",
+      message: error.message,
+      symbol,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+// backend/routes/earnings.js - Earnings Surprise API
+// Per-symbol surprise/reaction history and the post-earnings drift view
+
+const express = require("express");
+const router = express.Router();
+const earnings = require("../services/earnings");
+const responseCache = require("../services/responseCache");
+
+const DEFAULT_DRIFT_DAYS = 30;
+const MAX_DRIFT_DAYS = 90;
+const DEFAULT_DRIFT_LIMIT = 25;
+const MAX_DRIFT_LIMIT = 100;
+
+const clampInt = (value, fallback, max) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0
+    ? Math.min(parsed, max)
+    : fallback;
+};
+
+// ============================================
+// POST-EARNINGS DRIFT ENDPOINT
+// ============================================
+
+router.get("/earnings/drift", async (req, res) => {
+  try {
+    const days = clampInt(req.query.days, DEFAULT_DRIFT_DAYS, MAX_DRIFT_DAYS);
+    const limit = clampInt(
+      req.query.limit,
+      DEFAULT_DRIFT_LIMIT,
+      MAX_DRIFT_LIMIT
+    );
+    const symbols = req.query.symbols
+      ? req.query.symbols
+          .split(",")
+          .map((s) => s.trim())
+          .filter(Boolean)
+      : null;
+
+    console.log(`📈 Measuring post-earnings drift over ${days} days...`);
+
+    await responseCache.respond("earningsDrift", req, res, async () => {
+      const startTime = Date.now();
+      const data = await earnings.getDriftView({ days, limit, symbols });
+
+      return {
+        success: true,
+        data,
+        metadata: {
+          daysRequested: days,
+          totalReports: data.reports.length,
+          reactionSessions: earnings.REACTION_SESSIONS,
+          processingTime: `${Date.now() - startTime}ms`,
+          lastUpdated: new Date().toISOString(),
+        },
+      };
+    });
+  } catch (error) {
+    console.error("❌ Post-earnings drift failed:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: "Failed to measure post-earnings drift",
+      message: error.message,
+    });
+  }
+});
+
+// ============================================
+// EARNINGS HISTORY ENDPOINT
+// ============================================
+
+router.get("/earnings/:symbol/history", async (req, res) => {
+  const symbol = req.params.symbol.toUpperCase();
+
+  try {
+    console.log(`📈 Loading earnings history for ${symbol}...`);
+
+    await responseCache.respond("earningsHistory", req, res, async () => {
+      const startTime = Date.now();
+      const data = await earnings.getEarningsHistory(symbol);
+
+      return {
+        success: true,
+        data,
+        metadata: {
+          symbol,
+          totalReports: data.reports.length,
+          reactionSessions: earnings.REACTION_SESSIONS,
+          provider: data.source,
+          processingTime: `${Date.now() - startTime}ms`,
+          lastUpdated: new Date().toISOString(),
+        },
+      };
+    });
+  } catch (error) {
+    console.error(`❌ Earnings history failed for ${symbol}:`, error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: "Failed to load earnings history",
+      message: error.message,
+      symbol,
+    });
+  }
+});
+
+module.exports = router;
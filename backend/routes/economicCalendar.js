@@ -1,8 +1,66 @@
 // backend/routes/economicCalendar.js - Economic Calendar API Integration
-// Add this to your existing backend server.js
+// Economic releases come from the rule-based schedule in
+// src/data/economicSchedule.json, enriched with provider values. Both
+// calendars, plus imported private events, are also served as an
+// iCalendar subscription feed.
 
 const express = require("express");
 const router = express.Router();
+const providers = require("../services/providers");
+const responseCache = require("../services/responseCache");
+const { withSurprise } = require("../services/earnings");
+const economicSchedule = require("../../src/utils/EconomicSchedule");
+const macroEvents = require("../services/macroEvents");
+const calendarFeed = require("../services/calendarFeed");
+const portfolios = require("../services/portfolios");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_FEED_DAYS = 30;
+const MAX_FEED_DAYS = 90;
+// Recent events stay in the feed so clients pick up released actuals
+const FEED_LOOKBACK_DAYS = 7;
+
+const clampInt = (value, fallback, max) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0
+    ? Math.min(parsed, max)
+    : fallback;
+};
+
+// Query value as a list: "A,B", a repeated parameter (?x=A&x=B) or both
+const toList = (value) =>
+  [].concat(value ?? []).flatMap((item) =>
+    String(item)
+      .split(",")
+      .map((part) => part.trim())
+      .filter(Boolean)
+  );
+
+// Query list restricted to known options; null = all
+const parseList = (value, allowed, name) => {
+  const items = toList(value);
+  if (items.length === 0) return null;
+  const invalid = items.filter((item) => !allowed.includes(item));
+  if (invalid.length > 0) {
+    const error = new Error(
+      `Unknown ${name}: ${invalid.join(", ")} (expected ${allowed.join(", ")})`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+  return items;
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  const statusCode = error.statusCode || 500;
+  if (statusCode === 500) console.error(`❌ ${fallbackMessage}:`, error);
+
+  res.status(statusCode).json({
+    success: false,
+    error: statusCode === 500 ? fallbackMessage : error.message,
+    message: error.message,
+  });
+};
 
 // ============================================
 // ECONOMIC CALENDAR ENDPOINT
@@ -13,25 +71,30 @@ router.get("/economic-calendar", async (req, res) => {
     console.log("📅 Fetching economic calendar data...");
 
     const { days = 7 } = req.query;
-    const startTime = Date.now();
 
-    // Get economic events from multiple sources
-    const calendarData = await getEconomicCalendarData(parseInt(days));
-
-    const processingTime = Date.now() - startTime;
-
-    res.json({
-      success: true,
-      data: calendarData,
-      metadata: {
-        daysRequested: parseInt(days),
-        totalEvents: calendarData.reduce(
-          (sum, day) => sum + day.events.length,
-          0
-        ),
-        processingTime: `${processingTime}ms`,
-        lastUpdated: new Date().toISOString(),
-      },
+    await responseCache.respond("economicCalendar", req, res, async () => {
+      const startTime = Date.now();
+
+      // Get economic events from multiple sources
+      const calendarData = await getEconomicCalendarData(parseInt(days));
+      const surpriseIndex = await annotateWithHistory(calendarData);
+
+      const processingTime = Date.now() - startTime;
+
+      return {
+        success: true,
+        data: calendarData,
+        metadata: {
+          daysRequested: parseInt(days),
+          totalEvents: calendarData.reduce(
+            (sum, day) => sum + day.events.length,
+            0
+          ),
+          surpriseIndex,
+          processingTime: `${processingTime}ms`,
+          lastUpdated: new Date().toISOString(),
+        },
+      };
     });
   } catch (error) {
     console.error("❌ Economic calendar fetch failed:", error);
@@ -52,25 +115,31 @@ router.get("/earnings-calendar", async (req, res) => {
     console.log("📈 Fetching earnings calendar data...");
 
     const { days = 7, symbols } = req.query;
-    const startTime = Date.now();
 
-    // Get earnings events from FMP or other sources
-    const earningsData = await getEarningsCalendarData(parseInt(days), symbols);
+    await responseCache.respond("earningsCalendar", req, res, async () => {
+      const startTime = Date.now();
 
-    const processingTime = Date.now() - startTime;
+      // Get earnings events from the configured providers
+      const earningsData = await getEarningsCalendarData(
+        parseInt(days),
+        symbols
+      );
 
-    res.json({
-      success: true,
-      data: earningsData,
-      metadata: {
-        daysRequested: parseInt(days),
-        totalEarnings: earningsData.reduce(
-          (sum, day) => sum + day.earnings.length,
-          0
-        ),
-        processingTime: `${processingTime}ms`,
-        lastUpdated: new Date().toISOString(),
-      },
+      const processingTime = Date.now() - startTime;
+
+      return {
+        success: true,
+        data: earningsData,
+        metadata: {
+          daysRequested: parseInt(days),
+          totalEarnings: earningsData.reduce(
+            (sum, day) => sum + day.earnings.length,
+            0
+          ),
+          processingTime: `${processingTime}ms`,
+          lastUpdated: new Date().toISOString(),
+        },
+      };
     });
   } catch (error) {
     console.error("❌ Earnings calendar fetch failed:", error);
@@ -83,262 +152,255 @@ router.get("/earnings-calendar", async (req, res) => {
 });
 
 // ============================================
-// HELPER FUNCTIONS
+// ICALENDAR FEED ENDPOINT
 // ============================================
 
-async function getEconomicCalendarData(days = 7) {
-  const calendarData = [];
-  const today = new Date();
-
-  for (let i = 0; i < days; i++) {
-    const date = new Date(today);
-    date.setDate(today.getDate() + i);
-
-    const dayEvents = await getEconomicEventsForDate(date);
-
-    if (dayEvents.length > 0) {
-      calendarData.push({
-        date: date.toISOString().split("T")[0],
-        dayName: date.toLocaleDateString("en-US", { weekday: "short" }),
-        dayNumber: date.getDate(),
-        month: date.toLocaleDateString("en-US", { month: "short" }),
-        events: dayEvents,
-      });
-    }
+/**
+ * Subscription feed of economic releases, earnings and private events.
+ * Query: days (ahead, default 30), types (economic,earnings,private),
+ * impact (HIGH,MEDIUM,LOW), watchlist (id) and/or symbols (AAPL,MSFT) to
+ * limit earnings and symbol-tagged private events.
+ */
+router.get("/calendar.ics", async (req, res) => {
+  try {
+    const days = clampInt(req.query.days, DEFAULT_FEED_DAYS, MAX_FEED_DAYS);
+    const types = parseList(
+      req.query.types,
+      calendarFeed.EVENT_TYPES,
+      "event type"
+    );
+    const impacts = parseList(
+      toList(req.query.impact).map((impact) => impact.toUpperCase()),
+      calendarFeed.IMPACT_LEVELS,
+      "impact level"
+    );
+    const symbols = getFeedSymbols(req.query);
+
+    console.log(`📅 Building iCalendar feed for ${days} days...`);
+
+    const start = new Date(Date.now() - FEED_LOOKBACK_DAYS * DAY_MS);
+    const totalDays = days + FEED_LOOKBACK_DAYS;
+    const wants = (type) => !types || types.includes(type);
+
+    const [economic, earnings] = await Promise.all([
+      wants("economic") ? getEconomicCalendarData(totalDays, start) : [],
+      wants("earnings")
+        ? getProviderEarnings(
+            toDateString(start),
+            toDateString(start.getTime() + (totalDays - 1) * DAY_MS),
+            symbols ? [...symbols].join(",") : null
+          )
+        : [],
+    ]);
+    const privateEvents = wants("private")
+      ? calendarFeed.listPrivateEvents({ from: toDateString(start) })
+      : [];
+
+    const events = calendarFeed.filterEvents(
+      [
+        ...economic.flatMap((day) =>
+          day.events.map(calendarFeed.fromEconomicEvent)
+        ),
+        ...earnings.map(calendarFeed.fromEarning),
+        ...privateEvents.map(calendarFeed.fromPrivateEvent),
+      ],
+      { types, impacts, symbols }
+    );
+
+    const watchlists = toList(req.query.watchlist);
+    const name =
+      watchlists.length > 0
+        ? `News Impact Screener - ${watchlists.join(", ")}`
+        : "News Impact Screener";
+
+    res
+      .set("Content-Type", "text/calendar; charset=utf-8")
+      .set("Content-Disposition", 'inline; filename="news-impact.ics"')
+      .send(calendarFeed.toIcs(calendarFeed.trackRevisions(events), { name }));
+  } catch (error) {
+    sendError(res, error, "Failed to build calendar feed");
   }
+});
 
-  return calendarData;
-}
-
-async function getEconomicEventsForDate(date) {
-  const events = [];
+// ============================================
+// PRIVATE EVENT ENDPOINTS
+// ============================================
 
+router.get("/calendar/events", (req, res) => {
   try {
-    // Try multiple sources for economic calendar data
-
-    // Source 1: FMP Economic Calendar (if available)
-    if (process.env.FMP_API_KEY) {
-      const fmpEvents = await getFMPEconomicEvents(date);
-      events.push(...fmpEvents);
-    }
-
-    // Source 2: Alpha Vantage Economic Calendar (if available)
-    if (process.env.ALPHA_VANTAGE_API_KEY) {
-      const avEvents = await getAlphaVantageEconomicEvents(date);
-      events.push(...avEvents);
-    }
-
-    // Source 3: Static high-impact events (fallback)
-    const staticEvents = getStaticEconomicEvents(date);
-    events.push(...staticEvents);
+    const events = calendarFeed.listPrivateEvents({
+      from: req.query.from,
+      to: req.query.to,
+    });
 
-    // Remove duplicates and sort by time
-    const uniqueEvents = removeDuplicateEvents(events);
-    return uniqueEvents.sort((a, b) => a.time.localeCompare(b.time));
+    res.json({
+      success: true,
+      data: events,
+      metadata: {
+        total: events.length,
+        lastUpdated: new Date().toISOString(),
+      },
+    });
   } catch (error) {
-    console.error("❌ Error fetching economic events:", error);
-    // Return static events as fallback
-    return getStaticEconomicEvents(date);
+    sendError(res, error, "Failed to list private events");
   }
-}
+});
 
-async function getFMPEconomicEvents(date) {
-  try {
-    const dateStr = date.toISOString().split("T")[0];
-    const url = `https://financialmodelingprep.com/api/v3/economic_calendar?from=${dateStr}&to=${dateStr}&apikey=${process.env.FMP_API_KEY}`;
-
-    const response = await fetch(url);
-    const data = await response.json();
-
-    if (Array.isArray(data)) {
-      return data.map((event) => ({
-        time: formatTime(event.time || "09:00"),
-        event: event.event || "Economic Event",
-        impact: mapImpactLevel(event.impact),
-        country: event.country || "US",
-        actual: event.actual || null,
-        estimate: event.estimate || null,
-        previous: event.previous || null,
-        source: "FMP",
-      }));
+// Body: an .ics file (Content-Type text/calendar) with symbol/impact in the
+// query, or JSON { ics, symbol, impact }
+router.post(
+  "/calendar/import",
+  express.text({ type: ["text/calendar", "text/plain"], limit: "2mb" }),
+  (req, res) => {
+    try {
+      const isRaw = typeof req.body === "string";
+      const ics = isRaw ? req.body : req.body?.ics;
+      if (!ics) {
+        return res.status(400).json({
+          success: false,
+          error: "Calendar file required",
+          message: "Send an .ics body or JSON { ics }",
+        });
+      }
+
+      const options = isRaw ? req.query : req.body;
+      const result = calendarFeed.importEvents(ics, {
+        symbol: options.symbol,
+        impact: options.impact,
+      });
+      res.status(result.created > 0 ? 201 : 200).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      sendError(res, error, "Failed to import calendar file");
     }
+  }
+);
 
-    return [];
+router.delete("/calendar/events/:uid", (req, res) => {
+  try {
+    const result = calendarFeed.deletePrivateEvent(req.params.uid);
+    res.json({ success: true, data: result });
   } catch (error) {
-    console.error("❌ FMP economic calendar error:", error);
-    return [];
+    sendError(res, error, "Failed to delete private event");
   }
+});
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const toDateString = (date) => new Date(date).toISOString().split("T")[0];
+
+// Watchlist symbols plus any listed explicitly; null = no symbol filter
+function getFeedSymbols({ watchlist, symbols }) {
+  const watchlists = toList(watchlist);
+  const listed = toList(symbols);
+  if (watchlists.length === 0 && listed.length === 0) return null;
+
+  const scope = new Set(listed.map((symbol) => symbol.toUpperCase()));
+  watchlists.forEach((id) =>
+    portfolios
+      .getWatchlist(id)
+      .symbols.forEach((entry) => scope.add(entry.symbol))
+  );
+  return scope;
 }
 
-async function getAlphaVantageEconomicEvents(date) {
-  try {
-    // Alpha Vantage doesn't have a direct economic calendar API
-    // But we can check for major indicators
-    const events = [];
-
-    // Add major weekly indicators based on day of week
-    const dayOfWeek = date.getDay();
-
-    if (dayOfWeek === 4) {
-      // Thursday
-      events.push({
-        time: "14:30",
-        event: "Initial Jobless Claims",
-        impact: "MEDIUM",
-        country: "US",
-        source: "Alpha Vantage",
+// The schedule is the calendar; providers only fill in the numbers
+async function getEconomicCalendarData(days = 7, start = new Date()) {
+  const calendarData = economicSchedule.buildCalendar(start, days);
+
+  const from = toDateString(start);
+  const to = toDateString(start.getTime() + (days - 1) * DAY_MS);
+  const providerEvents = await getProviderEconomicEvents(from, to);
+
+  const byDate = new Map(calendarData.map((day) => [day.date, day]));
+  const unmatched = [];
+
+  providerEvents.forEach((event) => {
+    const release = economicSchedule.matchRelease(event.event);
+    const scheduled = byDate
+      .get(event.date)
+      ?.events.find((e) => release && e.releaseId === release.id);
+
+    if (scheduled) {
+      // Keep the schedule's time and impact; providers disagree on both
+      Object.assign(scheduled, {
+        actual: event.actual,
+        forecast: event.estimate,
+        estimate: event.estimate,
+        previous: event.previous,
+        valuesFrom: event.source,
       });
+    } else {
+      unmatched.push(event);
     }
+  });
 
-    if (dayOfWeek === 5) {
-      // Friday
-      events.push({
-        time: "14:30",
-        event: "Non-Farm Payrolls",
-        impact: "HIGH",
-        country: "US",
-        source: "Alpha Vantage",
+  // Releases the schedule doesn't model still show up
+  unmatched.forEach(({ date, ...event }) => {
+    if (!byDate.has(date)) {
+      const day = new Date(`${date}T00:00:00Z`);
+      byDate.set(date, {
+        date,
+        dayName: day.toLocaleDateString("en-US", {
+          weekday: "short",
+          timeZone: "UTC",
+        }),
+        dayNumber: day.getUTCDate(),
+        month: day.toLocaleDateString("en-US", {
+          month: "short",
+          timeZone: "UTC",
+        }),
+        events: [],
       });
+      calendarData.push(byDate.get(date));
     }
+    byDate.get(date).events.push(event);
+  });
 
-    return events;
-  } catch (error) {
-    console.error("❌ Alpha Vantage economic events error:", error);
-    return [];
-  }
+  calendarData.forEach((day) => {
+    day.events = removeDuplicateEvents(day.events).sort((a, b) =>
+      a.time.localeCompare(b.time)
+    );
+  });
+  return calendarData.sort((a, b) => a.date.localeCompare(b.date));
 }
 
-function getStaticEconomicEvents(date) {
-  const dayOfWeek = date.getDay();
-  const dayOfMonth = date.getDate();
-
-  // High-impact recurring events
-  const events = [];
-
-  // Weekly events
-  switch (dayOfWeek) {
-    case 1: // Monday
-      events.push(
-        {
-          time: "14:30",
-          event: "ISM Manufacturing PMI",
-          impact: "HIGH",
-          country: "US",
-        },
-        {
-          time: "15:00",
-          event: "Construction Spending",
-          impact: "MEDIUM",
-          country: "US",
-        }
-      );
-      break;
-
-    case 2: // Tuesday
-      events.push(
-        {
-          time: "14:30",
-          event: "JOLTs Job Openings",
-          impact: "MEDIUM",
-          country: "US",
-        },
-        {
-          time: "19:00",
-          event: "API Crude Oil Inventory",
-          impact: "LOW",
-          country: "US",
-        }
-      );
-      break;
-
-    case 3: // Wednesday
-      events.push(
-        {
-          time: "14:15",
-          event: "ADP Employment Change",
-          impact: "HIGH",
-          country: "US",
-        },
-        {
-          time: "14:30",
-          event: "Trade Balance",
-          impact: "MEDIUM",
-          country: "US",
-        },
-        {
-          time: "20:00",
-          event: "Fed Beige Book",
-          impact: "HIGH",
-          country: "US",
-        }
-      );
-      break;
-
-    case 4: // Thursday
-      events.push(
-        {
-          time: "14:30",
-          event: "Initial Jobless Claims",
-          impact: "MEDIUM",
-          country: "US",
-        },
-        {
-          time: "16:00",
-          event: "ISM Services PMI",
-          impact: "HIGH",
-          country: "US",
-        }
-      );
-      break;
-
-    case 5: // Friday
-      events.push(
-        {
-          time: "14:30",
-          event: "Non-Farm Payrolls",
-          impact: "HIGH",
-          country: "US",
-        },
-        {
-          time: "14:30",
-          event: "Unemployment Rate",
-          impact: "HIGH",
-          country: "US",
-        },
-        {
-          time: "14:30",
-          event: "Average Hourly Earnings",
-          impact: "HIGH",
-          country: "US",
-        }
-      );
-      break;
+// How the market reacted to each release's last prints, plus the current
+// surprise index; the calendar still serves when history is unavailable
+async function annotateWithHistory(calendarData) {
+  try {
+    await macroEvents.annotateCalendar(calendarData);
+    const { value } = await macroEvents.getSurpriseIndex({ days: 0 });
+    return value;
+  } catch (error) {
+    console.error("❌ Macro reaction history error:", error.message);
+    return null;
   }
+}
 
-  // Monthly events (first week of month)
-  if (dayOfMonth <= 7) {
-    switch (dayOfWeek) {
-      case 1:
-        events.push({
-          time: "16:00",
-          event: "Factory Orders",
-          impact: "MEDIUM",
-          country: "US",
-        });
-        break;
-      case 2:
-        events.push({
-          time: "14:30",
-          event: "Consumer Credit",
-          impact: "LOW",
-          country: "US",
-        });
-        break;
-    }
+async function getProviderEconomicEvents(from, to) {
+  try {
+    const { data } = await providers.request("economicEvents", from, to);
+
+    return (data || []).map((event) => ({
+      date: event.date,
+      time: formatTime(event.time || "09:00"),
+      event: event.event,
+      impact: mapImpactLevel(event.impact),
+      country: event.country,
+      actual: event.actual,
+      estimate: event.estimate,
+      previous: event.previous,
+      source: event.source,
+    }));
+  } catch (error) {
+    console.error("❌ Provider economic calendar error:", error.message);
+    return [];
   }
-
-  // Add source to all static events
-  return events.map((event) => ({ ...event, source: "Static" }));
 }
 
 async function getEarningsCalendarData(days = 7, symbols = null) {
@@ -369,11 +431,14 @@ async function getEarningsForDate(date, symbols = null) {
   const earnings = [];
 
   try {
-    // Try FMP earnings calendar
-    if (process.env.FMP_API_KEY) {
-      const fmpEarnings = await getFMPEarnings(date, symbols);
-      earnings.push(...fmpEarnings);
-    }
+    // Provider earnings calendar (FMP, then Finnhub, then the simulator)
+    const dateStr = toDateString(date);
+    const providerEarnings = await getProviderEarnings(
+      dateStr,
+      dateStr,
+      symbols
+    );
+    earnings.push(...providerEarnings);
 
     // Try Polygon earnings (if available)
     if (process.env.POLYGON_API_KEY) {
@@ -381,57 +446,45 @@ async function getEarningsForDate(date, symbols = null) {
       earnings.push(...polygonEarnings);
     }
 
-    // Add static earnings for major companies (fallback)
-    const staticEarnings = getStaticEarnings(date);
-    earnings.push(...staticEarnings);
-
     // Remove duplicates and sort by market cap/importance
     const uniqueEarnings = removeDuplicateEarnings(earnings);
     return uniqueEarnings.sort((a, b) => b.marketCap - a.marketCap);
   } catch (error) {
     console.error("❌ Error fetching earnings:", error);
-    return getStaticEarnings(date);
+    return [];
   }
 }
 
-async function getFMPEarnings(date, symbols = null) {
+async function getProviderEarnings(from, to, symbols = null) {
   try {
-    const dateStr = date.toISOString().split("T")[0];
-    let url = `https://financialmodelingprep.com/api/v3/earning_calendar?from=${dateStr}&to=${dateStr}&apikey=${process.env.FMP_API_KEY}`;
-
-    const response = await fetch(url);
-    const data = await response.json();
-
-    if (Array.isArray(data)) {
-      let filteredData = data;
-
-      // Filter by symbols if provided
-      if (symbols) {
-        const symbolArray = symbols
-          .split(",")
-          .map((s) => s.trim().toUpperCase());
-        filteredData = data.filter((earning) =>
-          symbolArray.includes(earning.symbol)
-        );
-      }
-
-      return filteredData.map((earning) => ({
-        symbol: earning.symbol,
-        companyName: earning.name || earning.symbol,
-        time: earning.time || "After Market",
-        eps: earning.eps || null,
-        epsEstimated: earning.epsEstimated || null,
-        revenue: earning.revenue || null,
-        revenueEstimated: earning.revenueEstimated || null,
-        marketCap: earning.marketCap || 0,
-        impact: determineEarningsImpact(earning),
-        source: "FMP",
-      }));
+    const { data } = await providers.request("earnings", from, to);
+    let filteredData = data || [];
+
+    // Filter by symbols if provided
+    if (symbols) {
+      const symbolArray = symbols.split(",").map((s) => s.trim().toUpperCase());
+      filteredData = filteredData.filter((earning) =>
+        symbolArray.includes(earning.symbol)
+      );
     }
 
-    return [];
+    return filteredData.map(withSurprise).map((earning) => ({
+      symbol: earning.symbol,
+      date: earning.date,
+      companyName: earning.companyName,
+      time: earning.time,
+      eps: earning.eps,
+      epsEstimated: earning.epsEstimated,
+      epsSurprise: earning.epsSurprise,
+      revenue: earning.revenue,
+      revenueEstimated: earning.revenueEstimated,
+      revenueSurprise: earning.revenueSurprise,
+      marketCap: earning.marketCap,
+      impact: determineEarningsImpact(earning),
+      source: earning.source,
+    }));
   } catch (error) {
-    console.error("❌ FMP earnings error:", error);
+    console.error("❌ Provider earnings error:", error.message);
     return [];
   }
 }
@@ -447,63 +500,6 @@ async function getPolygonEarnings(date, symbols = null) {
   }
 }
 
-function getStaticEarnings(date) {
-  const dayOfWeek = date.getDay();
-
-  // Only add earnings on weekdays
-  if (dayOfWeek === 0 || dayOfWeek === 6) return [];
-
-  // Sample earnings for major companies (rotated through week)
-  const majorEarnings = [
-    { symbol: "AAPL", companyName: "Apple Inc.", marketCap: 3000000000000 },
-    {
-      symbol: "MSFT",
-      companyName: "Microsoft Corporation",
-      marketCap: 2800000000000,
-    },
-    { symbol: "GOOGL", companyName: "Alphabet Inc.", marketCap: 1700000000000 },
-    {
-      symbol: "AMZN",
-      companyName: "Amazon.com Inc.",
-      marketCap: 1500000000000,
-    },
-    { symbol: "TSLA", companyName: "Tesla Inc.", marketCap: 800000000000 },
-    {
-      symbol: "META",
-      companyName: "Meta Platforms Inc.",
-      marketCap: 750000000000,
-    },
-    {
-      symbol: "NVDA",
-      companyName: "NVIDIA Corporation",
-      marketCap: 1800000000000,
-    },
-  ];
-
-  // Randomly assign 1-2 major earnings per day
-  const dailyEarnings = [];
-  const numEarnings = Math.floor(Math.random() * 2) + 1;
-
-  for (let i = 0; i < numEarnings; i++) {
-    const randomEarning =
-      majorEarnings[Math.floor(Math.random() * majorEarnings.length)];
-    const time = Math.random() > 0.5 ? "Pre-market" : "After-market";
-
-    dailyEarnings.push({
-      ...randomEarning,
-      time,
-      eps: null,
-      epsEstimated: (Math.random() * 5).toFixed(2),
-      revenue: null,
-      revenueEstimated: (Math.random() * 100000000000).toFixed(0),
-      impact: "HIGH",
-      source: "Static",
-    });
-  }
-
-  return dailyEarnings;
-}
-
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
@@ -530,18 +526,32 @@ function mapImpactLevel(impact) {
   return "MEDIUM";
 }
 
+const IMPACT_LEVELS = ["LOW", "MEDIUM", "HIGH"];
+
 function determineEarningsImpact(earning) {
   const marketCap = earning.marketCap || 0;
 
-  if (marketCap > 500000000000) return "HIGH"; // > $500B
-  if (marketCap > 100000000000) return "MEDIUM"; // > $100B
-  return "LOW";
+  let level = 0;
+  if (marketCap > 500000000000) level = 2; // > $500B
+  else if (marketCap > 100000000000) level = 1; // > $100B
+
+  // Once reported, a big surprise matters whatever the company's size
+  const surprise = Math.abs(earning.epsSurprise || 0);
+  if (surprise >= 10) level = 2;
+  else if (surprise >= 5) level = Math.max(level, 1);
+
+  return IMPACT_LEVELS[level];
 }
 
 function removeDuplicateEvents(events) {
   const seen = new Set();
   return events.filter((event) => {
-    const key = `${event.time}-${event.event}`;
+    // Providers disagree on time zones and naming, so the release identifies
+    // the event
+    const key =
+      event.releaseId ||
+      economicSchedule.matchRelease(event.event)?.id ||
+      event.event.toLowerCase();
     if (seen.has(key)) return false;
     seen.add(key);
     return true;
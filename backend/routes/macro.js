@@ -0,0 +1,104 @@
+// backend/routes/macro.js - Macro Surprise API
+// Rolling economic surprise index and per-release market reaction history
+
+const express = require("express");
+const router = express.Router();
+const macroEvents = require("../services/macroEvents");
+const responseCache = require("../services/responseCache");
+const economicSchedule = require("../../src/utils/EconomicSchedule");
+
+const DEFAULT_INDEX_DAYS = 180;
+const MAX_INDEX_DAYS = 730;
+const DEFAULT_PRINTS = 8;
+const MAX_PRINTS = 60;
+
+const clampInt = (value, fallback, max) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0
+    ? Math.min(parsed, max)
+    : fallback;
+};
+
+// ============================================
+// SURPRISE INDEX ENDPOINT
+// ============================================
+
+router.get("/macro/surprise-index", async (req, res) => {
+  try {
+    const days = clampInt(req.query.days, DEFAULT_INDEX_DAYS, MAX_INDEX_DAYS);
+
+    console.log("📊 Computing economic surprise index...");
+
+    await responseCache.respond("macroSurprise", req, res, async () => {
+      const startTime = Date.now();
+      const data = await macroEvents.getSurpriseIndex({ days });
+
+      return {
+        success: true,
+        data,
+        metadata: {
+          daysRequested: days,
+          processingTime: `${Date.now() - startTime}ms`,
+          lastUpdated: new Date().toISOString(),
+        },
+      };
+    });
+  } catch (error) {
+    console.error("❌ Economic surprise index failed:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: "Failed to compute economic surprise index",
+      message: error.message,
+    });
+  }
+});
+
+// ============================================
+// RELEASE REACTIONS ENDPOINT
+// ============================================
+
+router.get("/macro/releases/:releaseId/reactions", async (req, res) => {
+  const { releaseId } = req.params;
+
+  if (!economicSchedule.getRelease(releaseId)) {
+    return res.status(404).json({
+      success: false,
+      error: "Unknown economic release",
+      message: `No scheduled release with id ${releaseId}`,
+      releaseId,
+    });
+  }
+
+  try {
+    const count = clampInt(req.query.count, DEFAULT_PRINTS, MAX_PRINTS);
+
+    console.log(`📊 Loading market reactions to ${releaseId}...`);
+
+    await responseCache.respond("macroReactions", req, res, async () => {
+      const startTime = Date.now();
+      const data = await macroEvents.getReleaseReactions(releaseId, count);
+
+      return {
+        success: true,
+        data,
+        metadata: {
+          releaseId,
+          totalPrints: data.prints.length,
+          marketSymbol: macroEvents.MARKET_SYMBOL,
+          processingTime: `${Date.now() - startTime}ms`,
+          lastUpdated: new Date().toISOString(),
+        },
+      };
+    });
+  } catch (error) {
+    console.error(`❌ Release reactions failed for ${releaseId}:`, error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: "Failed to load release reactions",
+      message: error.message,
+      releaseId,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+// backend/routes/options.js - Options Flow API
+// Put/call volume, open interest, IV rank and unusual activity per symbol
+
+const express = require("express");
+const router = express.Router();
+const optionsFlow = require("../services/optionsFlow");
+
+// ============================================
+// OPTIONS FLOW ENDPOINT
+// ============================================
+
+router.get("/options/:symbol", async (req, res) => {
+  const symbol = req.params.symbol.toUpperCase();
+
+  try {
+    console.log(`🎲 Fetching options flow for ${symbol}...`);
+    const startTime = Date.now();
+
+    const data = await optionsFlow.getOptionsFlow(symbol);
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: "No options data available",
+        message: `No options chain found for ${symbol}`,
+        symbol,
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      metadata: {
+        symbol,
+        provider: data.dataSource,
+        asOf: data.asOf,
+        processingTime: `${Date.now() - startTime}ms`,
+        lastUpdated: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error(`❌ Options flow failed for ${symbol}:`, error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch options flow",
+      message: error.message || error.error,
+      symbol,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+// backend/routes/performance.js - Signal Journal & Performance API
+// Exposes recorded screening signals and their realized forward returns
+
+const express = require("express");
+const router = express.Router();
+const signalJournal = require("../services/signalJournal");
+
+const DEFAULT_JOURNAL_LIMIT = 100;
+const MAX_JOURNAL_LIMIT = 1000;
+
+// Positive integer query value, capped; missing or invalid gives the fallback
+const clampInt = (value, fallback, max) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0
+    ? Math.min(parsed, max)
+    : fallback;
+};
+
+// ============================================
+// PERFORMANCE SUMMARY ENDPOINT
+// ============================================
+
+router.get("/performance/summary", async (req, res) => {
+  try {
+    console.log("📓 Building signal performance summary...");
+
+    const { symbol, refresh = "true" } = req.query;
+    const startTime = Date.now();
+
+    // Score any horizons that have elapsed since the last request
+    let scoring = null;
+    if (refresh !== "false") {
+      scoring = await signalJournal.scorePending();
+    }
+
+    const summary = signalJournal.getSummary({ symbol });
+
+    res.json({
+      success: true,
+      data: summary,
+      metadata: {
+        horizons: signalJournal.HORIZONS,
+        scoring,
+        processingTime: `${Date.now() - startTime}ms`,
+        lastUpdated: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Performance summary failed:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to build performance summary",
+      message: error.message,
+    });
+  }
+});
+
+// ============================================
+// SIGNAL JOURNAL ENDPOINTS
+// ============================================
+
+router.get("/performance/journal", (req, res) => {
+  try {
+    const { symbol, action } = req.query;
+    const entries = signalJournal.getEntries({
+      symbol,
+      action,
+      limit: clampInt(
+        req.query.limit,
+        DEFAULT_JOURNAL_LIMIT,
+        MAX_JOURNAL_LIMIT
+      ),
+    });
+
+    res.json({
+      success: true,
+      data: entries,
+      metadata: {
+        count: entries.length,
+        lastUpdated: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Signal journal fetch failed:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch signal journal",
+      message: error.message,
+    });
+  }
+});
+
+router.post("/performance/score", async (req, res) => {
+  try {
+    const result = await signalJournal.scorePending();
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Signal scoring failed:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to score signals",
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,233 @@
+// backend/routes/portfolios.js - Watchlist & Portfolio API
+// Server-side watchlists and positions; both also screen as universes
+// ("watchlist:<id>" / "portfolio:<id>")
+
+const express = require("express");
+const router = express.Router();
+const portfolios = require("../services/portfolios");
+const portfolioRisk = require("../services/portfolioRisk");
+
+const sendError = (res, error, fallbackMessage) => {
+  const statusCode = error.statusCode || 500;
+  if (statusCode === 500) console.error(`❌ ${fallbackMessage}:`, error);
+
+  res.status(statusCode).json({
+    success: false,
+    error: statusCode === 500 ? fallbackMessage : error.message,
+    message: error.message,
+  });
+};
+
+// ============================================
+// WATCHLIST ENDPOINTS
+// ============================================
+
+router.get("/watchlists", (req, res) => {
+  try {
+    const watchlists = portfolios.listWatchlists();
+
+    res.json({
+      success: true,
+      data: watchlists,
+      metadata: {
+        defaultWatchlist: portfolios.DEFAULT_ID,
+        total: watchlists.length,
+        lastUpdated: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to list watchlists");
+  }
+});
+
+router.get("/watchlists/:id", (req, res) => {
+  try {
+    res.json({ success: true, data: portfolios.getWatchlist(req.params.id) });
+  } catch (error) {
+    sendError(res, error, "Failed to fetch watchlist");
+  }
+});
+
+router.post("/watchlists", (req, res) => {
+  try {
+    const watchlist = portfolios.createWatchlist(req.body);
+    res.status(201).json({ success: true, data: watchlist });
+  } catch (error) {
+    sendError(res, error, "Failed to create watchlist");
+  }
+});
+
+router.put("/watchlists/:id", (req, res) => {
+  try {
+    const watchlist = portfolios.updateWatchlist(req.params.id, req.body);
+    res.json({ success: true, data: watchlist });
+  } catch (error) {
+    sendError(res, error, "Failed to update watchlist");
+  }
+});
+
+router.delete("/watchlists/:id", (req, res) => {
+  try {
+    const result = portfolios.deleteWatchlist(req.params.id);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, "Failed to delete watchlist");
+  }
+});
+
+// Body: { symbol, note } or { symbols: [...] } for bulk imports
+router.post("/watchlists/:id/symbols", (req, res) => {
+  try {
+    const items = Array.isArray(req.body.symbols)
+      ? req.body.symbols
+      : [req.body];
+    const watchlist = portfolios.addWatchlistSymbols(req.params.id, items);
+    res.json({ success: true, data: watchlist });
+  } catch (error) {
+    sendError(res, error, "Failed to add watchlist symbol");
+  }
+});
+
+router.delete("/watchlists/:id/symbols/:symbol", (req, res) => {
+  try {
+    const watchlist = portfolios.removeWatchlistSymbol(
+      req.params.id,
+      req.params.symbol
+    );
+    res.json({ success: true, data: watchlist });
+  } catch (error) {
+    sendError(res, error, "Failed to remove watchlist symbol");
+  }
+});
+
+// ============================================
+// PORTFOLIO ENDPOINTS
+// ============================================
+
+router.get("/portfolios", (req, res) => {
+  try {
+    const list = portfolios.listPortfolios();
+
+    res.json({
+      success: true,
+      data: list,
+      metadata: {
+        defaultPortfolio: portfolios.DEFAULT_ID,
+        total: list.length,
+        lastUpdated: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to list portfolios");
+  }
+});
+
+// ?quotes=false skips live pricing
+router.get("/portfolios/:id", async (req, res) => {
+  try {
+    const portfolio =
+      req.query.quotes === "false"
+        ? portfolios.getPortfolio(req.params.id)
+        : await portfolios.valuePortfolio(req.params.id);
+
+    res.json({
+      success: true,
+      data: portfolio,
+      metadata: {
+        priced: req.query.quotes !== "false",
+        lastUpdated: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to fetch portfolio");
+  }
+});
+
+router.post("/portfolios", (req, res) => {
+  try {
+    const portfolio = portfolios.createPortfolio(req.body);
+    res.status(201).json({ success: true, data: portfolio });
+  } catch (error) {
+    sendError(res, error, "Failed to create portfolio");
+  }
+});
+
+router.put("/portfolios/:id", (req, res) => {
+  try {
+    const portfolio = portfolios.updatePortfolio(req.params.id, req.body);
+    res.json({ success: true, data: portfolio });
+  } catch (error) {
+    sendError(res, error, "Failed to update portfolio");
+  }
+});
+
+router.delete("/portfolios/:id", (req, res) => {
+  try {
+    const result = portfolios.deletePortfolio(req.params.id);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, "Failed to delete portfolio");
+  }
+});
+
+// Body: { quantity, costBasis, openedAt, sector, notes } - creates or replaces
+router.put("/portfolios/:id/positions/:symbol", (req, res) => {
+  try {
+    const portfolio = portfolios.upsertPosition(
+      req.params.id,
+      req.params.symbol,
+      req.body
+    );
+    res.json({ success: true, data: portfolio });
+  } catch (error) {
+    sendError(res, error, "Failed to save position");
+  }
+});
+
+router.delete("/portfolios/:id/positions/:symbol", (req, res) => {
+  try {
+    const portfolio = portfolios.removePosition(
+      req.params.id,
+      req.params.symbol
+    );
+    res.json({ success: true, data: portfolio });
+  } catch (error) {
+    sendError(res, error, "Failed to remove position");
+  }
+});
+
+// ============================================
+// PORTFOLIO RISK ENDPOINT
+// ============================================
+
+// Position size for a new trade after sector, correlation and risk limits
+router.get("/portfolios/:id/risk/:symbol", async (req, res) => {
+  const symbol = req.params.symbol.toUpperCase();
+
+  try {
+    const startTime = Date.now();
+    const data = await portfolioRisk.assessSymbol(symbol, req.params.id);
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: "No quote available",
+        message: `No quote found for ${symbol}`,
+        symbol,
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      metadata: {
+        processingTime: `${Date.now() - startTime}ms`,
+        lastUpdated: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to assess portfolio risk");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+// backend/routes/stream.js - Live Streaming API
+// Server-Sent Events: quote ticks, new articles and NISS deltas
+
+const express = require("express");
+const router = express.Router();
+const streamHub = require("../services/streamHub");
+const universes = require("../services/universes");
+
+// ============================================
+// STREAM ENDPOINTS
+// ============================================
+
+// GET /api/stream?symbols=AAPL,MSFT  or  /api/stream?universe=nasdaq100
+router.get("/stream", async (req, res) => {
+  try {
+    let symbols = (req.query.symbols || "")
+      .split(",")
+      .map((s) => s.trim().toUpperCase())
+      .filter(Boolean);
+
+    if (symbols.length === 0) {
+      const resolved = await universes.resolveSymbols(
+        req.query.universe || universes.DEFAULT_UNIVERSE
+      );
+      symbols = resolved.symbols;
+    }
+
+    streamHub.subscribe(req, res, symbols);
+  } catch (error) {
+    console.error("❌ Stream subscription failed:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: "Failed to open stream",
+      message: error.message,
+    });
+  }
+});
+
+router.get("/stream/status", (req, res) => {
+  res.json({
+    success: true,
+    data: streamHub.getStatus(),
+    metadata: {
+      maxSymbols: streamHub.MAX_STREAM_SYMBOLS,
+      lastUpdated: new Date().toISOString(),
+    },
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+// backend/routes/technicals.js - Technical Analysis API
+// RSI, MACD, ADX, Bollinger, SMAs, ATR and 52-week range computed from daily bars
+
+const express = require("express");
+const router = express.Router();
+const technicals = require("../services/technicals");
+
+// ============================================
+// TECHNICAL INDICATORS ENDPOINT
+// ============================================
+
+router.get("/technicals/:symbol", async (req, res) => {
+  const symbol = req.params.symbol.toUpperCase();
+
+  try {
+    console.log(`📈 Computing technicals for ${symbol}...`);
+    const startTime = Date.now();
+
+    const data = await technicals.getTechnicals(symbol);
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: "No price history available",
+        message: `No daily bars found for ${symbol}`,
+        symbol,
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      metadata: {
+        symbol,
+        barsUsed: data.barsUsed,
+        provider: data.source,
+        processingTime: `${Date.now() - startTime}ms`,
+        lastUpdated: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error(`❌ Technicals failed for ${symbol}:`, error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to compute technicals",
+      message: error.message,
+      symbol,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+// backend/routes/universe.js - Screening Universe API
+// Named symbol lists for /api/screening?universe=<id>
+
+const express = require("express");
+const router = express.Router();
+const universes = require("../services/universes");
+
+const sendError = (res, error, fallbackMessage) => {
+  const statusCode = error.statusCode || 500;
+  if (statusCode === 500) console.error(`❌ ${fallbackMessage}:`, error);
+
+  res.status(statusCode).json({
+    success: false,
+    error: statusCode === 500 ? fallbackMessage : error.message,
+    message: error.message,
+  });
+};
+
+// ============================================
+// UNIVERSE LIST & DETAIL ENDPOINTS
+// ============================================
+
+router.get("/universe", (req, res) => {
+  try {
+    const list = universes.listUniverses();
+
+    res.json({
+      success: true,
+      data: list,
+      metadata: {
+        defaultUniverse: universes.DEFAULT_UNIVERSE,
+        total: list.length,
+        lastUpdated: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to list universes");
+  }
+});
+
+router.get("/universe/:id", async (req, res) => {
+  try {
+    const { universe, symbols, source } = await universes.resolveSymbols(
+      req.params.id
+    );
+
+    res.json({
+      success: true,
+      data: { ...universe, symbols, symbolCount: symbols.length },
+      metadata: {
+        source,
+        lastUpdated: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to fetch universe");
+  }
+});
+
+// ============================================
+// USER-DEFINED UNIVERSE ENDPOINTS
+// ============================================
+
+router.post("/universe", (req, res) => {
+  try {
+    const universe = universes.createUniverse(req.body);
+    res.status(201).json({ success: true, data: universe });
+  } catch (error) {
+    sendError(res, error, "Failed to create universe");
+  }
+});
+
+router.put("/universe/:id", (req, res) => {
+  try {
+    const universe = universes.updateUniverse(req.params.id, req.body);
+    res.json({ success: true, data: universe });
+  } catch (error) {
+    sendError(res, error, "Failed to update universe");
+  }
+});
+
+router.delete("/universe/:id", (req, res) => {
+  try {
+    const result = universes.deleteUniverse(req.params.id);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, "Failed to delete universe");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,229 @@
+// backend/services/alertChannels.js - Alert delivery channels
+// browser (SSE push), generic JSON webhook and SMTP email
+
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const nodemailer = require("nodemailer");
+const streamHub = require("./streamHub");
+
+const WEBHOOK_TIMEOUT = 5000;
+
+// Point SMTP_HOST/SMTP_PORT at a local catcher (e.g. MailHog on 1025) to test
+const SMTP_CONFIG = {
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === "true",
+  user: process.env.SMTP_USER,
+  pass: process.env.SMTP_PASS,
+  from: process.env.ALERT_EMAIL_FROM || "alerts@news-impact-screener.local",
+  to: process.env.ALERT_EMAIL_TO,
+};
+
+const DEFAULT_WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL;
+
+// Addresses a webhook must not reach, whatever its hostname resolves to
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // Carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // Link-local, cloud metadata
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["224.0.0.0", 3], // Multicast and reserved
+].forEach(([address, prefix]) =>
+  PRIVATE_RANGES.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7], // Unique local
+  ["fe80::", 10], // Link-local
+].forEach(([address, prefix]) =>
+  PRIVATE_RANGES.addSubnet(address, prefix, "ipv6")
+);
+
+const isPrivateAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return PRIVATE_RANGES.check(mapped[1], "ipv4");
+  return PRIVATE_RANGES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+};
+
+// dns.lookup that refuses private addresses. Used as the socket's lookup, so
+// the address checked is the one connected to (no DNS rebinding window).
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find((entry) => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(
+        new Error(
+          `Webhook host ${hostname} resolves to private address ${blocked.address}`
+        )
+      );
+    }
+    callback(null, address, family);
+  });
+}
+
+// POST JSON without following redirects; resolves with the status code
+function postJson(url, body, timeout) {
+  const target = new URL(url);
+  const client = target.protocol === "https:" ? https : http;
+  const payload = JSON.stringify(body);
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(
+      target,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(payload),
+          "User-Agent": "NewsImpactScreener/4.1.0",
+        },
+        lookup: publicLookup,
+        timeout,
+      },
+      (res) => {
+        res.resume();
+        res.on("end", () =>
+          resolve({ status: res.statusCode, statusText: res.statusMessage })
+        );
+      }
+    );
+    req.on("timeout", () =>
+      req.destroy(new Error(`Webhook timed out after ${timeout}ms`))
+    );
+    req.on("error", reject);
+    req.end(payload);
+  });
+}
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: SMTP_CONFIG.host,
+      port: SMTP_CONFIG.port,
+      secure: SMTP_CONFIG.secure,
+      auth: SMTP_CONFIG.user
+        ? { user: SMTP_CONFIG.user, pass: SMTP_CONFIG.pass }
+        : undefined,
+    });
+  }
+  return transporter;
+};
+
+// ============================================
+// CHANNELS
+// ============================================
+
+const browser = {
+  isConfigured: () => true,
+
+  async deliver(event) {
+    const clients = streamHub.broadcastAll("alert", event);
+    return { clients };
+  },
+};
+
+const webhook = {
+  isConfigured: (rule = {}) => Boolean(rule.webhookUrl || DEFAULT_WEBHOOK_URL),
+
+  async deliver(event, rule = {}) {
+    const url = rule.webhookUrl || DEFAULT_WEBHOOK_URL;
+    if (!url) throw new Error("No webhook URL configured");
+
+    // Redirects are not followed: a public endpoint must not bounce the
+    // alert to an internal one
+    const response = await postJson(url, event, WEBHOOK_TIMEOUT);
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    return { status: response.status };
+  },
+};
+
+const email = {
+  isConfigured: (rule = {}) =>
+    Boolean(SMTP_CONFIG.host && (rule.email || SMTP_CONFIG.to)),
+
+  async deliver(event, rule = {}) {
+    const to = rule.email || SMTP_CONFIG.to;
+    if (!SMTP_CONFIG.host || !to) throw new Error("SMTP is not configured");
+
+    const info = await getTransporter().sendMail({
+      from: SMTP_CONFIG.from,
+      to,
+      subject: `[NISS Alert] ${event.symbol}: ${event.ruleName}`,
+      text: [
+        event.message,
+        "",
+        ...Object.entries(event.facts).map(
+          ([field, value]) => `${field}: ${value ?? "n/a"}`
+        ),
+        "",
+        `Triggered at ${event.triggeredAt}`,
+      ].join("\n"),
+    });
+
+    return { messageId: info.messageId };
+  },
+};
+
+const channels = { browser, webhook, email };
+
+/**
+ * Deliver an alert over each of the rule's channels
+ * @returns {Promise<Object>} Per-channel { delivered, error?, ... }
+ */
+async function deliverAlert(event, rule) {
+  const results = {};
+
+  await Promise.all(
+    (rule.channels || []).map(async (name) => {
+      const channel = channels[name];
+      if (!channel) {
+        results[name] = { delivered: false, error: "Unknown channel" };
+        return;
+      }
+
+      try {
+        const detail = await channel.deliver(event, rule);
+        results[name] = { delivered: true, ...detail };
+      } catch (error) {
+        console.error(`❌ Alert ${name} delivery failed:`, error.message);
+        results[name] = { delivered: false, error: error.message };
+      }
+    })
+  );
+
+  return results;
+}
+
+function getChannelStatus() {
+  return {
+    browser: { configured: true },
+    webhook: { configured: webhook.isConfigured(), perRule: true },
+    email: {
+      configured: email.isConfigured(),
+      host: SMTP_CONFIG.host || null,
+      port: SMTP_CONFIG.port,
+    },
+  };
+}
+
+module.exports = {
+  CHANNELS: Object.keys(channels),
+  deliverAlert,
+  getChannelStatus,
+  isPrivateAddress,
+};
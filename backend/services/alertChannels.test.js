@@ -0,0 +1,59 @@
+// backend/services/alertChannels.test.js - Webhook delivery address checks
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const dns = require("dns");
+const http = require("http");
+const { deliverAlert, isPrivateAddress } = require("./alertChannels");
+
+const event = { symbol: "AAPL", ruleName: "NISS spike", message: "test" };
+
+test("private, loopback and link-local addresses are recognized", () => {
+  [
+    "127.0.0.1",
+    "10.1.2.3",
+    "172.20.0.1",
+    "192.168.1.1",
+    "169.254.169.254",
+    "100.64.0.1",
+    "0.0.0.0",
+    "::1",
+    "fd00::1",
+    "fe80::1",
+    "::ffff:10.0.0.1",
+  ].forEach((address) =>
+    assert.equal(isPrivateAddress(address), true, address)
+  );
+
+  ["93.184.216.34", "8.8.8.8", "172.32.0.1", "2606:4700::1111"].forEach(
+    (address) => assert.equal(isPrivateAddress(address), false, address)
+  );
+});
+
+test("a public hostname resolving to a private address is not posted to", async (t) => {
+  let received = 0;
+  const server = http.createServer((req, res) => {
+    received++;
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+
+  // hooks.example.com rebinds to the local server
+  const lookup = dns.lookup;
+  t.mock.method(dns, "lookup", (hostname, options, callback) =>
+    lookup("127.0.0.1", options, callback)
+  );
+
+  const { port } = server.address();
+  const results = await deliverAlert(event, {
+    channels: ["webhook"],
+    webhookUrl: `http://hooks.example.com:${port}/alerts`,
+  });
+
+  assert.equal(results.webhook.delivered, false);
+  assert.match(
+    results.webhook.error,
+    /resolves to private address 127\.0\.0\.1/
+  );
+  assert.equal(received, 0);
+});
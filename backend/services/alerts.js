@@ -0,0 +1,414 @@
+// backend/services/alerts.js - Rule-based alerting
+// User-defined rules evaluated after each screening pass, with per-symbol
+// cooldown and delivery through alertChannels
+
+const tradeSetupHelper = require("../../src/utils/enhanced/TradeSetupHelper");
+const { createJsonStore } = require("./jsonStore");
+const { buildSignalInput } = require("./signalJournal");
+const universes = require("./universes");
+const { CHANNELS, deliverAlert } = require("./alertChannels");
+
+const DEFAULT_COOLDOWN_MINUTES = 60;
+const MAX_EVENTS = 500;
+
+// Condition fields and the values a screening row provides for them
+const FIELDS = {
+  nissScore: { type: "number", label: "NISS score" },
+  absNissScore: { type: "number", label: "|NISS score|" },
+  changePercent: { type: "number", label: "Change %" },
+  volumeRatio: { type: "number", label: "Volume / avg volume" },
+  sentiment: { type: "enum", values: ["BULLISH", "BEARISH", "NEUTRAL"] },
+  confidence: { type: "enum", values: ["HIGH", "MEDIUM", "LOW"] },
+  impact: { type: "enum", values: ["HIGH", "MEDIUM", "LOW"] },
+  action: {
+    type: "enum",
+    values: ["STRONG BUY", "BUY", "HOLD", "SELL", "STRONG SELL"],
+  },
+};
+
+const OPERATORS = {
+  number: ["gt", "gte", "lt", "lte", "eq", "crossesAbove", "crossesBelow"],
+  enum: ["eq", "neq", "changesTo"],
+};
+
+const rulesStore = createJsonStore("alert-rules", { rules: [] });
+const historyStore = createJsonStore("alert-history", {
+  events: [],
+  lastFired: {},
+  lastFacts: {},
+});
+
+const alertError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// ============================================
+// FACTS & CONDITIONS
+// ============================================
+
+function buildFacts(stock) {
+  const signal = tradeSetupHelper.generateEnhancedTradeSignal(
+    buildSignalInput(stock)
+  );
+
+  return {
+    nissScore: stock.nissScore,
+    absNissScore: Math.abs(stock.nissScore || 0),
+    changePercent: stock.changePercent,
+    volumeRatio:
+      stock.avgVolume > 0
+        ? Math.round((stock.volume / stock.avgVolume) * 100) / 100
+        : null,
+    sentiment: stock.sentiment,
+    confidence: stock.confidence,
+    impact: stock.latestNews?.impact || null,
+    action: signal.action || "HOLD",
+  };
+}
+
+function testCondition({ field, operator, value }, facts, previous) {
+  const current = facts[field];
+  const before = previous?.[field];
+  if (current === null || current === undefined) return false;
+
+  switch (operator) {
+    case "gt":
+      return current > value;
+    case "gte":
+      return current >= value;
+    case "lt":
+      return current < value;
+    case "lte":
+      return current <= value;
+    case "eq":
+      return current === value;
+    case "neq":
+      return current !== value;
+    // Crossings need a previous pass, so the first pass never fires them
+    case "crossesAbove":
+      return before !== undefined && before <= value && current > value;
+    case "crossesBelow":
+      return before !== undefined && before >= value && current < value;
+    case "changesTo":
+      return before !== undefined && before !== value && current === value;
+    default:
+      return false;
+  }
+}
+
+const describeCondition = ({ field, operator, value }) =>
+  `${field} ${operator} ${value}`;
+
+// ============================================
+// DELIVERY TARGETS
+// ============================================
+
+const EMAIL_PATTERN = /^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[A-Za-z]{2,}$/;
+
+// Loopback, private, link-local and metadata ranges a rule must not reach
+const PRIVATE_HOST_PATTERNS = [
+  /^localhost$/,
+  /\.(localhost|local|internal|lan|home)$/,
+  /^0\./,
+  /^127\./,
+  /^10\./,
+  /^172\.(1[6-9]|2\d|3[01])\./,
+  /^192\.168\./,
+  /^169\.254\./,
+  /^100\.(6[4-9]|[7-9]\d|1[01]\d|12[0-7])\./, // Carrier-grade NAT
+  /^\[?(::1?|f[cd][0-9a-f]*:.*|fe[89ab][0-9a-f]*:.*|::ffff:.*)\]?$/,
+];
+
+// Only public http(s) endpoints, so a rule cannot probe internal services.
+// Hostnames are checked here; the address they resolve to is checked when
+// alertChannels connects.
+function validateWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch {
+    throw alertError(`Invalid webhookUrl: ${value}`, 400);
+  }
+
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw alertError("webhookUrl must be an http(s) URL", 400);
+  }
+  const host = url.hostname.toLowerCase();
+  if (PRIVATE_HOST_PATTERNS.some((pattern) => pattern.test(host))) {
+    throw alertError("webhookUrl must point to a public host", 400);
+  }
+  return url.toString();
+}
+
+function validateEmail(value) {
+  const address = String(value).trim();
+  if (address.length > 254 || !EMAIL_PATTERN.test(address)) {
+    throw alertError(`Invalid email address: ${value}`, 400);
+  }
+  return address;
+}
+
+// ============================================
+// RULE MANAGEMENT
+// ============================================
+
+function validateRule(input) {
+  const rule = {
+    name: String(input.name || "").trim(),
+    enabled: input.enabled !== false,
+    symbols: (input.symbols || [])
+      .map((s) => String(s).trim().toUpperCase())
+      .filter(Boolean),
+    universe: input.universe || null,
+    conditions: input.conditions || [],
+    channels: input.channels?.length ? input.channels : ["browser"],
+    webhookUrl: input.webhookUrl ? validateWebhookUrl(input.webhookUrl) : null,
+    email: input.email ? validateEmail(input.email) : null,
+    cooldownMinutes:
+      input.cooldownMinutes === undefined
+        ? DEFAULT_COOLDOWN_MINUTES
+        : Number(input.cooldownMinutes),
+  };
+
+  if (!rule.name) throw alertError("Rule name is required", 400);
+  if (rule.universe) universes.getUniverse(rule.universe); // 404 if unknown
+  if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+    throw alertError("At least one condition is required", 400);
+  }
+
+  rule.conditions = rule.conditions.map((condition) => {
+    const field = FIELDS[condition.field];
+    if (!field) throw alertError(`Unknown field: ${condition.field}`, 400);
+    if (!OPERATORS[field.type].includes(condition.operator)) {
+      throw alertError(
+        `Operator ${condition.operator} is not valid for ${condition.field}`,
+        400
+      );
+    }
+
+    const value =
+      field.type === "number"
+        ? Number(condition.value)
+        : String(condition.value).toUpperCase();
+    if (field.type === "number" && !isFinite(value)) {
+      throw alertError(`${condition.field} needs a numeric value`, 400);
+    }
+    if (field.type === "enum" && !field.values.includes(value)) {
+      throw alertError(
+        `${condition.field} must be one of ${field.values.join(", ")}`,
+        400
+      );
+    }
+
+    return { field: condition.field, operator: condition.operator, value };
+  });
+
+  const unknown = rule.channels.filter((c) => !CHANNELS.includes(c));
+  if (unknown.length > 0) {
+    throw alertError(`Unknown channels: ${unknown.join(", ")}`, 400);
+  }
+  if (!isFinite(rule.cooldownMinutes) || rule.cooldownMinutes < 0) {
+    throw alertError("cooldownMinutes must be zero or more", 400);
+  }
+
+  return rule;
+}
+
+const findRule = (id) => {
+  const rule = rulesStore.read().rules.find((r) => r.id === id);
+  if (!rule) throw alertError(`Alert rule not found: ${id}`, 404);
+  return rule;
+};
+
+function listRules() {
+  return rulesStore.read().rules;
+}
+
+function createRule(input = {}) {
+  const now = new Date().toISOString();
+  const rule = {
+    id: `rule-${Date.now().toString(36)}-${Math.random()
+      .toString(36)
+      .slice(2, 6)}`,
+    ...validateRule(input),
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  rulesStore.update((store) => {
+    store.rules.push(rule);
+  });
+
+  console.log(`🔔 Alert rule created: ${rule.name} (${rule.id})`);
+  return rule;
+}
+
+function updateRule(id, changes = {}) {
+  const existing = findRule(id);
+  const updated = {
+    ...existing,
+    ...validateRule({ ...existing, ...changes }),
+    updatedAt: new Date().toISOString(),
+  };
+
+  rulesStore.update((store) => {
+    store.rules = store.rules.map((r) => (r.id === id ? updated : r));
+  });
+
+  return updated;
+}
+
+function deleteRule(id) {
+  findRule(id);
+
+  rulesStore.update((store) => {
+    store.rules = store.rules.filter((r) => r.id !== id);
+  });
+  historyStore.update((history) => {
+    delete history.lastFired[id];
+  });
+
+  return { id, deleted: true };
+}
+
+// ============================================
+// EVALUATION
+// ============================================
+
+async function resolveRuleSymbols(rule) {
+  if (rule.symbols.length > 0) return new Set(rule.symbols);
+  if (!rule.universe) return null; // Every screened symbol
+
+  const { symbols } = await universes.resolveSymbols(rule.universe);
+  return new Set(symbols);
+}
+
+function buildEvent(rule, stock, facts) {
+  return {
+    id: `${rule.id}-${stock.symbol}-${Date.now()}`,
+    ruleId: rule.id,
+    ruleName: rule.name,
+    symbol: stock.symbol,
+    message: `${stock.symbol}: ${rule.conditions
+      .map(describeCondition)
+      .join(" AND ")} (NISS ${facts.nissScore}, ${facts.action})`,
+    facts,
+    price: stock.currentPrice,
+    headline: stock.latestNews?.headline || null,
+    triggeredAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Evaluate every enabled rule against a screening pass and deliver matches
+ * @param {Array} stocks - /api/screening result rows
+ * @returns {Promise<Array>} Alert events that fired
+ */
+async function evaluateScreening(stocks) {
+  const rules = listRules().filter((rule) => rule.enabled);
+  if (!Array.isArray(stocks) || stocks.length === 0) return [];
+
+  const { lastFacts } = historyStore.read();
+  const facts = {};
+  stocks.forEach((stock) => {
+    if (stock.symbol) facts[stock.symbol] = buildFacts(stock);
+  });
+
+  const now = Date.now();
+  const fired = [];
+
+  for (const rule of rules) {
+    const scope = await resolveRuleSymbols(rule).catch(() => new Set());
+    const lastFired = historyStore.read().lastFired[rule.id] || {};
+    const cooldownMs = rule.cooldownMinutes * 60 * 1000;
+
+    for (const stock of stocks) {
+      if (!facts[stock.symbol] || (scope && !scope.has(stock.symbol))) {
+        continue;
+      }
+
+      const matches = rule.conditions.every((condition) =>
+        testCondition(condition, facts[stock.symbol], lastFacts[stock.symbol])
+      );
+      if (!matches) continue;
+
+      const last = lastFired[stock.symbol];
+      if (last && now - new Date(last).getTime() < cooldownMs) continue;
+
+      const event = buildEvent(rule, stock, facts[stock.symbol]);
+      event.delivery = await deliverAlert(event, rule);
+      fired.push(event);
+
+      historyStore.update((history) => {
+        history.lastFired[rule.id] = {
+          ...history.lastFired[rule.id],
+          [stock.symbol]: event.triggeredAt,
+        };
+      });
+    }
+  }
+
+  historyStore.update((history) => {
+    history.lastFacts = { ...history.lastFacts, ...facts };
+    history.events.push(...fired);
+    if (history.events.length > MAX_EVENTS) {
+      history.events = history.events.slice(-MAX_EVENTS);
+    }
+  });
+
+  if (fired.length > 0) {
+    console.log(`🔔 Alerts: ${fired.length} fired from ${rules.length} rules`);
+  }
+  return fired;
+}
+
+/**
+ * Send a sample alert through a rule's channels (ignores conditions/cooldown)
+ */
+async function testRule(id) {
+  const rule = findRule(id);
+  const symbol = rule.symbols[0] || "TEST";
+  const event = {
+    ...buildEvent(
+      rule,
+      { symbol, currentPrice: 0 },
+      {
+        nissScore: 0,
+        action: "HOLD",
+      }
+    ),
+    test: true,
+  };
+  event.message = `Test alert for rule "${rule.name}"`;
+  event.delivery = await deliverAlert(event, rule);
+  return event;
+}
+
+function getEvents({ since, ruleId, symbol, limit = 100 } = {}) {
+  const sinceTime = since ? new Date(since).getTime() : 0;
+
+  return historyStore
+    .read()
+    .events.filter(
+      (event) =>
+        new Date(event.triggeredAt).getTime() > sinceTime &&
+        (!ruleId || event.ruleId === ruleId) &&
+        (!symbol || event.symbol === symbol.toUpperCase())
+    )
+    .slice(-limit)
+    .reverse();
+}
+
+module.exports = {
+  FIELDS,
+  OPERATORS,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  testRule,
+  evaluateScreening,
+  getEvents,
+};
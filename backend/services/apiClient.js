@@ -0,0 +1,119 @@
+// backend/services/apiClient.js - Shared provider HTTP client
+// API keys and makeApiCall used by server.js and route modules; calls wait
+// for a slot from the quota scheduler and can be recorded to or replayed
+// from a cassette (see cassettes.js)
+
+const quotaScheduler = require("./quotaScheduler");
+const cassettes = require("./cassettes");
+
+const API_KEYS = {
+  ALPHA_VANTAGE: process.env.ALPHA_VANTAGE_API_KEY,
+  FINNHUB: process.env.FINNHUB_API_KEY,
+  POLYGON: process.env.POLYGON_API_KEY,
+  RAPIDAPI: process.env.RAPIDAPI_API_KEY,
+  TWELVE_DATA: process.env.TWELVE_DATA_API_KEY,
+  FMP: process.env.FMP_API_KEY,
+};
+
+// makeApiCall provider name -> API_KEYS entry
+const KEY_NAMES = {
+  alphaVantage: "ALPHA_VANTAGE",
+  finnhub: "FINNHUB",
+  polygon: "POLYGON",
+  twelveData: "TWELVE_DATA",
+  fmp: "FMP",
+};
+
+// Replay needs no credentials: providers on the cassette count as configured
+if (cassettes.isReplaying()) {
+  cassettes.recordedProviders().forEach((apiName) => {
+    const keyName = KEY_NAMES[apiName];
+    if (keyName && !API_KEYS[keyName]) API_KEYS[keyName] = "replay";
+  });
+}
+
+const makeApiCall = async (url, options = {}, apiName = "unknown") => {
+  const startTime = Date.now();
+
+  try {
+    if (cassettes.isReplaying()) {
+      console.log(`📼 Replay [${apiName}]: ${cassettes.redactUrl(url)}`);
+      const { data } = cassettes.replay(apiName, url);
+      return {
+        success: true,
+        data,
+        source: apiName,
+        responseTime: Date.now() - startTime,
+        timestamp: new Date().toISOString(),
+      };
+    }
+
+    console.log(`🌐 API Call [${apiName}]: ${url}`);
+
+    // Queue for a quota slot (throws when the provider's quota is spent)
+    await quotaScheduler.acquire(apiName);
+
+    const defaultOptions = {
+      method: "GET",
+      headers: {
+        Accept: "application/json",
+        "User-Agent": "NewsImpactScreener/4.1.0",
+      },
+      timeout: 10000,
+    };
+
+    const response = await fetch(url, { ...defaultOptions, ...options });
+    const responseTime = Date.now() - startTime;
+
+    console.log(
+      `📡 Response [${apiName}]: ${response.status} (${responseTime}ms)`
+    );
+
+    if (response.status === 429) {
+      const retryAfter = parseInt(response.headers.get("retry-after"), 10);
+      quotaScheduler.throttle(
+        apiName,
+        Number.isFinite(retryAfter) ? retryAfter * 1000 : undefined
+      );
+      throw new Error(`Rate limit exceeded for ${apiName} (HTTP 429)`);
+    }
+
+    if (!response.ok) {
+      throw new Error(
+        `API call failed: ${response.status} ${response.statusText}`
+      );
+    }
+
+    const data = await response.json();
+    if (cassettes.isRecording()) {
+      cassettes.record(apiName, url, response.status, data);
+    }
+
+    return {
+      success: true,
+      data,
+      source: apiName,
+      responseTime,
+      timestamp: new Date().toISOString(),
+    };
+  } catch (error) {
+    const responseTime = Date.now() - startTime;
+    console.error(
+      `❌ API Error [${apiName}] (${responseTime}ms):`,
+      error.message
+    );
+
+    throw {
+      success: false,
+      error: error.message,
+      source: apiName,
+      responseTime,
+      timestamp: new Date().toISOString(),
+    };
+  }
+};
+
+module.exports = {
+  API_KEYS,
+  makeApiCall,
+};
@@ -0,0 +1,566 @@
+// backend/services/backtestEngine.js - Historical NISS backtester
+// Replays fixture OHLCV, news and market context through NISSCalculationEngine
+// and TradeSetupHelper, then simulates the resulting entries, stops and targets.
+//
+// Fixture layout (BACKTEST_DATA_DIR, defaults to backend/data/backtest):
+//   market.json          { symbol, bars: [...], context: [{ date, vix, advanceDecline }] }
+//   symbols/<SYM>.json   { symbol, name, sector, marketCap, bars: [...], news: [...] }
+// Bars are ascending { date, open, high, low, close, volume }; news items are
+// { datetime, headline, source, sentiment } with sentiment in -1..1.
+
+const fs = require("fs");
+const path = require("path");
+const nissEngine = require("../../src/engine/NISSCalculationEngine");
+const tradeSetupHelper = require("../../src/utils/enhanced/TradeSetupHelper");
+const indicators = require("./indicators");
+const { computeTechnicals } = require("./technicals");
+
+const DATA_DIR =
+  process.env.BACKTEST_DATA_DIR ||
+  path.join(__dirname, "..", "data", "backtest");
+
+// MACD(12, 26, 9) is the longest indicator the engine needs
+const WARMUP_BARS = 35;
+const NEWS_LOOKBACK_DAYS = 3;
+const TRADING_DAYS_PER_YEAR = 252;
+
+// Tickers only, so a symbol cannot name a path outside symbols/
+const SYMBOL_PATTERN = /^[A-Z0-9][A-Z0-9.-]{0,9}$/;
+
+const DEFAULTS = {
+  months: 6,
+  initialCapital: 100000,
+  maxHoldingDays: 10,
+};
+const MAX_MONTHS = 60;
+const MAX_HOLDING_DAYS = 60;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// ============================================
+// FIXTURE LOADING
+// ============================================
+
+const readJson = (filePath) => JSON.parse(fs.readFileSync(filePath, "utf8"));
+
+const backtestError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+function loadMarket(dataDir) {
+  const market = readJson(path.join(dataDir, "market.json"));
+  const contextByDate = new Map(
+    (market.context || []).map((day) => [day.date, day])
+  );
+  return { ...market, contextByDate };
+}
+
+function loadSymbol(dataDir, symbol) {
+  if (!SYMBOL_PATTERN.test(symbol)) {
+    throw backtestError(`No backtest fixture for ${symbol}`, 404);
+  }
+  const filePath = path.join(dataDir, "symbols", `${symbol}.json`);
+  if (!fs.existsSync(filePath)) {
+    throw backtestError(`No backtest fixture for ${symbol}`, 404);
+  }
+
+  const fixture = readJson(filePath);
+  return {
+    ...fixture,
+    indexByDate: new Map(fixture.bars.map((bar, i) => [bar.date, i])),
+  };
+}
+
+/**
+ * List fixture symbols and the date range each one covers
+ * @param {string} dataDir - Fixture directory
+ */
+function listFixtures(dataDir = DATA_DIR) {
+  const symbolsDir = path.join(dataDir, "symbols");
+  const market = loadMarket(dataDir);
+
+  const symbols = fs
+    .readdirSync(symbolsDir)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => {
+      const fixture = readJson(path.join(symbolsDir, file));
+      return {
+        symbol: fixture.symbol,
+        name: fixture.name,
+        sector: fixture.sector,
+        from: fixture.bars[0]?.date,
+        to: fixture.bars[fixture.bars.length - 1]?.date,
+        bars: fixture.bars.length,
+        news: (fixture.news || []).length,
+      };
+    });
+
+  return {
+    benchmark: market.symbol,
+    from: market.bars[0]?.date,
+    to: market.bars[market.bars.length - 1]?.date,
+    symbols,
+  };
+}
+
+// ============================================
+// SNAPSHOT CONSTRUCTION
+// ============================================
+
+const pctChange = (current, previous) =>
+  previous ? ((current - previous) / previous) * 100 : 0;
+
+function buildMarketContext(market, date, fixtures) {
+  const index = market.bars.findIndex((bar) => bar.date === date);
+  const bar = market.bars[index];
+  const spyChange =
+    index > 0 ? pctChange(bar.close, market.bars[index - 1].close) : 0;
+  const { vix = 20, advanceDecline = 1 } = market.contextByDate.get(date) || {};
+
+  // Sector performance from the other fixtures trading that day
+  const sectorMoves = {};
+  fixtures.forEach((fixture) => {
+    const i = fixture.indexByDate.get(date);
+    if (!i) return;
+    const change = pctChange(fixture.bars[i].close, fixture.bars[i - 1].close);
+    sectorMoves[fixture.sector] = sectorMoves[fixture.sector] || [];
+    sectorMoves[fixture.sector].push(change);
+  });
+
+  const sectorPerformance = Object.entries(sectorMoves).reduce(
+    (acc, [sector, moves]) => {
+      acc[sector] = {
+        changePercent: moves.reduce((a, b) => a + b, 0) / moves.length,
+      };
+      return acc;
+    },
+    {}
+  );
+
+  const trend =
+    spyChange > 0.5 ? "BULLISH" : spyChange < -0.5 ? "BEARISH" : "NEUTRAL";
+
+  return {
+    // NISSCalculationEngine shape
+    spyChange,
+    vixLevel: vix,
+    volatility: vix > 25 ? "HIGH" : vix < 15 ? "LOW" : "NORMAL",
+    trend,
+    marketTrend: trend,
+    breadth:
+      advanceDecline > 1.5
+        ? "ADVANCING"
+        : advanceDecline < 0.67
+        ? "DECLINING"
+        : "MIXED",
+    sectorPerformance,
+    asOf: `${date}T21:00:00Z`,
+    // TradeSetupHelper shape
+    marketData: { spyChange, vix, advanceDecline },
+  };
+}
+
+function buildSnapshot(fixture, index, asOf) {
+  const history = fixture.bars.slice(0, index + 1);
+  const bar = history[history.length - 1];
+  const prevBar = history[history.length - 2];
+
+  // Same indicator snapshot the live /api/technicals route serves
+  const technicalData = computeTechnicals(history);
+
+  const stock = {
+    symbol: fixture.symbol,
+    sector: fixture.sector,
+    marketCap: fixture.marketCap,
+    price: bar.close,
+    changePercent: pctChange(bar.close, prevBar.close),
+    volume: bar.volume,
+    // Average of the prior 20 sessions so a surge is measured against normal
+    avgVolume: technicalData.avgVolume,
+    sma20: technicalData.sma20,
+    sma50: technicalData.sma50,
+    sma200: technicalData.sma200,
+    high52Week: technicalData.high52Week,
+    low52Week: technicalData.low52Week,
+  };
+
+  const asOfTime = new Date(asOf).getTime();
+  const lookbackStart = asOfTime - NEWS_LOOKBACK_DAYS * 86400000;
+  const news = (fixture.news || []).filter((item) => {
+    const time = new Date(item.datetime).getTime();
+    return time <= asOfTime && time > lookbackStart;
+  });
+
+  return { stock, technicalData, news };
+}
+
+// ============================================
+// TRADE SIMULATION
+// ============================================
+
+/**
+ * Walk forward bars from the entry, scaling out a third at each target.
+ * The stop applies to whatever is still open and is assumed to fill first
+ * when a bar spans both the stop and a target.
+ */
+function simulateTrade(setup, isLong, forwardBars, maxHoldingDays) {
+  const entryPrice = setup.entry.price;
+  const stopPrice = setup.stopLoss.price;
+  const targets = setup.targets || [];
+  const tranche = 1 / Math.max(targets.length, 1);
+  const window = forwardBars.slice(0, maxHoldingDays);
+
+  let remaining = 1;
+  let realized = 0;
+  let targetsHit = 0;
+  let exitReason = "TIME_EXIT";
+  let exitBar = window[window.length - 1];
+
+  const directional = (price) =>
+    ((isLong ? price - entryPrice : entryPrice - price) / entryPrice) * 100;
+
+  for (const bar of window) {
+    const stopTouched = isLong ? bar.low <= stopPrice : bar.high >= stopPrice;
+    if (stopTouched) {
+      realized += remaining * directional(stopPrice);
+      remaining = 0;
+      exitReason = "STOP_LOSS";
+      exitBar = bar;
+      break;
+    }
+
+    while (targetsHit < targets.length) {
+      const target = targets[targetsHit];
+      const reached = isLong
+        ? bar.high >= target.price
+        : bar.low <= target.price;
+      if (!reached) break;
+
+      realized += tranche * directional(target.price);
+      remaining -= tranche;
+      targetsHit++;
+    }
+
+    if (remaining <= 1e-9) {
+      exitReason = "TARGET";
+      exitBar = bar;
+      break;
+    }
+  }
+
+  if (remaining > 1e-9) {
+    realized += remaining * directional(exitBar.close);
+  }
+
+  // Blended exit price that reproduces the realized return
+  const exitPrice = isLong
+    ? entryPrice * (1 + realized / 100)
+    : entryPrice * (1 - realized / 100);
+
+  return {
+    exitDate: exitBar.date,
+    exitPrice,
+    exitReason:
+      exitReason === "TIME_EXIT" && targetsHit > 0 ? "TARGET" : exitReason,
+    targetsHit,
+    returnPct: realized,
+    holdingDays: forwardBars.indexOf(exitBar) + 1,
+  };
+}
+
+// ============================================
+// STATISTICS
+// ============================================
+
+/**
+ * Realized equity curve for a set of trades over the given calendar.
+ * Each trade risks its position-size percentage of equity at entry.
+ */
+function buildEquityCurve(trades, dates, initialCapital) {
+  const entries = new Map();
+  const exits = new Map();
+  trades.forEach((trade) => {
+    entries.set(trade.entryDate, [
+      ...(entries.get(trade.entryDate) || []),
+      trade,
+    ]);
+    exits.set(trade.exitDate, [...(exits.get(trade.exitDate) || []), trade]);
+  });
+
+  const pnlByTrade = new Map();
+  let equity = initialCapital;
+  let peak = initialCapital;
+
+  const curve = dates.map((date) => {
+    (exits.get(date) || []).forEach((trade) => {
+      equity += pnlByTrade.get(trade) || 0;
+    });
+    (entries.get(date) || []).forEach((trade) => {
+      const allocation = equity * (trade.positionSize / 100);
+      pnlByTrade.set(trade, allocation * (trade.returnPct / 100));
+    });
+
+    peak = Math.max(peak, equity);
+    return {
+      date,
+      equity: indicators.round(equity),
+      drawdown: indicators.round(((equity - peak) / peak) * 100, 3),
+    };
+  });
+
+  return { curve, pnlByTrade };
+}
+
+function sharpeRatio(curve) {
+  const returns = curve
+    .slice(1)
+    .map((point, i) => point.equity / curve[i].equity - 1);
+  if (returns.length < 2) return 0;
+
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const variance =
+    returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  const deviation = Math.sqrt(variance);
+
+  return deviation > 0
+    ? (mean / deviation) * Math.sqrt(TRADING_DAYS_PER_YEAR)
+    : 0;
+}
+
+function summarizeTrades(trades, dates, initialCapital) {
+  const { curve } = buildEquityCurve(trades, dates, initialCapital);
+  const wins = trades.filter((trade) => trade.returnPct > 0);
+  const losses = trades.filter((trade) => trade.returnPct <= 0);
+  const finalEquity = curve.length
+    ? curve[curve.length - 1].equity
+    : initialCapital;
+  const average = (values) =>
+    values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+
+  return {
+    trades: trades.length,
+    winRate: trades.length ? (wins.length / trades.length) * 100 : 0,
+    avgReturn: indicators.round(average(trades.map((t) => t.returnPct))),
+    avgWin: indicators.round(average(wins.map((t) => t.returnPct))),
+    avgLoss: indicators.round(average(losses.map((t) => t.returnPct))),
+    stopHits: trades.filter((t) => t.exitReason === "STOP_LOSS").length,
+    targetHits: trades.filter((t) => t.targetsHit > 0).length,
+    avgHoldingDays: indicators.round(
+      average(trades.map((t) => t.holdingDays)),
+      1
+    ),
+    totalReturn: indicators.round(
+      ((finalEquity - initialCapital) / initialCapital) * 100,
+      3
+    ),
+    maxDrawdown: curve.length ? Math.min(...curve.map((p) => p.drawdown)) : 0,
+    sharpe: indicators.round(sharpeRatio(curve)),
+    finalEquity,
+    equityCurve: curve,
+  };
+}
+
+function groupSummaries(trades, key, dates, initialCapital) {
+  const groups = trades.reduce((acc, trade) => {
+    acc[trade[key]] = acc[trade[key]] || [];
+    acc[trade[key]].push(trade);
+    return acc;
+  }, {});
+
+  return Object.entries(groups).reduce((acc, [group, groupTrades]) => {
+    acc[group] = summarizeTrades(groupTrades, dates, initialCapital);
+    return acc;
+  }, {});
+}
+
+// ============================================
+// BACKTEST RUNNER
+// ============================================
+
+const isIntegerIn = (value, min, max) =>
+  Number.isInteger(value) && value >= min && value <= max;
+
+const isDate = (value) =>
+  DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+
+// Bad numbers or dates would surface as an Invalid Date deep in the run
+function validateConfig(config) {
+  if (!isIntegerIn(config.months, 1, MAX_MONTHS)) {
+    throw backtestError(`months must be between 1 and ${MAX_MONTHS}`, 400);
+  }
+  if (!isIntegerIn(config.maxHoldingDays, 1, MAX_HOLDING_DAYS)) {
+    throw backtestError(
+      `maxHoldingDays must be between 1 and ${MAX_HOLDING_DAYS}`,
+      400
+    );
+  }
+  if (!(Number.isFinite(config.initialCapital) && config.initialCapital > 0)) {
+    throw backtestError("initialCapital must be a positive number", 400);
+  }
+  ["startDate", "endDate"].forEach((field) => {
+    if (config[field] && !isDate(config[field])) {
+      throw backtestError(`${field} must be a YYYY-MM-DD date`, 400);
+    }
+  });
+}
+
+/**
+ * Replay fixtures through the NISS engine and trade setup helper
+ * @param {Object} options - { symbols, months, startDate, endDate,
+ *   initialCapital, maxHoldingDays, dataDir }
+ * @returns {Object} Summary, equity curve, per-signal and per-confidence stats, trades
+ */
+function runBacktest(options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  validateConfig(config);
+  const dataDir = config.dataDir || DATA_DIR;
+  const market = loadMarket(dataDir);
+
+  const symbols =
+    config.symbols && config.symbols.length > 0
+      ? config.symbols.map((s) => String(s).trim().toUpperCase())
+      : listFixtures(dataDir).symbols.map((s) => s.symbol);
+  const fixtures = symbols.map((symbol) => loadSymbol(dataDir, symbol));
+
+  const lastDate = market.bars[market.bars.length - 1].date;
+  const endDate = config.endDate || lastDate;
+  let startDate = config.startDate;
+  if (!startDate) {
+    const start = new Date(`${endDate}T00:00:00Z`);
+    start.setUTCMonth(start.getUTCMonth() - config.months);
+    startDate = start.toISOString().split("T")[0];
+  }
+
+  const dates = market.bars
+    .map((bar) => bar.date)
+    .filter((date) => date >= startDate && date <= endDate);
+
+  console.log(
+    `🧪 Backtesting ${symbols.join(", ")} from ${startDate} to ${endDate}...`
+  );
+
+  const trades = [];
+  let signalsEvaluated = 0;
+  const signalCounts = {};
+
+  fixtures.forEach((fixture) => {
+    let busyUntil = null;
+
+    dates.forEach((date) => {
+      const index = fixture.indexByDate.get(date);
+      if (index === undefined || index < WARMUP_BARS) return;
+      if (busyUntil && date <= busyUntil) return;
+
+      const forwardBars = fixture.bars
+        .slice(index + 1)
+        .filter((bar) => bar.date <= endDate);
+      if (forwardBars.length === 0) return;
+
+      const marketContext = buildMarketContext(market, date, fixtures);
+      const { stock, technicalData, news } = buildSnapshot(
+        fixture,
+        index,
+        marketContext.asOf
+      );
+
+      const niss = nissEngine.calculateNISS(
+        stock,
+        news,
+        technicalData,
+        {},
+        marketContext
+      );
+      const signal = tradeSetupHelper.generateEnhancedTradeSignal({
+        symbol: fixture.symbol,
+        nissScore: niss.score,
+        confidence: niss.confidence,
+        currentPrice: stock.price,
+        priceData: { change: stock.changePercent },
+        volumeData: {
+          relativeVolume: stock.avgVolume ? stock.volume / stock.avgVolume : 0,
+        },
+        technicalData,
+        marketData: marketContext.marketData,
+        latestNews: news[news.length - 1] || null,
+        asOf: marketContext.asOf,
+      });
+
+      signalsEvaluated++;
+      signalCounts[signal.action] = (signalCounts[signal.action] || 0) + 1;
+      if (signal.action === "HOLD" || !signal.setup?.entry) return;
+
+      const isLong = signal.action.includes("BUY");
+      const outcome = simulateTrade(
+        signal.setup,
+        isLong,
+        forwardBars,
+        config.maxHoldingDays
+      );
+      const evaluation = tradeSetupHelper.evaluateOutcome(signal.setup, {
+        exitPrice: outcome.exitPrice,
+        exitReason: outcome.exitReason,
+        holdTime: outcome.holdingDays * 24,
+      });
+
+      trades.push({
+        symbol: fixture.symbol,
+        action: signal.action,
+        confidence: niss.confidence,
+        nissScore: niss.score,
+        entryDate: date,
+        entryPrice: indicators.round(signal.setup.entry.price),
+        stopLoss: indicators.round(signal.setup.stopLoss.price),
+        targets: signal.setup.targets.map((t) => indicators.round(t.price)),
+        positionSize: parseFloat(
+          signal.riskManagement?.positionSize?.percentage || 1
+        ),
+        ...outcome,
+        exitPrice: indicators.round(outcome.exitPrice),
+        returnPct: indicators.round(outcome.returnPct, 3),
+        success: evaluation.success.success,
+        headline: news[news.length - 1]?.headline || null,
+      });
+
+      busyUntil = outcome.exitDate;
+    });
+  });
+
+  trades.sort((a, b) => a.entryDate.localeCompare(b.entryDate));
+
+  const { equityCurve, ...summary } = summarizeTrades(
+    trades,
+    dates,
+    config.initialCapital
+  );
+  console.log(
+    `✅ Backtest complete: ${trades.length} trades from ${signalsEvaluated} signals`
+  );
+
+  return {
+    config: {
+      symbols,
+      startDate,
+      endDate,
+      initialCapital: config.initialCapital,
+      maxHoldingDays: config.maxHoldingDays,
+    },
+    summary: { ...summary, signalsEvaluated, signalCounts },
+    equityCurve,
+    bySignal: groupSummaries(trades, "action", dates, config.initialCapital),
+    byConfidence: groupSummaries(
+      trades,
+      "confidence",
+      dates,
+      config.initialCapital
+    ),
+    trades,
+  };
+}
+
+module.exports = {
+  DATA_DIR,
+  listFixtures,
+  runBacktest,
+  simulateTrade,
+};
@@ -0,0 +1,103 @@
+// backend/services/backtestEngine.test.js - Trade simulation and fixture loading
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { runBacktest, simulateTrade } = require("./backtestEngine");
+
+const setup = {
+  entry: { price: 100 },
+  stopLoss: { price: 95 },
+  targets: [{ price: 105 }, { price: 110 }],
+};
+
+const bar = (date, low, high, close) => ({ date, low, high, close });
+
+test("stop loss closes a long trade at the stop price", () => {
+  const trade = simulateTrade(
+    setup,
+    true,
+    [bar("2025-01-02", 98, 102, 99), bar("2025-01-03", 94, 99, 96)],
+    10
+  );
+
+  assert.equal(trade.exitReason, "STOP_LOSS");
+  assert.equal(trade.exitDate, "2025-01-03");
+  assert.equal(trade.returnPct, -5);
+  assert.equal(trade.holdingDays, 2);
+});
+
+test("targets exit in equal tranches", () => {
+  const trade = simulateTrade(
+    setup,
+    true,
+    [bar("2025-01-02", 99, 106, 105), bar("2025-01-03", 104, 111, 110)],
+    10
+  );
+
+  assert.equal(trade.exitReason, "TARGET");
+  assert.equal(trade.targetsHit, 2);
+  assert.equal(trade.returnPct, 7.5);
+  assert.equal(trade.exitPrice, 107.5);
+});
+
+test("unfilled remainder exits at the last close of the holding window", () => {
+  const trade = simulateTrade(
+    setup,
+    true,
+    [
+      bar("2025-01-02", 99, 106, 104),
+      bar("2025-01-03", 101, 103, 102),
+      bar("2025-01-06", 90, 120, 90),
+    ],
+    2
+  );
+
+  // Half at 105, half at the 102 close; the third bar is past the window
+  assert.equal(trade.exitReason, "TARGET");
+  assert.equal(trade.exitDate, "2025-01-03");
+  assert.equal(trade.targetsHit, 1);
+  assert.equal(trade.returnPct, 3.5);
+});
+
+test("short trades profit when price falls", () => {
+  const short = {
+    entry: { price: 100 },
+    stopLoss: { price: 104 },
+    targets: [{ price: 96 }],
+  };
+  const trade = simulateTrade(
+    short,
+    false,
+    [bar("2025-01-02", 95, 101, 96)],
+    5
+  );
+
+  assert.equal(trade.exitReason, "TARGET");
+  assert.equal(trade.returnPct, 4);
+});
+
+test("symbols that are not tickers are rejected with a 404", () => {
+  for (const symbol of ["../../package", "AAPL/../SPY", ".hidden"]) {
+    assert.throws(
+      () => runBacktest({ symbols: [symbol] }),
+      (error) => error.statusCode === 404
+    );
+  }
+});
+
+test("out-of-range or malformed options are rejected with a 400", () => {
+  [
+    { months: NaN },
+    { months: 0 },
+    { months: 1000 },
+    { maxHoldingDays: 2.5 },
+    { initialCapital: -1 },
+    { startDate: "last year" },
+    { endDate: "2025-13-45" },
+  ].forEach((options) =>
+    assert.throws(
+      () => runBacktest({ symbols: ["AAPL"], ...options }),
+      (error) => error.statusCode === 400,
+      JSON.stringify(options)
+    )
+  );
+});
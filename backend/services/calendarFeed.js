@@ -0,0 +1,635 @@
+// backend/services/calendarFeed.js - iCalendar feeds and private events
+// Serializes economic releases, earnings reports and private events as
+// RFC 5545 VEVENTs with stable UIDs, so calendar clients that subscribe to
+// /api/calendar.ics update events in place when times or estimates change.
+// Imported .ics files (investor days, conferences) are kept in a local
+// store and merged into the feed.
+
+const crypto = require("crypto");
+const { createJsonStore } = require("./jsonStore");
+const economicSchedule = require("../../src/utils/EconomicSchedule");
+
+const PRODID = "-//News Impact Screener//Calendar Feed//EN";
+const UID_DOMAIN = "news-impact-screener";
+const DEFAULT_TIMEZONE = "America/New_York"; // Floating import times
+const RELEASE_MINUTES = 30;
+const MAX_PRIVATE_EVENTS = 1000;
+const MAX_LINE_OCTETS = 75;
+
+const EVENT_TYPES = ["economic", "earnings", "private"];
+const IMPACT_LEVELS = ["HIGH", "MEDIUM", "LOW"];
+const PRIORITIES = { HIGH: 1, MEDIUM: 5, LOW: 9 };
+
+const store = createJsonStore("calendar-events", { events: [] });
+// uid -> { hash, sequence, modifiedAt, seenOn } for SEQUENCE/LAST-MODIFIED
+const revisionStore = createJsonStore("calendar-revisions", { events: {} });
+const REVISION_RETENTION_DAYS = 180;
+
+const calendarError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const nextDate = (date) =>
+  new Date(Date.parse(`${date}T00:00:00Z`) + DAY_MS)
+    .toISOString()
+    .split("T")[0];
+
+// ============================================
+// FEED EVENTS
+// ============================================
+
+/**
+ * Feed entry for a scheduled or provider economic release
+ * @param {Object} event - Economic calendar event (see EconomicSchedule)
+ */
+function fromEconomicEvent(event) {
+  const start =
+    event.datetime || economicSchedule.easternToUtc(event.date, event.time);
+  const values = [
+    ["Actual", event.actual],
+    ["Forecast", event.forecast ?? event.estimate],
+    ["Previous", event.previous],
+  ]
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([label, value]) => `${label}: ${value}${event.unit || ""}`);
+
+  return {
+    // The schedule id is `${releaseId}-${date}`; unscheduled provider
+    // releases fall back to their name, which is all they are known by
+    uid:
+      event.id ||
+      `${event.event.toLowerCase().replace(/[^a-z0-9]+/g, "-")}-${event.date}`,
+    type: "economic",
+    summary: event.event,
+    description: [`Impact: ${event.impact}`, ...values].join("\n"),
+    start,
+    end: new Date(
+      Date.parse(start) + RELEASE_MINUTES * MINUTE_MS
+    ).toISOString(),
+    allDay: false,
+    impact: event.impact,
+    symbol: null,
+    categories: ["Economic", event.category].filter(Boolean),
+  };
+}
+
+/**
+ * Feed entry for an earnings report. All-day, since providers only give the
+ * session; the UID is per symbol and quarter so a moved date updates the
+ * existing event instead of adding a second one.
+ * @param {Object} earning - Earnings calendar entry with date and symbol
+ */
+function fromEarning(earning) {
+  const [year, month] = earning.date.split("-").map(Number);
+  const quarter = Math.ceil(month / 3);
+  const description = [
+    `Impact: ${earning.impact}`,
+    earning.time && `Session: ${earning.time}`,
+    earning.epsEstimated != null && `EPS estimate: ${earning.epsEstimated}`,
+    earning.eps != null && `EPS: ${earning.eps}`,
+    earning.epsSurprise != null && `EPS surprise: ${earning.epsSurprise}%`,
+    earning.revenueEstimated != null &&
+      `Revenue estimate: ${earning.revenueEstimated.toLocaleString("en-US")}`,
+  ].filter(Boolean);
+
+  return {
+    uid: `earnings-${earning.symbol}-${year}q${quarter}`,
+    type: "earnings",
+    summary: `${earning.symbol} earnings${
+      earning.time ? ` (${earning.time})` : ""
+    }`,
+    description: description.join("\n"),
+    start: earning.date,
+    end: nextDate(earning.date),
+    allDay: true,
+    impact: earning.impact,
+    symbol: earning.symbol,
+    categories: ["Earnings"],
+  };
+}
+
+function fromPrivateEvent(event) {
+  return {
+    uid: event.uid,
+    type: "private",
+    summary: event.symbol ? `${event.symbol}: ${event.summary}` : event.summary,
+    description: event.description,
+    location: event.location,
+    url: event.url,
+    start: event.start,
+    end: event.end || (event.allDay ? nextDate(event.start) : null),
+    allDay: event.allDay,
+    impact: event.impact,
+    symbol: event.symbol,
+    categories: ["Private"],
+    lastModified: event.updatedAt,
+  };
+}
+
+/**
+ * Apply feed query filters
+ * @param {Array<Object>} events - Feed events
+ * @param {Object} filters
+ * @param {Array<string>} [filters.types] - Event types to keep
+ * @param {Array<string>} [filters.impacts] - Impact levels to keep
+ * @param {Set<string>} [filters.symbols] - Symbols to keep; events without a
+ *   symbol (economic releases, market-wide private events) always pass
+ */
+function filterEvents(events, { types, impacts, symbols } = {}) {
+  return events.filter(
+    (event) =>
+      (!types || types.includes(event.type)) &&
+      (!impacts || impacts.includes(event.impact)) &&
+      (!symbols || !event.symbol || symbols.has(event.symbol))
+  );
+}
+
+// ============================================
+// SERIALIZATION
+// ============================================
+
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+const formatDateTime = (iso) =>
+  new Date(iso)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+const formatDate = (date) => date.replace(/-/g, "");
+
+// Content lines are folded at 75 octets, continuations start with a space
+function foldLine(line) {
+  const chunks = [];
+  let current = "";
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > MAX_LINE_OCTETS) {
+      chunks.push(current);
+      current = " ";
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n");
+}
+
+function toVevent(event, now) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid.includes("@") ? event.uid : `${event.uid}@${UID_DOMAIN}`}`,
+    // Stamped with the event's last change so refetches compare equal
+    `DTSTAMP:${event.lastModified ? formatDateTime(event.lastModified) : now}`,
+  ];
+  if (event.sequence !== undefined) lines.push(`SEQUENCE:${event.sequence}`);
+
+  if (event.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`);
+    if (event.end) lines.push(`DTEND;VALUE=DATE:${formatDate(event.end)}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(event.start)}`);
+    if (event.end) lines.push(`DTEND:${formatDateTime(event.end)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.categories?.length) {
+    lines.push(`CATEGORIES:${event.categories.map(escapeText).join(",")}`);
+  }
+  if (PRIORITIES[event.impact]) {
+    lines.push(`PRIORITY:${PRIORITIES[event.impact]}`);
+  }
+  if (event.lastModified) {
+    lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+  }
+  lines.push("TRANSP:TRANSPARENT", "END:VEVENT");
+
+  return lines;
+}
+
+/**
+ * Serialize feed events as an iCalendar document
+ * @param {Array<Object>} events - Feed events
+ * @param {Object} [options]
+ * @param {string} [options.name] - Calendar name shown by clients
+ * @returns {string} text/calendar body with CRLF line endings
+ */
+function toIcs(events, { name = "News Impact Screener" } = {}) {
+  const now = formatDateTime(new Date().toISOString());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    "X-PUBLISHED-TTL:PT1H",
+    ...events.flatMap((event) => toVevent(event, now)),
+    "END:VCALENDAR",
+  ];
+
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+// ============================================
+// REVISIONS
+// ============================================
+
+// What a calendar client shows; a change here is a new revision
+const revisionHash = (event) =>
+  crypto
+    .createHash("sha1")
+    .update(
+      JSON.stringify([
+        event.start,
+        event.end,
+        event.allDay,
+        event.summary,
+        event.description,
+        event.location,
+        event.url,
+        event.impact,
+      ])
+    )
+    .digest("hex");
+
+/**
+ * Attach SEQUENCE and LAST-MODIFIED to feed events. Each UID's content is
+ * hashed and compared with the last feed; a revised time, estimate or actual
+ * bumps the sequence so clients replace their copy. UIDs not served for
+ * REVISION_RETENTION_DAYS are forgotten.
+ * @param {Array<Object>} events - Feed events
+ * @returns {Array<Object>} Events with sequence and lastModified
+ */
+function trackRevisions(events) {
+  const now = new Date().toISOString();
+  const today = now.split("T")[0];
+  const { events: revisions } = revisionStore.read();
+  let changed = false;
+
+  const tracked = events.map((event) => {
+    const hash = revisionHash(event);
+    const previous = revisions[event.uid];
+    let revision = previous;
+
+    if (!previous) {
+      revision = {
+        hash,
+        sequence: 0,
+        modifiedAt: event.lastModified || now,
+        seenOn: today,
+      };
+    } else if (previous.hash !== hash) {
+      revision = {
+        hash,
+        sequence: previous.sequence + 1,
+        modifiedAt: now,
+        seenOn: today,
+      };
+    } else if (previous.seenOn !== today) {
+      revision = { ...previous, seenOn: today };
+    }
+
+    if (revision !== previous) {
+      revisions[event.uid] = revision;
+      changed = true;
+    }
+    return {
+      ...event,
+      sequence: revision.sequence,
+      lastModified: revision.modifiedAt,
+    };
+  });
+
+  if (changed) {
+    const cutoff = new Date(Date.now() - REVISION_RETENTION_DAYS * DAY_MS)
+      .toISOString()
+      .split("T")[0];
+    revisionStore.update((store) => {
+      Object.keys(store.events).forEach((uid) => {
+        if (store.events[uid].seenOn < cutoff) delete store.events[uid];
+      });
+    });
+  }
+  return tracked;
+}
+
+// ============================================
+// PARSING
+// ============================================
+
+const unescapeText = (value) =>
+  value.replace(/\\([\\;,nN])/g, (match, char) =>
+    char === "n" || char === "N" ? "\n" : char
+  );
+
+// NAME;PARAM=VALUE;PARAM="QUOTED:VALUE":value
+function parseContentLine(line) {
+  let inQuotes = false;
+  let separator = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ":" && !inQuotes) {
+      separator = i;
+      break;
+    }
+  }
+  if (separator < 0) return null;
+
+  const [name, ...rawParams] = line.slice(0, separator).split(";");
+  const params = {};
+  rawParams.forEach((param) => {
+    const [key, ...value] = param.split("=");
+    params[key.toUpperCase()] = value.join("=").replace(/^"|"$/g, "");
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+}
+
+// Offset of a time zone from UTC at an instant, via Intl
+function zoneOffset(time, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(new Date(time))
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  return (
+    Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second
+    ) - time
+  );
+}
+
+function zonedToUtc(wallClock, timeZone) {
+  let zone = timeZone || DEFAULT_TIMEZONE;
+  try {
+    zoneOffset(wallClock, zone);
+  } catch {
+    // Outlook writes Windows zone names ("Eastern Standard Time")
+    zone = DEFAULT_TIMEZONE;
+  }
+  const guess = wallClock - zoneOffset(wallClock, zone);
+  return wallClock - zoneOffset(guess, zone);
+}
+
+// DATE or DATE-TIME (UTC, TZID or floating) -> YYYY-MM-DD or ISO instant
+function parseIcsDate({ params, value }) {
+  const date = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (date || params.VALUE === "DATE") {
+    const [, year, month, day] = date || value.match(/^(\d{4})(\d{2})(\d{2})/);
+    return { value: `${year}-${month}-${day}`, allDay: true };
+  }
+
+  const dateTime = value.match(
+    /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/
+  );
+  if (!dateTime) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = dateTime;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  const time = utc ? wallClock : zonedToUtc(wallClock, params.TZID);
+  return { value: new Date(time).toISOString(), allDay: false };
+}
+
+/**
+ * Parse the VEVENTs of an iCalendar document. Nested components (VALARM)
+ * and properties the feed has no use for are ignored.
+ * @param {string} text - .ics file contents
+ * @returns {Array<Object>} { uid, summary, description, location, url,
+ *   start, end, allDay } with start/end as YYYY-MM-DD when allDay, else ISO
+ */
+function parseIcs(text) {
+  const lines = String(text)
+    .replace(/\r\n?/g, "\n")
+    .replace(/\n[ \t]/g, "")
+    .split("\n");
+
+  const events = [];
+  let current = null;
+  let nested = 0;
+
+  lines.forEach((line) => {
+    if (!line.trim()) return;
+    const property = parseContentLine(line);
+    if (!property) return;
+    const { name, value } = property;
+
+    if (name === "BEGIN") {
+      if (current) nested++;
+      else if (value.toUpperCase() === "VEVENT") current = {};
+      return;
+    }
+    if (name === "END") {
+      if (nested > 0) nested--;
+      else if (current && value.toUpperCase() === "VEVENT") {
+        events.push(current);
+        current = null;
+      }
+      return;
+    }
+    if (!current || nested > 0) return;
+
+    switch (name) {
+      case "UID":
+        current.uid = value.trim();
+        break;
+      case "SUMMARY":
+      case "DESCRIPTION":
+      case "LOCATION":
+        current[name.toLowerCase()] = unescapeText(value);
+        break;
+      case "URL":
+        current.url = value.trim();
+        break;
+      case "DTSTART":
+      case "DTEND": {
+        const parsed = parseIcsDate(property);
+        if (!parsed) break;
+        current[name === "DTSTART" ? "start" : "end"] = parsed.value;
+        if (name === "DTSTART") current.allDay = parsed.allDay;
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return events;
+}
+
+// ============================================
+// PRIVATE EVENTS
+// ============================================
+
+function validateImportOptions({ symbol, impact } = {}) {
+  const normalizedImpact = impact ? String(impact).toUpperCase() : "MEDIUM";
+  if (!IMPACT_LEVELS.includes(normalizedImpact)) {
+    throw calendarError(
+      `impact must be one of ${IMPACT_LEVELS.join(", ")}`,
+      400
+    );
+  }
+
+  const normalizedSymbol = symbol ? String(symbol).trim().toUpperCase() : null;
+  if (normalizedSymbol && !/^[A-Z0-9.-]{1,10}$/.test(normalizedSymbol)) {
+    throw calendarError(`Invalid symbol: ${symbol}`, 400);
+  }
+
+  return { symbol: normalizedSymbol, impact: normalizedImpact };
+}
+
+// Files without UIDs still re-import onto the same events
+const fallbackUid = (event) =>
+  `private-${crypto
+    .createHash("sha1")
+    .update(`${event.summary}|${event.start}`)
+    .digest("hex")
+    .slice(0, 16)}`;
+
+/**
+ * Import private events from an .ics file. Events are upserted by UID, so
+ * re-importing an updated export moves or renames the existing entries.
+ * @param {string} text - .ics file contents
+ * @param {Object} [options]
+ * @param {string} [options.symbol] - Ticker the events belong to
+ * @param {string} [options.impact] - HIGH, MEDIUM (default) or LOW
+ * @returns {{ created: number, updated: number, skipped: number,
+ *   events: Array<Object> }}
+ */
+function importEvents(text, options = {}) {
+  const { symbol, impact } = validateImportOptions(options);
+  const parsed = parseIcs(text);
+  if (parsed.length === 0) {
+    throw calendarError("No VEVENT entries found in the calendar file", 400);
+  }
+
+  const now = new Date().toISOString();
+  const imported = [];
+  let created = 0;
+  let updated = 0;
+
+  store.update((current) => {
+    const byUid = new Map(current.events.map((event) => [event.uid, event]));
+
+    parsed
+      .filter((event) => event.summary && event.start)
+      .forEach((event) => {
+        const uid = event.uid || fallbackUid(event);
+        const existing = byUid.get(uid);
+        const record = {
+          uid,
+          summary: event.summary,
+          description: event.description || null,
+          location: event.location || null,
+          url: event.url || null,
+          start: event.start,
+          end: event.end || null,
+          allDay: event.allDay,
+          symbol,
+          impact,
+          importedAt: existing?.importedAt || now,
+          updatedAt: now,
+        };
+
+        if (existing) updated++;
+        else created++;
+        byUid.set(uid, record);
+        imported.push(record);
+      });
+
+    if (byUid.size > MAX_PRIVATE_EVENTS) {
+      throw calendarError(
+        `The private calendar is limited to ${MAX_PRIVATE_EVENTS} events`,
+        400
+      );
+    }
+    current.events = [...byUid.values()];
+  });
+
+  console.log(
+    `📅 Imported ${imported.length} private events (${created} new, ${updated} updated)`
+  );
+  return {
+    created,
+    updated,
+    skipped: parsed.length - imported.length,
+    events: imported,
+  };
+}
+
+/**
+ * Private events overlapping a date range
+ * @param {Object} [range]
+ * @param {string} [range.from] - YYYY-MM-DD
+ * @param {string} [range.to] - YYYY-MM-DD, inclusive
+ */
+function listPrivateEvents({ from, to } = {}) {
+  return store
+    .read()
+    .events.filter(
+      (event) =>
+        (!from || (event.end || event.start).slice(0, 10) >= from) &&
+        (!to || event.start.slice(0, 10) <= to)
+    )
+    .sort((a, b) => a.start.localeCompare(b.start));
+}
+
+function deletePrivateEvent(uid) {
+  const { events } = store.read();
+  if (!events.some((event) => event.uid === uid)) {
+    throw calendarError(`Private event not found: ${uid}`, 404);
+  }
+
+  store.update((current) => {
+    current.events = current.events.filter((event) => event.uid !== uid);
+  });
+  return { uid, deleted: true };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  IMPACT_LEVELS,
+  fromEconomicEvent,
+  fromEarning,
+  fromPrivateEvent,
+  filterEvents,
+  trackRevisions,
+  toIcs,
+  parseIcs,
+  importEvents,
+  listPrivateEvents,
+  deletePrivateEvent,
+};
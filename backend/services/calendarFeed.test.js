@@ -0,0 +1,149 @@
+// backend/services/calendarFeed.test.js - iCalendar serialization and parsing
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { toIcs, parseIcs } = require("./calendarFeed");
+
+const release = {
+  uid: "economic-cpi-2025-07-15",
+  type: "economic",
+  summary: "CPI YoY",
+  description: "Forecast: 2.6%, previous: 2.4%",
+  start: "2025-07-15T12:30:00.000Z",
+  end: "2025-07-15T13:00:00.000Z",
+  allDay: false,
+  impact: "HIGH",
+  categories: ["Economic", "Inflation"],
+  sequence: 2,
+  lastModified: "2025-07-10T08:00:00.000Z",
+};
+
+// Content lines of the first VEVENT
+const vevent = (ics) => {
+  const lines = ics.split("\r\n");
+  return lines.slice(
+    lines.indexOf("BEGIN:VEVENT"),
+    lines.indexOf("END:VEVENT") + 1
+  );
+};
+
+test("events serialize with a stable stamp and revision", () => {
+  const lines = vevent(toIcs([release]));
+
+  assert.deepEqual(lines, [
+    "BEGIN:VEVENT",
+    "UID:economic-cpi-2025-07-15@news-impact-screener",
+    "DTSTAMP:20250710T080000Z",
+    "SEQUENCE:2",
+    "DTSTART:20250715T123000Z",
+    "DTEND:20250715T130000Z",
+    "SUMMARY:CPI YoY",
+    "DESCRIPTION:Forecast: 2.6%\\, previous: 2.4%",
+    "CATEGORIES:Economic,Inflation",
+    "PRIORITY:1",
+    "LAST-MODIFIED:20250710T080000Z",
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT",
+  ]);
+});
+
+test("text escapes backslashes, separators and newlines", () => {
+  const [summary] = vevent(
+    toIcs([{ ...release, summary: "AAPL; Q3 call, C:\\notes\nDial-in" }])
+  ).filter((line) => line.startsWith("SUMMARY:"));
+
+  assert.equal(summary, "SUMMARY:AAPL\\; Q3 call\\, C:\\\\notes\\nDial-in");
+});
+
+test("long lines fold at 75 octets without splitting characters", () => {
+  const description = "Révision des données ".repeat(10);
+  const ics = toIcs([{ ...release, description }]);
+  const lines = ics.split("\r\n");
+
+  lines.forEach((line) => assert.ok(Buffer.byteLength(line) <= 75, line));
+  assert.ok(lines.some((line) => line.startsWith(" ")));
+  assert.equal(parseIcs(ics)[0].description, description);
+});
+
+test("a serialized feed parses back to the same events", () => {
+  const allDay = {
+    uid: "private-offsite",
+    type: "private",
+    summary: "Offsite; no trading",
+    location: "Room 4, floor 2",
+    start: "2025-07-18",
+    end: "2025-07-19",
+    allDay: true,
+  };
+
+  assert.deepEqual(parseIcs(toIcs([release, allDay])), [
+    {
+      uid: "economic-cpi-2025-07-15@news-impact-screener",
+      start: "2025-07-15T12:30:00.000Z",
+      allDay: false,
+      end: "2025-07-15T13:00:00.000Z",
+      summary: "CPI YoY",
+      description: "Forecast: 2.6%, previous: 2.4%",
+    },
+    {
+      uid: "private-offsite@news-impact-screener",
+      start: "2025-07-18",
+      allDay: true,
+      end: "2025-07-19",
+      summary: "Offsite; no trading",
+      location: "Room 4, floor 2",
+    },
+  ]);
+});
+
+test("imported times resolve their zone, defaulting to New York", () => {
+  const ics = [
+    "BEGIN:VCALENDAR",
+    "BEGIN:VEVENT",
+    "UID:tz",
+    "DTSTART;TZID=Europe/London:20250715T093000",
+    "END:VEVENT",
+    "BEGIN:VEVENT",
+    "UID:floating",
+    "DTSTART:20250115T083000",
+    "END:VEVENT",
+    "BEGIN:VEVENT",
+    "UID:outlook",
+    'DTSTART;TZID="Eastern Standard Time":20250715T083000',
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].join("\r\n");
+
+  assert.deepEqual(
+    parseIcs(ics).map((event) => event.start),
+    [
+      "2025-07-15T08:30:00.000Z",
+      "2025-01-15T13:30:00.000Z",
+      "2025-07-15T12:30:00.000Z",
+    ]
+  );
+});
+
+test("parsing unfolds lines and skips nested components", () => {
+  const ics = [
+    "BEGIN:VCALENDAR",
+    "BEGIN:VEVENT",
+    "UID:alarmed",
+    "SUMMARY:Fed chair",
+    "\t testimony",
+    "DTSTART;VALUE=DATE:20250716",
+    "BEGIN:VALARM",
+    "DESCRIPTION:Reminder",
+    "END:VALARM",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].join("\n");
+
+  assert.deepEqual(parseIcs(ics), [
+    {
+      uid: "alarmed",
+      summary: "Fed chair testimony",
+      start: "2025-07-16",
+      allDay: true,
+    },
+  ]);
+});
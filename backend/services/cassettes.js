@@ -0,0 +1,280 @@
+// backend/services/cassettes.js - Record/replay of provider HTTP exchanges
+// PROVIDER_MODE=record saves every makeApiCall response to a cassette on disk;
+// PROVIDER_MODE=replay serves them back without network or API keys, with
+// dates in URLs and payloads shifted so recorded data looks current
+//
+// CASSETTE=<name> picks backend/cassettes/<name>.json (CASSETTE_DIR to move
+// it). CASSETTE_TIME_SHIFT=week (default, keeps weekdays aligned), exact or
+// none controls how recorded timestamps are moved forward.
+
+const path = require("path");
+const { createJsonStore } = require("./jsonStore");
+
+const MODES = ["live", "record", "replay"];
+const SHIFT_MODES = ["week", "exact", "none"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SAVE_DELAY = 1000;
+
+// Query parameters carrying credentials never reach the cassette or its keys
+const SECRET_PARAMS = /^(apikey|api_key|token|access_key)$/i;
+
+// Numeric fields holding epoch timestamps (Finnhub datetime, Polygon t)
+const EPOCH_FIELDS = ["datetime", "t", "timestamp", "updated", "published"];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME =
+  /^(\d{4}-\d{2}-\d{2})([T ])(\d{2}:\d{2}(:\d{2}(\.\d+)?)?)(Z|[+-]\d{2}:?\d{2})?$/;
+const COMPACT_TIME = /^\d{8}T\d{4,6}$/; // Alpha Vantage "20240105T143000"
+const URL_DATE = /\d{4}-\d{2}-\d{2}/g;
+
+const mode = MODES.includes(process.env.PROVIDER_MODE)
+  ? process.env.PROVIDER_MODE
+  : "live";
+const shiftMode = SHIFT_MODES.includes(process.env.CASSETTE_TIME_SHIFT)
+  ? process.env.CASSETTE_TIME_SHIFT
+  : "week";
+const cassetteName = process.env.CASSETTE || "default";
+const cassetteDir =
+  process.env.CASSETTE_DIR || path.join(__dirname, "..", "cassettes");
+
+const store = createJsonStore(
+  cassetteName,
+  { name: cassetteName, recordedAt: null, interactions: {} },
+  { dir: cassetteDir }
+);
+const stats = { recorded: 0, hits: 0, misses: 0 };
+let saveTimer = null;
+
+const isRecording = () => mode === "record";
+const isReplaying = () => mode === "replay";
+
+const utcDay = (time) => Math.floor(time / DAY_MS);
+
+// ============================================
+// KEYS
+// ============================================
+
+/**
+ * Strip credentials from a provider URL
+ * @param {string} url - Request URL
+ * @returns {string} URL without API key parameters
+ */
+function redactUrl(url) {
+  const parsed = new URL(url);
+  [...parsed.searchParams.keys()]
+    .filter((name) => SECRET_PARAMS.test(name))
+    .forEach((name) => parsed.searchParams.delete(name));
+  return parsed.toString();
+}
+
+/**
+ * Interaction key: provider plus redacted URL with calendar dates rewritten
+ * relative to the day of the call, so "from=<7 days ago>" recorded last
+ * month matches the same request made today
+ */
+function interactionKey(apiName, url, now = Date.now()) {
+  const today = utcDay(now);
+  const relative = redactUrl(url).replace(URL_DATE, (date) => {
+    const offset = utcDay(Date.parse(`${date}T00:00:00Z`)) - today;
+    return `{day${offset >= 0 ? "+" : ""}${offset}}`;
+  });
+  return `${apiName} ${relative}`;
+}
+
+// ============================================
+// TIME SHIFTING
+// ============================================
+
+function shiftFor(recordedAt, now = Date.now()) {
+  if (shiftMode === "none" || !recordedAt) return 0;
+
+  const delta = now - recordedAt;
+  if (shiftMode === "exact") return delta;
+
+  const weekMs = 7 * DAY_MS;
+  return Math.round(delta / weekMs) * weekMs;
+}
+
+const shiftDate = (date, shiftMs) =>
+  new Date(
+    Date.parse(`${date}T00:00:00Z`) + Math.round(shiftMs / DAY_MS) * DAY_MS
+  )
+    .toISOString()
+    .split("T")[0];
+
+function shiftString(value, shiftMs) {
+  if (DATE_ONLY.test(value)) return shiftDate(value, shiftMs);
+
+  const match = value.match(DATE_TIME);
+  if (match) {
+    const [, date, separator, time, , , zone] = match;
+    if (zone) {
+      const shifted = new Date(Date.parse(value) + shiftMs);
+      return Number.isNaN(shifted.getTime()) ? value : shifted.toISOString();
+    }
+    // Zoneless times keep the provider's format ("2024-01-05 13:30:00")
+    const shifted = new Date(Date.parse(`${date}T${time}Z`) + shiftMs)
+      .toISOString()
+      .replace("T", separator);
+    return shifted.slice(0, date.length + 1 + time.length);
+  }
+
+  if (COMPACT_TIME.test(value)) {
+    const iso = `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(
+      6,
+      8
+    )}T${value.slice(9, 11)}:${value.slice(11, 13)}:${
+      value.slice(13, 15) || "00"
+    }Z`;
+    return new Date(Date.parse(iso) + shiftMs)
+      .toISOString()
+      .replace(/[-:]/g, "")
+      .slice(0, value.length);
+  }
+
+  return value;
+}
+
+function shiftEpoch(value, shiftMs) {
+  if (value > 1e12 && value < 1e13) return value + shiftMs; // milliseconds
+  if (value > 1e9 && value < 1e10) return value + Math.round(shiftMs / 1000);
+  return value;
+}
+
+/**
+ * Move every date in a recorded payload forward by shiftMs: date and
+ * date-time strings, date-keyed objects (Alpha Vantage series) and epoch
+ * numbers in EPOCH_FIELDS
+ */
+function shiftPayload(value, shiftMs, field = null) {
+  if (shiftMs === 0 || value === null || value === undefined) return value;
+
+  if (Array.isArray(value)) {
+    return value.map((item) => shiftPayload(item, shiftMs, field));
+  }
+  if (typeof value === "string") return shiftString(value, shiftMs);
+  if (typeof value === "number") {
+    return EPOCH_FIELDS.includes(field) ? shiftEpoch(value, shiftMs) : value;
+  }
+  if (typeof value === "object") {
+    return Object.entries(value).reduce((acc, [key, item]) => {
+      acc[DATE_ONLY.test(key) ? shiftDate(key, shiftMs) : key] = shiftPayload(
+        item,
+        shiftMs,
+        key
+      );
+      return acc;
+    }, {});
+  }
+  return value;
+}
+
+// ============================================
+// RECORD / REPLAY
+// ============================================
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    store.write(store.read());
+  }, SAVE_DELAY);
+}
+
+/**
+ * Save a provider response to the cassette (record mode)
+ * @param {string} apiName - Provider key passed to makeApiCall
+ * @param {string} url - Request URL (credentials are stripped)
+ * @param {number} status - HTTP status
+ * @param {*} data - Parsed JSON body
+ */
+function record(apiName, url, status, data) {
+  const cassette = store.read();
+  const now = Date.now();
+
+  cassette.recordedAt = cassette.recordedAt || new Date(now).toISOString();
+  cassette.interactions[interactionKey(apiName, url, now)] = {
+    apiName,
+    url: redactUrl(url),
+    status,
+    data,
+    recordedAt: new Date(now).toISOString(),
+  };
+  stats.recorded++;
+  scheduleSave();
+}
+
+/**
+ * Serve a recorded response (replay mode)
+ * @returns {{ status: number, data: * }} Time-shifted recorded response
+ * @throws {Error} When the cassette has no matching interaction
+ */
+function replay(apiName, url) {
+  const interaction = store.read().interactions[interactionKey(apiName, url)];
+
+  if (!interaction) {
+    stats.misses++;
+    throw new Error(
+      `No recorded ${apiName} response in cassette "${cassetteName}" for ${redactUrl(
+        url
+      )}`
+    );
+  }
+
+  stats.hits++;
+  const shiftMs = shiftFor(Date.parse(interaction.recordedAt));
+  return {
+    status: interaction.status,
+    data: shiftPayload(interaction.data, shiftMs),
+  };
+}
+
+/**
+ * Providers with at least one recorded interaction, so replay can treat
+ * them as configured without real API keys
+ */
+function recordedProviders() {
+  return [
+    ...new Set(
+      Object.values(store.read().interactions).map(
+        (interaction) => interaction.apiName
+      )
+    ),
+  ];
+}
+
+function getStatus() {
+  const cassette = mode === "live" ? null : store.read();
+
+  return {
+    mode,
+    cassette: mode === "live" ? null : cassetteName,
+    file: mode === "live" ? null : store.filePath,
+    timeShift: shiftMode,
+    recordedAt: cassette?.recordedAt || null,
+    interactions: cassette ? Object.keys(cassette.interactions).length : 0,
+    providers: cassette ? recordedProviders() : [],
+    ...stats,
+  };
+}
+
+// Flush pending recordings when the process exits
+process.on("exit", () => {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    store.write(store.read());
+  }
+});
+
+module.exports = {
+  isRecording,
+  isReplaying,
+  redactUrl,
+  interactionKey,
+  shiftPayload,
+  record,
+  replay,
+  recordedProviders,
+  getStatus,
+};
@@ -0,0 +1,127 @@
+// backend/services/cassettes.test.js - Cassette keys and time shifting
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const cassetteDir = fs.mkdtempSync(path.join(os.tmpdir(), "cassettes-"));
+process.env.PROVIDER_MODE = "record";
+process.env.CASSETTE = "test";
+process.env.CASSETTE_DIR = cassetteDir;
+delete process.env.CASSETTE_TIME_SHIFT;
+
+const cassettes = require("./cassettes");
+
+test.after(() => fs.rmSync(cassetteDir, { recursive: true, force: true }));
+
+// Monday afternoon; replayed five weeks and two days later, which shifts
+// recorded dates by five weeks to another Monday
+const RECORDED = Date.parse("2025-07-14T15:00:00Z");
+const REPLAYED = Date.parse("2025-08-20T09:00:00Z");
+
+const url = (query) => `https://financialmodelingprep.com/api/v3/${query}`;
+
+test("credentials are stripped from URLs", () => {
+  assert.equal(
+    cassettes.redactUrl(url("quote/AAPL?apikey=secret&limit=5&token=t")),
+    url("quote/AAPL?limit=5")
+  );
+});
+
+test("keys hold URL dates relative to the day of the call", () => {
+  const query = (from, to) =>
+    url(`economic_calendar?from=${from}&to=${to}&apikey=secret`);
+
+  const recorded = cassettes.interactionKey(
+    "fmp",
+    query("2025-07-07", "2025-07-14"),
+    RECORDED
+  );
+
+  assert.equal(
+    recorded,
+    `fmp ${url("economic_calendar?from={day-7}&to={day+0}")}`
+  );
+  assert.equal(
+    cassettes.interactionKey(
+      "fmp",
+      query("2025-08-13", "2025-08-20"),
+      REPLAYED
+    ),
+    recorded
+  );
+});
+
+test("payload dates, date keys and epoch fields move together", () => {
+  const day = 24 * 60 * 60 * 1000;
+
+  assert.deepEqual(
+    cassettes.shiftPayload(
+      {
+        date: "2025-07-14",
+        publishedDate: "2025-07-14T13:30:00.000Z",
+        time: "2025-07-14 13:30:00",
+        time_published: "20250714T133000",
+        datetime: 1752499800,
+        t: 1752499800000,
+        volume: 1752499800,
+        "Time Series (Daily)": { "2025-07-14": { close: "209.11" } },
+      },
+      2 * day
+    ),
+    {
+      date: "2025-07-16",
+      publishedDate: "2025-07-16T13:30:00.000Z",
+      time: "2025-07-16 13:30:00",
+      time_published: "20250716T133000",
+      datetime: 1752672600,
+      t: 1752672600000,
+      volume: 1752499800,
+      "Time Series (Daily)": { "2025-07-16": { close: "209.11" } },
+    }
+  );
+});
+
+test("replay shifts by whole weeks so weekdays line up", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: RECORDED });
+  cassettes.record(
+    "fmp",
+    url("historical-price-full/AAPL?from=2025-07-07&apikey=secret"),
+    200,
+    { historical: [{ date: "2025-07-14", close: 209.11 }] }
+  );
+
+  t.mock.timers.setTime(REPLAYED);
+  const replayed = cassettes.replay(
+    "fmp",
+    url("historical-price-full/AAPL?from=2025-08-13&apikey=other")
+  );
+
+  assert.deepEqual(replayed, {
+    status: 200,
+    data: { historical: [{ date: "2025-08-18", close: 209.11 }] },
+  });
+  assert.deepEqual(cassettes.recordedProviders(), ["fmp"]);
+});
+
+test("a request missing from the cassette throws without its key", () => {
+  assert.throws(
+    () => cassettes.replay("fmp", url("quote/MSFT?apikey=secret")),
+    {
+      message: `No recorded fmp response in cassette "test" for ${url(
+        "quote/MSFT"
+      )}`,
+    }
+  );
+  assert.equal(cassettes.getStatus().misses, 1);
+});
+
+test("the saved cassette holds no credentials", async () => {
+  // Recordings are flushed a second after the last one
+  await new Promise((resolve) => setTimeout(resolve, 1500));
+  const saved = fs.readFileSync(path.join(cassetteDir, "test.json"), "utf8");
+
+  assert.equal(Object.keys(JSON.parse(saved).interactions).length, 1);
+  assert.equal(saved.includes("secret"), false);
+});
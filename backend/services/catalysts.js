@@ -0,0 +1,247 @@
+// backend/services/catalysts.js - Catalyst event classification
+// Assigns an article or story one event type from a fixed taxonomy using
+// weighted phrase patterns over its headline and summary, with a confidence
+// and the text spans that decided it
+
+// Pattern weights are per match; headline matches count double
+const SECTION_WEIGHTS = { headline: 2, body: 1 };
+const MAX_MATCHES = 2; // Per pattern per section
+// Score at which a type is fully established: one strong headline phrase
+const STRONG_SCORE = 6;
+
+const CATALYST_TYPES = {
+  earnings: {
+    label: "Earnings",
+    patterns: [
+      [
+        /\b(?:beats?|tops?|miss(?:es|ed)?|exceed(?:s|ed)?|surpass(?:es|ed)?|trails?)\b[^.;]{0,40}?\b(?:estimates?|expectations|forecasts?|consensus)\b/gi,
+        3,
+      ],
+      [
+        /\b(?:quarterly|q[1-4]|(?:first|second|third|fourth)[- ]quarter|full[- ]year|annual)\s+(?:results|earnings|profit|loss|revenue|sales)\b/gi,
+        3,
+      ],
+      [/\b(?:earnings|eps|earnings per share)\b/gi, 2],
+      [/\brecord quarter\b/gi, 2],
+      [/\b(?:net income|net loss|same-store sales)\b/gi, 1.5],
+    ],
+  },
+  guidance: {
+    label: "Guidance",
+    patterns: [
+      [
+        /\b(?:raise[sd]?|lifts?|lifted|boost(?:s|ed)?|cuts?|lower(?:s|ed)?|trims?|trimmed|slash(?:es|ed)?|reaffirm(?:s|ed)?|reiterates?|reiterated|withdraws?|withdrew|suspends?|suspended)\s+(?:its\s+)?(?:full[- ]year\s+|annual\s+|fiscal\s+|\d{4}\s+)?(?:guidance|outlook|forecast)\b/gi,
+        3.5,
+      ],
+      [/\b(?:profit|sales|revenue|earnings) warning\b/gi, 3],
+      [/\bguidance\b/gi, 2],
+      [/\bwarns? of\b/gi, 1],
+    ],
+  },
+  mna: {
+    label: "M&A",
+    patterns: [
+      [
+        /\b(?:acquires?|acquired|acquisition|takeover|buyout|merger|merges?|merging|tender offer|spin[- ]?off|spins off|divest(?:s|ed|iture)?)\b/gi,
+        3,
+      ],
+      [
+        /\b(?:agrees?|agreed|offers?|offered|deal|plans?|bids?|moves?) to (?:buy|acquire|purchase)\b/gi,
+        3,
+      ],
+      [/\b(?:stake in|activist investor|bid for)\b/gi, 1.5],
+    ],
+  },
+  regulatory: {
+    label: "FDA / Regulatory",
+    patterns: [
+      [/\b(?:FDA|EMA|PDUFA)\b/g, 3],
+      [
+        /\b(?:clinical trial|phase (?:1|2|3|i{1,3})|trial data|complete response letter|breakthrough designation)\b/gi,
+        3,
+      ],
+      [/\b(?:SEC|FTC|DOJ|FCC|CFPB|EPA)\b/g, 2.5],
+      [/\b(?:regulators?|regulatory|antitrust)\b/gi, 2.5],
+      [/\b(?:probe|investigation|inquiry|subpoena|sanction(?:s|ed)?)\b/gi, 2],
+      [/\bruling\b/gi, 2],
+      [/\b(?:approval|approves|approved|clearance|cleared)\b/gi, 1.5],
+      [/\brecall(?:s|ed)?\b/gi, 1.5],
+    ],
+  },
+  litigation: {
+    label: "Litigation",
+    patterns: [
+      [
+        /\b(?:lawsuit|sues|sued|suing|class action|litigation|verdict|jury|plaintiffs?|patent infringement)\b/gi,
+        3,
+      ],
+      [/\b(?:court|judge|settle(?:s|d|ment)?|damages|appeal)\b/gi, 2],
+    ],
+  },
+  analyst: {
+    label: "Analyst Action",
+    patterns: [
+      [/\b(?:upgrade[sd]?|downgrade[sd]?)\b/gi, 3],
+      [/\bprice target\b/gi, 3],
+      [/\b(?:initiates?|initiated|resumes?|resumed) coverage\b/gi, 3],
+      [
+        /\b(?:outperform|underperform|overweight|underweight|market perform|equal[- ]weight|(?:buy|sell|hold|neutral) rating)\b/gi,
+        2.5,
+      ],
+      [/\banalysts?\b/gi, 2],
+    ],
+  },
+  management: {
+    label: "Management Change",
+    patterns: [
+      [
+        /\b(?:resign(?:s|ed|ation)?|steps? down|stepping down|retire(?:s|ment)?|appoint(?:s|ed|ment)?|names? new|successor|succeeds?|ousted|departure|leadership change|shake-?up)\b/gi,
+        2.5,
+      ],
+      [/\b(?:CEO|CFO|COO|CTO)\b/g, 1.5],
+      [
+        /\b(?:chief executive|chief financial officer|chair(?:man|woman)?|board)\b/gi,
+        1.5,
+      ],
+    ],
+  },
+  product: {
+    label: "Product",
+    patterns: [
+      [
+        /\b(?:launch(?:es|ed)?|unveil(?:s|ed)?|debut(?:s|ed)?|introduces?|introduced|rolls? out|rolled out)\b/gi,
+        3,
+      ],
+      [/\b(?:product roadmap|roadmap|next[- ]generation)\b/gi, 2.5],
+      [/\b(?:partnership|partners with|contract|supply deal)\b/gi, 2],
+      [/\bproducts?\b/gi, 1.5],
+      [/\brecall(?:s|ed)?\b/gi, 1],
+    ],
+  },
+  macro: {
+    label: "Macro",
+    patterns: [
+      [/\b(?:Fed|FOMC|CPI|PPI|GDP|ECB|Powell)\b/g, 3],
+      [
+        /\b(?:federal reserve|rate (?:hikes?|cuts?)|interest rates?|inflation|jobs report|payrolls|unemployment|recession|tariffs?|treasury yields?|central bank)\b/gi,
+        3,
+      ],
+    ],
+  },
+};
+
+const OTHER = { type: "other", label: "Other" };
+
+// ============================================
+// SCORING
+// ============================================
+
+function scoreSection(text, section, patterns) {
+  let score = 0;
+  const evidence = [];
+
+  patterns.forEach(([pattern, weight]) => {
+    let count = 0;
+    for (const match of String(text || "").matchAll(pattern)) {
+      if (count++ >= MAX_MATCHES) break;
+      score += weight * SECTION_WEIGHTS[section];
+      evidence.push({
+        section,
+        text: match[0],
+        start: match.index,
+        end: match.index + match[0].length,
+      });
+    }
+  });
+
+  return { score, evidence };
+}
+
+// Drop spans inside a longer span already kept for the same section
+function mergeEvidence(evidence) {
+  return evidence
+    .sort(
+      (a, b) =>
+        (a.section === b.section ? 0 : a.section === "headline" ? -1 : 1) ||
+        a.start - b.start ||
+        b.end - a.end
+    )
+    .filter(
+      (span, i, spans) =>
+        !spans
+          .slice(0, i)
+          .some(
+            (kept) =>
+              kept.section === span.section &&
+              kept.start <= span.start &&
+              kept.end >= span.end
+          )
+    );
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Classify an article or story into one catalyst type
+ * @param {Object} article - Article with headline and optional summary
+ * @returns {{ type: string, label: string, confidence: number,
+ *   evidence: Array<{ section: string, text: string, start: number, end: number }>,
+ *   scores: Object }}
+ *   type is a key of CATALYST_TYPES, or "other" with confidence 0 when no
+ *   pattern matches. confidence (0-1) is the winning type's share of all
+ *   matched weight, scaled down until it reaches STRONG_SCORE. scores holds
+ *   each matched type's share.
+ */
+function classify(article) {
+  const results = Object.entries(CATALYST_TYPES).map(([type, { patterns }]) => {
+    const headline = scoreSection(article.headline, "headline", patterns);
+    const body = scoreSection(article.summary, "body", patterns);
+    return {
+      type,
+      score: headline.score + body.score,
+      evidence: [...headline.evidence, ...body.evidence],
+    };
+  });
+
+  const total = results.reduce((sum, result) => sum + result.score, 0);
+  if (total === 0) {
+    return { ...OTHER, confidence: 0, evidence: [], scores: {} };
+  }
+
+  // Ties go to the earlier type in the taxonomy
+  const top = results.reduce((best, result) =>
+    result.score > best.score ? result : best
+  );
+
+  return {
+    type: top.type,
+    label: CATALYST_TYPES[top.type].label,
+    confidence: round(
+      (top.score / total) * Math.min(1, top.score / STRONG_SCORE)
+    ),
+    evidence: mergeEvidence(top.evidence),
+    scores: Object.fromEntries(
+      results
+        .filter((result) => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .map((result) => [result.type, round(result.score / total)])
+    ),
+  };
+}
+
+/**
+ * Display label for a catalyst type
+ * @param {string} type - Key of CATALYST_TYPES or "other"
+ * @returns {string}
+ */
+const labelFor = (type) => CATALYST_TYPES[type]?.label || OTHER.label;
+
+module.exports = {
+  CATALYST_TYPES,
+  classify,
+  labelFor,
+};
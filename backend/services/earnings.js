@@ -0,0 +1,523 @@
+// backend/services/earnings.js - Earnings surprise analytics
+// EPS and revenue surprise for each report, the price reaction over the
+// sessions after it and a per-symbol history of both. History is persisted
+// so reactions keep filling in as sessions pass; it feeds the
+// post-earnings-drift view and the NISS earnings component.
+
+const providers = require("./providers");
+const { createJsonStore } = require("./jsonStore");
+const { fetchDailyBars, toDateString } = require("./marketData");
+const economicSchedule = require("../../src/utils/EconomicSchedule");
+
+const REACTION_SESSIONS = [1, 5, 20];
+const HISTORY_DAYS = 730; // ~8 quarterly reports
+const MAX_REPORTS = 12; // Per symbol in the store
+const CACHE_TTL = 60 * 60 * 1000;
+// Provider report lists are refetched once the next scheduled report is due,
+// or after this long when the calendar has none
+const REPORTS_TTL = 24 * 60 * 60 * 1000;
+const BATCH_CONCURRENCY = 5;
+const SAVE_DELAY = 2000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reports at most this many sessions old feed the NISS earnings component
+const SIGNAL_SESSIONS = 20;
+
+// Earnings calendar lookahead for each symbol's next report
+const UPCOMING_DAYS = 45;
+
+const historyStore = createJsonStore("earnings-history", { symbols: {} });
+const cache = new Map(); // symbol -> { data, timestamp }
+const reportsCache = new Map(); // symbol -> { data, provider, until }
+const unsaved = new Map(); // symbol -> history awaiting a store write
+let saveTimer = null;
+let upcoming = null; // { timestamp, pending: Promise<Map> }
+
+const round = (value) =>
+  value === null || value === undefined ? null : Math.round(value * 100) / 100;
+
+const pctChange = (value, base) => round(((value - base) / base) * 100);
+
+// ============================================
+// SURPRISE & REACTION
+// ============================================
+
+/**
+ * Percentage by which an actual figure beat (+) or missed (-) its estimate
+ * @param {number|null} actual - Reported value
+ * @param {number|null} estimate - Consensus estimate
+ * @returns {number|null} null until reported or without a usable estimate
+ */
+function surprisePercent(actual, estimate) {
+  if (actual === null || actual === undefined || !estimate) return null;
+  return round(((actual - estimate) / Math.abs(estimate)) * 100);
+}
+
+/**
+ * A provider earnings entry with its EPS and revenue surprise
+ * @param {Object} earning - Entry from the earnings or earningsHistory capability
+ * @returns {Object} The entry plus reported, epsSurprise and revenueSurprise
+ */
+function withSurprise(earning) {
+  return {
+    ...earning,
+    reported: earning.eps !== null && earning.eps !== undefined,
+    epsSurprise: surprisePercent(earning.eps, earning.epsEstimated),
+    revenueSurprise: surprisePercent(earning.revenue, earning.revenueEstimated),
+  };
+}
+
+// Last close before the market could react to the report: the report day's
+// own close for after-market reports, the prior session's otherwise
+function baseIndexOf(report, bars) {
+  if (report.time === "After Market") {
+    return bars.findIndex((bar) => bar.date === report.date);
+  }
+
+  let index = -1;
+  bars.forEach((bar, i) => {
+    if (bar.date < report.date) index = i;
+  });
+  return index;
+}
+
+/**
+ * Price reaction to a report from daily bars
+ * @param {Object} report - Report with date and time
+ * @param {Array} bars - Daily bars, oldest first, covering the report
+ * @returns {Object|null} { baseDate, basePrice, day1, day5, day20, drift,
+ *   sessionsSince, returnToDate, driftToDate } as percentages from the base
+ *   close; dayN is null until N sessions have closed. drift is the move from
+ *   the day-1 close to the day-20 close, after the initial reaction. null
+ *   when the bars don't reach the base session yet.
+ */
+function priceReaction(report, bars) {
+  const base = baseIndexOf(report, bars);
+  if (base < 0) return null;
+
+  const basePrice = bars[base].close;
+  const last = bars.length - 1;
+  const closeAt = (sessions) => bars[base + sessions]?.close ?? null;
+  const changeAt = (sessions) =>
+    closeAt(sessions) === null ? null : pctChange(closeAt(sessions), basePrice);
+
+  const reaction = Object.fromEntries(
+    REACTION_SESSIONS.map((sessions) => [`day${sessions}`, changeAt(sessions)])
+  );
+  const dayOne = closeAt(1);
+  const driftEnd = closeAt(REACTION_SESSIONS[REACTION_SESSIONS.length - 1]);
+
+  return {
+    baseDate: bars[base].date,
+    basePrice,
+    ...reaction,
+    drift:
+      dayOne !== null && driftEnd !== null ? pctChange(driftEnd, dayOne) : null,
+    sessionsSince: last - base,
+    returnToDate: last > base ? pctChange(bars[last].close, basePrice) : null,
+    driftToDate:
+      dayOne !== null && last > base + 1
+        ? pctChange(bars[last].close, dayOne)
+        : null,
+  };
+}
+
+const isComplete = (report) =>
+  report.reaction !== null &&
+  report.reaction !== undefined &&
+  report.reaction.day20 !== null;
+
+// Stored form of an analyzed report
+const toRecord = (report, reaction) => ({
+  date: report.date,
+  time: report.time,
+  eps: report.eps,
+  epsEstimated: report.epsEstimated,
+  epsSurprise: report.epsSurprise,
+  revenue: report.revenue,
+  revenueEstimated: report.revenueEstimated,
+  revenueSurprise: report.revenueSurprise,
+  source: report.source,
+  reaction,
+});
+
+/**
+ * Attach price reactions to a symbol's reports with one bars request
+ * @param {string} symbol - Ticker
+ * @param {Array} reports - Reported entries with surprise fields
+ * @returns {Promise<Array>} Stored-form reports
+ */
+async function analyzeReports(symbol, reports) {
+  if (reports.length === 0) return [];
+
+  const earliest = reports.reduce(
+    (min, report) => (report.date < min ? report.date : min),
+    reports[0].date
+  );
+  // A week of slack so the pre-report close is always included
+  const { bars } = await fetchDailyBars(
+    symbol,
+    new Date(Date.parse(earliest) - 7 * DAY_MS)
+  );
+
+  return reports.map((report) => toRecord(report, priceReaction(report, bars)));
+}
+
+const storedReports = (symbol) =>
+  unsaved.get(symbol) || historyStore.read().symbols[symbol] || [];
+
+// A screening run records hundreds of symbols; write them in one go
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    historyStore.update((store) => {
+      unsaved.forEach((reports, symbol) => (store.symbols[symbol] = reports));
+    });
+    unsaved.clear();
+  }, SAVE_DELAY);
+  saveTimer.unref?.();
+}
+
+// Merge analyzed reports into the symbol's history, by report date
+function recordReports(symbol, reports) {
+  if (reports.length === 0) return storedReports(symbol);
+
+  const byDate = new Map(
+    storedReports(symbol).map((report) => [report.date, report])
+  );
+  reports.forEach((report) => byDate.set(report.date, report));
+  const history = [...byDate.values()]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .slice(-MAX_REPORTS);
+
+  unsaved.set(symbol, history);
+  scheduleSave();
+  return history;
+}
+
+// ============================================
+// STATISTICS
+// ============================================
+
+const average = (values) => {
+  const present = values.filter(
+    (value) => value !== null && value !== undefined
+  );
+  return present.length
+    ? round(present.reduce((sum, value) => sum + value, 0) / present.length)
+    : null;
+};
+
+/**
+ * Beat rate, average surprise and reaction, and how reliably the price kept
+ * drifting the surprise's way
+ * @param {Array} reports - Stored-form reports
+ * @returns {Object}
+ */
+function summarizeHistory(reports) {
+  const scored = reports.filter((report) => report.epsSurprise !== null);
+  const beats = scored.filter((report) => report.epsSurprise > 0);
+  const misses = scored.filter((report) => report.epsSurprise < 0);
+  const drifted = scored.filter(
+    (report) => report.reaction?.drift && report.epsSurprise
+  );
+
+  return {
+    reports: reports.length,
+    beats: beats.length,
+    misses: misses.length,
+    beatRate: scored.length
+      ? Math.round((beats.length / scored.length) * 100)
+      : null,
+    avgEpsSurprise: average(scored.map((report) => report.epsSurprise)),
+    avgRevenueSurprise: average(
+      reports.map((report) => report.revenueSurprise)
+    ),
+    avgReaction: Object.fromEntries(
+      REACTION_SESSIONS.map((sessions) => [
+        `day${sessions}`,
+        average(reports.map((report) => report.reaction?.[`day${sessions}`])),
+      ])
+    ),
+    avgDriftAfterBeat: average(beats.map((report) => report.reaction?.drift)),
+    avgDriftAfterMiss: average(misses.map((report) => report.reaction?.drift)),
+    // Share of completed reports whose drift followed the surprise
+    driftConsistency: drifted.length
+      ? Math.round(
+          (drifted.filter(
+            (report) =>
+              Math.sign(report.reaction.drift) === Math.sign(report.epsSurprise)
+          ).length /
+            drifted.length) *
+            100
+        )
+      : null,
+  };
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+// Reported earnings only change when a new report comes out, so a symbol's
+// list is reused until its next scheduled report instead of costing an
+// earningsHistory call per screening hour; reactions are re-measured from
+// bars regardless
+async function fetchReports(symbol, to) {
+  const cached = reportsCache.get(symbol);
+  if (cached && Date.now() < cached.until) return cached;
+
+  const from = toDateString(Date.now() - HISTORY_DAYS * DAY_MS);
+  const { data, provider } = await providers.request(
+    "earningsHistory",
+    symbol,
+    from,
+    to
+  );
+
+  // The day after the report, when after-market prints are in; until then
+  // the calendar's hourly refresh catches newly scheduled reports
+  const next = await getNextEarnings(symbol).catch(() => null);
+  const until = next
+    ? Math.max(Date.now() + CACHE_TTL, Date.parse(next.date) + DAY_MS)
+    : Date.now() + REPORTS_TTL;
+
+  const entry = { data, provider, until };
+  reportsCache.set(symbol, entry);
+  return entry;
+}
+
+/**
+ * A symbol's reported earnings with surprises and price reactions. Reports
+ * whose 20-session reaction is complete are served from the store; the rest
+ * are re-measured against fresh bars.
+ * @param {string} symbol - Ticker
+ * @returns {Promise<{ symbol: string, reports: Array, stats: Object,
+ *   source: string|null }>} Reports newest first
+ */
+async function getEarningsHistory(symbol) {
+  const key = symbol.toUpperCase();
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    return cached.data;
+  }
+
+  const to = toDateString(new Date());
+  const { data, provider } = await fetchReports(key, to);
+
+  const stored = storedReports(key);
+  const complete = new Set(stored.filter(isComplete).map((r) => r.date));
+  const fetched = (data || [])
+    .map(withSurprise)
+    .filter((report) => report.reported && report.date <= to);
+  const fetchedDates = new Set(fetched.map((report) => report.date));
+
+  // Reports still inside their reaction window, including stored ones the
+  // provider no longer returns
+  const pending = [
+    ...fetched.filter((report) => !complete.has(report.date)),
+    ...stored.filter(
+      (report) => !isComplete(report) && !fetchedDates.has(report.date)
+    ),
+  ];
+
+  const analyzed = await analyzeReports(key, pending);
+  const reports = recordReports(key, analyzed).slice().reverse();
+
+  const result = {
+    symbol: key,
+    reports,
+    stats: summarizeHistory(reports),
+    source: provider,
+  };
+  cache.set(key, { data: result, timestamp: Date.now() });
+  return result;
+}
+
+// Trading sessions completed after a date, not counting today's
+function sessionsAfter(date) {
+  const today = toDateString(new Date());
+  let sessions = 0;
+  for (
+    let time = Date.parse(date) + DAY_MS;
+    toDateString(time) < today;
+    time += DAY_MS
+  ) {
+    if (economicSchedule.isTradingDay(toDateString(time))) sessions++;
+  }
+  return sessions;
+}
+
+/**
+ * The symbol's latest report if it is recent enough to drive the NISS
+ * earnings component (see NISSCalculationEngine.calculateEarningsScore)
+ * @param {string} symbol - Ticker
+ * @returns {Promise<Object|null>} { date, time, epsSurprise, revenueSurprise,
+ *   sessionsSince, reaction1, returnToDate }
+ */
+async function getEarningsSignal(symbol) {
+  const { reports } = await getEarningsHistory(symbol);
+  const latest = reports[0];
+  if (!latest || latest.epsSurprise === null) return null;
+
+  // Reported but not yet traded on: a session-zero signal. Complete
+  // reactions are stored and never re-measured, so the age comes from the
+  // calendar too
+  const sessionsSince = Math.max(
+    latest.reaction?.sessionsSince ?? 0,
+    sessionsAfter(latest.reaction?.baseDate ?? latest.date)
+  );
+  if (sessionsSince > SIGNAL_SESSIONS) return null;
+
+  return {
+    date: latest.date,
+    time: latest.time,
+    epsSurprise: latest.epsSurprise,
+    revenueSurprise: latest.revenueSurprise,
+    sessionsSince,
+    reaction1: latest.reaction?.day1 ?? null,
+    returnToDate: latest.reaction?.returnToDate ?? null,
+  };
+}
+
+/**
+ * Post-earnings drift: names that reported recently, largest surprises first,
+ * with how far the price has moved since the report and whether it is
+ * following the surprise
+ * @param {Object} [options]
+ * @param {number} [options.days=30] - Calendar days to look back
+ * @param {number} [options.limit=25] - Reports to measure
+ * @param {Array<string>} [options.symbols] - Restrict to these tickers
+ * @returns {Promise<{ from: string, to: string, reports: Array, summary: Object }>}
+ */
+async function getDriftView({ days = 30, limit = 25, symbols = null } = {}) {
+  const to = toDateString(new Date());
+  const from = toDateString(Date.now() - days * DAY_MS);
+  const { data } = await providers.request("earnings", from, to);
+
+  const wanted = symbols && new Set(symbols.map((s) => s.toUpperCase()));
+  const candidates = (data || [])
+    .map(withSurprise)
+    .filter(
+      (report) =>
+        report.reported &&
+        report.epsSurprise !== null &&
+        report.date <= to &&
+        (!wanted || wanted.has(report.symbol))
+    )
+    .sort((a, b) => Math.abs(b.epsSurprise) - Math.abs(a.epsSurprise))
+    .slice(0, limit);
+
+  const reports = [];
+  for (let i = 0; i < candidates.length; i += BATCH_CONCURRENCY) {
+    const batch = candidates.slice(i, i + BATCH_CONCURRENCY);
+    const analyzed = await Promise.all(
+      batch.map(async (report) => {
+        const [record] = await analyzeReports(report.symbol, [report]);
+        recordReports(report.symbol, [record]);
+        return {
+          symbol: report.symbol,
+          companyName: report.companyName,
+          ...record,
+          expectedDrift: report.epsSurprise > 0 ? "UP" : "DOWN",
+          // null until there is a move after the first session to judge
+          following:
+            record.reaction?.driftToDate === null ||
+            record.reaction?.driftToDate === undefined
+              ? null
+              : Math.sign(record.reaction.driftToDate) ===
+                Math.sign(report.epsSurprise),
+        };
+      })
+    );
+    reports.push(...analyzed);
+  }
+
+  const judged = reports.filter((report) => report.following !== null);
+  return {
+    from,
+    to,
+    reports,
+    summary: {
+      reports: reports.length,
+      beats: reports.filter((report) => report.epsSurprise > 0).length,
+      misses: reports.filter((report) => report.epsSurprise < 0).length,
+      following: judged.filter((report) => report.following).length,
+      judged: judged.length,
+      avgDriftAfterBeat: average(
+        reports
+          .filter((report) => report.epsSurprise > 0)
+          .map((report) => report.reaction?.driftToDate)
+      ),
+      avgDriftAfterMiss: average(
+        reports
+          .filter((report) => report.epsSurprise < 0)
+          .map((report) => report.reaction?.driftToDate)
+      ),
+    },
+  };
+}
+
+// ============================================
+// UPCOMING REPORTS
+// ============================================
+
+// symbol -> earliest unreported entry on the calendar, one request for all
+async function fetchUpcoming() {
+  const from = toDateString(new Date());
+  const to = toDateString(Date.now() + UPCOMING_DAYS * DAY_MS);
+  const { data } = await providers.request("earnings", from, to);
+
+  const bySymbol = new Map();
+  (data || [])
+    .filter(
+      (earning) => !withSurprise(earning).reported && earning.date >= from
+    )
+    .forEach((earning) => {
+      const current = bySymbol.get(earning.symbol);
+      if (!current || earning.date < current.date) {
+        bySymbol.set(earning.symbol, {
+          date: earning.date,
+          time: earning.time,
+        });
+      }
+    });
+  return bySymbol;
+}
+
+/**
+ * A symbol's next scheduled earnings report
+ * @param {string} symbol - Ticker
+ * @returns {Promise<Object|null>} { date, time, daysUntil } - time is the
+ *   session ("Before Market", "After Market"); null when the calendar has no
+ *   report within UPCOMING_DAYS
+ */
+async function getNextEarnings(symbol) {
+  if (!upcoming || Date.now() - upcoming.timestamp >= CACHE_TTL) {
+    upcoming = { timestamp: Date.now(), pending: fetchUpcoming() };
+    // A failed lookup is retried on the next call, not cached for an hour
+    upcoming.pending.catch(() => (upcoming = null));
+  }
+
+  const report = (await upcoming.pending).get(symbol.toUpperCase());
+  if (!report) return null;
+
+  const today = Date.parse(toDateString(new Date()));
+  return {
+    ...report,
+    daysUntil: Math.round((Date.parse(report.date) - today) / DAY_MS),
+  };
+}
+
+module.exports = {
+  REACTION_SESSIONS,
+  surprisePercent,
+  withSurprise,
+  priceReaction,
+  summarizeHistory,
+  getEarningsHistory,
+  getEarningsSignal,
+  getDriftView,
+  getNextEarnings,
+};
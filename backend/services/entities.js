@@ -0,0 +1,211 @@
+// backend/services/entities.js - News entity resolution
+// Maps company names, aliases, cashtags and tickers in article text to
+// symbols from the local symbol master (backend/data/symbols.json) and
+// scores how central each symbol is to the article
+
+const path = require("path");
+
+const master = require(path.join(__dirname, "..", "data", "symbols.json"));
+
+const HEADLINE_WEIGHT = 3;
+const BODY_WEIGHT = 1;
+const LEAD_BONUS = 1; // First company named in the headline
+const RELATED_WEIGHT = 1; // Provider tagged the article with the symbol
+const MAX_MENTIONS = 3; // Per section, so repetition can't dominate
+
+const CASHTAG = /\$([A-Z]{1,5}(?:\.[A-Z])?)\b/g;
+const EXCHANGE_TICKER =
+  /\b(?:NYSE|NASDAQ|Nasdaq|NYSE American|AMEX|OTC)\s*:\s*([A-Z]{1,5}(?:\.[A-Z])?)\b/g;
+const BARE_TICKER = /\b[A-Z][A-Z0-9]{0,7}(?:\.[A-Z])?\b/g;
+
+// Above this share of uppercase letters the text is shouting, not naming
+// tickers: bare uppercase words are ignored and names match in any case
+const MAX_UPPERCASE_RATIO = 0.6;
+
+// A symbol needs more than a provider tag to reach full salience
+const MIN_SALIENCE_BASE = HEADLINE_WEIGHT;
+
+const bySymbol = new Map(master.symbols.map((entry) => [entry.symbol, entry]));
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Names and aliases, longest first so "Bank of America" is claimed before
+// anything shorter inside it
+const NAME_PATTERNS = master.symbols
+  .flatMap((entry) =>
+    [...new Set([entry.name, ...entry.aliases])].map((alias) => {
+      const source = `(?<![\\w$])${escapeRegExp(alias)}(?![\\w-])`;
+      return {
+        symbol: entry.symbol,
+        alias,
+        pattern: new RegExp(source, "g"),
+        shoutPattern: new RegExp(source, "gi"),
+      };
+    })
+  )
+  .sort((a, b) => b.alias.length - a.alias.length);
+
+// ============================================
+// MENTIONS
+// ============================================
+
+// Blank out a match so later patterns can't claim the same characters
+const mask = (text, index, length) =>
+  text.slice(0, index) + " ".repeat(length) + text.slice(index + length);
+
+function collectMatches(text, pattern, toSymbol, mentions) {
+  let masked = text;
+  for (const match of text.matchAll(pattern)) {
+    const symbol = toSymbol(match);
+    if (!symbol) continue;
+    mentions.push({ symbol, index: match.index });
+    masked = mask(masked, match.index, match[0].length);
+  }
+  return masked;
+}
+
+const uppercaseRatio = (text) => {
+  const letters = text.replace(/[^A-Za-z]/g, "");
+  return letters.length
+    ? letters.replace(/[^A-Z]/g, "").length / letters.length
+    : 0;
+};
+
+/**
+ * Symbols mentioned in a piece of text, in order of appearance
+ * @param {string} text - Headline or body
+ * @param {Set<string>} context - Extra tickers accepted as bare words
+ * @returns {Array<{ symbol: string, index: number }>}
+ */
+function findMentions(text, context) {
+  if (!text) return [];
+
+  const mentions = [];
+  const shouting = uppercaseRatio(text) > MAX_UPPERCASE_RATIO;
+  let remaining = text;
+
+  NAME_PATTERNS.forEach(({ symbol, pattern, shoutPattern }) => {
+    remaining = collectMatches(
+      remaining,
+      shouting ? shoutPattern : pattern,
+      () => symbol,
+      mentions
+    );
+  });
+
+  // Cashtags and exchange-qualified tickers are unambiguous
+  const explicit = (match) =>
+    bySymbol.has(match[1]) || context.has(match[1]) ? match[1] : null;
+  remaining = collectMatches(remaining, CASHTAG, explicit, mentions);
+  remaining = collectMatches(remaining, EXCHANGE_TICKER, explicit, mentions);
+
+  // Bare uppercase words only for known tickers that aren't common words
+  if (!shouting) {
+    collectMatches(
+      remaining,
+      BARE_TICKER,
+      ([word]) => {
+        const entry = bySymbol.get(word);
+        if (entry) return entry.ambiguousTicker ? null : word;
+        return context.has(word) ? word : null;
+      },
+      mentions
+    );
+  }
+
+  return mentions.sort((a, b) => a.index - b.index);
+}
+
+const relatedSymbols = (related) =>
+  String(related || "")
+    .toUpperCase()
+    .split(/[\s,]+/)
+    .filter(Boolean);
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Every symbol an article mentions, with its salience: 1 for the symbol the
+ * article is most about, proportionally less for passing mentions and for
+ * symbols only the provider tagged
+ * @param {Object} article - Article with headline, summary and optional related
+ * @param {Array<string>} [context] - Tickers outside the symbol master to
+ *   accept as bare words (usually the symbol the news was fetched for)
+ * @returns {Array<{ symbol: string, name: string|null, salience: number,
+ *   mentions: { headline: number, body: number }, related: boolean }>}
+ *   Highest salience first
+ */
+function extractEntities(article, context = []) {
+  const related = relatedSymbols(article.related);
+  const known = new Set([
+    ...context.map((symbol) => symbol.toUpperCase()),
+    ...related,
+  ]);
+
+  const headlineMentions = findMentions(article.headline, known);
+  const bodyMentions = findMentions(article.summary, known);
+
+  const entities = new Map();
+  const entityFor = (symbol) => {
+    if (!entities.has(symbol)) {
+      entities.set(symbol, {
+        symbol,
+        name: bySymbol.get(symbol)?.name || null,
+        mentions: { headline: 0, body: 0 },
+        related: false,
+        weight: 0,
+      });
+    }
+    return entities.get(symbol);
+  };
+
+  headlineMentions.forEach(
+    ({ symbol }) => entityFor(symbol).mentions.headline++
+  );
+  bodyMentions.forEach(({ symbol }) => entityFor(symbol).mentions.body++);
+  related.forEach((symbol) => (entityFor(symbol).related = true));
+
+  entities.forEach((entity) => {
+    entity.weight =
+      Math.min(entity.mentions.headline, MAX_MENTIONS) * HEADLINE_WEIGHT +
+      Math.min(entity.mentions.body, MAX_MENTIONS) * BODY_WEIGHT +
+      (entity.related ? RELATED_WEIGHT : 0) +
+      (headlineMentions[0]?.symbol === entity.symbol ? LEAD_BONUS : 0);
+  });
+
+  const maxWeight = Math.max(
+    MIN_SALIENCE_BASE,
+    ...[...entities.values()].map((entity) => entity.weight)
+  );
+
+  return [...entities.values()]
+    .map(({ weight, ...entity }) => ({
+      ...entity,
+      salience: Math.round((weight / maxWeight) * 100) / 100,
+    }))
+    .sort((a, b) => b.salience - a.salience);
+}
+
+/**
+ * Symbol master entry for a ticker, company name or alias
+ * @param {string} query - "AAPL", "Apple" or "Apple Inc."
+ * @returns {Object|null} { symbol, name, aliases }
+ */
+function resolveSymbol(query) {
+  if (!query) return null;
+
+  const upper = query.trim().toUpperCase();
+  if (bySymbol.has(upper)) return bySymbol.get(upper);
+
+  const match = NAME_PATTERNS.find(
+    ({ alias }) => alias.toUpperCase() === upper
+  );
+  return match ? bySymbol.get(match.symbol) : null;
+}
+
+module.exports = {
+  extractEntities,
+  resolveSymbol,
+};
@@ -0,0 +1,223 @@
+// backend/services/indicators.js - Technical indicator math
+// Pure functions over ascending daily bars ({ date, open, high, low, close, volume })
+
+const closesOf = (bars) => bars.map((bar) => bar.close);
+
+const round = (value, decimals = 2) =>
+  value === null || !isFinite(value)
+    ? null
+    : Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// ============================================
+// MOVING AVERAGES
+// ============================================
+
+function sma(values, period) {
+  if (values.length < period) return null;
+  const window = values.slice(-period);
+  return window.reduce((sum, value) => sum + value, 0) / period;
+}
+
+// Full EMA series seeded with the SMA of the first `period` values
+function emaSeries(values, period) {
+  if (values.length < period) return [];
+
+  const k = 2 / (period + 1);
+  const series = [sma(values.slice(0, period), period)];
+
+  for (let i = period; i < values.length; i++) {
+    series.push(values[i] * k + series[series.length - 1] * (1 - k));
+  }
+
+  return series;
+}
+
+function ema(values, period) {
+  const series = emaSeries(values, period);
+  return series.length > 0 ? series[series.length - 1] : null;
+}
+
+// ============================================
+// MOMENTUM
+// ============================================
+
+/**
+ * Wilder RSI
+ * @param {Array<number>} closes - Closing prices, oldest first
+ * @param {number} period - Lookback (default 14)
+ */
+function rsi(closes, period = 14) {
+  if (closes.length <= period) return null;
+
+  let avgGain = 0;
+  let avgLoss = 0;
+
+  for (let i = 1; i <= period; i++) {
+    const change = closes[i] - closes[i - 1];
+    if (change > 0) avgGain += change;
+    else avgLoss -= change;
+  }
+  avgGain /= period;
+  avgLoss /= period;
+
+  for (let i = period + 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+  }
+
+  if (avgLoss === 0) return 100;
+  return 100 - 100 / (1 + avgGain / avgLoss);
+}
+
+function macd(closes, fast = 12, slow = 26, signalPeriod = 9) {
+  if (closes.length < slow + signalPeriod) return null;
+
+  const fastSeries = emaSeries(closes, fast);
+  const slowSeries = emaSeries(closes, slow);
+
+  // Align the fast EMA with the (shorter) slow EMA series
+  const offset = fastSeries.length - slowSeries.length;
+  const macdLine = slowSeries.map((value, i) => fastSeries[i + offset] - value);
+  const signalLine = emaSeries(macdLine, signalPeriod);
+
+  const value = macdLine[macdLine.length - 1];
+  const signal = signalLine[signalLine.length - 1];
+
+  return { macd: value, signal, histogram: value - signal };
+}
+
+// ============================================
+// VOLATILITY & TREND STRENGTH
+// ============================================
+
+const trueRange = (bar, prevBar) =>
+  Math.max(
+    bar.high - bar.low,
+    Math.abs(bar.high - prevBar.close),
+    Math.abs(bar.low - prevBar.close)
+  );
+
+// Wilder smoothing of a raw series, returning the full smoothed series
+function wilderSeries(values, period) {
+  if (values.length < period) return [];
+
+  const series = [values.slice(0, period).reduce((a, b) => a + b, 0) / period];
+  for (let i = period; i < values.length; i++) {
+    series.push(
+      (series[series.length - 1] * (period - 1) + values[i]) / period
+    );
+  }
+
+  return series;
+}
+
+function atr(bars, period = 14) {
+  if (bars.length <= period) return null;
+
+  const ranges = bars.slice(1).map((bar, i) => trueRange(bar, bars[i]));
+  const series = wilderSeries(ranges, period);
+  return series[series.length - 1];
+}
+
+/**
+ * Wilder ADX with +DI / -DI
+ * @param {Array} bars - Daily bars, oldest first
+ * @param {number} period - Lookback (default 14)
+ */
+function adx(bars, period = 14) {
+  if (bars.length < period * 2 + 1) return null;
+
+  const plusDM = [];
+  const minusDM = [];
+  const ranges = [];
+
+  for (let i = 1; i < bars.length; i++) {
+    const upMove = bars[i].high - bars[i - 1].high;
+    const downMove = bars[i - 1].low - bars[i].low;
+    plusDM.push(upMove > downMove && upMove > 0 ? upMove : 0);
+    minusDM.push(downMove > upMove && downMove > 0 ? downMove : 0);
+    ranges.push(trueRange(bars[i], bars[i - 1]));
+  }
+
+  const smoothedTR = wilderSeries(ranges, period);
+  const smoothedPlus = wilderSeries(plusDM, period);
+  const smoothedMinus = wilderSeries(minusDM, period);
+
+  const dx = smoothedTR.map((tr, i) => {
+    const plusDI = tr > 0 ? (smoothedPlus[i] / tr) * 100 : 0;
+    const minusDI = tr > 0 ? (smoothedMinus[i] / tr) * 100 : 0;
+    const sum = plusDI + minusDI;
+    return {
+      plusDI,
+      minusDI,
+      dx: sum > 0 ? (Math.abs(plusDI - minusDI) / sum) * 100 : 0,
+    };
+  });
+
+  const adxSeries = wilderSeries(
+    dx.map((d) => d.dx),
+    period
+  );
+  const latest = dx[dx.length - 1];
+
+  return {
+    adx: adxSeries[adxSeries.length - 1],
+    plusDI: latest.plusDI,
+    minusDI: latest.minusDI,
+  };
+}
+
+function bollinger(closes, period = 20, multiplier = 2) {
+  const middle = sma(closes, period);
+  if (middle === null) return null;
+
+  const window = closes.slice(-period);
+  const variance =
+    window.reduce((sum, value) => sum + (value - middle) ** 2, 0) / period;
+  const deviation = Math.sqrt(variance);
+
+  return {
+    upper: middle + deviation * multiplier,
+    middle,
+    lower: middle - deviation * multiplier,
+  };
+}
+
+// ============================================
+// RANGE & VOLUME
+// ============================================
+
+// 52-week (252 trading day) high/low over whatever history is available
+function yearRange(bars, lookback = 252) {
+  if (bars.length === 0) return null;
+
+  const window = bars.slice(-lookback);
+  return {
+    high: Math.max(...window.map((bar) => bar.high)),
+    low: Math.min(...window.map((bar) => bar.low)),
+  };
+}
+
+function averageVolume(bars, period = 20) {
+  if (bars.length === 0) return null;
+  return sma(
+    bars.map((bar) => bar.volume || 0),
+    Math.min(period, bars.length)
+  );
+}
+
+module.exports = {
+  closesOf,
+  round,
+  sma,
+  ema,
+  emaSeries,
+  rsi,
+  macd,
+  atr,
+  adx,
+  bollinger,
+  yearRange,
+  averageVolume,
+};
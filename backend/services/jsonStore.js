@@ -0,0 +1,65 @@
+// backend/services/jsonStore.js - File-backed JSON persistence
+// Small local store for journals, lists and history that must survive restarts
+
+const fs = require("fs");
+const path = require("path");
+
+const STORAGE_DIR =
+  process.env.STORAGE_DIR || path.join(__dirname, "..", "storage");
+
+/**
+ * Create a JSON document store persisted at STORAGE_DIR/<name>.json
+ * @param {string} name - Store name (file name without extension)
+ * @param {*} defaultValue - Value returned when the file does not exist yet
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Directory other than STORAGE_DIR
+ * @returns {{ read: Function, write: Function, update: Function, filePath: string }}
+ */
+function createJsonStore(name, defaultValue, { dir = STORAGE_DIR } = {}) {
+  const filePath = path.join(dir, `${name}.json`);
+  let cached = null;
+
+  const clone = (value) => JSON.parse(JSON.stringify(value));
+
+  const read = () => {
+    if (cached !== null) return cached;
+
+    try {
+      if (fs.existsSync(filePath)) {
+        cached = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        return cached;
+      }
+    } catch (error) {
+      console.error(`❌ Could not read store ${name}:`, error.message);
+    }
+
+    cached = clone(defaultValue);
+    return cached;
+  };
+
+  const write = (value) => {
+    cached = value;
+
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      // Write to a temp file first so a crash never leaves half a document
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(value, null, 2));
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      console.error(`❌ Could not write store ${name}:`, error.message);
+    }
+
+    return value;
+  };
+
+  const update = (mutator) => {
+    const current = read();
+    const next = mutator(current);
+    return write(next === undefined ? current : next);
+  };
+
+  return { read, write, update, filePath };
+}
+
+module.exports = { createJsonStore, STORAGE_DIR };
@@ -0,0 +1,439 @@
+// backend/services/macroEvents.js - Macro release surprises and reactions
+// Actual vs forecast for every scheduled US release, SPY and sector ETF
+// moves around each print, and a rolling economic surprise index. History is
+// persisted so reactions keep filling in as sessions pass; it feeds the
+// economic calendar's "last N prints" stats and /api/macro.
+
+const providers = require("./providers");
+const { createJsonStore } = require("./jsonStore");
+const { fetchDailyBars, toDateString } = require("./marketData");
+const { priceReaction } = require("./earnings");
+const economicSchedule = require("../../src/utils/EconomicSchedule");
+
+const MARKET_SYMBOL = "SPY";
+const SECTOR_ETFS = {
+  XLK: "Technology",
+  XLF: "Financial Services",
+  XLV: "Healthcare",
+  XLE: "Energy",
+  XLRE: "Real Estate",
+  XLY: "Consumer Cyclical",
+  XLI: "Industrials",
+  XLC: "Communication Services",
+  XLP: "Consumer Defensive",
+  XLU: "Utilities",
+  XLB: "Basic Materials",
+};
+
+const BACKFILL_DAYS = 400; // First run: a year of prints for every release
+const REFRESH_DAYS = 30; // Later runs: recent prints and revisions
+const MAX_PRINTS = 60; // Per release in the store
+const CACHE_TTL = 60 * 60 * 1000;
+const RETRY_TTL = 5 * 60 * 1000; // After a failed refresh
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Surprise index: impact-weighted, exponentially decayed mean of
+// standardized surprises, scaled to roughly -100..100
+const INDEX_WINDOW_DAYS = 90;
+const INDEX_HALF_LIFE_DAYS = 30;
+const INDEX_WEIGHTS = { HIGH: 1, MEDIUM: 0.5, LOW: 0.25 };
+const MIN_SURPRISES = 4; // Prints needed before a release's surprises scale
+const MAX_Z = 3;
+
+const historyStore = createJsonStore("macro-events", { releases: {} });
+let nextRefresh = 0;
+let refreshing = null;
+
+const round = (value, places = 2) =>
+  value === null || value === undefined || !Number.isFinite(value)
+    ? null
+    : Math.round(value * 10 ** places) / 10 ** places;
+
+const present = (value) => value !== null && value !== undefined;
+
+const average = (values) => {
+  const known = values.filter(present);
+  return known.length
+    ? round(known.reduce((sum, value) => sum + value, 0) / known.length)
+    : null;
+};
+
+// ============================================
+// RECORDING
+// ============================================
+
+// Provider event -> stored print, when it is a scheduled release that has
+// come out
+function toPrint(event, today) {
+  const release = economicSchedule.matchRelease(event.event);
+  if (!release || !present(event.actual) || !event.date) return null;
+  if (event.date > today || (event.country && event.country !== "US")) {
+    return null;
+  }
+
+  const forecast = present(event.estimate) ? event.estimate : null;
+  return {
+    id: `${release.id}-${event.date}`,
+    releaseId: release.id,
+    event: release.event,
+    date: event.date,
+    time: release.time,
+    impact: release.impact,
+    unit: release.unit,
+    actual: event.actual,
+    forecast,
+    previous: present(event.previous) ? event.previous : null,
+    surprise: forecast === null ? null : round(event.actual - forecast, 4),
+    source: event.source,
+    reaction: null,
+  };
+}
+
+const isComplete = (print) => present(print.reaction?.market?.day5);
+
+// Market and sector moves for a print, from bars fetched once per refresh.
+// Releases come out before or during the session, so day1 is the release
+// day's close against the prior close
+function measureReaction(print, barsBySymbol) {
+  const report = { date: print.date, time: print.time };
+  const market = priceReaction(report, barsBySymbol[MARKET_SYMBOL] || []);
+  if (!market) return null;
+
+  return {
+    market: { day1: market.day1, day5: market.day5 },
+    sectors: Object.fromEntries(
+      Object.keys(SECTOR_ETFS).map((etf) => [
+        etf,
+        priceReaction(report, barsBySymbol[etf] || [])?.day1 ?? null,
+      ])
+    ),
+  };
+}
+
+async function fetchReactionBars(from) {
+  const symbols = [MARKET_SYMBOL, ...Object.keys(SECTOR_ETFS)];
+  const results = await Promise.all(
+    symbols.map((symbol) => fetchDailyBars(symbol, from))
+  );
+  return Object.fromEntries(
+    symbols.map((symbol, i) => [symbol, results[i].bars])
+  );
+}
+
+// Pull recent prints, measure reactions still pending and persist them
+async function refreshHistory() {
+  const stored = historyStore.read().releases;
+  const known = new Map(
+    Object.values(stored)
+      .flat()
+      .map((print) => [print.id, print])
+  );
+
+  const today = toDateString(new Date());
+  const from = toDateString(
+    Date.now() - (known.size ? REFRESH_DAYS : BACKFILL_DAYS) * DAY_MS
+  );
+
+  let events = [];
+  try {
+    ({ data: events } = await providers.request("economicEvents", from, today));
+  } catch (error) {
+    console.warn("⚠️ Economic events unavailable:", error.message);
+  }
+
+  (events || []).forEach((event) => {
+    const print = toPrint(event, today);
+    if (!print) return;
+    // Keep a measured reaction unless the numbers were revised
+    const existing = known.get(print.id);
+    known.set(
+      print.id,
+      existing && existing.actual === print.actual
+        ? { ...print, reaction: existing.reaction }
+        : print
+    );
+  });
+
+  const pending = [...known.values()].filter((print) => !isComplete(print));
+  if (pending.length === 0) return;
+
+  const earliest = pending.reduce(
+    (min, print) => (print.date < min ? print.date : min),
+    pending[0].date
+  );
+  // A week of slack so the pre-release close is always included
+  const barsBySymbol = await fetchReactionBars(
+    new Date(Date.parse(earliest) - 7 * DAY_MS)
+  );
+  pending.forEach((print) => {
+    known.set(print.id, {
+      ...print,
+      reaction: measureReaction(print, barsBySymbol),
+    });
+  });
+
+  const byRelease = {};
+  known.forEach((print) => {
+    (byRelease[print.releaseId] = byRelease[print.releaseId] || []).push(print);
+  });
+  historyStore.update((store) => {
+    Object.entries(byRelease).forEach(([releaseId, prints]) => {
+      store.releases[releaseId] = prints
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .slice(-MAX_PRINTS);
+    });
+  });
+  console.log(
+    `📊 Recorded ${pending.length} macro prints (${known.size} stored)`
+  );
+}
+
+// At most one refresh an hour, shared by concurrent callers. A failed
+// refresh is retried after RETRY_TTL; until then the stored history serves.
+async function ensureHistory() {
+  if (Date.now() < nextRefresh) return;
+  if (!refreshing) {
+    refreshing = refreshHistory()
+      .then(() => (nextRefresh = Date.now() + CACHE_TTL))
+      .catch((error) => {
+        nextRefresh = Date.now() + RETRY_TTL;
+        throw error;
+      })
+      .finally(() => (refreshing = null));
+  }
+  await refreshing;
+}
+
+const printsFor = (releaseId) => historyStore.read().releases[releaseId] || [];
+
+// ============================================
+// REACTION STATISTICS
+// ============================================
+
+/**
+ * How the market moved on a release's last prints
+ * @param {Array} prints - Stored prints, oldest first
+ * @param {number} count - Prints to average
+ * @returns {Object} { count, avgMove, avgAbsMove, upDays, afterBeat,
+ *   afterMiss, sectors, mostSensitive } - SPY and sector moves in % on the
+ *   release day
+ */
+function summarizeReactions(prints, count) {
+  const measured = prints
+    .filter((print) => present(print.reaction?.market?.day1))
+    .slice(-count);
+  const moves = measured.map((print) => print.reaction.market.day1);
+
+  const sectors = Object.fromEntries(
+    Object.keys(SECTOR_ETFS).map((etf) => [
+      etf,
+      average(
+        measured.map((print) => {
+          const move = print.reaction.sectors?.[etf];
+          return present(move) ? Math.abs(move) : null;
+        })
+      ),
+    ])
+  );
+  const [mostSensitive] = Object.entries(sectors)
+    .filter(([, move]) => move !== null)
+    .sort((a, b) => b[1] - a[1]);
+
+  return {
+    count: measured.length,
+    avgMove: average(moves),
+    avgAbsMove: average(moves.map(Math.abs)),
+    upDays: moves.filter((move) => move > 0).length,
+    afterBeat: average(
+      measured
+        .filter((print) => print.surprise > 0)
+        .map((print) => print.reaction.market.day1)
+    ),
+    afterMiss: average(
+      measured
+        .filter((print) => print.surprise < 0)
+        .map((print) => print.reaction.market.day1)
+    ),
+    sectors,
+    mostSensitive: mostSensitive
+      ? {
+          etf: mostSensitive[0],
+          sector: SECTOR_ETFS[mostSensitive[0]],
+          avgAbsMove: mostSensitive[1],
+        }
+      : null,
+  };
+}
+
+// ============================================
+// SURPRISE INDEX
+// ============================================
+
+// Surprise in standard deviations of the release's own surprises, signed so
+// that positive means a stronger economy or hotter prices than forecast
+function standardizedSurprises(releases) {
+  const scored = [];
+  Object.entries(releases).forEach(([releaseId, prints]) => {
+    const direction = economicSchedule.getRelease(releaseId)?.direction;
+    const surprises = prints.filter((print) => present(print.surprise));
+    if (!direction || surprises.length < MIN_SURPRISES) return;
+
+    const deviation = Math.sqrt(
+      surprises.reduce((sum, print) => sum + print.surprise ** 2, 0) /
+        surprises.length
+    );
+    if (deviation === 0) return;
+
+    surprises.forEach((print) =>
+      scored.push({
+        id: print.id,
+        releaseId,
+        event: print.event,
+        date: print.date,
+        impact: print.impact,
+        surprise: print.surprise,
+        zScore: round(
+          Math.max(
+            -MAX_Z,
+            Math.min(MAX_Z, (direction * print.surprise) / deviation)
+          )
+        ),
+      })
+    );
+  });
+  return scored;
+}
+
+function indexAt(scored, date) {
+  const time = Date.parse(date);
+  let weighted = 0;
+  let weights = 0;
+  const contributions = [];
+
+  scored.forEach((print) => {
+    const age = (time - Date.parse(print.date)) / DAY_MS;
+    if (age < 0 || age >= INDEX_WINDOW_DAYS) return;
+
+    const weight =
+      (INDEX_WEIGHTS[print.impact] || INDEX_WEIGHTS.LOW) *
+      0.5 ** (age / INDEX_HALF_LIFE_DAYS);
+    weighted += weight * print.zScore;
+    weights += weight;
+    contributions.push({ ...print, weight: round(weight, 3) });
+  });
+
+  return {
+    value: weights ? round((100 * weighted) / weights, 1) : null,
+    prints: contributions.length,
+    contributions,
+  };
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Rolling economic surprise index: positive when releases have been coming
+ * in stronger (or hotter) than forecast
+ * @param {Object} [options]
+ * @param {number} [options.days=180] - Days of weekly history to return
+ * @returns {Promise<{ value: number|null, asOf: string, prints: number,
+ *   drivers: Array, history: Array<{ date: string, value: number|null }> }>}
+ */
+async function getSurpriseIndex({ days = 180 } = {}) {
+  await ensureHistory();
+
+  const scored = standardizedSurprises(historyStore.read().releases);
+  const asOf = toDateString(new Date());
+  const current = indexAt(scored, asOf);
+
+  const history = [];
+  for (let offset = days; offset >= 0; offset -= 7) {
+    const date = toDateString(Date.now() - offset * DAY_MS);
+    history.push({ date, value: indexAt(scored, date).value });
+  }
+
+  return {
+    value: current.value,
+    asOf,
+    prints: current.prints,
+    windowDays: INDEX_WINDOW_DAYS,
+    halfLifeDays: INDEX_HALF_LIFE_DAYS,
+    // Biggest contributors to the current reading
+    drivers: current.contributions
+      .sort(
+        (a, b) => Math.abs(b.zScore * b.weight) - Math.abs(a.zScore * a.weight)
+      )
+      .slice(0, 5),
+    history,
+  };
+}
+
+/**
+ * A release's recent prints with actual vs forecast and market reactions
+ * @param {string} releaseId - Release id from the economic schedule
+ * @param {number} [count=8] - Prints to return and average
+ * @returns {Promise<Object|null>} { releaseId, event, prints (newest first),
+ *   stats }, null for an unknown release
+ */
+async function getReleaseReactions(releaseId, count = 8) {
+  const release = economicSchedule.getRelease(releaseId);
+  if (!release) return null;
+
+  await ensureHistory();
+  const prints = printsFor(releaseId);
+
+  return {
+    releaseId,
+    event: release.event,
+    impact: release.impact,
+    unit: release.unit,
+    prints: prints.slice(-count).reverse(),
+    stats: summarizeReactions(prints, count),
+  };
+}
+
+/**
+ * Attach each scheduled event's past-reaction summary, in place
+ * @param {Array} calendarData - Days from EconomicSchedule.buildCalendar
+ * @param {number} [count=8] - Prints to average
+ * @returns {Promise<Array>} The same days
+ */
+async function annotateCalendar(calendarData, count = 8) {
+  await ensureHistory();
+
+  const statsByRelease = new Map();
+  calendarData.forEach((day) =>
+    day.events.forEach((event) => {
+      if (!event.releaseId) return;
+      if (!statsByRelease.has(event.releaseId)) {
+        statsByRelease.set(
+          event.releaseId,
+          summarizeReactions(printsFor(event.releaseId), count)
+        );
+      }
+      const stats = statsByRelease.get(event.releaseId);
+      if (stats.count > 0) {
+        event.reaction = {
+          count: stats.count,
+          avgMove: stats.avgMove,
+          avgAbsMove: stats.avgAbsMove,
+          mostSensitive: stats.mostSensitive,
+        };
+      }
+    })
+  );
+  return calendarData;
+}
+
+module.exports = {
+  MARKET_SYMBOL,
+  SECTOR_ETFS,
+  summarizeReactions,
+  standardizedSurprises,
+  indexAt,
+  getSurpriseIndex,
+  getReleaseReactions,
+  annotateCalendar,
+};
@@ -0,0 +1,111 @@
+// backend/services/macroEvents.test.js - Surprise index and reaction math
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  summarizeReactions,
+  standardizedSurprises,
+  indexAt,
+} = require("./macroEvents");
+
+const prints = (releaseId, impact, surprises) =>
+  surprises.map((surprise, i) => ({
+    id: `${releaseId}-${i}`,
+    releaseId,
+    event: releaseId,
+    date: `2025-0${i + 1}-10`,
+    impact,
+    surprise,
+  }));
+
+const zScores = (releases) =>
+  Object.fromEntries(
+    standardizedSurprises(releases).map((print) => [print.id, print.zScore])
+  );
+
+test("surprises are scaled by the release's own deviation", () => {
+  const scores = zScores({ nfp: prints("nfp", "HIGH", [50, -50, 100, -100]) });
+
+  // RMS of the four surprises is sqrt(6250) = 79.06
+  assert.deepEqual(scores, {
+    "nfp-0": 0.63,
+    "nfp-1": -0.63,
+    "nfp-2": 1.26,
+    "nfp-3": -1.26,
+  });
+});
+
+test("a higher print counts as weaker where the release's direction is -1", () => {
+  const scores = zScores({
+    "unemployment-rate": prints(
+      "unemployment-rate",
+      "HIGH",
+      [0.1, 0.1, 0.1, 0.1]
+    ),
+  });
+
+  assert.equal(scores["unemployment-rate-0"], -1);
+});
+
+test("releases without a direction or with too few prints are left out", () => {
+  const scores = zScores({
+    fomc: prints("fomc", "HIGH", [0.25, -0.25, 0.25, -0.25]),
+    cpi: prints("cpi", "HIGH", [0.1, -0.1, 0.2]),
+  });
+
+  assert.deepEqual(scores, {});
+});
+
+test("standardized surprises are capped at three deviations", () => {
+  const surprises = [...new Array(15).fill(0), 10];
+  const scores = zScores({ ppi: prints("ppi", "MEDIUM", surprises) });
+
+  assert.equal(scores["ppi-15"], 3);
+});
+
+test("the index weights prints by impact and age", () => {
+  const scored = [
+    { date: "2025-06-30", impact: "HIGH", zScore: 1 },
+    { date: "2025-06-30", impact: "MEDIUM", zScore: -1 },
+    { date: "2025-05-31", impact: "HIGH", zScore: 2 },
+  ];
+  const index = indexAt(scored, "2025-06-30");
+
+  // Weights 1, 0.5 and 0.5 (one 30-day half-life): (1 - 0.5 + 1) / 2
+  assert.equal(index.value, 75);
+  assert.equal(index.prints, 3);
+});
+
+test("prints after the date or outside the window do not count", () => {
+  const scored = [
+    { date: "2025-07-01", impact: "HIGH", zScore: 1 },
+    { date: "2025-03-01", impact: "HIGH", zScore: 1 },
+  ];
+
+  assert.deepEqual(indexAt(scored, "2025-06-30"), {
+    value: null,
+    prints: 0,
+    contributions: [],
+  });
+});
+
+test("reaction stats split release-day moves by beat and miss", () => {
+  const reaction = (day1, XLK) => ({ market: { day1 }, sectors: { XLK } });
+  const stats = summarizeReactions(
+    [
+      { surprise: 0.2, reaction: reaction(1, 2) },
+      { surprise: -0.1, reaction: reaction(-0.5, -1) },
+      { surprise: 0.1, reaction: reaction(0.5, 0) },
+      { surprise: 0.3, reaction: null },
+    ],
+    8
+  );
+
+  assert.equal(stats.count, 3);
+  assert.equal(stats.avgMove, 0.33);
+  assert.equal(stats.avgAbsMove, 0.67);
+  assert.equal(stats.upDays, 2);
+  assert.equal(stats.afterBeat, 0.75);
+  assert.equal(stats.afterMiss, -0.5);
+  assert.equal(stats.mostSensitive.etf, "XLK");
+  assert.equal(stats.mostSensitive.avgAbsMove, 1);
+});
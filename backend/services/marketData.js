@@ -0,0 +1,70 @@
+// backend/services/marketData.js - Historical price data helpers
+// Batch quotes plus daily OHLCV bars through the provider failover chain
+
+const providers = require("./providers");
+const { toDateString } = require("./providers/dates");
+
+/**
+ * Get daily bars for a symbol with the provider that served them
+ * @param {string} symbol - Ticker symbol
+ * @param {string|Date} from - First date (inclusive)
+ * @param {string|Date} to - Last date (inclusive), defaults to today
+ * @returns {Promise<{ bars: Array, provider: string|null }>}
+ */
+async function fetchDailyBars(symbol, from, to = new Date()) {
+  try {
+    const result = await providers.request(
+      "bars",
+      symbol,
+      toDateString(from),
+      toDateString(to)
+    );
+    return { bars: result.data || [], provider: result.provider };
+  } catch (error) {
+    console.warn(`⚠️ Daily bars unavailable for ${symbol}:`, error.message);
+    return { bars: [], provider: null };
+  }
+}
+
+/**
+ * Get daily bars for a symbol, oldest first
+ * @param {string} symbol - Ticker symbol
+ * @param {string|Date} from - First date (inclusive)
+ * @param {string|Date} to - Last date (inclusive), defaults to today
+ * @returns {Promise<Array>} [{ date, open, high, low, close, volume }]
+ */
+async function getDailyBars(symbol, from, to = new Date()) {
+  const { bars } = await fetchDailyBars(symbol, from, to);
+  return bars;
+}
+
+// Batch quotes from the first provider in the quotes chain that answers
+const getBatchQuotes = async (symbols) => {
+  if (!symbols || symbols.length === 0) {
+    throw new Error("No symbols provided for batch quotes");
+  }
+
+  try {
+    const batch = symbols.slice(0, 20); // FMP limit: 20 symbols
+    const result = await providers.request("quotes", batch);
+    const quotes = result.data || [];
+    const timestamp = new Date().toISOString();
+
+    return {
+      success: true,
+      data: quotes.map((quote) => ({
+        ...quote,
+        source: result.provider,
+        timestamp,
+      })),
+      count: quotes.length,
+      source: result.provider,
+      attempts: result.attempts,
+    };
+  } catch (error) {
+    console.error("❌ Batch quotes error:", error.message);
+    throw error;
+  }
+};
+
+module.exports = { getBatchQuotes, getDailyBars, fetchDailyBars, toDateString };
@@ -0,0 +1,514 @@
+// backend/services/news.js - Company news aggregation
+// Headlines from the provider news chain tagged with every ticker they mention, scored for relevance, sentiment, impact and catalyst type and clustered into stories
+
+const providers = require("./providers");
+const entities = require("./entities");
+const catalysts = require("./catalysts");
+const storyClusters = require("./storyClusters");
+const financialSentiment = require("../../src/utils/FinancialSentiment");
+
+const RECENT_NEWS_TTL = 5 * 60 * 1000;
+const BATCH_CONCURRENCY = 5;
+
+// An article fetched for one symbol is also served to every other symbol it
+// is substantially about, for ROUTED_TTL
+const ROUTE_MIN_SALIENCE = 0.5;
+const ROUTED_TTL = 24 * 60 * 60 * 1000;
+const MAX_ROUTED_PER_SYMBOL = 50;
+
+const recentCache = new Map(); // symbol -> { articles, timestamp }
+const recentPending = new Map(); // symbol -> in-flight fetch
+const routed = new Map(); // symbol -> Map(articleKey -> { article, routedAt })
+
+// ============================================
+// ENRICHMENT & STORIES
+// ============================================
+
+function enhanceNewsData(newsArray, symbol) {
+  return newsArray.map((article) => {
+    // Every ticker the article mentions, and how central this symbol is
+    const tagged = article.entities
+      ? article
+      : { ...article, entities: entities.extractEntities(article, [symbol]) };
+    const salience =
+      tagged.entities.find((entity) => entity.symbol === symbol.toUpperCase())
+        ?.salience || 0;
+
+    // Calculate relevance score
+    const relevanceScore = calculateNewsRelevance(tagged, salience);
+
+    // Finance lexicon sentiment, headline weighted over summary
+    const sentiment = analyzeNewsSentiment(article.headline, article.summary);
+
+    // Determine impact level
+    const impact = determineNewsImpact(article, relevanceScore);
+
+    // Event type: earnings, guidance, M&A, analyst action, ...
+    const catalyst = catalysts.classify(article);
+
+    return {
+      ...tagged,
+      symbols: tagged.entities.map((entity) => entity.symbol),
+      salience,
+      relevanceScore: Math.round(relevanceScore * 10) / 10,
+      sentiment: sentiment.label,
+      sentimentScore: sentiment.score,
+      sentimentTerms: [
+        ...new Set(sentiment.matches.map((match) => match.term)),
+      ],
+      impact,
+      catalyst,
+      enhancedAt: new Date().toISOString(),
+    };
+  });
+}
+
+function calculateNewsRelevance(article, salience) {
+  let score = 5.0; // Base score
+
+  const headline = (article.headline || "").toLowerCase();
+  const summary = (article.summary || "").toLowerCase();
+  const content = headline + " " + summary;
+
+  // Articles about the symbol gain; passing or missing mentions lose
+  score += salience > 0 ? 2.5 * salience : -1.0;
+
+  // High-impact keywords
+  const highImpactKeywords = [
+    "earnings",
+    "beats",
+    "misses",
+    "guidance",
+    "revenue",
+    "profit",
+    "acquisition",
+    "merger",
+    "buyout",
+    "ipo",
+    "dividend",
+    "fda approval",
+    "patent",
+    "breakthrough",
+    "partnership",
+    "ceo",
+    "leadership",
+    "resignation",
+    "appointment",
+  ];
+
+  highImpactKeywords.forEach((keyword) => {
+    if (content.includes(keyword)) score += 1.0;
+  });
+
+  // Medium-impact keywords
+  const mediumImpactKeywords = [
+    "upgrade",
+    "downgrade",
+    "rating",
+    "target",
+    "analyst",
+    "expansion",
+    "growth",
+    "investment",
+    "funding",
+    "contract",
+  ];
+
+  mediumImpactKeywords.forEach((keyword) => {
+    if (content.includes(keyword)) score += 0.5;
+  });
+
+  // Source credibility boost
+  const highCredibilitySources = [
+    "reuters",
+    "bloomberg",
+    "wsj",
+    "cnbc",
+    "marketwatch",
+    "financial times",
+    "barron's",
+    "seeking alpha",
+  ];
+
+  const source = (article.source || "").toLowerCase();
+  if (highCredibilitySources.some((credible) => source.includes(credible))) {
+    score += 1.0;
+  }
+
+  // Recency boost (newer articles get higher scores)
+  const articleAge = Date.now() - new Date(article.timestamp).getTime();
+  const hoursOld = articleAge / (1000 * 60 * 60);
+
+  if (hoursOld < 1) score += 1.5;
+  else if (hoursOld < 6) score += 1.0;
+  else if (hoursOld < 24) score += 0.5;
+
+  return Math.max(0, Math.min(10, score));
+}
+
+/**
+ * Finance lexicon sentiment for an article
+ * @param {string} headline - Article headline
+ * @param {string} [summary] - Article summary
+ * @returns {{ score: number, label: string, matches: Array, uncertainty: number }}
+ */
+function analyzeNewsSentiment(headline, summary) {
+  return financialSentiment.analyze(headline || "", summary || "");
+}
+
+function determineNewsImpact(article, relevanceScore) {
+  const headline = (article.headline || "").toLowerCase();
+
+  // High impact events
+  const highImpactTerms = [
+    "earnings",
+    "acquisition",
+    "merger",
+    "fda approval",
+    "bankruptcy",
+    "lawsuit",
+    "ceo",
+    "guidance",
+  ];
+
+  if (
+    highImpactTerms.some((term) => headline.includes(term)) ||
+    relevanceScore >= 8
+  ) {
+    return "HIGH";
+  }
+
+  // Medium impact events
+  const mediumImpactTerms = [
+    "analyst",
+    "upgrade",
+    "downgrade",
+    "partnership",
+    "contract",
+    "expansion",
+    "investment",
+  ];
+
+  if (
+    mediumImpactTerms.some((term) => headline.includes(term)) ||
+    relevanceScore >= 6
+  ) {
+    return "MEDIUM";
+  }
+
+  return "LOW";
+}
+
+const LABEL_SCORES = { BULLISH: 1, BEARISH: -1 };
+
+// Continuous score of an article; label-only articles count as +/-1
+const sentimentScoreOf = (article) => {
+  if (typeof article.sentimentScore === "number") return article.sentimentScore;
+  if (typeof article.sentiment === "number") return article.sentiment;
+  return LABEL_SCORES[article.sentiment] || 0;
+};
+
+function calculateAverageSentimentScore(articles) {
+  if (!articles.length) return 0;
+
+  const avgScore =
+    articles.reduce((sum, article) => sum + sentimentScoreOf(article), 0) /
+    articles.length;
+  return Math.round(avgScore * 1000) / 1000;
+}
+
+function calculateAverageSentiment(articles) {
+  return financialSentiment.labelFor(calculateAverageSentimentScore(articles));
+}
+
+function calculateAverageRelevance(articles) {
+  if (!articles.length) return 0;
+
+  const totalRelevance = articles.reduce(
+    (sum, article) => sum + (article.relevanceScore || 0),
+    0
+  );
+  return Math.round((totalRelevance / articles.length) * 10) / 10;
+}
+
+// ============================================
+// AGGREGATION
+// ============================================
+
+const IMPACT_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3 };
+
+/**
+ * Collapse syndicated copies of the same story (see storyClusters). A story
+ * keeps its canonical article's fields plus firstSeen, sourceCount and its
+ * member articles; sentiment is averaged over members so a story counts
+ * once however many outlets ran it.
+ * @param {Array} articles - Enhanced articles
+ * @returns {Array} Stories, newest first
+ */
+function buildStories(articles) {
+  return storyClusters.clusterArticles(articles).map((cluster) => {
+    const { members } = cluster;
+    const { routedFrom, ...canonical } = cluster.canonical;
+    const sentimentScore = calculateAverageSentimentScore(members);
+
+    return {
+      ...canonical,
+      storyId: cluster.id,
+      headline: cluster.headline,
+      timestamp: cluster.firstSeen,
+      firstSeen: cluster.firstSeen,
+      lastSeen: cluster.lastSeen,
+      sources: cluster.sources,
+      sourceCount: cluster.sources.length,
+      articleCount: members.length,
+      articles: members.map((article) => ({
+        headline: article.headline,
+        source: article.source,
+        url: article.url,
+        timestamp: article.timestamp,
+        originalSource: article.originalSource,
+      })),
+      sentimentScore,
+      sentiment: financialSentiment.labelFor(sentimentScore),
+      relevanceScore: Math.max(
+        ...members.map((article) => article.relevanceScore || 0)
+      ),
+      impact: members.reduce(
+        (best, article) =>
+          IMPACT_RANK[article.impact] > IMPACT_RANK[best]
+            ? article.impact
+            : best,
+        "LOW"
+      ),
+      // Only a story no provider returned for this symbol counts as routed
+      ...(members.every((article) => article.routedFrom) && { routedFrom }),
+    };
+  });
+}
+
+// Stable identity for a story (or raw article) across polls and sources
+const articleKey = (article) =>
+  article.storyId ||
+  `${(article.headline || "").toLowerCase().slice(0, 50)}-${article.source}`;
+
+/**
+ * Fetch, enrich and cluster news for a symbol from every provider in the
+ * news chain (see services/providers)
+ * @param {string} symbol - Ticker symbol
+ * @returns {Promise<Array>} Enhanced stories, newest first
+ */
+async function getSymbolNews(symbol) {
+  const { data, attempts } = await providers.collect("news", symbol);
+
+  attempts
+    .filter((attempt) => attempt.error)
+    .forEach((attempt) =>
+      console.warn(
+        `⚠️ News source ${attempt.provider} failed for ${symbol}:`,
+        attempt.error
+      )
+    );
+
+  const key = symbol.toUpperCase();
+  const tagged = data.map((article) => ({
+    ...article,
+    entities: entities.extractEntities(article, [key]),
+  }));
+  routeArticles(tagged, key);
+
+  // Routed copies of an article the provider also returned join its story
+  return buildStories(
+    enhanceNewsData([...tagged, ...routedArticles(key)], key)
+  );
+}
+
+// ============================================
+// MULTI-SYMBOL ROUTING
+// ============================================
+
+/**
+ * File articles under every other symbol they are substantially about, so
+ * "Microsoft and Nvidia expand AI deal" fetched for MSFT also reaches NVDA
+ * @param {Array} articles - Articles tagged with entities
+ * @param {string} source - Symbol the articles were fetched for
+ */
+function routeArticles(articles, source) {
+  const now = Date.now();
+
+  articles.forEach((article) =>
+    article.entities
+      .filter(
+        (entity) =>
+          entity.symbol !== source && entity.salience >= ROUTE_MIN_SALIENCE
+      )
+      .forEach((entity) => {
+        const inbox = routed.get(entity.symbol) || new Map();
+        const key = articleKey(article);
+        inbox.delete(key); // Re-insert so eviction order follows recency
+        inbox.set(key, {
+          article: { ...article, routedFrom: source },
+          routedAt: now,
+        });
+
+        // Keep the newest MAX_ROUTED_PER_SYMBOL
+        while (inbox.size > MAX_ROUTED_PER_SYMBOL) {
+          inbox.delete(inbox.keys().next().value);
+        }
+        routed.set(entity.symbol, inbox);
+      })
+  );
+}
+
+// Unexpired articles routed to a symbol from other symbols' news
+function routedArticles(symbol) {
+  const inbox = routed.get(symbol);
+  if (!inbox) return [];
+
+  const cutoff = Date.now() - ROUTED_TTL;
+  for (const [key, entry] of inbox) {
+    if (entry.routedAt < cutoff) inbox.delete(key);
+  }
+  return [...inbox.values()].map((entry) => entry.article);
+}
+
+/**
+ * Cached getSymbolNews for screening: concurrent callers share one fetch and
+ * results are reused for RECENT_NEWS_TTL
+ * @param {string} symbol - Ticker symbol
+ * @returns {Promise<Array>} Enhanced stories, newest first
+ */
+async function getRecentNews(symbol) {
+  const key = symbol.toUpperCase();
+  const cached = recentCache.get(key);
+  if (cached && Date.now() - cached.timestamp < RECENT_NEWS_TTL) {
+    return cached.articles;
+  }
+  if (recentPending.has(key)) return recentPending.get(key);
+
+  const pending = getSymbolNews(key)
+    .then((articles) => {
+      const sorted = articles.sort(
+        (a, b) => new Date(b.timestamp) - new Date(a.timestamp)
+      );
+      recentCache.set(key, { articles: sorted, timestamp: Date.now() });
+      return sorted;
+    })
+    .finally(() => recentPending.delete(key));
+
+  recentPending.set(key, pending);
+  return pending;
+}
+
+/**
+ * Recent news for many symbols, BATCH_CONCURRENCY symbols at a time.
+ * A symbol whose fetch fails gets an empty list.
+ * @param {Array<string>} symbols - Ticker symbols
+ * @returns {Promise<Object>} Map of symbol -> enhanced articles
+ */
+async function getBatchNews(symbols) {
+  const results = {};
+
+  for (let i = 0; i < symbols.length; i += BATCH_CONCURRENCY) {
+    const chunk = symbols.slice(i, i + BATCH_CONCURRENCY);
+    const lists = await Promise.all(
+      chunk.map((symbol) =>
+        getRecentNews(symbol).catch((error) => {
+          console.warn(
+            `⚠️ News unavailable for ${symbol}:`,
+            error.message || error.error
+          );
+          return [];
+        })
+      )
+    );
+    chunk.forEach((symbol, index) => (results[symbol] = lists[index]));
+  }
+
+  return results;
+}
+
+/**
+ * Screening row fields for a symbol's stories
+ * @param {Array} articles - Enhanced articles or stories
+ * @returns {{ newsCount: number, newsSentiment: string, newsSentimentScore: number, topHeadline: string|null, topCatalyst: Object|null, latestNews: Object|null }}
+ */
+function summarizeNews(articles) {
+  if (articles.length === 0) {
+    return {
+      newsCount: 0,
+      newsSentiment: "NEUTRAL",
+      newsSentimentScore: 0,
+      topHeadline: null,
+      topCatalyst: null,
+      latestNews: null,
+    };
+  }
+
+  const latest = articles.reduce((newest, article) =>
+    new Date(article.timestamp) > new Date(newest.timestamp) ? article : newest
+  );
+  const top = articles.reduce((best, article) =>
+    (article.relevanceScore || 0) > (best.relevanceScore || 0) ? article : best
+  );
+  const classified = articles.filter(
+    (article) => article.catalyst && article.catalyst.type !== "other"
+  );
+  const catalyst = classified.length
+    ? classified.reduce((best, article) =>
+        (article.relevanceScore || 0) * article.catalyst.confidence >
+        (best.relevanceScore || 0) * best.catalyst.confidence
+          ? article
+          : best
+      ).catalyst
+    : null;
+
+  return {
+    newsCount: articles.length,
+    newsSentiment: calculateAverageSentiment(articles),
+    newsSentimentScore: calculateAverageSentimentScore(articles),
+    topHeadline: top.headline,
+    topCatalyst: catalyst && {
+      type: catalyst.type,
+      label: catalyst.label,
+      confidence: catalyst.confidence,
+    },
+    latestNews: {
+      headline: latest.headline,
+      source: latest.source,
+      timestamp: latest.timestamp,
+      url: latest.url,
+      category: latest.category,
+      catalyst: latest.catalyst?.type,
+      sentiment: latest.sentiment,
+      sentimentScore: latest.sentimentScore,
+      impact: latest.impact,
+    },
+  };
+}
+
+// Articles in the shape NISSCalculationEngine.calculateNewsImpactScore reads
+function toEngineNews(articles) {
+  return articles.map((article) => ({
+    headline: article.headline,
+    source: article.source,
+    datetime: article.timestamp,
+    sentiment: sentimentScoreOf(article),
+    salience: article.salience,
+    sourceCount: article.sourceCount,
+  }));
+}
+
+module.exports = {
+  getSymbolNews,
+  getRecentNews,
+  getBatchNews,
+  summarizeNews,
+  toEngineNews,
+  articleKey,
+  buildStories,
+  enhanceNewsData,
+  analyzeNewsSentiment,
+  calculateAverageSentiment,
+  calculateAverageSentimentScore,
+  calculateAverageRelevance,
+};
@@ -0,0 +1,90 @@
+// backend/services/optionsFlow.js - Options flow per symbol
+// Provider chain summary -> IV rank + unusual-activity flag -> DataNormalizer shape
+
+const dataNormalizer = require("../../src/utils/DataNormalizer");
+const { createJsonStore } = require("./jsonStore");
+const { getOptionsProvider } = require("./optionsProviders");
+
+const CACHE_TTL = 15 * 60 * 1000;
+const IV_HISTORY_DAYS = 252;
+const MIN_IV_HISTORY = 20; // Observations needed before IV rank is meaningful
+const UNUSUAL_VOLUME_OI_RATIO = 0.5; // Day volume vs open interest, whole chain
+
+const ivHistoryStore = createJsonStore("options-iv-history", { symbols: {} });
+const cache = new Map();
+
+// ============================================
+// IV RANK
+// ============================================
+
+// Record today's IV and rank it within the trailing year of observations
+function updateIvRank(symbol, impliedVolatility, asOf) {
+  if (!impliedVolatility) return null;
+
+  let history = [];
+  ivHistoryStore.update((store) => {
+    const entries = (store.symbols[symbol] || []).filter(
+      (entry) => entry.date !== asOf
+    );
+    entries.push({ date: asOf, iv: impliedVolatility });
+    store.symbols[symbol] = entries.slice(-IV_HISTORY_DAYS);
+    history = store.symbols[symbol];
+  });
+
+  if (history.length < MIN_IV_HISTORY) return null;
+
+  const vols = history.map((entry) => entry.iv);
+  const low = Math.min(...vols);
+  const high = Math.max(...vols);
+  if (high === low) return 50;
+
+  return Math.round(((impliedVolatility - low) / (high - low)) * 100);
+}
+
+function isUnusual(summary) {
+  if (typeof summary.unusualActivity === "boolean") {
+    return summary.unusualActivity;
+  }
+  if (summary.unusualContracts > 0) return true;
+
+  const volume = summary.callVolume + summary.putVolume;
+  const openInterest = summary.callOpenInterest + summary.putOpenInterest;
+  return openInterest > 0 && volume / openInterest >= UNUSUAL_VOLUME_OI_RATIO;
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Options flow for a symbol, normalized through DataNormalizer
+ * @param {string} symbol - Underlying ticker
+ * @returns {Promise<Object|null>} optionsData for NISS, null when the
+ *   provider has no chain for the symbol
+ */
+async function getOptionsFlow(symbol) {
+  const key = symbol.toUpperCase();
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    return cached.data;
+  }
+
+  const provider = getOptionsProvider();
+  const summary = await provider.getChainSummary(key);
+  if (!summary) return null;
+
+  const data = dataNormalizer.normalizeOptionsData({
+    ...summary,
+    symbol: key,
+    ivRank:
+      summary.ivRank ??
+      updateIvRank(key, summary.impliedVolatility, summary.asOf),
+    unusualActivity: isUnusual(summary),
+    dataSource: provider.name,
+  });
+
+  cache.set(key, { data, timestamp: Date.now() });
+  return data;
+}
+
+module.exports = { getOptionsFlow };
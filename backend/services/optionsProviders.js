@@ -0,0 +1,159 @@
+// backend/services/optionsProviders.js - Options chain provider adapters
+// Each adapter returns a per-symbol chain summary (or null when it has no data):
+// { callVolume, putVolume, callOpenInterest, putOpenInterest,
+//   impliedVolatility, ivRank?, unusualActivity?, unusualContracts?, partial?,
+//   asOf }
+
+const fs = require("fs");
+const path = require("path");
+const { API_KEYS, makeApiCall } = require("./apiClient");
+
+const OPTIONS_DATA_FILE =
+  process.env.OPTIONS_DATA_FILE ||
+  path.join(__dirname, "..", "data", "options", "snapshot.json");
+
+// A contract trading more than its open interest on real size is "unusual"
+const UNUSUAL_MIN_VOLUME = 1000;
+const ATM_BAND = 0.05; // Strikes within 5% of spot feed the IV estimate
+
+// Polygon pages hold 250 contracts; chains longer than this are summarized
+// from their nearest expirations and flagged partial
+const CHAIN_PAGE_SIZE = 250;
+const MAX_CHAIN_PAGES = 8;
+
+// End-of-day snapshots older than this are not options flow any more
+const MAX_SNAPSHOT_AGE_DAYS = parseFloat(process.env.OPTIONS_MAX_AGE_DAYS) || 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// FILE PROVIDER (stand-in snapshot)
+// ============================================
+
+let snapshot = null;
+let staleWarned = false;
+
+const ageInDays = (asOf) => (Date.now() - Date.parse(asOf)) / DAY_MS;
+
+const fileProvider = {
+  name: "file",
+  isAvailable: () => fs.existsSync(OPTIONS_DATA_FILE),
+
+  // Rows older than MAX_SNAPSHOT_AGE_DAYS (or undated) are not served
+  async getChainSummary(symbol) {
+    if (!snapshot) {
+      snapshot = JSON.parse(fs.readFileSync(OPTIONS_DATA_FILE, "utf8"));
+    }
+
+    const row = snapshot.symbols?.[symbol];
+    if (!row) return null;
+
+    const asOf = row.asOf || snapshot.asOf;
+    if (!(ageInDays(asOf) <= MAX_SNAPSHOT_AGE_DAYS)) {
+      if (!staleWarned) {
+        staleWarned = true;
+        console.warn(
+          `⚠️ Options snapshot ${OPTIONS_DATA_FILE} is from ${asOf}; ignoring rows older than ${MAX_SNAPSHOT_AGE_DAYS} day(s)`
+        );
+      }
+      return null;
+    }
+    return { ...row, asOf };
+  },
+};
+
+// ============================================
+// POLYGON PROVIDER (options chain snapshot)
+// ============================================
+
+const polygonProvider = {
+  name: "polygon",
+  isAvailable: () => Boolean(API_KEYS.POLYGON),
+
+  // Follows next_url for up to MAX_CHAIN_PAGES pages
+  async getChainSummary(symbol) {
+    const contracts = [];
+    let url = `https://api.polygon.io/v3/snapshot/options/${symbol}?limit=${CHAIN_PAGE_SIZE}`;
+    let pages = 0;
+
+    while (url && pages < MAX_CHAIN_PAGES) {
+      const result = await makeApiCall(
+        `${url}&apiKey=${API_KEYS.POLYGON}`,
+        {},
+        "polygon"
+      );
+      contracts.push(...(result.data?.results || []));
+      url = result.data?.next_url || null;
+      pages++;
+    }
+    if (contracts.length === 0) return null;
+
+    const summary = {
+      callVolume: 0,
+      putVolume: 0,
+      callOpenInterest: 0,
+      putOpenInterest: 0,
+      unusualContracts: 0,
+    };
+    const atmVols = [];
+
+    contracts.forEach((contract) => {
+      const type = contract.details?.contract_type;
+      const volume = contract.day?.volume || 0;
+      const openInterest = contract.open_interest || 0;
+
+      if (type === "call") {
+        summary.callVolume += volume;
+        summary.callOpenInterest += openInterest;
+      } else if (type === "put") {
+        summary.putVolume += volume;
+        summary.putOpenInterest += openInterest;
+      }
+
+      if (volume >= UNUSUAL_MIN_VOLUME && volume > openInterest) {
+        summary.unusualContracts++;
+      }
+
+      const spot = contract.underlying_asset?.price;
+      const strike = contract.details?.strike_price;
+      if (
+        contract.implied_volatility &&
+        spot &&
+        strike &&
+        Math.abs(strike - spot) / spot <= ATM_BAND
+      ) {
+        atmVols.push(contract.implied_volatility);
+      }
+    });
+
+    return {
+      ...summary,
+      impliedVolatility:
+        atmVols.length > 0
+          ? atmVols.reduce((sum, iv) => sum + iv, 0) / atmVols.length
+          : null,
+      partial: Boolean(url),
+      asOf: new Date().toISOString().split("T")[0],
+    };
+  },
+};
+
+const providers = {
+  [fileProvider.name]: fileProvider,
+  [polygonProvider.name]: polygonProvider,
+};
+
+/**
+ * Resolve the configured options provider. OPTIONS_PROVIDER picks one
+ * explicitly; otherwise Polygon is used when keyed, else the file snapshot.
+ */
+function getOptionsProvider(name = process.env.OPTIONS_PROVIDER) {
+  if (name) {
+    const provider = providers[name];
+    if (!provider) throw new Error(`Unknown options provider: ${name}`);
+    return provider;
+  }
+
+  return polygonProvider.isAvailable() ? polygonProvider : fileProvider;
+}
+
+module.exports = { providers, getOptionsProvider, UNUSUAL_MIN_VOLUME };
@@ -0,0 +1,168 @@
+// backend/services/portfolioRisk.js - Portfolio-aware position sizing
+// Builds the account profile + holdings context TradeSetupHelper sizes against:
+// sectors from provider profiles and daily return series from historical bars
+
+const tradeSetupHelper = require("../../src/utils/enhanced/TradeSetupHelper");
+const providers = require("./providers");
+const { getBatchQuotes, getDailyBars } = require("./marketData");
+const portfolios = require("./portfolios");
+const technicals = require("./technicals");
+const optionsFlow = require("./optionsFlow");
+const news = require("./news");
+const earnings = require("./earnings");
+const { calculateNISS } = require("./quoteScoring");
+const { buildSignalInput } = require("./signalJournal");
+const { getNISSSentiment } = require("../../src/engine/NISSCalculationEngine");
+
+const CORRELATION_DAYS = 120; // Calendar days, roughly 80 trading days
+const RETURNS_TTL = 6 * 60 * 60 * 1000; // Daily series only change once a day
+const SECTOR_TTL = 24 * 60 * 60 * 1000;
+
+const returnsCache = new Map();
+const sectorCache = new Map();
+
+// ============================================
+// RISK INPUTS
+// ============================================
+
+async function getSector(symbol) {
+  const cached = sectorCache.get(symbol);
+  if (cached && Date.now() - cached.timestamp < SECTOR_TTL) {
+    return cached.sector;
+  }
+
+  try {
+    const { data } = await providers.request("profile", symbol);
+    const sector = data?.sector || null;
+    sectorCache.set(symbol, { sector, timestamp: Date.now() });
+    return sector;
+  } catch (error) {
+    console.warn(`⚠️ Sector unavailable for ${symbol}:`, error.message);
+    return null;
+  }
+}
+
+// { [date]: close-to-close return } so series line up by date
+async function getReturns(symbol) {
+  const cached = returnsCache.get(symbol);
+  if (cached && Date.now() - cached.timestamp < RETURNS_TTL) {
+    return cached.returns;
+  }
+
+  const from = new Date(Date.now() - CORRELATION_DAYS * 24 * 60 * 60 * 1000);
+  const bars = await getDailyBars(symbol, from);
+  if (bars.length < 2) return null;
+
+  const returns = {};
+  for (let i = 1; i < bars.length; i++) {
+    if (bars[i - 1].close > 0) {
+      returns[bars[i].date] = bars[i].close / bars[i - 1].close - 1;
+    }
+  }
+
+  returnsCache.set(symbol, { returns, timestamp: Date.now() });
+  return returns;
+}
+
+/**
+ * Account profile and priced holdings for a portfolio, in the shape
+ * TradeSetupHelper.generateEnhancedTradeSignal accepts as portfolioContext
+ * @param {string} portfolioId - Portfolio id (defaults to the default portfolio)
+ */
+async function getPortfolioContext(portfolioId = portfolios.DEFAULT_ID) {
+  const portfolio = await portfolios.valuePortfolio(portfolioId);
+
+  const holdings = await Promise.all(
+    portfolio.positions.map(async (position) => ({
+      symbol: position.symbol,
+      quantity: position.quantity,
+      // Unpriced positions are valued at cost so they still count
+      marketValue:
+        position.marketValue !== null
+          ? position.marketValue
+          : position.costValue,
+      sector: position.sector || (await getSector(position.symbol)),
+      returns: await getReturns(position.symbol).catch(() => null),
+    }))
+  );
+
+  return { account: portfolio.account || {}, holdings };
+}
+
+// ============================================
+// ASSESSMENT
+// ============================================
+
+/**
+ * Score a symbol and size it against a portfolio's holdings and limits
+ * @param {string} symbol - Ticker symbol
+ * @param {string} portfolioId - Portfolio to check concentration against
+ * @returns {Promise<Object|null>} Risk assessment, or null without a quote
+ */
+async function assessSymbol(symbol, portfolioId = portfolios.DEFAULT_ID) {
+  const [context, batchQuotes] = await Promise.all([
+    getPortfolioContext(portfolioId),
+    getBatchQuotes([symbol]),
+  ]);
+  const quote = batchQuotes.data?.[0];
+  if (!quote) return null;
+
+  // Same NISS inputs as /api/screening, so the symbol scores as its row does
+  const [
+    technicalData,
+    optionsData,
+    articles,
+    earningsData,
+    sector,
+    returns,
+    nextEarnings,
+  ] = await Promise.all([
+    technicals.getTechnicals(symbol).catch(() => null),
+    optionsFlow.getOptionsFlow(symbol).catch(() => null),
+    news.getRecentNews(symbol).catch(() => []),
+    earnings.getEarningsSignal(symbol).catch(() => null),
+    getSector(symbol),
+    getReturns(symbol).catch(() => null),
+    earnings.getNextEarnings(symbol).catch(() => null),
+  ]);
+
+  const niss = calculateNISS(
+    quote,
+    news.toEngineNews(articles),
+    technicalData || {},
+    optionsData || {},
+    {},
+    earningsData
+  );
+
+  const stock = {
+    symbol,
+    currentPrice: quote.price,
+    changePercent: quote.changesPercentage,
+    volume: quote.volume,
+    avgVolume: quote.avgVolume,
+    nissScore: niss.score,
+    sentiment: getNISSSentiment(niss.score),
+    confidence: niss.confidence,
+    technicalData,
+    nextEarnings,
+  };
+
+  const input = { ...buildSignalInput(stock), sector, returns };
+  const signal = tradeSetupHelper.generateEnhancedTradeSignal(input, context);
+
+  return {
+    symbol,
+    portfolioId,
+    nissScore: niss.score,
+    action: signal.action,
+    assessment: tradeSetupHelper.getRiskAssessment(input, context),
+    positionSize: signal.riskManagement?.positionSize || null,
+    portfolio: signal.riskManagement?.portfolioCorrelation || null,
+    nextEarnings,
+    eventRisk: signal.setup?.eventRisk || null,
+    holdings: context.holdings.length,
+  };
+}
+
+module.exports = { getPortfolioContext, assessSymbol, getSector, getReturns };
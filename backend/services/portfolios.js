@@ -0,0 +1,480 @@
+// backend/services/portfolios.js - Watchlists and portfolios
+// Server-side symbol lists and positions (quantity + cost basis) that
+// screening, alerts and risk features can target as "my positions"
+
+const { createJsonStore } = require("./jsonStore");
+const { getBatchQuotes } = require("./marketData");
+
+const DEFAULT_ID = "default";
+const MAX_SYMBOLS = 500;
+const QUOTE_BATCH_SIZE = 20; // FMP batch quote limit
+const SYMBOL_PATTERN = /^[A-Z][A-Z0-9.-]{0,9}$/;
+
+const store = createJsonStore("portfolios", {
+  watchlists: [],
+  portfolios: [],
+});
+
+const portfolioError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+function normalizeSymbol(symbol) {
+  const normalized = String(symbol || "")
+    .trim()
+    .toUpperCase();
+  if (!SYMBOL_PATTERN.test(normalized)) {
+    throw portfolioError(`Invalid symbol: ${symbol}`, 400);
+  }
+  return normalized;
+}
+
+const slugify = (name) =>
+  String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const requireName = (name, kind) => {
+  const trimmed = String(name || "").trim();
+  if (!trimmed) throw portfolioError(`${kind} name is required`, 400);
+  return trimmed;
+};
+
+// The default watchlist and portfolio always exist so the UI has a target
+function read() {
+  const data = store.read();
+  if (
+    data.watchlists.some((w) => w.id === DEFAULT_ID) &&
+    data.portfolios.some((p) => p.id === DEFAULT_ID)
+  ) {
+    return data;
+  }
+
+  const now = new Date().toISOString();
+  return store.update((current) => {
+    if (!current.watchlists.some((w) => w.id === DEFAULT_ID)) {
+      current.watchlists.unshift({
+        id: DEFAULT_ID,
+        name: "My Watchlist",
+        symbols: [],
+        createdAt: now,
+        updatedAt: now,
+      });
+    }
+    if (!current.portfolios.some((p) => p.id === DEFAULT_ID)) {
+      current.portfolios.unshift({
+        id: DEFAULT_ID,
+        name: "My Portfolio",
+        positions: [],
+        createdAt: now,
+        updatedAt: now,
+      });
+    }
+  });
+}
+
+function findIn(collection, id, kind) {
+  const item = read()[collection].find((entry) => entry.id === id);
+  if (!item) throw portfolioError(`${kind} not found: ${id}`, 404);
+  return item;
+}
+
+function replaceIn(collection, id, mutator) {
+  store.update((data) => {
+    data[collection] = data[collection].map((entry) =>
+      entry.id === id
+        ? { ...mutator(entry), updatedAt: new Date().toISOString() }
+        : entry
+    );
+  });
+  return findIn(collection, id);
+}
+
+function createIn(collection, { id, name }, kind, fields) {
+  const itemName = requireName(name, kind);
+  const itemId = slugify(id || itemName);
+  if (!itemId) throw portfolioError(`Invalid ${kind.toLowerCase()} id`, 400);
+  if (read()[collection].some((entry) => entry.id === itemId)) {
+    throw portfolioError(`${kind} already exists: ${itemId}`, 409);
+  }
+
+  const now = new Date().toISOString();
+  const item = {
+    id: itemId,
+    name: itemName,
+    ...fields,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  store.update((data) => {
+    data[collection].push(item);
+  });
+  return item;
+}
+
+function deleteFrom(collection, id, kind) {
+  findIn(collection, id, kind);
+  if (id === DEFAULT_ID) {
+    throw portfolioError(
+      `The default ${kind.toLowerCase()} cannot be deleted`,
+      403
+    );
+  }
+
+  store.update((data) => {
+    data[collection] = data[collection].filter((entry) => entry.id !== id);
+  });
+  return { id, deleted: true };
+}
+
+// ============================================
+// WATCHLISTS
+// ============================================
+
+function listWatchlists() {
+  return read().watchlists;
+}
+
+function getWatchlist(id = DEFAULT_ID) {
+  return findIn("watchlists", id, "Watchlist");
+}
+
+function createWatchlist({ id, name, symbols = [] } = {}) {
+  const now = new Date().toISOString();
+  const entries = [...new Set(symbols.map(normalizeSymbol))].map((symbol) => ({
+    symbol,
+    addedAt: now,
+    note: "",
+  }));
+  if (entries.length > MAX_SYMBOLS) {
+    throw portfolioError(
+      `A watchlist is limited to ${MAX_SYMBOLS} symbols`,
+      400
+    );
+  }
+
+  const watchlist = createIn("watchlists", { id, name }, "Watchlist", {
+    symbols: entries,
+  });
+  console.log(`📋 Watchlist created: ${watchlist.id}`);
+  return watchlist;
+}
+
+function updateWatchlist(id, { name } = {}) {
+  getWatchlist(id);
+  return replaceIn("watchlists", id, (watchlist) => ({
+    ...watchlist,
+    name: name === undefined ? watchlist.name : requireName(name, "Watchlist"),
+  }));
+}
+
+function deleteWatchlist(id) {
+  return deleteFrom("watchlists", id, "Watchlist");
+}
+
+/**
+ * Add symbols to a watchlist. Symbols already present keep their addedAt.
+ * @param {string} id - Watchlist id
+ * @param {Array<string|{symbol, note, addedAt}>} items - Symbols to add
+ */
+function addWatchlistSymbols(id, items = []) {
+  const watchlist = getWatchlist(id);
+  const existing = new Set(watchlist.symbols.map((entry) => entry.symbol));
+  const now = new Date().toISOString();
+
+  const additions = [];
+  items.forEach((item) => {
+    const entry = typeof item === "string" ? { symbol: item } : item || {};
+    const symbol = normalizeSymbol(entry.symbol);
+    if (existing.has(symbol)) return;
+
+    existing.add(symbol);
+    additions.push({
+      symbol,
+      addedAt: entry.addedAt || now,
+      note: entry.note || "",
+    });
+  });
+
+  if (existing.size > MAX_SYMBOLS) {
+    throw portfolioError(
+      `A watchlist is limited to ${MAX_SYMBOLS} symbols`,
+      400
+    );
+  }
+  if (additions.length === 0) return watchlist;
+
+  return replaceIn("watchlists", id, (current) => ({
+    ...current,
+    symbols: [...current.symbols, ...additions],
+  }));
+}
+
+function removeWatchlistSymbol(id, symbol) {
+  const watchlist = getWatchlist(id);
+  const normalized = normalizeSymbol(symbol);
+  if (!watchlist.symbols.some((entry) => entry.symbol === normalized)) {
+    throw portfolioError(`${normalized} is not in watchlist ${id}`, 404);
+  }
+
+  return replaceIn("watchlists", id, (current) => ({
+    ...current,
+    symbols: current.symbols.filter((entry) => entry.symbol !== normalized),
+  }));
+}
+
+// ============================================
+// PORTFOLIOS
+// ============================================
+
+function validatePosition(symbol, input = {}) {
+  const quantity = Number(input.quantity);
+  const costBasis = Number(input.costBasis);
+
+  // Negative quantities are short positions
+  if (!isFinite(quantity) || quantity === 0) {
+    throw portfolioError("quantity must be a non-zero number", 400);
+  }
+  if (!isFinite(costBasis) || costBasis < 0) {
+    throw portfolioError("costBasis must be zero or more", 400);
+  }
+
+  return {
+    symbol: normalizeSymbol(symbol),
+    quantity,
+    costBasis,
+    openedAt: input.openedAt || new Date().toISOString(),
+    sector: input.sector || null, // Overrides the profile lookup in risk checks
+    notes: input.notes || "",
+  };
+}
+
+function listPortfolios() {
+  return read().portfolios;
+}
+
+function getPortfolio(id = DEFAULT_ID) {
+  return findIn("portfolios", id, "Portfolio");
+}
+
+function createPortfolio({ id, name, positions = [], account = null } = {}) {
+  const validated = positions.map((position) =>
+    validatePosition(position.symbol, position)
+  );
+  const symbols = new Set(validated.map((position) => position.symbol));
+  if (symbols.size !== validated.length) {
+    throw portfolioError("A portfolio holds one position per symbol", 400);
+  }
+
+  const portfolio = createIn("portfolios", { id, name }, "Portfolio", {
+    account: validateAccount(account),
+    positions: validated,
+  });
+  console.log(`💼 Portfolio created: ${portfolio.id}`);
+  return portfolio;
+}
+
+// Account limits TradeSetupHelper sizes positions against
+const ACCOUNT_FIELDS = [
+  "equity",
+  "maxRiskPerTradePercent",
+  "maxSectorExposurePercent",
+  "maxCorrelation",
+];
+
+function validateAccount(account) {
+  if (account === null) return null;
+  if (typeof account !== "object") {
+    throw portfolioError("account must be an object", 400);
+  }
+
+  return ACCOUNT_FIELDS.reduce((validated, field) => {
+    if (account[field] === undefined || account[field] === null) {
+      return validated;
+    }
+
+    const value = Number(account[field]);
+    if (!isFinite(value) || value <= 0) {
+      throw portfolioError(`account.${field} must be a positive number`, 400);
+    }
+    return { ...validated, [field]: value };
+  }, {});
+}
+
+function updatePortfolio(id, { name, account } = {}) {
+  getPortfolio(id);
+  const validatedAccount =
+    account === undefined ? undefined : validateAccount(account);
+
+  return replaceIn("portfolios", id, (portfolio) => ({
+    ...portfolio,
+    name: name === undefined ? portfolio.name : requireName(name, "Portfolio"),
+    account:
+      validatedAccount === undefined
+        ? portfolio.account || null
+        : validatedAccount,
+  }));
+}
+
+function deletePortfolio(id) {
+  return deleteFrom("portfolios", id, "Portfolio");
+}
+
+/**
+ * Create or replace the position for a symbol
+ */
+function upsertPosition(id, symbol, input = {}) {
+  const portfolio = getPortfolio(id);
+  const existing = portfolio.positions.find(
+    (position) => position.symbol === normalizeSymbol(symbol)
+  );
+  const position = validatePosition(symbol, { ...existing, ...input });
+
+  if (!existing && portfolio.positions.length >= MAX_SYMBOLS) {
+    throw portfolioError(
+      `A portfolio is limited to ${MAX_SYMBOLS} positions`,
+      400
+    );
+  }
+
+  return replaceIn("portfolios", id, (current) => ({
+    ...current,
+    positions: existing
+      ? current.positions.map((p) =>
+          p.symbol === position.symbol ? position : p
+        )
+      : [...current.positions, position],
+  }));
+}
+
+function removePosition(id, symbol) {
+  const portfolio = getPortfolio(id);
+  const normalized = normalizeSymbol(symbol);
+  if (!portfolio.positions.some((position) => position.symbol === normalized)) {
+    throw portfolioError(`No ${normalized} position in portfolio ${id}`, 404);
+  }
+
+  return replaceIn("portfolios", id, (current) => ({
+    ...current,
+    positions: current.positions.filter((p) => p.symbol !== normalized),
+  }));
+}
+
+/**
+ * Price a portfolio's positions with live quotes. Positions without a quote
+ * keep a null market value and are left out of the totals.
+ * @param {string} id - Portfolio id
+ * @returns {Promise<Object>} Portfolio with per-position and total P&L
+ */
+async function valuePortfolio(id = DEFAULT_ID) {
+  const portfolio = getPortfolio(id);
+  const symbols = portfolio.positions.map((position) => position.symbol);
+  const prices = {};
+
+  for (let i = 0; i < symbols.length; i += QUOTE_BATCH_SIZE) {
+    try {
+      const batchQuotes = await getBatchQuotes(
+        symbols.slice(i, i + QUOTE_BATCH_SIZE)
+      );
+      batchQuotes.data.forEach((quote) => {
+        prices[quote.symbol] = quote;
+      });
+    } catch (error) {
+      console.warn(
+        "⚠️ Portfolio quotes unavailable:",
+        error.message || error.error
+      );
+    }
+  }
+
+  const round = (value) => Math.round(value * 100) / 100;
+  const totals = { costValue: 0, marketValue: 0, unrealizedPnL: 0, priced: 0 };
+
+  const positions = portfolio.positions.map((position) => {
+    const quote = prices[position.symbol];
+    const costValue = position.quantity * position.costBasis;
+    if (!quote?.price) {
+      return {
+        ...position,
+        price: null,
+        marketValue: null,
+        costValue: round(costValue),
+      };
+    }
+
+    const marketValue = position.quantity * quote.price;
+    const unrealizedPnL = marketValue - costValue;
+    totals.costValue += costValue;
+    totals.marketValue += marketValue;
+    totals.unrealizedPnL += unrealizedPnL;
+    totals.priced += 1;
+
+    return {
+      ...position,
+      price: quote.price,
+      changePercent: quote.changesPercentage,
+      costValue: round(costValue),
+      marketValue: round(marketValue),
+      unrealizedPnL: round(unrealizedPnL),
+      unrealizedPnLPercent:
+        costValue !== 0
+          ? round((unrealizedPnL / Math.abs(costValue)) * 100)
+          : null,
+    };
+  });
+
+  return {
+    ...portfolio,
+    positions,
+    totals: {
+      costValue: round(totals.costValue),
+      marketValue: round(totals.marketValue),
+      unrealizedPnL: round(totals.unrealizedPnL),
+      unrealizedPnLPercent:
+        totals.costValue !== 0
+          ? round((totals.unrealizedPnL / Math.abs(totals.costValue)) * 100)
+          : null,
+      positions: positions.length,
+      priced: totals.priced,
+    },
+  };
+}
+
+// ============================================
+// SYMBOL LOOKUP (universes, alerts, risk)
+// ============================================
+
+const watchlistSymbols = (id) =>
+  getWatchlist(id).symbols.map((entry) => entry.symbol);
+
+const portfolioSymbols = (id) =>
+  getPortfolio(id).positions.map((position) => position.symbol);
+
+module.exports = {
+  DEFAULT_ID,
+  listWatchlists,
+  getWatchlist,
+  createWatchlist,
+  updateWatchlist,
+  deleteWatchlist,
+  addWatchlistSymbols,
+  removeWatchlistSymbol,
+  listPortfolios,
+  getPortfolio,
+  createPortfolio,
+  updatePortfolio,
+  deletePortfolio,
+  upsertPosition,
+  removePosition,
+  valuePortfolio,
+  watchlistSymbols,
+  portfolioSymbols,
+};
@@ -0,0 +1,149 @@
+// backend/services/providers.test.js - Provider failover chain
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const providers = require("./providers");
+const fmp = require("./providers/fmp");
+const polygon = require("./providers/polygon");
+const finnhub = require("./providers/finnhub");
+const twelveData = require("./providers/twelveData");
+const alphaVantage = require("./providers/alphaVantage");
+const simulator = require("./providers/simulator");
+
+// Only the named real providers have keys; the simulator backs every chain
+function configure(t, names) {
+  for (const adapter of [fmp, polygon, finnhub, twelveData, alphaVantage]) {
+    t.mock.method(adapter, "isConfigured", () => names.includes(adapter.name));
+  }
+  t.mock.method(simulator, "isConfigured", () => true);
+  t.mock.method(simulator, "isExclusive", () => false);
+}
+
+const stub = (t, adapter, capability, implementation) =>
+  t.mock.method(adapter.capabilities, capability, implementation).mock;
+
+const fails = (message) => async () => {
+  throw new Error(message);
+};
+
+test("chains follow the default order with the simulator last", (t) => {
+  configure(t, ["fmp", "polygon", "alphaVantage"]);
+
+  assert.deepEqual(
+    providers.getChain("bars").map((adapter) => adapter.name),
+    ["fmp", "polygon", "alphaVantage", "simulator"]
+  );
+});
+
+test("a per-capability override reorders the chain", (t) => {
+  configure(t, ["fmp", "polygon"]);
+  process.env.PROVIDERS_BARS = "polygon,simulator,fmp";
+  t.after(() => delete process.env.PROVIDERS_BARS);
+
+  assert.deepEqual(
+    providers.getChain("bars").map((adapter) => adapter.name),
+    ["polygon", "fmp", "simulator"]
+  );
+});
+
+test("a failing provider falls through to the next one", async (t) => {
+  configure(t, ["fmp", "polygon"]);
+  stub(t, fmp, "bars", fails("upstream 500"));
+  stub(t, polygon, "bars", async () => [{ date: "2025-07-14", close: 100 }]);
+  const simulated = stub(t, simulator, "bars", async () => []);
+
+  const result = await providers.request("bars", "AAPL");
+
+  assert.equal(result.provider, "polygon");
+  assert.deepEqual(result.data, [{ date: "2025-07-14", close: 100 }]);
+  assert.deepEqual(result.attempts, [
+    { provider: "fmp", error: "upstream 500" },
+  ]);
+  assert.equal(simulated.callCount(), 0);
+});
+
+test("an empty real answer is not replaced by simulated data", async (t) => {
+  configure(t, ["fmp"]);
+  stub(t, fmp, "earnings", async () => []);
+  const simulated = stub(t, simulator, "earnings", async () => [
+    { symbol: "AAPL" },
+  ]);
+
+  const result = await providers.request("earnings", "2025-07-14");
+
+  assert.equal(result.provider, null);
+  assert.deepEqual(result.data, []);
+  assert.equal(simulated.callCount(), 0);
+});
+
+test("the simulator stands in when every real provider fails", async (t) => {
+  configure(t, ["fmp", "finnhub"]);
+  stub(t, fmp, "profile", fails("timeout"));
+  stub(t, finnhub, "profile", fails("timeout"));
+  stub(t, simulator, "profile", async (symbol) => ({ symbol }));
+
+  const result = await providers.request("profile", "AAPL");
+
+  assert.equal(result.provider, "simulator");
+  assert.deepEqual(result.data, { symbol: "AAPL" });
+  assert.deepEqual(
+    result.attempts.map((attempt) => attempt.provider),
+    ["fmp", "finnhub"]
+  );
+});
+
+test("a chain with every provider failing rejects with a 503", async (t) => {
+  configure(t, ["fmp"]);
+  t.mock.method(simulator, "isConfigured", () => false);
+  stub(t, fmp, "constituents", fails("bad gateway"));
+
+  await assert.rejects(providers.request("constituents"), {
+    statusCode: 503,
+    message: "All providers failed for constituents: fmp (bad gateway)",
+  });
+});
+
+test("collect merges real providers and never the simulator", async (t) => {
+  configure(t, ["finnhub", "polygon", "fmp"]);
+  stub(t, finnhub, "news", async () => [{ headline: "a" }]);
+  stub(t, polygon, "news", async () => [{ headline: "b" }]);
+  stub(t, fmp, "news", async () => []);
+  const simulated = stub(t, simulator, "news", async () => [
+    { headline: "simulated" },
+  ]);
+
+  const result = await providers.collect("news", "AAPL");
+
+  assert.deepEqual(result.data, [{ headline: "a" }, { headline: "b" }]);
+  assert.deepEqual(result.providers, ["finnhub", "polygon"]);
+  assert.equal(simulated.callCount(), 0);
+});
+
+test("collect asks the simulator only when no real provider answered", async (t) => {
+  configure(t, ["finnhub"]);
+  stub(t, finnhub, "news", fails("timeout"));
+  stub(t, simulator, "news", async () => [{ headline: "simulated" }]);
+
+  const result = await providers.collect("news", "AAPL");
+
+  assert.deepEqual(result.data, [{ headline: "simulated" }]);
+  assert.deepEqual(result.providers, ["simulator"]);
+});
+
+// Last: a quota error parks the provider for the rest of the file
+test("a quota error skips the provider until it has a slot", async (t) => {
+  configure(t, ["fmp", "polygon"]);
+  const quoted = stub(t, fmp, "quotes", fails("429 Too Many Requests"));
+  stub(t, polygon, "quotes", async (symbols) =>
+    symbols.map((symbol) => ({ symbol, price: 100 }))
+  );
+  t.mock.method(console, "warn", () => {});
+
+  await providers.request("quotes", ["AAPL"]);
+  const result = await providers.request("quotes", ["AAPL"]);
+
+  assert.equal(result.provider, "polygon");
+  assert.deepEqual(result.attempts, [
+    { provider: "fmp", skipped: "cooling down" },
+  ]);
+  assert.equal(quoted.callCount(), 1);
+});
@@ -0,0 +1,128 @@
+// backend/services/providers/alphaVantage.js - Alpha Vantage adapter
+// Global quotes, daily series, news with sentiment and company overviews
+
+const { API_KEYS, makeApiCall } = require("../apiClient");
+
+const BASE_URL = "https://www.alphavantage.co/query";
+
+// Alpha Vantage answers throttled calls with a 200 and a "Note"/"Information"
+async function call(params) {
+  const result = await makeApiCall(
+    `${BASE_URL}?${params}&apikey=${API_KEYS.ALPHA_VANTAGE}`,
+    {},
+    "alphaVantage"
+  );
+
+  const notice = result.data?.Note || result.data?.Information;
+  if (notice)
+    throw new Error(`Rate limit exceeded for alphaVantage: ${notice}`);
+  if (result.data?.["Error Message"]) {
+    throw new Error(result.data["Error Message"]);
+  }
+  return result;
+}
+
+// "20240105T143000" -> ISO timestamp
+const parseTimestamp = (value) =>
+  value
+    ? new Date(
+        `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(
+          6,
+          8
+        )}T${value.slice(9, 11)}:${value.slice(11, 13)}:${value.slice(13, 15)}Z`
+      ).toISOString()
+    : new Date().toISOString();
+
+module.exports = {
+  name: "alphaVantage",
+  rateLimitKey: "alphaVantage",
+  isConfigured: () => Boolean(API_KEYS.ALPHA_VANTAGE),
+
+  capabilities: {
+    // One call per symbol on a 5/minute free tier: last resort for quotes
+    async quotes(symbols) {
+      const quotes = [];
+      for (const symbol of symbols) {
+        const result = await call(`function=GLOBAL_QUOTE&symbol=${symbol}`);
+        const quote = result.data?.["Global Quote"];
+        if (!quote || !quote["05. price"]) continue;
+
+        quotes.push({
+          symbol,
+          price: Number(quote["05. price"]),
+          change: Number(quote["09. change"]),
+          changesPercentage: parseFloat(quote["10. change percent"]),
+          volume: Number(quote["06. volume"]),
+          avgVolume: null,
+          marketCap: null,
+          priceAvg50: null,
+          priceAvg200: null,
+          yearHigh: null,
+          yearLow: null,
+        });
+      }
+      return quotes;
+    },
+
+    async bars(symbol, from, to) {
+      const result = await call(
+        `function=TIME_SERIES_DAILY&symbol=${symbol}&outputsize=full`
+      );
+      const series = result.data?.["Time Series (Daily)"];
+      if (!series) return [];
+
+      return Object.entries(series)
+        .filter(([date]) => date >= from && date <= to)
+        .map(([date, bar]) => ({
+          date,
+          open: Number(bar["1. open"]),
+          high: Number(bar["2. high"]),
+          low: Number(bar["3. low"]),
+          close: Number(bar["4. close"]),
+          volume: Number(bar["5. volume"]),
+        }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    },
+
+    async news(symbol) {
+      const result = await call(
+        `function=NEWS_SENTIMENT&tickers=${symbol}&limit=20`
+      );
+      if (!Array.isArray(result.data?.feed)) return [];
+
+      return result.data.feed.slice(0, 20).map((article) => ({
+        id: article.url || Date.now() + Math.random(),
+        headline: article.title || "No headline",
+        source: article.source || "Alpha Vantage",
+        timestamp: parseTimestamp(article.time_published),
+        url: article.url || "#",
+        summary: article.summary || "",
+        category: article.category_within_source || "general",
+        related:
+          (article.ticker_sentiment || [])
+            .map((entry) => entry.ticker)
+            .join(",") || symbol,
+        originalSource: "alphaVantage",
+      }));
+    },
+
+    async profile(symbol) {
+      const result = await call(`function=OVERVIEW&symbol=${symbol}`);
+      const overview = result.data;
+      if (!overview || !overview.Symbol) return null;
+
+      return {
+        symbol,
+        companyName: overview.Name || symbol,
+        // Alpha Vantage reports sectors in upper case ("TECHNOLOGY")
+        sector: overview.Sector
+          ? overview.Sector.charAt(0) + overview.Sector.slice(1).toLowerCase()
+          : null,
+        industry: overview.Industry || null,
+        marketCap: overview.MarketCapitalization
+          ? Number(overview.MarketCapitalization)
+          : null,
+      };
+    },
+  },
+};
@@ -0,0 +1,5 @@
+// backend/services/providers/dates.js - Date helpers shared by the adapters
+
+const toDateString = (date) => new Date(date).toISOString().split("T")[0];
+
+module.exports = { toDateString };
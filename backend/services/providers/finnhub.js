@@ -0,0 +1,152 @@
+// backend/services/providers/finnhub.js - Finnhub adapter
+// Per-symbol quotes, company news, earnings and economic calendars, per-symbol earnings history, profiles
+
+const { API_KEYS, makeApiCall } = require("../apiClient");
+const { toDateString } = require("./dates");
+
+const BASE_URL = "https://finnhub.io/api/v1";
+
+const call = (path, params = "") =>
+  makeApiCall(
+    `${BASE_URL}${path}?${params}${params ? "&" : ""}token=${API_KEYS.FINNHUB}`,
+    {},
+    "finnhub"
+  );
+
+const EARNINGS_HOURS = {
+  bmo: "Before Market",
+  amc: "After Market",
+  dmh: "During Market",
+};
+
+module.exports = {
+  name: "finnhub",
+  rateLimitKey: "finnhub",
+  isConfigured: () => Boolean(API_KEYS.FINNHUB),
+
+  capabilities: {
+    // Finnhub has no batch quote endpoint, so this costs one call per symbol
+    async quotes(symbols) {
+      const quotes = [];
+      for (const symbol of symbols) {
+        const result = await call("/quote", `symbol=${symbol}`);
+        const quote = result.data;
+        if (!quote || !quote.c) continue;
+
+        quotes.push({
+          symbol,
+          price: quote.c,
+          change: quote.d,
+          changesPercentage: quote.dp,
+          volume: null, // Not part of the quote payload
+          avgVolume: null,
+          marketCap: null,
+          priceAvg50: null,
+          priceAvg200: null,
+          yearHigh: null,
+          yearLow: null,
+        });
+      }
+      return quotes;
+    },
+
+    async news(symbol) {
+      const fromDate = new Date();
+      fromDate.setDate(fromDate.getDate() - 7); // Last 7 days
+
+      const result = await call(
+        "/company-news",
+        `symbol=${symbol}&from=${toDateString(fromDate)}&to=${toDateString(
+          new Date()
+        )}`
+      );
+      if (!Array.isArray(result.data)) return [];
+
+      return result.data.slice(0, 20).map((article) => ({
+        id: article.id || Date.now() + Math.random(),
+        headline: article.headline || "No headline",
+        source: article.source || "Finnhub",
+        timestamp: new Date(article.datetime * 1000).toISOString(),
+        url: article.url || "#",
+        summary: article.summary || "",
+        category: article.category || "general",
+        related: article.related || symbol,
+        originalSource: "finnhub",
+      }));
+    },
+
+    async earnings(from, to) {
+      const result = await call("/calendar/earnings", `from=${from}&to=${to}`);
+      if (!Array.isArray(result.data?.earningsCalendar)) return [];
+
+      return result.data.earningsCalendar.map((earning) => ({
+        symbol: earning.symbol,
+        date: earning.date,
+        companyName: earning.symbol,
+        time: EARNINGS_HOURS[earning.hour] || "After Market",
+        eps: earning.epsActual ?? null,
+        epsEstimated: earning.epsEstimate ?? null,
+        revenue: earning.revenueActual ?? null,
+        revenueEstimated: earning.revenueEstimate ?? null,
+        marketCap: 0,
+        source: "Finnhub",
+      }));
+    },
+
+    async earningsHistory(symbol, from, to) {
+      const result = await call(
+        "/calendar/earnings",
+        `symbol=${symbol}&from=${from}&to=${to}`
+      );
+      if (!Array.isArray(result.data?.earningsCalendar)) return [];
+
+      return result.data.earningsCalendar.map((earning) => ({
+        symbol,
+        date: earning.date,
+        companyName: symbol,
+        time: EARNINGS_HOURS[earning.hour] || "After Market",
+        eps: earning.epsActual ?? null,
+        epsEstimated: earning.epsEstimate ?? null,
+        revenue: earning.revenueActual ?? null,
+        revenueEstimated: earning.revenueEstimate ?? null,
+        source: "Finnhub",
+      }));
+    },
+
+    async economicEvents(from, to) {
+      const result = await call("/calendar/economic", `from=${from}&to=${to}`);
+      if (!Array.isArray(result.data?.economicCalendar)) return [];
+
+      return result.data.economicCalendar.map((event) => {
+        const [date, time] = String(event.time || "").split(" ");
+        return {
+          date: date || from,
+          time: time ? time.slice(0, 5) : "09:00",
+          event: event.event || "Economic Event",
+          impact: event.impact || null,
+          country: event.country || "US",
+          actual: event.actual ?? null,
+          estimate: event.estimate ?? null,
+          previous: event.prev ?? null,
+          source: "Finnhub",
+        };
+      });
+    },
+
+    async profile(symbol) {
+      const result = await call("/stock/profile2", `symbol=${symbol}`);
+      const profile = result.data;
+      if (!profile || !profile.name) return null;
+
+      return {
+        symbol,
+        companyName: profile.name,
+        sector: profile.finnhubIndustry || null,
+        industry: profile.finnhubIndustry || null,
+        marketCap: profile.marketCapitalization
+          ? profile.marketCapitalization * 1e6 // Reported in millions
+          : null,
+      };
+    },
+  },
+};
@@ -0,0 +1,163 @@
+// backend/services/providers/fmp.js - Financial Modeling Prep adapter
+// Batch quotes, daily bars, news, earnings/economic calendars, per-symbol earnings history, profiles and index constituents
+
+const { API_KEYS, makeApiCall } = require("../apiClient");
+
+const BASE_URL = "https://financialmodelingprep.com/api/v3";
+
+const call = (path, params = "") =>
+  makeApiCall(
+    `${BASE_URL}/${path}?${params}${params ? "&" : ""}apikey=${API_KEYS.FMP}`,
+    {},
+    "fmp"
+  );
+
+const EARNINGS_HOURS = {
+  bmo: "Before Market",
+  amc: "After Market",
+};
+
+module.exports = {
+  name: "fmp",
+  rateLimitKey: "fmp",
+  isConfigured: () => Boolean(API_KEYS.FMP),
+
+  capabilities: {
+    async quotes(symbols) {
+      const result = await call(`quote/${symbols.join(",")}`);
+      if (!Array.isArray(result.data)) return [];
+
+      return result.data.map((quote) => ({
+        symbol: quote.symbol,
+        price: quote.price,
+        change: quote.change,
+        changesPercentage: quote.changesPercentage,
+        volume: quote.volume,
+        avgVolume: quote.avgVolume,
+        marketCap: quote.marketCap,
+        priceAvg50: quote.priceAvg50,
+        priceAvg200: quote.priceAvg200,
+        yearHigh: quote.yearHigh,
+        yearLow: quote.yearLow,
+      }));
+    },
+
+    async bars(symbol, from, to) {
+      const result = await call(
+        `historical-price-full/${symbol}`,
+        `from=${from}&to=${to}`
+      );
+      if (!Array.isArray(result.data?.historical)) return [];
+
+      return result.data.historical
+        .map((bar) => ({
+          date: bar.date,
+          open: bar.open,
+          high: bar.high,
+          low: bar.low,
+          close: bar.close,
+          volume: bar.volume,
+        }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    },
+
+    async news(symbol) {
+      const result = await call("stock_news", `tickers=${symbol}&limit=20`);
+      if (!Array.isArray(result.data)) return [];
+
+      return result.data.map((article) => ({
+        id: Date.now() + Math.random(),
+        headline: article.title || "No headline",
+        source: article.site || "FMP",
+        timestamp: article.publishedDate || new Date().toISOString(),
+        url: article.url || "#",
+        summary: article.text ? article.text.substring(0, 200) + "..." : "",
+        category: "financial",
+        related: symbol,
+        originalSource: "fmp",
+      }));
+    },
+
+    async earnings(from, to) {
+      const result = await call("earning_calendar", `from=${from}&to=${to}`);
+      if (!Array.isArray(result.data)) return [];
+
+      return result.data.map((earning) => ({
+        symbol: earning.symbol,
+        date: earning.date,
+        companyName: earning.name || earning.symbol,
+        time: EARNINGS_HOURS[earning.time] || "After Market",
+        eps: earning.eps ?? null,
+        epsEstimated: earning.epsEstimated ?? null,
+        revenue: earning.revenue ?? null,
+        revenueEstimated: earning.revenueEstimated ?? null,
+        marketCap: earning.marketCap || 0,
+        source: "FMP",
+      }));
+    },
+
+    async earningsHistory(symbol, from, to) {
+      const result = await call(
+        `historical/earning_calendar/${symbol}`,
+        "limit=40"
+      );
+      if (!Array.isArray(result.data)) return [];
+
+      return result.data
+        .filter((earning) => earning.date >= from && earning.date <= to)
+        .map((earning) => ({
+          symbol,
+          date: earning.date,
+          companyName: symbol,
+          time: EARNINGS_HOURS[earning.time] || "After Market",
+          eps: earning.eps ?? null,
+          epsEstimated: earning.epsEstimated ?? null,
+          revenue: earning.revenue ?? null,
+          revenueEstimated: earning.revenueEstimated ?? null,
+          source: "FMP",
+        }));
+    },
+
+    async economicEvents(from, to) {
+      const result = await call("economic_calendar", `from=${from}&to=${to}`);
+      if (!Array.isArray(result.data)) return [];
+
+      return result.data.map((event) => {
+        const [date, time] = String(event.date || "").split(" ");
+        return {
+          date: date || from,
+          time: event.time || (time ? time.slice(0, 5) : "09:00"),
+          event: event.event || "Economic Event",
+          impact: event.impact || null,
+          country: event.country || "US",
+          actual: event.actual ?? null,
+          estimate: event.estimate ?? null,
+          previous: event.previous ?? null,
+          source: "FMP",
+        };
+      });
+    },
+
+    async profile(symbol) {
+      const result = await call(`profile/${symbol}`);
+      const profile = result.data?.[0];
+      if (!profile) return null;
+
+      return {
+        symbol,
+        companyName: profile.companyName || symbol,
+        sector: profile.sector || null,
+        industry: profile.industry || null,
+        marketCap: profile.mktCap || null,
+      };
+    },
+
+    // index: FMP constituent endpoint, e.g. "sp500_constituent"
+    async constituents(index) {
+      const result = await call(index);
+      return Array.isArray(result.data)
+        ? result.data.map((row) => row.symbol).filter(Boolean)
+        : [];
+    },
+  },
+};
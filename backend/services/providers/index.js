@@ -0,0 +1,312 @@
+// backend/services/providers/index.js - Market-data provider registry
+// Capability registry plus a priority/failover chain in front of makeApiCall:
+// a failing or quota-exhausted provider falls through to the next one and the
+// result records which provider served it
+//
+// Priority: PROVIDER_PRIORITY=fmp,polygon,... for every capability, or per
+// capability with PROVIDERS_QUOTES, PROVIDERS_BARS, PROVIDERS_NEWS,
+// PROVIDERS_EARNINGS, PROVIDERS_EARNINGS_HISTORY, PROVIDERS_ECONOMIC_EVENTS,
+// PROVIDERS_PROFILE, PROVIDERS_CONSTITUENTS
+
+const quotaScheduler = require("../quotaScheduler");
+const simulator = require("./simulator");
+
+const adapters = [
+  require("./fmp"),
+  require("./polygon"),
+  require("./finnhub"),
+  require("./twelveData"),
+  require("./alphaVantage"),
+  simulator,
+];
+
+const CAPABILITIES = [
+  "quotes",
+  "bars",
+  "news",
+  "earnings",
+  "earningsHistory",
+  "economicEvents",
+  "profile",
+  "constituents",
+];
+
+// Default order per capability; news is merged from every provider in the
+// chain, so Alpha Vantage (5 calls/minute) is opt-in there. The simulator
+// (see simulator.js) is appended to every chain unless it is switched off.
+const DEFAULT_CHAINS = {
+  quotes: ["fmp", "polygon", "twelveData", "finnhub", "alphaVantage"],
+  bars: ["fmp", "polygon", "twelveData", "alphaVantage"],
+  news: ["finnhub", "polygon", "fmp"],
+  earnings: ["fmp", "finnhub"],
+  earningsHistory: ["fmp", "finnhub"],
+  economicEvents: ["fmp", "finnhub"],
+  profile: ["fmp", "finnhub", "alphaVantage", "polygon"],
+  constituents: ["fmp"],
+};
+
+const FAILURE_THRESHOLD = 3; // Consecutive failures before a cooldown
+const FAILURE_COOLDOWN = 60 * 1000;
+const QUOTA_MIN_COOLDOWN = 5 * 1000;
+const QUOTA_PATTERN = /rate limit|quota|429|too many requests|frequency/i;
+
+const health = new Map(); // provider -> { failures, disabledUntil, ... }
+
+const providerError = (message, statusCode, attempts) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.attempts = attempts;
+  return error;
+};
+
+const errorMessage = (error) => error?.message || error?.error || String(error);
+
+const healthFor = (name) => {
+  if (!health.has(name)) {
+    health.set(name, {
+      failures: 0,
+      disabledUntil: 0,
+      lastError: null,
+      lastErrorAt: null,
+      lastSuccessAt: null,
+      served: 0,
+    });
+  }
+  return health.get(name);
+};
+
+// ============================================
+// CHAINS
+// ============================================
+
+const envKey = (capability) =>
+  `PROVIDERS_${capability.replace(/([A-Z])/g, "_$1").toUpperCase()}`;
+
+const parseList = (value) =>
+  String(value || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+/**
+ * Providers that can serve a capability, in priority order
+ * @param {string} capability - One of CAPABILITIES
+ * @returns {Array<Object>} Configured adapters supporting the capability
+ */
+function getChain(capability) {
+  if (simulator.isExclusive()) {
+    return simulator.capabilities[capability] ? [simulator] : [];
+  }
+
+  const override = parseList(process.env[envKey(capability)]);
+  const priority = parseList(process.env.PROVIDER_PRIORITY);
+  const names =
+    override.length > 0
+      ? override
+      : priority.length > 0
+      ? priority
+      : DEFAULT_CHAINS[capability];
+
+  return [...names.filter((name) => name !== simulator.name), simulator.name]
+    .map((name) => adapters.find((adapter) => adapter.name === name))
+    .filter(Boolean)
+    .filter(
+      (adapter) => adapter.capabilities[capability] && adapter.isConfigured()
+    );
+}
+
+// ============================================
+// HEALTH
+// ============================================
+
+function recordSuccess(adapter) {
+  const state = healthFor(adapter.name);
+  state.failures = 0;
+  state.disabledUntil = 0;
+  state.lastSuccessAt = new Date().toISOString();
+  state.served++;
+}
+
+function recordFailure(adapter, error) {
+  const state = healthFor(adapter.name);
+  const message = errorMessage(error);
+  state.failures++;
+  state.lastError = message;
+  state.lastErrorAt = new Date().toISOString();
+
+  // Quota errors park the provider until the scheduler has a slot again
+  if (QUOTA_PATTERN.test(message)) {
+    state.disabledUntil = Math.max(
+      quotaScheduler.availableAt(adapter.rateLimitKey),
+      Date.now() + QUOTA_MIN_COOLDOWN
+    );
+    console.warn(
+      `⛔ ${adapter.name} quota exhausted until ${new Date(
+        state.disabledUntil
+      ).toISOString()}`
+    );
+  } else if (state.failures >= FAILURE_THRESHOLD) {
+    state.disabledUntil = Date.now() + FAILURE_COOLDOWN;
+    console.warn(
+      `⛔ ${adapter.name} failed ${state.failures} times, cooling down`
+    );
+  }
+}
+
+const isAvailable = (adapter) =>
+  healthFor(adapter.name).disabledUntil <= Date.now();
+
+const isEmpty = (data) =>
+  data === null ||
+  data === undefined ||
+  (Array.isArray(data) && data.length === 0);
+
+// ============================================
+// REQUESTS
+// ============================================
+
+// Fallback-only providers (the simulator) stand in for providers that failed
+// or are not configured; a real provider's empty answer is the answer, not a
+// reason to fabricate data
+const answeredFor = (attempts) => attempts.some((attempt) => attempt.answered);
+
+/**
+ * Serve a capability from the first provider in the chain that answers with
+ * data. Failures and empty answers fall through to the next provider, but
+ * not to a fallback-only one once a real provider has answered.
+ * @param {string} capability - One of CAPABILITIES
+ * @param {...*} args - Passed to the adapter
+ * @returns {Promise<{ data: *, provider: string|null, attempts: Array }>}
+ *   provider is null when every provider answered without data
+ * @throws {Error} statusCode 503 when no provider is configured or all failed
+ */
+async function request(capability, ...args) {
+  const chain = getChain(capability);
+  if (chain.length === 0) {
+    throw providerError(`No configured provider for ${capability}`, 503, []);
+  }
+
+  const attempts = [];
+  let emptyResult = null;
+
+  for (const adapter of chain) {
+    if (adapter.fallbackOnly && answeredFor(attempts)) continue;
+    if (!isAvailable(adapter)) {
+      attempts.push({ provider: adapter.name, skipped: "cooling down" });
+      continue;
+    }
+
+    try {
+      const data = await adapter.capabilities[capability](...args);
+      recordSuccess(adapter);
+
+      if (isEmpty(data)) {
+        attempts.push({
+          provider: adapter.name,
+          empty: true,
+          answered: !adapter.fallbackOnly,
+        });
+        emptyResult = data;
+        continue;
+      }
+
+      if (attempts.length > 0) {
+        console.log(
+          `🔀 ${capability} served by ${adapter.name} after ${attempts
+            .map((a) => a.provider)
+            .join(", ")}`
+        );
+      }
+      return { data, provider: adapter.name, attempts };
+    } catch (error) {
+      recordFailure(adapter, error);
+      attempts.push({ provider: adapter.name, error: errorMessage(error) });
+    }
+  }
+
+  if (attempts.some((attempt) => attempt.empty)) {
+    return { data: emptyResult, provider: null, attempts };
+  }
+
+  throw providerError(
+    `All providers failed for ${capability}: ${attempts
+      .map((a) => `${a.provider} (${a.error || a.skipped})`)
+      .join("; ")}`,
+    503,
+    attempts
+  );
+}
+
+/**
+ * Ask every available provider and merge their arrays (news aggregation).
+ * Fallback-only providers are asked only when no real provider answered, so
+ * their items are never mixed with real ones.
+ * @returns {Promise<{ data: Array, providers: Array<string>, attempts: Array }>}
+ */
+async function collect(capability, ...args) {
+  const data = [];
+  const providers = [];
+  const attempts = [];
+
+  for (const adapter of getChain(capability)) {
+    if (adapter.fallbackOnly && answeredFor(attempts)) continue;
+    if (!isAvailable(adapter)) {
+      attempts.push({ provider: adapter.name, skipped: "cooling down" });
+      continue;
+    }
+
+    try {
+      const items = await adapter.capabilities[capability](...args);
+      recordSuccess(adapter);
+      attempts.push({
+        provider: adapter.name,
+        count: items?.length || 0,
+        answered: !adapter.fallbackOnly,
+      });
+      if (!isEmpty(items)) {
+        data.push(...items);
+        providers.push(adapter.name);
+      }
+    } catch (error) {
+      recordFailure(adapter, error);
+      attempts.push({ provider: adapter.name, error: errorMessage(error) });
+    }
+  }
+
+  return { data, providers, attempts };
+}
+
+/**
+ * Registry state for /api/health: capabilities, chains and provider health
+ */
+function getStatus() {
+  const now = Date.now();
+
+  return {
+    providers: adapters.map((adapter) => {
+      const state = healthFor(adapter.name);
+      return {
+        name: adapter.name,
+        configured: adapter.isConfigured(),
+        fallbackOnly: Boolean(adapter.fallbackOnly),
+        capabilities: Object.keys(adapter.capabilities),
+        available: state.disabledUntil <= now,
+        disabledUntil:
+          state.disabledUntil > now
+            ? new Date(state.disabledUntil).toISOString()
+            : null,
+        consecutiveFailures: state.failures,
+        lastError: state.lastError,
+        lastErrorAt: state.lastErrorAt,
+        lastSuccessAt: state.lastSuccessAt,
+        served: state.served,
+      };
+    }),
+    chains: CAPABILITIES.reduce((acc, capability) => {
+      acc[capability] = getChain(capability).map((adapter) => adapter.name);
+      return acc;
+    }, {}),
+  };
+}
+
+module.exports = { CAPABILITIES, getChain, request, collect, getStatus };
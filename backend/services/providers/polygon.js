@@ -0,0 +1,98 @@
+// backend/services/providers/polygon.js - Polygon.io adapter
+// Snapshot quotes, daily aggregates, ticker news and company details
+
+const { API_KEYS, makeApiCall } = require("../apiClient");
+const { toDateString } = require("./dates");
+
+const BASE_URL = "https://api.polygon.io";
+
+const call = (path, params = "") =>
+  makeApiCall(
+    `${BASE_URL}${path}?${params}${params ? "&" : ""}apiKey=${
+      API_KEYS.POLYGON
+    }`,
+    {},
+    "polygon"
+  );
+
+module.exports = {
+  name: "polygon",
+  rateLimitKey: "polygon",
+  isConfigured: () => Boolean(API_KEYS.POLYGON),
+
+  capabilities: {
+    async quotes(symbols) {
+      const result = await call(
+        "/v2/snapshot/locale/us/markets/stocks/tickers",
+        `tickers=${symbols.join(",")}`
+      );
+      if (!Array.isArray(result.data?.tickers)) return [];
+
+      return result.data.tickers.map((ticker) => ({
+        symbol: ticker.ticker,
+        price: ticker.lastTrade?.p || ticker.day?.c || ticker.prevDay?.c,
+        change: ticker.todaysChange,
+        changesPercentage: ticker.todaysChangePerc,
+        volume: ticker.day?.v || 0,
+        avgVolume: ticker.prevDay?.v || null, // Snapshot has no average
+        marketCap: null,
+        priceAvg50: null,
+        priceAvg200: null,
+        yearHigh: null,
+        yearLow: null,
+      }));
+    },
+
+    async bars(symbol, from, to) {
+      const result = await call(
+        `/v2/aggs/ticker/${symbol}/range/1/day/${from}/${to}`,
+        "adjusted=true&sort=asc&limit=5000"
+      );
+      if (!Array.isArray(result.data?.results)) return [];
+
+      return result.data.results.map((bar) => ({
+        date: toDateString(bar.t),
+        open: bar.o,
+        high: bar.h,
+        low: bar.l,
+        close: bar.c,
+        volume: bar.v,
+      }));
+    },
+
+    async news(symbol) {
+      const result = await call(
+        "/v2/reference/news",
+        `ticker=${symbol}&limit=20`
+      );
+      if (!Array.isArray(result.data?.results)) return [];
+
+      return result.data.results.map((article) => ({
+        id: article.id || Date.now() + Math.random(),
+        headline: article.title || "No headline",
+        source: article.publisher?.name || "Polygon",
+        timestamp: article.published_utc || new Date().toISOString(),
+        url: article.article_url || "#",
+        summary: article.description || "",
+        category: "market",
+        related: (article.tickers || [symbol]).join(","),
+        originalSource: "polygon",
+      }));
+    },
+
+    async profile(symbol) {
+      const result = await call(`/v3/reference/tickers/${symbol}`);
+      const details = result.data?.results;
+      if (!details) return null;
+
+      return {
+        symbol,
+        companyName: details.name || symbol,
+        // Polygon only exposes the SIC description, which is closer to industry
+        sector: null,
+        industry: details.sic_description || null,
+        marketCap: details.market_cap || null,
+      };
+    },
+  },
+};
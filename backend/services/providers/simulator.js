@@ -0,0 +1,742 @@
+// backend/services/providers/simulator.js - Synthetic market simulator
+// Seeded, deterministic market for demos and scale tests: random-walk prices
+// driven by market, sector and stock factors, scheduled earnings with
+// post-earnings drift, news events whose sentiment moves the price, and
+// economic releases whose surprises move the whole market
+//
+// SIMULATOR=off|fallback|only - fallback (default outside production) serves
+// only when every real provider failed or is unconfigured; only replaces them.
+// SIMULATOR_SEED changes the market, SIMULATOR_UNIVERSE_SIZE sizes the
+// synthetic "simulated-market" universe used for scale tests.
+
+const path = require("path");
+const { toDateString } = require("./dates");
+const economicSchedule = require("../../../src/utils/EconomicSchedule");
+
+const builtins = require(path.join(
+  __dirname,
+  "..",
+  "..",
+  "data",
+  "universes.json"
+));
+
+const MODES = ["off", "fallback", "only"];
+const SEED = parseInt(process.env.SIMULATOR_SEED, 10) || 42;
+const UNIVERSE_SIZE = parseInt(process.env.SIMULATOR_UNIVERSE_SIZE, 10) || 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EPOCH = Date.UTC(2024, 0, 1); // A Monday; every price path starts here
+const EARNINGS_CYCLE = 63; // Trading days between reports
+const DRIFT_DAYS = 10; // Post-earnings drift window
+const SESSION_OPEN_UTC = 13.5; // 09:30 ET (daylight time)
+const SESSION_HOURS = 6.5;
+
+const SECTORS = [
+  "Technology",
+  "Financial Services",
+  "Healthcare",
+  "Energy",
+  "Real Estate",
+  "Consumer Cyclical",
+  "Industrials",
+  "Communication Services",
+  "Consumer Defensive",
+  "Utilities",
+  "Basic Materials",
+];
+
+// Built-in sector universes pin their symbols to the matching sector
+const SECTOR_UNIVERSES = {
+  "sector-technology": "Technology",
+  "sector-financials": "Financial Services",
+  "sector-healthcare": "Healthcare",
+  "sector-energy": "Energy",
+  "sector-real-estate": "Real Estate",
+};
+
+const mode = () => {
+  const value = process.env.SIMULATOR;
+  if (MODES.includes(value)) return value;
+  return process.env.NODE_ENV === "production" ? "off" : "fallback";
+};
+
+// ============================================
+// SEEDED RANDOMNESS
+// ============================================
+
+// FNV-1a, salted with the seed
+const hashString = (value) => {
+  let hash = (2166136261 ^ SEED) >>> 0;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+const mix = (a, b) => {
+  let hash = Math.imul(a ^ (b + 0x9e3779b9 + (a << 6) + (a >>> 2)), 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+};
+
+// Uniform in (0, 1) and standard normal draws addressed by (stream, day, salt),
+// so any day can be generated without replaying the ones before it
+const uniform = (stream, day, salt = 0) =>
+  (mix(mix(stream, day), salt) + 0.5) / 4294967296;
+
+const gaussian = (stream, day, salt = 0) =>
+  Math.sqrt(-2 * Math.log(uniform(stream, day, salt * 2 + 1))) *
+  Math.cos(2 * Math.PI * uniform(stream, day, salt * 2 + 2));
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// ============================================
+// CALENDAR
+// ============================================
+
+const utcMidnight = (time) => Math.floor(time / DAY_MS) * DAY_MS;
+
+// Weekdays since EPOCH; a weekend maps to the following Monday
+const tradingIndex = (time) => {
+  const days = Math.floor((utcMidnight(time) - EPOCH) / DAY_MS);
+  return Math.floor(days / 7) * 5 + Math.min(days % 7, 5);
+};
+
+const dateOfIndex = (index) =>
+  EPOCH + (Math.floor(index / 5) * 7 + (index % 5)) * DAY_MS;
+
+// Indexes run over weekdays; market holidays among them are closed sessions
+const isSession = (time) => economicSchedule.isTradingDay(toDateString(time));
+
+// Today's trading index and how much of its session has elapsed (0..1).
+// Weekends and market holidays show the last session, closed.
+function sessionClock(now = Date.now()) {
+  if (!isSession(now)) {
+    let day = utcMidnight(now) - DAY_MS;
+    while (!isSession(day)) day -= DAY_MS;
+    return { index: tradingIndex(day), progress: 1 };
+  }
+
+  const index = tradingIndex(now);
+
+  const hours = (now - utcMidnight(now)) / 3600000;
+  return {
+    index,
+    progress: clamp((hours - SESSION_OPEN_UTC) / SESSION_HOURS, 0, 1),
+  };
+}
+
+// ============================================
+// ECONOMIC RELEASES
+// ============================================
+
+// direction: +1 when a beat is good for stocks, -1 when it is bad
+const RELEASES = [
+  {
+    id: "jobless-claims",
+    base: 225,
+    spread: 12,
+    direction: -1,
+  },
+  {
+    id: "ism-manufacturing",
+    base: 49.5,
+    spread: 1.2,
+    direction: 1,
+  },
+  {
+    id: "nfp",
+    base: 175,
+    spread: 45,
+    direction: 1,
+  },
+  {
+    id: "unemployment-rate",
+    base: 4.0,
+    spread: 0.1,
+    direction: -1,
+  },
+  {
+    id: "cpi",
+    base: 3.0,
+    spread: 0.15,
+    direction: -1,
+  },
+  {
+    id: "retail-sales",
+    base: 0.3,
+    spread: 0.4,
+    direction: 1,
+  },
+  {
+    id: "fomc",
+    base: 4.5,
+    spread: 0.05,
+    direction: -1,
+  },
+];
+
+const IMPACT_WEIGHTS = { HIGH: 1, MEDIUM: 0.4, LOW: 0.1 };
+
+const releaseStreams = new Map(
+  RELEASES.map((release) => [
+    release.id,
+    { release, stream: hashString(release.id) },
+  ])
+);
+
+// Releases fall on the dates the shared economic schedule generates, so the
+// simulated market reacts on the days the calendar shows
+function releasesOn(time) {
+  const date = toDateString(utcMidnight(time));
+  const day = Math.floor((utcMidnight(time) - EPOCH) / DAY_MS);
+
+  return economicSchedule
+    .eventsOn(date)
+    .filter((event) => releaseStreams.has(event.releaseId))
+    .map((event) => {
+      const { release, stream } = releaseStreams.get(event.releaseId);
+      const estimate = round2(
+        release.base + release.spread * gaussian(stream, day, 1)
+      );
+      const surprise = gaussian(stream, day, 2);
+      return {
+        release,
+        event,
+        surprise,
+        estimate,
+        actual: round2(estimate + release.spread * surprise),
+        previous: round2(
+          release.base + release.spread * gaussian(stream, day, 3)
+        ),
+      };
+    });
+}
+
+// ============================================
+// PRICE MODEL
+// ============================================
+
+const MARKET_STREAM = hashString("market");
+const marketCache = new Map(); // trading index -> market log return
+
+function marketReturn(index) {
+  if (marketCache.has(index)) return marketCache.get(index);
+
+  // Macro surprises move everything on release days
+  const shock = releasesOn(dateOfIndex(index)).reduce(
+    (sum, { release, event, surprise }) =>
+      sum + 0.004 * IMPACT_WEIGHTS[event.impact] * release.direction * surprise,
+    0
+  );
+  const value = 0.0003 + 0.009 * gaussian(MARKET_STREAM, index) + shock;
+  marketCache.set(index, value);
+  return value;
+}
+
+const sectorFor = (() => {
+  const pinned = {};
+  builtins.universes.forEach((universe) => {
+    const sector = SECTOR_UNIVERSES[universe.id];
+    if (sector) universe.symbols.forEach((symbol) => (pinned[symbol] = sector));
+  });
+  return (symbol, stream) => pinned[symbol] || SECTORS[stream % SECTORS.length];
+})();
+
+// Index ETFs track the market factor with little noise and no events
+const INDEX_PROXIES = {
+  SPY: { beta: 1, startPrice: 475 },
+  QQQ: { beta: 1.2, startPrice: 410 },
+  DIA: { beta: 0.9, startPrice: 375 },
+  IWM: { beta: 1.25, startPrice: 200 },
+};
+
+// Sector SPDRs track their sector factor on top of the market
+const SECTOR_ETFS = {
+  XLK: { sector: "Technology", beta: 1.2 },
+  XLF: { sector: "Financial Services", beta: 1.1 },
+  XLV: { sector: "Healthcare", beta: 0.75 },
+  XLE: { sector: "Energy", beta: 0.9 },
+  XLRE: { sector: "Real Estate", beta: 1.05 },
+  XLY: { sector: "Consumer Cyclical", beta: 1.15 },
+  XLI: { sector: "Industrials", beta: 1.0 },
+  XLC: { sector: "Communication Services", beta: 1.1 },
+  XLP: { sector: "Consumer Defensive", beta: 0.6 },
+  XLU: { sector: "Utilities", beta: 0.55 },
+  XLB: { sector: "Basic Materials", beta: 0.95 },
+};
+
+const traitsCache = new Map();
+
+function traitsFor(symbol) {
+  if (traitsCache.has(symbol)) return traitsCache.get(symbol);
+
+  const stream = hashString(symbol);
+  const u = (salt) => uniform(stream, -1, salt);
+  const shares = Math.round(Math.exp(18.5 + 3.5 * u(4))); // ~100M .. 3B
+
+  const traits = {
+    symbol,
+    stream,
+    sector: sectorFor(symbol, stream),
+    sectorStream: 0,
+    beta: 0.6 + u(1),
+    idioVol: 0.008 + 0.017 * u(2),
+    startPrice: 20 * Math.exp(u(3) * Math.log(25)), // $20 .. $500
+    shares,
+    turnover: 0.004 + 0.01 * u(5), // Daily volume as a share of float
+    earningsPhase: Math.floor(u(6) * EARNINGS_CYCLE),
+    afterMarket: u(7) < 0.55,
+    newsRate: 0.1 + 0.2 * u(8),
+    peRatio: 15 + 25 * u(9),
+    sectorWeight: 0.6,
+    ...(INDEX_PROXIES[symbol] && {
+      ...INDEX_PROXIES[symbol],
+      sector: "Index",
+      sectorWeight: 0,
+      idioVol: 0.0015,
+      earningsPhase: null,
+      newsRate: 0,
+    }),
+    ...(SECTOR_ETFS[symbol] && {
+      ...SECTOR_ETFS[symbol],
+      startPrice: 80,
+      sectorWeight: 1,
+      idioVol: 0.002,
+      earningsPhase: null,
+      newsRate: 0,
+    }),
+  };
+  traits.sectorStream = hashString(`sector:${traits.sector}`);
+  traitsCache.set(symbol, traits);
+  return traits;
+}
+
+const isEarningsDay = (traits, index) =>
+  traits.earningsPhase !== null &&
+  index >= 0 &&
+  (index - traits.earningsPhase) % EARNINGS_CYCLE === 0;
+
+// Stock events on a trading day: the earnings surprise and at most one story
+function eventsFor(traits, index) {
+  const events = [];
+
+  if (isEarningsDay(traits, index)) {
+    const surprise = gaussian(traits.stream, index, 7);
+    events.push({
+      type: "earnings",
+      surprise,
+      sentiment: clamp(surprise / 1.5, -1, 1),
+      jump: 0.045 * surprise,
+    });
+  } else if (uniform(traits.stream, index, 11) < traits.newsRate) {
+    const sentiment = clamp(gaussian(traits.stream, index, 12) / 1.5, -1, 1);
+    events.push({ type: "news", sentiment, jump: 0.025 * sentiment });
+  }
+  return events;
+}
+
+// Drift after a report in the direction of the surprise
+function driftFor(traits, index) {
+  if (traits.earningsPhase === null) return 0;
+
+  const sinceReport =
+    (((index - traits.earningsPhase) % EARNINGS_CYCLE) + EARNINGS_CYCLE) %
+    EARNINGS_CYCLE;
+  if (sinceReport === 0 || sinceReport > DRIFT_DAYS) return 0;
+
+  const surprise = gaussian(traits.stream, index - sinceReport, 7);
+  return 0.0015 * clamp(surprise, -2, 2);
+}
+
+function dailyReturn(traits, index) {
+  const sector = 0.01 * gaussian(traits.sectorStream, index);
+  const idiosyncratic = traits.idioVol * gaussian(traits.stream, index, 3);
+  const jumps = eventsFor(traits, index).reduce((sum, e) => sum + e.jump, 0);
+
+  return (
+    traits.beta * marketReturn(index) +
+    traits.sectorWeight * sector +
+    idiosyncratic +
+    jumps +
+    driftFor(traits, index)
+  );
+}
+
+const seriesCache = new Map(); // symbol -> { closes, volumes, returns }
+
+// Closes, volumes and returns from EPOCH through trading index `upTo`
+function seriesFor(symbol, upTo) {
+  const traits = traitsFor(symbol);
+  let series = seriesCache.get(symbol);
+  if (!series) {
+    series = { traits, closes: [], volumes: [], returns: [] };
+    seriesCache.set(symbol, series);
+  }
+
+  for (let index = series.closes.length; index <= upTo; index++) {
+    // Closed on market holidays: no move, no volume
+    const open = isSession(dateOfIndex(index));
+    const ret = open ? dailyReturn(traits, index) : 0;
+    const previous = index === 0 ? traits.startPrice : series.closes[index - 1];
+    const activity =
+      1 +
+      8 * Math.abs(ret - traits.beta * marketReturn(index)) +
+      eventsFor(traits, index).length;
+
+    series.returns.push(ret);
+    series.closes.push(previous * Math.exp(ret));
+    series.volumes.push(
+      open
+        ? Math.round(
+            traits.shares *
+              traits.turnover *
+              activity *
+              Math.exp(0.25 * gaussian(traits.stream, index, 5))
+          )
+        : 0
+    );
+  }
+  return series;
+}
+
+const average = (values) =>
+  values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+
+function barFor(series, index) {
+  const { traits } = series;
+  const close = series.closes[index];
+  const previous = index === 0 ? traits.startPrice : series.closes[index - 1];
+  // Event jumps gap the open; the rest of the move happens intraday
+  const gap = eventsFor(traits, index).reduce((sum, e) => sum + e.jump, 0);
+  const open =
+    previous * Math.exp(0.8 * gap + 0.002 * gaussian(traits.stream, index, 13));
+  const range = traits.idioVol * 0.6;
+
+  return {
+    date: toDateString(dateOfIndex(index)),
+    open: round2(open),
+    high: round2(
+      Math.max(open, close) *
+        Math.exp(range * uniform(traits.stream, index, 14))
+    ),
+    low: round2(
+      Math.min(open, close) *
+        Math.exp(-range * uniform(traits.stream, index, 15))
+    ),
+    close: round2(close),
+    volume: series.volumes[index],
+  };
+}
+
+// Intraday price: a bridge from the previous close to today's close
+function quoteFor(symbol, now = Date.now()) {
+  const { index, progress } = sessionClock(now);
+  const series = seriesFor(symbol, index);
+  const { traits } = series;
+
+  const previousClose =
+    index === 0 ? traits.startPrice : series.closes[index - 1];
+  const minute = Math.floor(now / 60000);
+  const noise =
+    traits.idioVol *
+    0.5 *
+    gaussian(traits.stream, minute, 17) *
+    Math.sqrt(progress * (1 - progress));
+  const price =
+    previousClose * Math.exp(series.returns[index] * progress + noise);
+
+  const history = series.closes.slice(Math.max(0, index - 252), index);
+  const volumes = series.volumes
+    .slice(Math.max(0, index - 30), index)
+    .filter((volume) => volume > 0); // Holidays traded nothing
+
+  return {
+    symbol,
+    price: round2(price),
+    change: round2(price - previousClose),
+    changesPercentage: round2(((price - previousClose) / previousClose) * 100),
+    volume: Math.round(series.volumes[index] * progress),
+    avgVolume: Math.round(average(volumes) || series.volumes[index]),
+    marketCap: Math.round(traits.shares * price),
+    priceAvg50: round2(average(history.slice(-50)) || price),
+    priceAvg200: round2(average(history.slice(-200)) || price),
+    yearHigh: round2(Math.max(price, ...history)),
+    yearLow: round2(Math.min(price, ...history)),
+  };
+}
+
+// ============================================
+// NEWS & EARNINGS
+// ============================================
+
+const HEADLINES = {
+  earnings: {
+    positive: [
+      "{S} beats quarterly estimates on strong revenue growth",
+      "{S} posts record quarter, profit exceeds forecasts",
+    ],
+    neutral: ["{S} reports quarterly results in line with consensus"],
+    negative: [
+      "{S} misses quarterly estimates as weak demand weighs on margins",
+      "{S} disappoints with quarterly loss; shares drop",
+    ],
+  },
+  analyst: {
+    positive: ["Analyst upgrade: {S} raised to outperform on strong outlook"],
+    neutral: ["Analysts reiterate neutral stance on {S} ahead of investor day"],
+    negative: ["Analyst downgrade: {S} cut to underperform on margin concern"],
+  },
+  product: {
+    positive: ["{S} launch lifts growth outlook, shares rally"],
+    neutral: ["{S} previews product roadmap at industry conference"],
+    negative: ["{S} recalls flagship product; shares drop on quality concern"],
+  },
+  regulatory: {
+    positive: ["{S} wins positive ruling, shares rally"],
+    neutral: ["{S} responds to regulator questions on disclosures"],
+    negative: ["{S} falls as regulators open probe; pressure mounts"],
+  },
+  guidance: {
+    positive: ["{S} raises guidance on record demand and strong margins"],
+    neutral: ["{S} reaffirms full-year guidance"],
+    negative: [
+      "{S} cuts guidance, warns of weak orders and decline in margins",
+    ],
+  },
+};
+
+const STORY_CATEGORIES = ["analyst", "product", "regulatory", "guidance"];
+const OUTLETS = ["Reuters", "Bloomberg", "MarketWatch", "CNBC", "Barron's"];
+
+const tone = (sentiment) =>
+  sentiment > 0.2 ? "positive" : sentiment < -0.2 ? "negative" : "neutral";
+
+function storyFor(traits, index, event) {
+  const category =
+    event.type === "earnings"
+      ? "earnings"
+      : STORY_CATEGORIES[
+          Math.floor(
+            uniform(traits.stream, index, 20) * STORY_CATEGORIES.length
+          )
+        ];
+  const templates = HEADLINES[category][tone(event.sentiment)];
+  const headline = templates[
+    Math.floor(uniform(traits.stream, index, 21) * templates.length)
+  ].replace("{S}", traits.symbol);
+
+  // Reports land before the open or after the close; other stories intraday
+  const hour =
+    event.type === "earnings"
+      ? 12
+      : SESSION_OPEN_UTC + SESSION_HOURS * uniform(traits.stream, index, 22);
+  const timestamp = dateOfIndex(index) + hour * 3600000;
+
+  return {
+    id: `sim-${traits.symbol}-${index}`,
+    headline,
+    source:
+      OUTLETS[Math.floor(uniform(traits.stream, index, 23) * OUTLETS.length)],
+    timestamp: new Date(timestamp).toISOString(),
+    url: "#",
+    summary: `${headline}. Simulated ${category} story for ${traits.symbol} (${traits.sector}).`,
+    category,
+    related: traits.symbol,
+    originalSource: "simulator",
+  };
+}
+
+function earningsFor(traits, index, now) {
+  const { closes } = seriesFor(traits.symbol, index);
+  const price = closes[Math.max(0, index - 1)];
+  const surprise = gaussian(traits.stream, index, 7);
+  const epsEstimated = round2(price / traits.peRatio / 4);
+  const revenueEstimated = Math.round((traits.shares * price) / 4 / 3); // ~3x sales
+  // After-market reporters announce the evening before the price reacts
+  const reportDate = traits.afterMarket
+    ? dateOfIndex(index - 1)
+    : dateOfIndex(index);
+  const reported =
+    now >= reportDate + (traits.afterMarket ? 20.5 : 12) * 3600000;
+
+  return {
+    symbol: traits.symbol,
+    date: toDateString(reportDate),
+    companyName: traits.symbol,
+    time: traits.afterMarket ? "After Market" : "Before Market",
+    eps: reported ? round2(epsEstimated * (1 + 0.08 * surprise)) : null,
+    epsEstimated,
+    revenue: reported
+      ? Math.round(revenueEstimated * (1 + 0.02 * surprise))
+      : null,
+    revenueEstimated,
+    marketCap: Math.round(traits.shares * price),
+    source: "Simulator",
+  };
+}
+
+// ============================================
+// UNIVERSE
+// ============================================
+
+const syntheticSymbols = () =>
+  Array.from(
+    { length: UNIVERSE_SIZE },
+    (_, i) => `SIM${String(i + 1).padStart(4, "0")}`
+  );
+
+/**
+ * Synthetic universe for scale tests, listed while the simulator is active
+ * @returns {Object|null} Universe definition or null when the simulator is off
+ */
+function getUniverse() {
+  if (mode() === "off") return null;
+
+  return {
+    id: "simulated-market",
+    name: `Simulated Market (${UNIVERSE_SIZE})`,
+    category: "simulated",
+    description: `Synthetic tickers from the market simulator (seed ${SEED})`,
+    symbols: syntheticSymbols(),
+  };
+}
+
+// Symbols that get earnings dates on the simulated calendar
+const coverage = () => {
+  const symbols = new Set(builtins.universes.flatMap((u) => u.symbols));
+  if (mode() === "only") syntheticSymbols().forEach((s) => symbols.add(s));
+  return [...symbols];
+};
+
+// ============================================
+// ADAPTER
+// ============================================
+
+const rangeIndexes = (from, to) => ({
+  start: Math.max(0, tradingIndex(Date.parse(`${from}T00:00:00Z`))),
+  end: tradingIndex(Date.parse(`${to}T00:00:00Z`)),
+});
+
+module.exports = {
+  name: "simulator",
+  rateLimitKey: "simulator",
+  // Never merged with real data; only consulted when real providers had none
+  fallbackOnly: true,
+  isConfigured: () => mode() !== "off",
+  isExclusive: () => mode() === "only",
+  getUniverse,
+
+  capabilities: {
+    async quotes(symbols) {
+      return symbols.map((symbol) => quoteFor(symbol));
+    },
+
+    async bars(symbol, from, to) {
+      const { index, progress } = sessionClock();
+      // Today's bar only exists once the session has closed
+      const last = progress >= 1 ? index : index - 1;
+      const { start, end } = rangeIndexes(from, to);
+      const series = seriesFor(symbol, Math.min(end, last));
+
+      const bars = [];
+      for (let i = start; i <= Math.min(end, last); i++) {
+        const date = dateOfIndex(i);
+        if (toDateString(date) >= from && isSession(date)) {
+          bars.push(barFor(series, i));
+        }
+      }
+      return bars;
+    },
+
+    async news(symbol) {
+      const now = Date.now();
+      const traits = traitsFor(symbol);
+      const { index } = sessionClock(now);
+
+      const stories = [];
+      for (let i = Math.max(0, index - 5); i <= index; i++) {
+        eventsFor(traits, i).forEach((event) => {
+          const story = storyFor(traits, i, event);
+          if (Date.parse(story.timestamp) <= now) stories.push(story);
+        });
+      }
+      return stories.reverse();
+    },
+
+    async earnings(from, to) {
+      const now = Date.now();
+      const { start, end } = rangeIndexes(from, to);
+      const results = [];
+
+      coverage().forEach((symbol) => {
+        const traits = traitsFor(symbol);
+        // After-market reports are dated the day before the reaction
+        for (let i = start; i <= end + 1; i++) {
+          if (!isEarningsDay(traits, i)) continue;
+          const earning = earningsFor(traits, i, now);
+          if (earning.date >= from && earning.date <= to) results.push(earning);
+        }
+      });
+      return results;
+    },
+
+    // Any symbol, not just calendar coverage, so history works for lookups
+    async earningsHistory(symbol, from, to) {
+      const now = Date.now();
+      const traits = traitsFor(symbol);
+      const { start, end } = rangeIndexes(from, to);
+      const results = [];
+
+      for (let i = start; i <= end + 1; i++) {
+        if (!isEarningsDay(traits, i)) continue;
+        const earning = earningsFor(traits, i, now);
+        if (earning.date >= from && earning.date <= to) results.push(earning);
+      }
+      return results;
+    },
+
+    async economicEvents(from, to) {
+      const now = Date.now();
+      const events = [];
+
+      for (
+        let time = Date.parse(`${from}T00:00:00Z`);
+        time <= Date.parse(`${to}T00:00:00Z`);
+        time += DAY_MS
+      ) {
+        releasesOn(time).forEach(({ event, estimate, actual, previous }) => {
+          events.push({
+            date: event.date,
+            time: event.time,
+            event: event.event,
+            impact: event.impact,
+            country: event.country,
+            actual: now >= Date.parse(event.datetime) ? actual : null,
+            estimate,
+            previous,
+            unit: event.unit,
+            source: "Simulator",
+          });
+        });
+      }
+      return events;
+    },
+
+    async profile(symbol) {
+      const traits = traitsFor(symbol);
+      return {
+        symbol,
+        companyName: symbol,
+        sector: traits.sector,
+        industry: traits.sector,
+        marketCap: quoteFor(symbol).marketCap,
+      };
+    },
+  },
+};
@@ -0,0 +1,77 @@
+// backend/services/providers/twelveData.js - Twelve Data adapter
+// Batch quotes and daily time series
+
+const { API_KEYS, makeApiCall } = require("../apiClient");
+
+const BASE_URL = "https://api.twelvedata.com";
+
+// Twelve Data reports errors (including quota) in a 200 response body
+async function call(path, params) {
+  const result = await makeApiCall(
+    `${BASE_URL}${path}?${params}&apikey=${API_KEYS.TWELVE_DATA}`,
+    {},
+    "twelveData"
+  );
+
+  if (result.data?.status === "error") {
+    throw new Error(
+      result.data.code === 429
+        ? `Rate limit exceeded for twelveData: ${result.data.message}`
+        : result.data.message || "Twelve Data error"
+    );
+  }
+  return result;
+}
+
+const toNumber = (value) =>
+  value === undefined || value === null || value === "" ? null : Number(value);
+
+module.exports = {
+  name: "twelveData",
+  rateLimitKey: "twelveData",
+  isConfigured: () => Boolean(API_KEYS.TWELVE_DATA),
+
+  capabilities: {
+    async quotes(symbols) {
+      const result = await call("/quote", `symbol=${symbols.join(",")}`);
+      // One symbol returns the quote itself, several return a map by symbol
+      const rows =
+        symbols.length === 1 ? [result.data] : Object.values(result.data || {});
+
+      return rows
+        .filter((row) => row && row.symbol && row.status !== "error")
+        .map((row) => ({
+          symbol: row.symbol,
+          price: toNumber(row.close),
+          change: toNumber(row.change),
+          changesPercentage: toNumber(row.percent_change),
+          volume: toNumber(row.volume),
+          avgVolume: toNumber(row.average_volume),
+          marketCap: null,
+          priceAvg50: null,
+          priceAvg200: null,
+          yearHigh: toNumber(row.fifty_two_week?.high),
+          yearLow: toNumber(row.fifty_two_week?.low),
+        }));
+    },
+
+    async bars(symbol, from, to) {
+      const result = await call(
+        "/time_series",
+        `symbol=${symbol}&interval=1day&start_date=${from}&end_date=${to}&outputsize=5000`
+      );
+      if (!Array.isArray(result.data?.values)) return [];
+
+      return result.data.values
+        .map((bar) => ({
+          date: bar.datetime.slice(0, 10),
+          open: toNumber(bar.open),
+          high: toNumber(bar.high),
+          low: toNumber(bar.low),
+          close: toNumber(bar.close),
+          volume: toNumber(bar.volume),
+        }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    },
+  },
+};
@@ -0,0 +1,377 @@
+// backend/services/quotaScheduler.js - Provider quota scheduler
+// Token bucket per provider with a priority queue in front of it: interactive
+// UI requests jump ahead of background screening and polling, daily usage
+// survives restarts and resets at each provider's own reset time
+
+const { AsyncLocalStorage } = require("async_hooks");
+const { createJsonStore } = require("./jsonStore");
+
+// perMinute feeds the token bucket, perDay is a hard daily cap that resets
+// at resetHourUtc. Override with QUOTA_<PROVIDER>_PER_MINUTE / _PER_DAY.
+const QUOTAS = {
+  fmp: { perMinute: 300, perDay: 250, resetHourUtc: 0 },
+  polygon: { perMinute: 100, perDay: null, resetHourUtc: 0 },
+  twelveData: { perMinute: 8, perDay: 800, resetHourUtc: 0 },
+  finnhub: { perMinute: 60, perDay: null, resetHourUtc: 0 },
+  alphaVantage: { perMinute: 5, perDay: 25, resetHourUtc: 0 },
+};
+
+const PRIORITIES = { interactive: 0, normal: 1, background: 2 };
+
+// Longest a call may wait for a token before failing over to another provider
+const MAX_WAIT = {
+  interactive: 15 * 1000,
+  normal: 30 * 1000,
+  background: 2 * 60 * 1000,
+};
+
+const DEFAULT_THROTTLE = 60 * 1000; // 429 without Retry-After
+const HISTORY_DAYS = 14;
+const SAVE_DELAY = 2000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const usageStore = createJsonStore("quotaUsage", {});
+const context = new AsyncLocalStorage();
+const buckets = new Map(); // provider -> bucket state
+let saveTimer = null;
+let sequence = 0;
+
+const quotaError = (provider, message) =>
+  new Error(`Rate limit exceeded for ${provider}: ${message}`);
+
+const envNumber = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const envName = (provider, suffix) =>
+  `QUOTA_${provider.replace(/([A-Z])/g, "_$1").toUpperCase()}_${suffix}`;
+
+function getQuota(provider) {
+  const quota = QUOTAS[provider];
+  if (!quota) return null;
+
+  return {
+    ...quota,
+    perMinute: envNumber(envName(provider, "PER_MINUTE"), quota.perMinute),
+    perDay: envNumber(envName(provider, "PER_DAY"), quota.perDay),
+  };
+}
+
+// ============================================
+// DAILY WINDOWS
+// ============================================
+
+// Start of the provider's current quota day, in ms
+const dayStart = (quota, now = Date.now()) => {
+  const offset = quota.resetHourUtc * 60 * 60 * 1000;
+  return Math.floor((now - offset) / DAY_MS) * DAY_MS + offset;
+};
+
+const dayKey = (quota, now) =>
+  new Date(dayStart(quota, now)).toISOString().split("T")[0];
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    usageStore.update((usage) => {
+      for (const [provider, bucket] of buckets) {
+        const history = { ...(usage[provider]?.history || {}) };
+        history[bucket.day] = bucket.used;
+
+        // Keep the last HISTORY_DAYS days
+        const days = Object.keys(history).sort().slice(-HISTORY_DAYS);
+        usage[provider] = {
+          day: bucket.day,
+          used: bucket.used,
+          history: days.reduce((acc, day) => {
+            acc[day] = history[day];
+            return acc;
+          }, {}),
+        };
+      }
+      return usage;
+    });
+  }, SAVE_DELAY);
+  saveTimer.unref?.();
+}
+
+// ============================================
+// BUCKETS
+// ============================================
+
+function getBucket(provider) {
+  if (buckets.has(provider)) return buckets.get(provider);
+
+  const quota = getQuota(provider);
+  const saved = usageStore.read()[provider];
+  const today = dayKey(quota);
+
+  const bucket = {
+    provider,
+    quota,
+    tokens: quota.perMinute || 0,
+    lastRefill: Date.now(),
+    day: today,
+    // Usage from before a restart still counts against today's quota
+    used: saved?.day === today ? saved.used : 0,
+    blockedUntil: 0,
+    queue: [],
+    timer: null,
+  };
+  buckets.set(provider, bucket);
+  return bucket;
+}
+
+function refill(bucket, now) {
+  const { perMinute } = bucket.quota;
+  if (perMinute) {
+    bucket.tokens = Math.min(
+      perMinute,
+      bucket.tokens + ((now - bucket.lastRefill) * perMinute) / 60000
+    );
+  }
+  bucket.lastRefill = now;
+
+  const today = dayKey(bucket.quota, now);
+  if (bucket.day !== today) {
+    bucket.day = today;
+    bucket.used = 0;
+  }
+}
+
+const hasToken = (bucket) => !bucket.quota.perMinute || bucket.tokens >= 1;
+
+const dailyRemaining = (bucket) =>
+  bucket.quota.perDay ? bucket.quota.perDay - bucket.used : Infinity;
+
+const nextReset = (bucket, now) => dayStart(bucket.quota, now) + DAY_MS;
+
+// ms until the bucket holds `count` tokens
+const tokenWait = (bucket, count) => {
+  const { perMinute } = bucket.quota;
+  if (!perMinute) return 0;
+  return Math.max(0, ((count - bucket.tokens) * 60000) / perMinute);
+};
+
+function drain(bucket) {
+  const now = Date.now();
+  refill(bucket, now);
+
+  // Drop calls that waited past their deadline so they can fail over
+  bucket.queue = bucket.queue.filter((item) => {
+    if (item.deadline > now) return true;
+    item.reject(quotaError(bucket.provider, "timed out waiting in queue"));
+    return false;
+  });
+
+  while (
+    bucket.queue.length > 0 &&
+    now >= bucket.blockedUntil &&
+    hasToken(bucket) &&
+    dailyRemaining(bucket) > 0
+  ) {
+    const item = bucket.queue.shift();
+    if (bucket.quota.perMinute) bucket.tokens -= 1;
+    bucket.used++;
+    item.resolve();
+  }
+
+  if (dailyRemaining(bucket) <= 0) {
+    const resetsAt = new Date(nextReset(bucket, now)).toISOString();
+    bucket.queue
+      .splice(0)
+      .forEach((item) =>
+        item.reject(
+          quotaError(bucket.provider, `daily quota exhausted until ${resetsAt}`)
+        )
+      );
+  }
+
+  scheduleSave();
+
+  if (bucket.timer) clearTimeout(bucket.timer);
+  bucket.timer = null;
+  if (bucket.queue.length > 0) {
+    const wait = Math.max(bucket.blockedUntil - now, tokenWait(bucket, 1), 10);
+    bucket.timer = setTimeout(() => drain(bucket), wait);
+    bucket.timer.unref?.();
+  }
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Run fn with a scheduling priority; provider calls made anywhere inside it
+ * (including timers and promises it starts) queue at that priority
+ * @param {string} priority - interactive, normal or background
+ * @param {Function} fn - Sync or async function
+ */
+function withPriority(priority, fn) {
+  return context.run({ priority }, fn);
+}
+
+const currentPriority = () => context.getStore()?.priority || "normal";
+
+/**
+ * Wait for a call slot on a provider. Resolves when the call may go out;
+ * rejects with a "Rate limit exceeded" error when the daily quota is spent
+ * or the wait would exceed the priority's MAX_WAIT, so the provider
+ * registry can fail over instead of stalling.
+ * @param {string} provider - Key of QUOTAS; unknown providers pass through
+ * @param {string} [priority] - Defaults to the current withPriority() scope
+ */
+function acquire(provider, priority = currentPriority()) {
+  if (!QUOTAS[provider]) return Promise.resolve();
+
+  const bucket = getBucket(provider);
+  const now = Date.now();
+  refill(bucket, now);
+
+  const rank = PRIORITIES[priority] ?? PRIORITIES.normal;
+  const maxWait = MAX_WAIT[priority] || MAX_WAIT.normal;
+
+  if (dailyRemaining(bucket) - bucket.queue.length <= 0) {
+    return Promise.reject(
+      quotaError(
+        provider,
+        `daily quota exhausted until ${new Date(
+          nextReset(bucket, now)
+        ).toISOString()}`
+      )
+    );
+  }
+
+  const ahead = bucket.queue.filter((item) => item.rank <= rank).length;
+  const expectedWait = Math.max(
+    bucket.blockedUntil - now,
+    tokenWait(bucket, ahead + 1)
+  );
+  if (expectedWait > maxWait) {
+    return Promise.reject(
+      quotaError(
+        provider,
+        `next ${priority} slot in ${Math.ceil(expectedWait / 1000)}s`
+      )
+    );
+  }
+
+  return new Promise((resolve, reject) => {
+    bucket.queue.push({
+      rank,
+      priority,
+      seq: sequence++,
+      deadline: now + maxWait,
+      resolve,
+      reject,
+    });
+    bucket.queue.sort((a, b) => a.rank - b.rank || a.seq - b.seq);
+    drain(bucket);
+  });
+}
+
+/**
+ * Provider answered 429: empty the bucket and hold calls until Retry-After
+ * @param {string} provider - Key of QUOTAS
+ * @param {number} [retryAfterMs] - From the Retry-After header
+ */
+function throttle(provider, retryAfterMs) {
+  if (!QUOTAS[provider]) return;
+
+  const bucket = getBucket(provider);
+  bucket.tokens = 0;
+  bucket.blockedUntil = Date.now() + (retryAfterMs || DEFAULT_THROTTLE);
+  console.warn(
+    `⏳ ${provider} throttled until ${new Date(
+      bucket.blockedUntil
+    ).toISOString()}`
+  );
+  drain(bucket);
+}
+
+/**
+ * Earliest time a new call to the provider could go out, in ms
+ */
+function availableAt(provider) {
+  if (!QUOTAS[provider]) return Date.now();
+
+  const bucket = getBucket(provider);
+  const now = Date.now();
+  refill(bucket, now);
+
+  if (dailyRemaining(bucket) <= 0) return nextReset(bucket, now);
+  return now + Math.max(bucket.blockedUntil - now, tokenWait(bucket, 1));
+}
+
+/**
+ * Usage, queue depth and projected exhaustion per provider for /api/health.
+ * The projection extrapolates today's average call rate to the next reset.
+ */
+function getStatus() {
+  const now = Date.now();
+
+  return Object.keys(QUOTAS).reduce((acc, provider) => {
+    const bucket = getBucket(provider);
+    refill(bucket, now);
+
+    const { perMinute, perDay } = bucket.quota;
+    const resetsAt = nextReset(bucket, now);
+    const hoursElapsed = Math.max(
+      (now - dayStart(bucket.quota, now)) / 3600000,
+      1 / 60
+    );
+    const ratePerHour = bucket.used / hoursElapsed;
+    const remaining = perDay ? Math.max(0, perDay - bucket.used) : null;
+
+    let exhaustsAt = null;
+    if (perDay && remaining === 0) {
+      exhaustsAt = now;
+    } else if (perDay && ratePerHour > 0) {
+      exhaustsAt = now + (remaining / ratePerHour) * 3600000;
+    }
+
+    acc[provider] = {
+      perMinute,
+      perDay,
+      tokens: perMinute ? Math.floor(bucket.tokens) : null,
+      blockedUntil:
+        bucket.blockedUntil > now
+          ? new Date(bucket.blockedUntil).toISOString()
+          : null,
+      queued: Object.keys(PRIORITIES).reduce((counts, priority) => {
+        counts[priority] = bucket.queue.filter(
+          (item) => item.priority === priority
+        ).length;
+        return counts;
+      }, {}),
+      today: {
+        day: bucket.day,
+        used: bucket.used,
+        remaining,
+        resetsAt: new Date(resetsAt).toISOString(),
+      },
+      projection: {
+        ratePerHour: Math.round(ratePerHour * 10) / 10,
+        exhaustsAt: exhaustsAt ? new Date(exhaustsAt).toISOString() : null,
+        exhaustsBeforeReset: exhaustsAt !== null && exhaustsAt < resetsAt,
+      },
+      history: usageStore.read()[provider]?.history || {},
+    };
+    return acc;
+  }, {});
+}
+
+module.exports = {
+  QUOTAS,
+  PRIORITIES,
+  withPriority,
+  currentPriority,
+  acquire,
+  throttle,
+  availableAt,
+  getStatus,
+};
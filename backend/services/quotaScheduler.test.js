@@ -0,0 +1,128 @@
+// backend/services/quotaScheduler.test.js - Token buckets, priorities, daily caps
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Usage persists across restarts; keep this run's usage out of storage/
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "quota-"));
+process.env.STORAGE_DIR = storageDir;
+process.env.QUOTA_FMP_PER_DAY = "2";
+process.env.QUOTA_TWELVE_DATA_PER_MINUTE = "2";
+
+const quotaScheduler = require("./quotaScheduler");
+
+test.after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+// Each test uses its own provider: buckets live for the whole process, so
+// their mocked clocks only move forward
+const NOW = Date.parse("2025-07-14T23:59:00Z");
+
+const settled = async (promise) => {
+  let state = "pending";
+  promise.then(
+    () => (state = "resolved"),
+    () => (state = "rejected")
+  );
+  // Let the scheduler's promise callbacks run
+  await new Promise((resolve) => setImmediate(resolve));
+  return state;
+};
+
+test("the bucket refills at the per-minute rate", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: NOW });
+
+  // Alpha Vantage: 5 calls a minute
+  for (let i = 0; i < 5; i++) {
+    await quotaScheduler.acquire("alphaVantage", "interactive");
+  }
+  const sixth = quotaScheduler.acquire("alphaVantage", "interactive");
+  assert.equal(await settled(sixth), "pending");
+
+  t.mock.timers.tick(12 * 1000);
+  assert.equal(await settled(sixth), "resolved");
+});
+
+test("a call that would wait past its priority's limit fails fast", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: NOW });
+
+  // Twelve Data at 2 a minute: the next token is 30s away
+  await quotaScheduler.acquire("twelveData");
+  await quotaScheduler.acquire("twelveData");
+
+  await assert.rejects(quotaScheduler.acquire("twelveData", "interactive"), {
+    message: "Rate limit exceeded for twelveData: next interactive slot in 30s",
+  });
+  const background = quotaScheduler.acquire("twelveData", "background");
+
+  t.mock.timers.tick(30 * 1000);
+  assert.equal(await settled(background), "resolved");
+});
+
+test("interactive calls jump ahead of background ones", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: NOW });
+  const order = [];
+
+  // Finnhub: 60 a minute, one token a second
+  for (let i = 0; i < 60; i++) await quotaScheduler.acquire("finnhub");
+  const background = quotaScheduler
+    .acquire("finnhub", "background")
+    .then(() => order.push("background"));
+  const interactive = quotaScheduler
+    .acquire("finnhub", "interactive")
+    .then(() => order.push("interactive"));
+
+  t.mock.timers.tick(1000);
+  await settled(interactive);
+  assert.deepEqual(order, ["interactive"]);
+
+  t.mock.timers.tick(1000);
+  await background;
+  assert.deepEqual(order, ["interactive", "background"]);
+});
+
+test("withPriority scopes the priority of nested calls", async () => {
+  assert.equal(quotaScheduler.currentPriority(), "normal");
+
+  await quotaScheduler.withPriority("background", async () => {
+    await Promise.resolve();
+    assert.equal(quotaScheduler.currentPriority(), "background");
+  });
+});
+
+test("a 429 holds calls until Retry-After", (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: NOW });
+  t.mock.method(console, "warn", () => {});
+
+  quotaScheduler.throttle("polygon", 5000);
+
+  assert.equal(quotaScheduler.availableAt("polygon"), NOW + 5000);
+});
+
+test("the daily cap holds until the provider's reset", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: NOW });
+
+  await quotaScheduler.acquire("fmp");
+  await quotaScheduler.acquire("fmp");
+  await assert.rejects(quotaScheduler.acquire("fmp"), {
+    message:
+      "Rate limit exceeded for fmp: daily quota exhausted until 2025-07-15T00:00:00.000Z",
+  });
+  assert.equal(
+    quotaScheduler.availableAt("fmp"),
+    Date.parse("2025-07-15T00:00:00Z")
+  );
+
+  // Past midnight UTC the count starts over
+  t.mock.timers.tick(60 * 1000);
+  await quotaScheduler.acquire("fmp");
+  assert.equal(quotaScheduler.getStatus().fmp.today.used, 1);
+});
+
+test("providers without a quota pass straight through", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: NOW });
+
+  assert.equal(await quotaScheduler.acquire("simulator"), undefined);
+  assert.equal(quotaScheduler.availableAt("simulator"), NOW);
+});
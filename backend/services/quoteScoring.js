@@ -0,0 +1,36 @@
+// backend/services/quoteScoring.js - NISS for live quotes
+// Maps FMP quote fields onto the shared engine's stock shape
+
+const nissEngine = require("../../src/engine/NISSCalculationEngine");
+
+// NISS calculation via the shared engine (score on NISS_SCALE, -100..100)
+function calculateNISS(
+  quote,
+  news = [],
+  technicalData = {},
+  optionsData = {},
+  marketContext = {},
+  earningsData = null
+) {
+  return nissEngine.calculateNISS(
+    {
+      symbol: quote.symbol,
+      price: quote.price,
+      changePercent: quote.changesPercentage || 0,
+      volume: quote.volume || 0,
+      avgVolume: quote.avgVolume || 0,
+      marketCap: quote.marketCap || 0,
+      sma50: quote.priceAvg50,
+      sma200: quote.priceAvg200,
+      high52Week: quote.yearHigh,
+      low52Week: quote.yearLow,
+    },
+    news,
+    technicalData,
+    optionsData,
+    marketContext,
+    earningsData
+  );
+}
+
+module.exports = { calculateNISS };
@@ -0,0 +1,261 @@
+// backend/services/responseCache.js - Shared API response cache
+// node-cache store with per-route TTLs, stale-while-revalidate, coalescing of
+// concurrent identical requests and ETag/Cache-Control response headers
+
+const crypto = require("crypto");
+const NodeCache = require("node-cache");
+
+// Seconds a response is fresh (ttl) and how long after that it may still be
+// served while a background refresh runs (staleTtl)
+const ROUTE_POLICIES = {
+  screening: { ttl: 60, staleTtl: 240 },
+  marketContext: { ttl: 60, staleTtl: 300 },
+  news: { ttl: 300, staleTtl: 900 },
+  catalysts: { ttl: 300, staleTtl: 900 },
+  economicCalendar: { ttl: 1800, staleTtl: 7200 },
+  earningsCalendar: { ttl: 1800, staleTtl: 7200 },
+  earningsHistory: { ttl: 1800, staleTtl: 7200 },
+  earningsDrift: { ttl: 900, staleTtl: 3600 },
+  macroSurprise: { ttl: 1800, staleTtl: 7200 },
+  macroReactions: { ttl: 1800, staleTtl: 7200 },
+};
+
+const DEFAULT_POLICY = { ttl: 60, staleTtl: 120 };
+
+const store = new NodeCache({ stdTTL: 0, checkperiod: 60, useClones: false });
+const inflight = new Map(); // cache key -> pending refresh
+const counters = { hits: 0, stale: 0, misses: 0, coalesced: 0, errors: 0 };
+
+const isDisabled = () => process.env.CACHE_DISABLED === "true";
+
+// CACHE_TTL_SCREENING=120 style overrides, in seconds
+const envKey = (route) =>
+  `CACHE_TTL_${route.replace(/([A-Z])/g, "_$1").toUpperCase()}`;
+
+/**
+ * Effective TTLs for a route
+ * @param {string} route - Key of ROUTE_POLICIES
+ * @returns {{ ttl: number, staleTtl: number }}
+ */
+function getPolicy(route) {
+  const policy = ROUTE_POLICIES[route] || DEFAULT_POLICY;
+  const override = parseInt(process.env[envKey(route)], 10);
+  return Number.isFinite(override) && override >= 0
+    ? { ...policy, ttl: override }
+    : policy;
+}
+
+/**
+ * Cache key for a request: route plus path and sorted query string, so
+ * ?a=1&b=2 and ?b=2&a=1 share an entry
+ */
+function keyFor(route, req) {
+  const query = Object.keys(req.query || {})
+    .sort()
+    .map((name) => `${name}=${req.query[name]}`)
+    .join("&");
+  return `${route}:${req.baseUrl}${req.path}${query ? `?${query}` : ""}`;
+}
+
+const etagFor = (value) =>
+  `W/"${crypto
+    .createHash("sha1")
+    .update(JSON.stringify(value))
+    .digest("base64")
+    .slice(0, 27)}"`;
+
+function refresh(key, route, fetcher) {
+  if (inflight.has(key)) return inflight.get(key);
+
+  const { ttl, staleTtl } = getPolicy(route);
+  const pending = Promise.resolve()
+    .then(fetcher)
+    .then((value) => {
+      const now = Date.now();
+      const entry = {
+        key,
+        route,
+        value,
+        etag: etagFor(value),
+        storedAt: now,
+        freshUntil: now + ttl * 1000,
+        staleUntil: now + (ttl + staleTtl) * 1000,
+      };
+      // node-cache evicts once the stale window has passed too
+      store.set(key, entry, ttl + staleTtl);
+      return entry;
+    })
+    .finally(() => inflight.delete(key));
+
+  inflight.set(key, pending);
+  return pending;
+}
+
+/**
+ * Serve a value from the cache or build it with fetcher. Fresh entries are
+ * returned as-is; stale ones are returned immediately while a single
+ * background refresh replaces them; concurrent misses share one fetch.
+ * Rejections are never cached.
+ * @param {string} route - Key of ROUTE_POLICIES
+ * @param {string} key - Entry key, usually from keyFor()
+ * @param {Function} fetcher - async () => payload
+ * @returns {Promise<{ entry: Object, status: string }>} status is HIT, STALE,
+ *   MISS, COALESCED or BYPASS
+ */
+async function remember(route, key, fetcher) {
+  if (isDisabled()) {
+    const value = await fetcher();
+    const now = Date.now();
+    return {
+      entry: { key, route, value, etag: etagFor(value), storedAt: now },
+      status: "BYPASS",
+    };
+  }
+
+  const entry = store.get(key);
+  const now = Date.now();
+
+  if (entry && now < entry.freshUntil) {
+    counters.hits++;
+    return { entry, status: "HIT" };
+  }
+
+  if (entry) {
+    counters.stale++;
+    if (!inflight.has(key)) {
+      console.log(`♻️ Revalidating stale cache entry ${key}`);
+      refresh(key, route, fetcher).catch((error) => {
+        counters.errors++;
+        console.warn(`⚠️ Background refresh failed for ${key}:`, error.message);
+      });
+    }
+    return { entry, status: "STALE" };
+  }
+
+  if (inflight.has(key)) {
+    counters.coalesced++;
+    return { entry: await inflight.get(key), status: "COALESCED" };
+  }
+
+  counters.misses++;
+  try {
+    return { entry: await refresh(key, route, fetcher), status: "MISS" };
+  } catch (error) {
+    counters.errors++;
+    throw error;
+  }
+}
+
+/**
+ * Send a cached payload with ETag, Cache-Control, Age and X-Cache headers,
+ * answering 304 when the client's If-None-Match still matches
+ */
+function send(req, res, { entry, status }) {
+  const now = Date.now();
+  const { staleTtl } = getPolicy(entry.route);
+  const maxAge = entry.freshUntil
+    ? Math.max(0, Math.round((entry.freshUntil - now) / 1000))
+    : 0;
+
+  res.set({
+    ETag: entry.etag,
+    "Cache-Control": `public, max-age=${maxAge}, stale-while-revalidate=${staleTtl}`,
+    Age: String(Math.max(0, Math.round((now - entry.storedAt) / 1000))),
+    "X-Cache": status,
+  });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.json(entry.value);
+}
+
+/**
+ * remember() + send() for a route handler: responds with the cached payload
+ * @param {string} route - Key of ROUTE_POLICIES
+ * @param {Object} req - Express request (keyed by path and query)
+ * @param {Object} res - Express response
+ * @param {Function} fetcher - async () => payload; errors propagate uncached
+ */
+async function respond(route, req, res, fetcher) {
+  const result = await remember(route, keyFor(route, req), fetcher);
+  send(req, res, result);
+}
+
+// ============================================
+// ADMIN
+// ============================================
+
+/**
+ * Cache entries without their payloads, newest first
+ * @param {string} [route] - Only entries of this route
+ */
+function listEntries(route) {
+  const now = Date.now();
+
+  return store
+    .keys()
+    .map((key) => store.get(key))
+    .filter(Boolean)
+    .filter((entry) => !route || entry.route === route)
+    .map((entry) => ({
+      key: entry.key,
+      route: entry.route,
+      etag: entry.etag,
+      state: now < entry.freshUntil ? "fresh" : "stale",
+      storedAt: new Date(entry.storedAt).toISOString(),
+      freshUntil: new Date(entry.freshUntil).toISOString(),
+      staleUntil: new Date(entry.staleUntil).toISOString(),
+      ageSeconds: Math.round((now - entry.storedAt) / 1000),
+      bytes: Buffer.byteLength(JSON.stringify(entry.value)),
+      refreshing: inflight.has(entry.key),
+    }))
+    .sort((a, b) => b.storedAt.localeCompare(a.storedAt));
+}
+
+/**
+ * Remove entries: one key, every entry of a route, or everything
+ * @param {{ route?: string, key?: string }} [filter]
+ * @returns {number} Entries removed
+ */
+function purge({ route, key } = {}) {
+  if (key) return store.del(key);
+
+  const keys = route
+    ? store.keys().filter((k) => store.get(k)?.route === route)
+    : store.keys();
+  return store.del(keys);
+}
+
+function getStats() {
+  const lookups = counters.hits + counters.stale + counters.misses;
+  const nodeStats = store.getStats();
+
+  return {
+    enabled: !isDisabled(),
+    entries: store.keys().length,
+    inflight: inflight.size,
+    ...counters,
+    hitRate:
+      lookups > 0
+        ? Math.round(((counters.hits + counters.stale) / lookups) * 1000) / 10
+        : 0,
+    approximateBytes: nodeStats.vsize + nodeStats.ksize,
+    policies: Object.keys(ROUTE_POLICIES).reduce((acc, route) => {
+      acc[route] = getPolicy(route);
+      return acc;
+    }, {}),
+  };
+}
+
+module.exports = {
+  ROUTE_POLICIES,
+  getPolicy,
+  keyFor,
+  remember,
+  send,
+  respond,
+  listEntries,
+  purge,
+  getStats,
+};
@@ -0,0 +1,330 @@
+// backend/services/signalJournal.js - Persistent signal journal
+// Records every screening signal and scores it against realized forward returns
+
+const tradeSetupHelper = require("../../src/utils/enhanced/TradeSetupHelper");
+const { createJsonStore } = require("./jsonStore");
+const { getDailyBars, toDateString } = require("./marketData");
+
+// Forward-return horizons in trading days
+const HORIZONS = { "1d": 1, "5d": 5, "20d": 20 };
+const MAX_ENTRIES = 5000;
+const MAX_SYMBOLS_PER_PASS = 25;
+
+const journalStore = createJsonStore("signal-journal", { entries: [] });
+const lastChecked = new Map(); // symbol -> time of its last scoring attempt
+
+// ============================================
+// RECORDING
+// ============================================
+
+// Screening row -> TradeSetupHelper input
+function buildSignalInput(stock, marketContext = null) {
+  const relativeVolume =
+    stock.avgVolume > 0 ? stock.volume / stock.avgVolume : 0;
+
+  return {
+    symbol: stock.symbol,
+    nissScore: stock.nissScore,
+    confidence: stock.confidence,
+    currentPrice: stock.currentPrice,
+    priceData: { change: stock.changePercent },
+    volumeData: { relativeVolume },
+    technicalData: stock.technicalData || null,
+    marketData: marketContext || null,
+    latestNews: stock.latestNews || null,
+    nextEarnings: stock.nextEarnings || null,
+  };
+}
+
+function pickSetup(setup) {
+  if (!setup || !setup.entry) return null;
+
+  return {
+    entry: { price: setup.entry.price },
+    stopLoss: {
+      price: setup.stopLoss?.price,
+      percentage: setup.stopLoss?.percentage,
+    },
+    targets: (setup.targets || []).map((target) => ({
+      level: target.level,
+      price: target.price,
+      percentage: target.percentage,
+    })),
+    riskReward: setup.riskReward,
+    timeframe: setup.timeframe,
+  };
+}
+
+/**
+ * Record screening results in the journal (one entry per symbol/day/action)
+ * @param {Array} stocks - /api/screening result rows
+ * @param {Object} marketContext - Optional market context for regime checks
+ * @returns {number} Number of new entries recorded
+ */
+function recordScreeningResults(stocks, marketContext = null) {
+  if (!Array.isArray(stocks) || stocks.length === 0) return 0;
+
+  const now = new Date();
+  const signalDate = toDateString(now);
+  let recorded = 0;
+
+  journalStore.update((journal) => {
+    const existingKeys = new Set(
+      journal.entries.map((e) => `${e.symbol}-${e.signalDate}-${e.action}`)
+    );
+
+    stocks.forEach((stock) => {
+      if (!stock.symbol || !stock.currentPrice) return;
+
+      const signal = tradeSetupHelper.generateEnhancedTradeSignal(
+        buildSignalInput(stock, marketContext)
+      );
+      const action = signal.action || "HOLD";
+      const key = `${stock.symbol}-${signalDate}-${action}`;
+      if (existingKeys.has(key)) return;
+
+      existingKeys.add(key);
+      journal.entries.push({
+        id: `${key}-${now.getTime()}`,
+        symbol: stock.symbol,
+        nissScore: stock.nissScore,
+        confidence: stock.confidence,
+        sentiment: stock.sentiment,
+        action,
+        price: stock.currentPrice,
+        setup: pickSetup(signal.setup),
+        signalDate,
+        timestamp: now.toISOString(),
+        outcomes: {},
+      });
+      recorded++;
+    });
+
+    if (journal.entries.length > MAX_ENTRIES) {
+      journal.entries = journal.entries.slice(-MAX_ENTRIES);
+    }
+  });
+
+  if (recorded > 0) {
+    console.log(`📓 Signal journal: recorded ${recorded} new signals`);
+  }
+
+  return recorded;
+}
+
+// ============================================
+// SCORING
+// ============================================
+
+const isComplete = (entry) =>
+  Object.keys(HORIZONS).every((horizon) => entry.outcomes?.[horizon]);
+
+/**
+ * Score one entry at one horizon against the bars that followed the signal
+ * @param {Object} entry - Journal entry
+ * @param {Array} forwardBars - Daily bars strictly after the signal date
+ * @param {number} days - Horizon in trading days
+ */
+function scoreHorizon(entry, forwardBars, days) {
+  const window = forwardBars.slice(0, days);
+  const lastBar = window[window.length - 1];
+  const entryPrice = entry.setup?.entry?.price || entry.price;
+  const isLong = entry.action.includes("BUY");
+  const isShort = entry.action.includes("SELL");
+  const rawReturn = ((lastBar.close - entryPrice) / entryPrice) * 100;
+
+  const outcome = {
+    exitDate: lastBar.date,
+    exitPrice: lastBar.close,
+    exitReason: "TIME_EXIT",
+    rawReturn,
+    directionalReturn: isShort ? -rawReturn : rawReturn,
+    targetsHit: 0,
+    stopHit: false,
+  };
+
+  if (!entry.setup || (!isLong && !isShort)) return outcome;
+
+  const stopPrice = entry.setup.stopLoss?.price;
+  const targets = entry.setup.targets || [];
+
+  for (const bar of window) {
+    const stopTouched = isLong ? bar.low <= stopPrice : bar.high >= stopPrice;
+
+    // Assume the stop fills first when a bar spans both stop and target
+    if (stopPrice && stopTouched) {
+      outcome.stopHit = true;
+      outcome.exitReason = "STOP_LOSS";
+      outcome.exitPrice = stopPrice;
+      outcome.exitDate = bar.date;
+      break;
+    }
+
+    const reached = targets.filter((target) =>
+      isLong ? bar.high >= target.price : bar.low <= target.price
+    ).length;
+    outcome.targetsHit = Math.max(outcome.targetsHit, reached);
+  }
+
+  if (!outcome.stopHit && outcome.targetsHit > 0) {
+    outcome.exitReason = "TARGET";
+  }
+
+  const exitReturn = ((outcome.exitPrice - entryPrice) / entryPrice) * 100;
+  outcome.directionalReturn = isShort ? -exitReturn : exitReturn;
+
+  const holdTime =
+    (new Date(outcome.exitDate) - new Date(entry.signalDate)) / 3600000;
+  const evaluation = tradeSetupHelper.evaluateOutcome(entry.setup, {
+    exitPrice: outcome.exitPrice,
+    exitReason: outcome.exitReason,
+    holdTime,
+  });
+
+  return {
+    ...outcome,
+    holdTime,
+    success: evaluation.success,
+    performance: evaluation.performance,
+  };
+}
+
+/**
+ * Score every journal entry whose horizons have elapsed
+ * @returns {Promise<Object>} { symbolsChecked, horizonsScored }
+ */
+async function scorePending() {
+  const today = toDateString(new Date());
+  const pending = journalStore
+    .read()
+    .entries.filter((entry) => !isComplete(entry) && entry.signalDate < today);
+
+  // Least recently checked first, so every symbol gets a turn; entries are
+  // in signal order, so ties go to the oldest pending signal
+  const symbols = [...new Set(pending.map((e) => e.symbol))]
+    .sort((a, b) => (lastChecked.get(a) || 0) - (lastChecked.get(b) || 0))
+    .slice(0, MAX_SYMBOLS_PER_PASS);
+  let horizonsScored = 0;
+
+  for (const symbol of symbols) {
+    lastChecked.set(symbol, Date.now());
+    const symbolEntries = pending.filter((e) => e.symbol === symbol);
+    const earliest = symbolEntries.map((e) => e.signalDate).sort()[0];
+
+    let bars = [];
+    try {
+      bars = await getDailyBars(symbol, earliest);
+    } catch (error) {
+      console.warn(`⚠️ Could not score ${symbol}:`, error.message);
+      continue;
+    }
+
+    symbolEntries.forEach((entry) => {
+      const forwardBars = bars.filter((bar) => bar.date > entry.signalDate);
+
+      Object.entries(HORIZONS).forEach(([horizon, days]) => {
+        if (entry.outcomes[horizon] || forwardBars.length < days) return;
+        entry.outcomes[horizon] = scoreHorizon(entry, forwardBars, days);
+        horizonsScored++;
+      });
+    });
+  }
+
+  if (horizonsScored > 0) {
+    journalStore.write(journalStore.read());
+    console.log(`📓 Signal journal: scored ${horizonsScored} horizons`);
+  }
+
+  return { symbolsChecked: symbols.length, horizonsScored };
+}
+
+// ============================================
+// REPORTING
+// ============================================
+
+const average = (values) =>
+  values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+
+function summarizeHorizon(entries, horizon) {
+  const scored = entries.filter((e) => e.outcomes?.[horizon]);
+  const directional = scored.filter((e) => e.action !== "HOLD");
+  const outcomes = directional.map((e) => e.outcomes[horizon]);
+  const wins = outcomes.filter((o) => o.success?.success).length;
+
+  const byAction = scored.reduce((acc, entry) => {
+    const outcome = entry.outcomes[horizon];
+    if (!acc[entry.action]) {
+      acc[entry.action] = { count: 0, wins: 0, returns: [] };
+    }
+    acc[entry.action].count++;
+    if (outcome.success?.success) acc[entry.action].wins++;
+    acc[entry.action].returns.push(outcome.directionalReturn);
+    return acc;
+  }, {});
+
+  return {
+    scored: scored.length,
+    directional: directional.length,
+    hitRate: outcomes.length > 0 ? (wins / outcomes.length) * 100 : 0,
+    avgReturn: average(outcomes.map((o) => o.directionalReturn)),
+    avgRawReturn: average(scored.map((e) => e.outcomes[horizon].rawReturn)),
+    targetHits: [1, 2, 3].reduce((acc, level) => {
+      acc[`target${level}`] = outcomes.filter(
+        (o) => o.targetsHit >= level
+      ).length;
+      return acc;
+    }, {}),
+    stopHits: outcomes.filter((o) => o.stopHit).length,
+    byAction: Object.entries(byAction).reduce((acc, [action, data]) => {
+      acc[action] = {
+        count: data.count,
+        hitRate: action === "HOLD" ? null : (data.wins / data.count) * 100,
+        avgReturn: average(data.returns),
+      };
+      return acc;
+    }, {}),
+  };
+}
+
+/**
+ * Aggregate hit rates, returns and target/stop counts per horizon
+ * @param {Object} options - { symbol } to restrict the summary
+ */
+function getSummary({ symbol } = {}) {
+  const entries = journalStore
+    .read()
+    .entries.filter((e) => !symbol || e.symbol === symbol.toUpperCase());
+
+  return {
+    totalSignals: entries.length,
+    directionalSignals: entries.filter((e) => e.action !== "HOLD").length,
+    pending: entries.filter((e) => !isComplete(e)).length,
+    firstSignal: entries[0]?.timestamp || null,
+    lastSignal: entries[entries.length - 1]?.timestamp || null,
+    horizons: Object.keys(HORIZONS).reduce((acc, horizon) => {
+      acc[horizon] = summarizeHorizon(entries, horizon);
+      return acc;
+    }, {}),
+  };
+}
+
+function getEntries({ symbol, action, limit = 100 } = {}) {
+  return journalStore
+    .read()
+    .entries.filter(
+      (e) =>
+        (!symbol || e.symbol === symbol.toUpperCase()) &&
+        (!action || e.action === action.toUpperCase())
+    )
+    .slice(-limit)
+    .reverse();
+}
+
+module.exports = {
+  HORIZONS,
+  buildSignalInput,
+  recordScreeningResults,
+  scorePending,
+  getSummary,
+  getEntries,
+};
@@ -0,0 +1,254 @@
+// backend/services/storyClusters.js - Near-duplicate story clustering
+// Groups articles whose headlines are near-duplicates (the same wire story
+// syndicated through several providers with small title edits) into one
+// story. Headlines are shingled into words and word pairs; MinHash + LSH
+// banding finds candidate pairs, exact Jaccard similarity confirms them.
+
+const crypto = require("crypto");
+
+const NUM_HASHES = 64;
+const BANDS = 32; // 2 rows per band: pairs from ~0.3 similarity are checked
+const ROWS = NUM_HASHES / BANDS;
+const SIMILARITY_THRESHOLD = 0.5;
+// Matching headlines further apart than this are separate stories
+const MAX_STORY_GAP = 48 * 60 * 60 * 1000;
+// Headlines under three words (five shingles) cluster only when identical
+const MIN_SHINGLES = 5;
+
+const STOPWORDS = new Set([
+  "a",
+  "an",
+  "the",
+  "of",
+  "to",
+  "in",
+  "on",
+  "for",
+  "and",
+  "as",
+  "at",
+  "by",
+  "with",
+  "from",
+  "its",
+  "is",
+  "are",
+  "be",
+  "after",
+  "amid",
+  "says",
+  "said",
+]);
+
+// "Apple beats estimates - Reuters" / "... | MarketWatch"
+const SOURCE_SUFFIX = /\s[-–—|]\s[^-–—|]{1,40}$/;
+
+// Deterministic hash family: FNV-1a of the shingle mixed with per-row seeds
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => [
+  (Math.imul(i + 1, 0x9e3779b1) | 1) >>> 0,
+  Math.imul(i + 7, 0x85ebca6b) >>> 0,
+]);
+
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// ============================================
+// SHINGLES & SIGNATURES
+// ============================================
+
+function tokenize(headline) {
+  return String(headline || "")
+    .replace(SOURCE_SUFFIX, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9$%.]+/g, " ")
+    .replace(/\.(?=\s|$)/g, "")
+    .split(" ")
+    .filter((token) => token && !STOPWORDS.has(token));
+}
+
+/**
+ * Word and word-pair shingles of a headline
+ * @param {string} headline - Article headline
+ * @returns {Set<string>}
+ */
+function shingles(headline) {
+  const tokens = tokenize(headline);
+  const set = new Set(tokens);
+  for (let i = 0; i < tokens.length - 1; i++) {
+    set.add(`${tokens[i]} ${tokens[i + 1]}`);
+  }
+  return set;
+}
+
+function minhash(shingleSet) {
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  shingleSet.forEach((shingle) => {
+    const base = fnv1a(shingle);
+    SEEDS.forEach(([a, b], i) => {
+      const value = (Math.imul(base ^ b, a) ^ (base >>> 15)) >>> 0;
+      if (value < signature[i]) signature[i] = value;
+    });
+  });
+  return signature;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  a.forEach((item) => {
+    if (b.has(item)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+// ============================================
+// CLUSTERING
+// ============================================
+
+const timeOf = (article) => new Date(article.timestamp).getTime() || 0;
+
+// Member most similar to the rest of its story; ties go to the earliest
+function pickCanonical(members, sets) {
+  if (members.length === 1) return members[0];
+
+  return members
+    .map((article, i) => ({
+      article,
+      centrality: members.reduce(
+        (sum, _, j) => (i === j ? sum : sum + jaccard(sets[i], sets[j])),
+        0
+      ),
+    }))
+    .sort(
+      (a, b) =>
+        b.centrality - a.centrality || timeOf(a.article) - timeOf(b.article)
+    )[0].article;
+}
+
+// Canonical headline without a trailing " - <its own source>" tag
+const cleanHeadline = ({ headline = "", source = "" }) => {
+  const suffix = headline.match(SOURCE_SUFFIX);
+  const tag = suffix?.[0]
+    .replace(/^\s[-–—|]\s/, "")
+    .trim()
+    .toLowerCase();
+  return tag && source.toLowerCase().includes(tag)
+    ? headline.slice(0, suffix.index).trim()
+    : headline;
+};
+
+const storyIdOf = (article) =>
+  crypto
+    .createHash("sha1")
+    .update(
+      `${(article.headline || "").toLowerCase()}|${article.source || ""}|${
+        article.timestamp || ""
+      }`
+    )
+    .digest("hex")
+    .slice(0, 12);
+
+/**
+ * Group near-duplicate articles into stories
+ * @param {Array} articles - Articles with headline, source and timestamp
+ * @returns {Array<{ id: string, headline: string, canonical: Object, members: Array,
+ *   firstSeen: string, lastSeen: string, sources: Array<string> }>}
+ *   Stories newest first; members oldest first. The id follows the story's
+ *   first-seen article, so it is stable as later copies join.
+ */
+function clusterArticles(articles) {
+  const sets = articles.map((article) => shingles(article.headline));
+  const parent = articles.map((_, i) => i);
+
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  const union = (i, j) => {
+    const [a, b] = [find(i), find(j)];
+    if (a !== b) parent[Math.max(a, b)] = Math.min(a, b);
+  };
+
+  const similar = (i, j) => {
+    if (Math.abs(timeOf(articles[i]) - timeOf(articles[j])) > MAX_STORY_GAP) {
+      return false;
+    }
+    return Math.min(sets[i].size, sets[j].size) < MIN_SHINGLES
+      ? jaccard(sets[i], sets[j]) === 1
+      : jaccard(sets[i], sets[j]) >= SIMILARITY_THRESHOLD;
+  };
+
+  // LSH: articles sharing any band of their signature are candidates
+  const buckets = new Map();
+  articles.forEach((_, i) => {
+    const signature = minhash(sets[i]);
+    for (let band = 0; band < BANDS; band++) {
+      const key = `${band}:${signature
+        .slice(band * ROWS, (band + 1) * ROWS)
+        .join(",")}`;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(i);
+    }
+  });
+
+  const checked = new Set();
+  buckets.forEach((indexes) => {
+    for (let x = 0; x < indexes.length; x++) {
+      for (let y = x + 1; y < indexes.length; y++) {
+        const [i, j] = [indexes[x], indexes[y]];
+        const pair = `${i}:${j}`;
+        if (checked.has(pair) || find(i) === find(j)) continue;
+        checked.add(pair);
+        if (similar(i, j)) union(i, j);
+      }
+    }
+  });
+
+  const groups = new Map();
+  articles.forEach((_, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+
+  return [...groups.values()]
+    .map((indexes) => {
+      const ordered = indexes.sort(
+        (a, b) => timeOf(articles[a]) - timeOf(articles[b])
+      );
+      const members = ordered.map((i) => articles[i]);
+      const first = members[0];
+      const last = members[members.length - 1];
+
+      const canonical = pickCanonical(
+        members,
+        ordered.map((i) => sets[i])
+      );
+
+      return {
+        id: storyIdOf(first),
+        headline: cleanHeadline(canonical),
+        canonical,
+        members,
+        firstSeen: first.timestamp,
+        lastSeen: last.timestamp,
+        sources: [...new Set(members.map((article) => article.source))],
+      };
+    })
+    .sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen));
+}
+
+module.exports = {
+  SIMILARITY_THRESHOLD,
+  shingles,
+  clusterArticles,
+};
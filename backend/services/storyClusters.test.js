@@ -0,0 +1,91 @@
+// backend/services/storyClusters.test.js - Near-duplicate story clustering
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { shingles, clusterArticles } = require("./storyClusters");
+
+const article = (headline, source, timestamp) => ({
+  headline,
+  source,
+  timestamp,
+});
+
+const wire = [
+  article(
+    "Apple beats quarterly revenue estimates on strong iPhone sales",
+    "Reuters",
+    "2025-07-31T20:30:00Z"
+  ),
+  article(
+    "Apple beats quarterly revenue estimates on strong iPhone sales - Yahoo Finance",
+    "Yahoo Finance",
+    "2025-07-31T20:45:00Z"
+  ),
+  article(
+    "Apple beats revenue estimates on strong iPhone sales",
+    "MarketWatch",
+    "2025-07-31T21:10:00Z"
+  ),
+];
+
+test("shingles drop stopwords and the trailing source tag", () => {
+  const set = shingles("Apple beats estimates - Reuters");
+
+  assert.deepEqual(
+    [...set],
+    ["apple", "beats", "estimates", "apple beats", "beats estimates"]
+  );
+});
+
+test("syndicated copies of a headline form one story", () => {
+  const stories = clusterArticles([
+    ...wire,
+    article(
+      "Tesla recalls 200,000 vehicles over rearview camera fault",
+      "Reuters",
+      "2025-07-31T19:00:00Z"
+    ),
+  ]);
+
+  assert.equal(stories.length, 2);
+  const [apple, tesla] = stories;
+  assert.equal(apple.members.length, 3);
+  assert.deepEqual(apple.sources, ["Reuters", "Yahoo Finance", "MarketWatch"]);
+  assert.equal(apple.firstSeen, "2025-07-31T20:30:00Z");
+  assert.equal(apple.lastSeen, "2025-07-31T21:10:00Z");
+  assert.equal(tesla.members.length, 1);
+});
+
+test("the story headline drops its own source tag", () => {
+  const [story] = clusterArticles([wire[1]]);
+
+  assert.equal(
+    story.headline,
+    "Apple beats quarterly revenue estimates on strong iPhone sales"
+  );
+});
+
+test("story id stays with the first-seen article as copies join", () => {
+  const [alone] = clusterArticles([wire[0]]);
+  const [joined] = clusterArticles([...wire].reverse());
+
+  assert.equal(joined.id, alone.id);
+});
+
+test("matching headlines two days apart are separate stories", () => {
+  const stories = clusterArticles([
+    wire[0],
+    article(wire[0].headline, "Reuters", "2025-08-03T20:30:00Z"),
+  ]);
+
+  assert.equal(stories.length, 2);
+});
+
+test("short headlines cluster only when identical", () => {
+  const stories = clusterArticles([
+    article("Apple upgraded", "Benzinga", "2025-07-31T13:00:00Z"),
+    article("Apple downgraded", "Benzinga", "2025-07-31T13:05:00Z"),
+    article("Apple upgraded", "TheFly", "2025-07-31T13:10:00Z"),
+  ]);
+
+  assert.deepEqual(stories.map((story) => story.members.length).sort(), [1, 2]);
+});
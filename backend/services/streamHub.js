@@ -0,0 +1,302 @@
+// backend/services/streamHub.js - Live screening stream (Server-Sent Events)
+// Polls quotes and news for subscribed symbols and pushes ticks, new articles
+// and NISS deltas to every connected client
+
+const marketData = require("./marketData");
+const news = require("./news");
+const technicals = require("./technicals");
+const optionsFlow = require("./optionsFlow");
+const earnings = require("./earnings");
+const quotaScheduler = require("./quotaScheduler");
+const { calculateNISS } = require("./quoteScoring");
+const { getNISSSentiment } = require("../../src/engine/NISSCalculationEngine");
+
+const QUOTE_INTERVAL = parseInt(process.env.STREAM_QUOTE_INTERVAL_MS) || 15000;
+const NEWS_INTERVAL = parseInt(process.env.STREAM_NEWS_INTERVAL_MS) || 60000;
+const HEARTBEAT_INTERVAL = 25000; // Keeps proxies from closing idle streams
+const NEWS_SYMBOLS_PER_PASS = 5; // News polling rotates through symbols
+const QUOTE_BATCH_SIZE = 20; // FMP batch quote limit
+const MAX_ARTICLES_PER_SYMBOL = 20;
+const MIN_NISS_DELTA = 0.5;
+const MAX_STREAM_SYMBOLS = 100;
+
+const clients = new Map(); // clientId -> { res, symbols: Set }
+const symbolState = new Map(); // symbol -> { quote, articles, seen, newsSeeded, niss }
+const timers = {};
+const busy = { quotes: false, news: false };
+let nextClientId = 1;
+let newsCursor = 0;
+
+// ============================================
+// CLIENT MANAGEMENT
+// ============================================
+
+const send = (res, event, data) =>
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+function broadcast(symbol, event, data) {
+  clients.forEach(({ res, symbols }) => {
+    if (symbols.has(symbol)) send(res, event, data);
+  });
+}
+
+// Events that are not tied to a symbol subscription (e.g. alerts)
+function broadcastAll(event, data) {
+  clients.forEach(({ res }) => send(res, event, data));
+  return clients.size;
+}
+
+const subscribedSymbols = () => {
+  const all = new Set();
+  clients.forEach(({ symbols }) => symbols.forEach((s) => all.add(s)));
+  return [...all];
+};
+
+const stateFor = (symbol) => {
+  if (!symbolState.has(symbol)) {
+    symbolState.set(symbol, {
+      quote: null,
+      articles: [],
+      seen: new Set(),
+      newsSeeded: false,
+      niss: null,
+    });
+  }
+  return symbolState.get(symbol);
+};
+
+/**
+ * Attach an SSE client. The response stays open until the client disconnects.
+ * @param {Object} req - Express request (used for the close event)
+ * @param {Object} res - Express response
+ * @param {Array<string>} symbols - Symbols the client wants updates for
+ */
+function subscribe(req, res, symbols) {
+  const clientId = nextClientId++;
+  const clientSymbols = new Set(symbols.slice(0, MAX_STREAM_SYMBOLS));
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 5000\n\n");
+
+  clients.set(clientId, { res, symbols: clientSymbols });
+  console.log(
+    `📡 Stream client ${clientId} connected (${clientSymbols.size} symbols, ${clients.size} clients)`
+  );
+
+  send(res, "ready", {
+    clientId,
+    symbols: [...clientSymbols],
+    intervals: { quotes: QUOTE_INTERVAL, news: NEWS_INTERVAL },
+  });
+
+  // Replay the last known NISS so a reconnecting client is current
+  clientSymbols.forEach((symbol) => {
+    const state = symbolState.get(symbol);
+    if (state?.niss) send(res, "niss", state.niss);
+  });
+
+  req.on("close", () => {
+    clients.delete(clientId);
+    console.log(
+      `📴 Stream client ${clientId} disconnected (${clients.size} clients)`
+    );
+    if (clients.size === 0) stop();
+  });
+
+  start();
+  return clientId;
+}
+
+// ============================================
+// SCORING
+// ============================================
+
+async function rescore(symbol) {
+  const state = stateFor(symbol);
+  // Scoring before news is seeded would overwrite the row's score with a
+  // newsless one
+  if (!state.quote || !state.newsSeeded) return;
+
+  // Same inputs as /api/screening, so streamed scores match the rows
+  const [technicalData, optionsData, earningsData] = await Promise.all([
+    technicals.getTechnicals(symbol).catch(() => null),
+    optionsFlow.getOptionsFlow(symbol).catch(() => null),
+    earnings.getEarningsSignal(symbol).catch(() => null),
+  ]);
+
+  const niss = calculateNISS(
+    state.quote,
+    news.toEngineNews(state.articles),
+    technicalData || {},
+    optionsData || {},
+    {},
+    earningsData
+  );
+
+  const previousScore = state.niss?.nissScore ?? null;
+  const delta = previousScore === null ? 0 : niss.score - previousScore;
+  if (previousScore !== null && Math.abs(delta) < MIN_NISS_DELTA) return;
+
+  state.niss = {
+    symbol,
+    nissScore: niss.score,
+    previousScore,
+    delta: Math.round(delta * 100) / 100,
+    sentiment: getNISSSentiment(niss.score),
+    confidence: niss.confidence,
+    timestamp: new Date().toISOString(),
+  };
+  broadcast(symbol, "niss", state.niss);
+}
+
+// ============================================
+// POLLERS
+// ============================================
+
+// Give new symbols the screening news cache's articles, so their first
+// streamed score starts from the same news as their screening row
+async function seedNews(symbols) {
+  const unseeded = symbols.filter((symbol) => !stateFor(symbol).newsSeeded);
+  if (unseeded.length === 0) return;
+
+  const articlesBySymbol = await news.getBatchNews(unseeded);
+  unseeded.forEach((symbol) => {
+    const state = stateFor(symbol);
+    const articles = articlesBySymbol[symbol] || [];
+    articles.forEach((article) => state.seen.add(news.articleKey(article)));
+    state.articles = articles;
+    state.newsSeeded = true;
+  });
+}
+
+async function pollQuotes() {
+  const symbols = subscribedSymbols();
+  if (busy.quotes || symbols.length === 0) return;
+  busy.quotes = true;
+
+  try {
+    await seedNews(symbols);
+
+    for (let i = 0; i < symbols.length; i += QUOTE_BATCH_SIZE) {
+      const batch = symbols.slice(i, i + QUOTE_BATCH_SIZE);
+      const batchQuotes = await marketData.getBatchQuotes(batch);
+
+      for (const quote of batchQuotes.data) {
+        const state = stateFor(quote.symbol);
+        const previous = state.quote;
+        state.quote = quote;
+
+        if (
+          previous &&
+          previous.price === quote.price &&
+          previous.volume === quote.volume
+        ) {
+          continue;
+        }
+
+        broadcast(quote.symbol, "quote", {
+          symbol: quote.symbol,
+          price: quote.price,
+          change: quote.change,
+          changePercent: quote.changesPercentage,
+          volume: quote.volume,
+          timestamp: quote.timestamp,
+        });
+        await rescore(quote.symbol);
+      }
+    }
+  } catch (error) {
+    console.error("❌ Stream quote poll failed:", error.message || error.error);
+  } finally {
+    busy.quotes = false;
+  }
+}
+
+async function pollNews() {
+  const symbols = subscribedSymbols();
+  if (busy.news || symbols.length === 0) return;
+  busy.news = true;
+
+  try {
+    // Seeded articles are what the client already has
+    await seedNews(symbols);
+
+    const count = Math.min(NEWS_SYMBOLS_PER_PASS, symbols.length);
+    for (let i = 0; i < count; i++) {
+      const symbol = symbols[(newsCursor + i) % symbols.length];
+      const state = stateFor(symbol);
+      const articles = await news.getSymbolNews(symbol);
+
+      const fresh = articles.filter(
+        (article) => !state.seen.has(news.articleKey(article))
+      );
+      if (fresh.length === 0) continue;
+
+      fresh.forEach((article) => state.seen.add(news.articleKey(article)));
+      state.articles = [...fresh, ...state.articles]
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+        .slice(0, MAX_ARTICLES_PER_SYMBOL);
+
+      fresh.forEach((article) =>
+        broadcast(symbol, "news", { symbol, article })
+      );
+
+      await rescore(symbol);
+    }
+    newsCursor = (newsCursor + count) % Math.max(symbols.length, 1);
+  } catch (error) {
+    console.error("❌ Stream news poll failed:", error.message || error.error);
+  } finally {
+    busy.news = false;
+  }
+}
+
+function heartbeat() {
+  clients.forEach(({ res }) => res.write(`: heartbeat ${Date.now()}\n\n`));
+}
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+// Polling yields provider quota to interactive requests
+const inBackground = (poller) => () =>
+  quotaScheduler.withPriority("background", poller);
+
+function start() {
+  if (timers.quotes) return;
+
+  console.log("▶️ Stream pollers started");
+  timers.quotes = setInterval(inBackground(pollQuotes), QUOTE_INTERVAL);
+  timers.news = setInterval(inBackground(pollNews), NEWS_INTERVAL);
+  timers.heartbeat = setInterval(heartbeat, HEARTBEAT_INTERVAL);
+
+  inBackground(pollQuotes)();
+  inBackground(pollNews)();
+}
+
+function stop() {
+  if (!timers.quotes) return;
+
+  Object.keys(timers).forEach((key) => {
+    clearInterval(timers[key]);
+    delete timers[key];
+  });
+  console.log("⏸️ Stream pollers stopped (no clients)");
+}
+
+function getStatus() {
+  return {
+    running: Boolean(timers.quotes),
+    clients: clients.size,
+    symbols: subscribedSymbols().length,
+    intervals: { quotes: QUOTE_INTERVAL, news: NEWS_INTERVAL },
+  };
+}
+
+module.exports = { subscribe, broadcastAll, getStatus, MAX_STREAM_SYMBOLS };
@@ -0,0 +1,104 @@
+// backend/services/streamHub.test.js - Streamed NISS matches screening
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const marketData = require("./marketData");
+const news = require("./news");
+const technicals = require("./technicals");
+const optionsFlow = require("./optionsFlow");
+const earnings = require("./earnings");
+const { calculateNISS } = require("./quoteScoring");
+const streamHub = require("./streamHub");
+
+const quote = {
+  symbol: "AAPL",
+  price: 230,
+  change: 4.6,
+  changesPercentage: 2,
+  volume: 90000000,
+  avgVolume: 50000000,
+  marketCap: 3400000000000,
+  priceAvg50: 220,
+  priceAvg200: 210,
+  yearHigh: 240,
+  yearLow: 160,
+};
+
+const articles = [
+  {
+    headline: "Apple beats estimates on record iPhone sales",
+    source: "Reuters",
+    timestamp: new Date().toISOString(),
+    sentimentScore: 0.8,
+  },
+  {
+    headline: "Analysts upgrade Apple after strong quarter",
+    source: "MarketWatch",
+    timestamp: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+    sentimentScore: 0.6,
+  },
+];
+
+const technicalData = { rsi: 58, momentum: 1.2, priceAboveSMA20: true };
+
+// An SSE client that collects the events written to it
+function connect(symbols) {
+  const req = new EventEmitter();
+  const events = [];
+  const res = {
+    writeHead() {},
+    write(chunk) {
+      const match = chunk.match(/^event: (\w+)\ndata: (.*)\n\n$/);
+      if (match) events.push({ event: match[1], data: JSON.parse(match[2]) });
+    },
+  };
+  streamHub.subscribe(req, res, symbols);
+  return { req, events };
+}
+
+async function waitFor(predicate, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const found = predicate();
+    if (found) return found;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error("Timed out waiting for stream event");
+}
+
+test("the first streamed score equals the screening score", async (t) => {
+  t.mock.method(marketData, "getBatchQuotes", async () => ({
+    success: true,
+    data: [quote],
+  }));
+  t.mock.method(news, "getBatchNews", async (symbols) =>
+    Object.fromEntries(symbols.map((symbol) => [symbol, articles]))
+  );
+  t.mock.method(news, "getSymbolNews", async () => articles);
+  t.mock.method(technicals, "getTechnicals", async () => technicalData);
+  t.mock.method(optionsFlow, "getOptionsFlow", async () => null);
+  t.mock.method(earnings, "getEarningsSignal", async () => null);
+
+  const { req, events } = connect(["AAPL"]);
+  try {
+    const { data } = await waitFor(() =>
+      events.find(({ event }) => event === "niss")
+    );
+
+    // Inputs as runScreening passes them
+    const screening = calculateNISS(
+      quote,
+      news.toEngineNews(articles),
+      technicalData,
+      {},
+      {},
+      null
+    );
+    const newsless = calculateNISS(quote, [], technicalData, {}, {}, null);
+
+    assert.equal(data.nissScore, screening.score);
+    assert.notEqual(data.nissScore, newsless.score);
+  } finally {
+    req.emit("close");
+  }
+});
@@ -0,0 +1,98 @@
+// backend/services/technicals.js - Technical analysis snapshots
+// Computes indicator values from daily bars in the shape NISSCalculationEngine
+// and TradeSetupHelper read as `technicalData`
+
+const indicators = require("./indicators");
+const { fetchDailyBars, toDateString } = require("./marketData");
+
+const HISTORY_DAYS = 400; // ~275 sessions: covers SMA200 and the 52-week range
+const CACHE_TTL = 15 * 60 * 1000;
+const LEVEL_LOOKBACK = 20; // Sessions used for support/resistance
+
+const cache = new Map();
+
+const pctChange = (value, base) => (base ? ((value - base) / base) * 100 : 0);
+
+/**
+ * Compute a technical snapshot as of the last bar
+ * @param {Array} bars - Daily bars, oldest first
+ * @returns {Object|null} technicalData (null without at least two bars)
+ */
+function computeTechnicals(bars) {
+  if (!Array.isArray(bars) || bars.length < 2) return null;
+
+  const { round } = indicators;
+  const closes = indicators.closesOf(bars);
+  const bar = bars[bars.length - 1];
+  const price = bar.close;
+
+  const sma20 = indicators.sma(closes, 20);
+  const sma50 = indicators.sma(closes, 50);
+  const sma200 = indicators.sma(closes, 200);
+  const macd = indicators.macd(closes);
+  const adx = indicators.adx(bars);
+  const bollinger = indicators.bollinger(closes);
+  const atr = indicators.atr(bars);
+  const yearRange = indicators.yearRange(bars);
+  const levels = bars.slice(-LEVEL_LOOKBACK);
+  const momentumBase = closes[closes.length - 11];
+
+  // Engine defaults (RSI 50, ADX 25, flat MACD) stand in when history is short
+  return {
+    asOf: bar.date,
+    price,
+    rsi: round(indicators.rsi(closes) ?? 50),
+    macd: round(macd?.macd ?? 0, 4),
+    macdSignal: round(macd?.signal ?? 0, 4),
+    macdHistogram: round(macd?.histogram ?? 0, 4),
+    adx: round(adx?.adx ?? 25),
+    plusDI: round(adx?.plusDI ?? null),
+    minusDI: round(adx?.minusDI ?? null),
+    bollinger: bollinger
+      ? {
+          upper: round(bollinger.upper),
+          middle: round(bollinger.middle),
+          lower: round(bollinger.lower),
+        }
+      : {},
+    atr: round(atr),
+    atrPercent: atr ? round((atr / price) * 100) : null,
+    sma20: round(sma20),
+    sma50: round(sma50),
+    sma200: round(sma200),
+    priceAboveSMA20: sma20 ? price > sma20 : undefined,
+    priceBelowSMA20: sma20 ? price < sma20 : undefined,
+    priceAboveSMA50: sma50 ? price > sma50 : undefined,
+    priceAboveSMA200: sma200 ? price > sma200 : undefined,
+    momentum: round(momentumBase ? pctChange(price, momentumBase) : 0),
+    high52Week: yearRange?.high ?? null,
+    low52Week: yearRange?.low ?? null,
+    support: Math.min(...levels.map((b) => b.low)),
+    resistance: Math.max(...levels.map((b) => b.high)),
+    avgVolume: round(indicators.averageVolume(bars.slice(0, -1)), 0),
+    barsUsed: bars.length,
+  };
+}
+
+/**
+ * Fetch daily bars and compute the technical snapshot for a symbol
+ * @param {string} symbol - Ticker symbol
+ * @returns {Promise<Object|null>} technicalData, or null when no bars are available
+ */
+async function getTechnicals(symbol) {
+  const key = symbol.toUpperCase();
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    return cached.data;
+  }
+
+  const from = new Date(Date.now() - HISTORY_DAYS * 86400000);
+  const { bars, provider } = await fetchDailyBars(key, toDateString(from));
+  const technicals = computeTechnicals(bars);
+  const data = technicals && { ...technicals, source: provider };
+
+  if (data) cache.set(key, { data, timestamp: Date.now() });
+  return data;
+}
+
+module.exports = { computeTechnicals, getTechnicals };
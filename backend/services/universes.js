@@ -0,0 +1,283 @@
+// backend/services/universes.js - Screening universes
+// Built-in index/sector lists from backend/data, user-defined lists in storage
+// and the user's watchlists/portfolios (ids "watchlist:<id>", "portfolio:<id>")
+
+const path = require("path");
+const providers = require("./providers");
+const simulator = require("./providers/simulator");
+const { createJsonStore } = require("./jsonStore");
+const portfolios = require("./portfolios");
+
+const builtins = require(path.join(__dirname, "..", "data", "universes.json"));
+
+const MAX_SYMBOLS = 500;
+const CONSTITUENTS_TTL = 24 * 60 * 60 * 1000; // Index membership changes rarely
+const SYMBOL_PATTERN = /^[A-Z][A-Z0-9.-]{0,9}$/;
+
+const customStore = createJsonStore("universes", { universes: [] });
+const constituentsCache = new Map();
+
+const universeError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// ============================================
+// LOOKUP
+// ============================================
+
+// The simulator's synthetic universe lists with the built-ins while it is on
+const builtinUniverses = () => {
+  const simulated = simulator.getUniverse();
+  return simulated ? [...builtins.universes, simulated] : builtins.universes;
+};
+
+const findBuiltin = (id) => builtinUniverses().find((u) => u.id === id);
+const findCustom = (id) =>
+  customStore.read().universes.find((u) => u.id === id);
+
+function describe(universe, type) {
+  return {
+    id: universe.id,
+    name: universe.name,
+    description: universe.description || "",
+    category: universe.category || "custom",
+    type,
+    dynamic: Boolean(universe.constituents),
+    symbolCount: universe.symbols.length,
+    updatedAt: universe.updatedAt || null,
+  };
+}
+
+// Watchlists and portfolios screen as universes without being copied into one
+const PERSONAL_TYPES = {
+  watchlist: {
+    list: portfolios.listWatchlists,
+    get: portfolios.getWatchlist,
+    symbols: (item) => item.symbols.map((entry) => entry.symbol),
+  },
+  portfolio: {
+    list: portfolios.listPortfolios,
+    get: portfolios.getPortfolio,
+    symbols: (item) => item.positions.map((position) => position.symbol),
+  },
+};
+
+const parsePersonalId = (id) => {
+  const [type, ...rest] = String(id).split(":");
+  return PERSONAL_TYPES[type] && rest.length > 0
+    ? { type, itemId: rest.join(":") }
+    : null;
+};
+
+const toPersonalUniverse = (type, item) => ({
+  id: `${type}:${item.id}`,
+  name: item.name,
+  description: `Symbols in your ${type}`,
+  category: "personal",
+  symbols: PERSONAL_TYPES[type].symbols(item),
+  updatedAt: item.updatedAt,
+});
+
+const listPersonal = () =>
+  Object.keys(PERSONAL_TYPES).flatMap((type) =>
+    PERSONAL_TYPES[type]
+      .list()
+      .map((item) => describe(toPersonalUniverse(type, item), type))
+  );
+
+/**
+ * List every universe (built-in, then user-defined, then watchlists/portfolios)
+ */
+function listUniverses() {
+  return [
+    ...builtinUniverses().map((u) => describe(u, "builtin")),
+    ...customStore.read().universes.map((u) => describe(u, "custom")),
+    ...listPersonal(),
+  ];
+}
+
+function getUniverse(id = builtins.defaultUniverse) {
+  const personal = parsePersonalId(id);
+  if (personal) {
+    const { type, itemId } = personal;
+    const universe = toPersonalUniverse(type, PERSONAL_TYPES[type].get(itemId)); // 404 if unknown
+    return { ...describe(universe, type), symbols: universe.symbols };
+  }
+
+  const builtin = findBuiltin(id);
+  if (builtin)
+    return { ...describe(builtin, "builtin"), symbols: builtin.symbols };
+
+  const custom = findCustom(id);
+  if (custom) return { ...describe(custom, "custom"), symbols: custom.symbols };
+
+  throw universeError(`Universe not found: ${id}`, 404);
+}
+
+async function getConstituents(index) {
+  const cached = constituentsCache.get(index);
+  if (cached && Date.now() - cached.timestamp < CONSTITUENTS_TTL) {
+    return cached;
+  }
+
+  const { data, provider } = await providers.request("constituents", index);
+  const symbols = data || [];
+
+  if (symbols.length > 0) {
+    constituentsCache.set(index, { symbols, provider, timestamp: Date.now() });
+  }
+  return { symbols, provider };
+}
+
+/**
+ * Resolve a universe id to the symbols to screen. Index universes pull
+ * live constituents from the provider chain and fall back to their stored list.
+ * @param {string} id - Universe id (defaults to the default universe)
+ * @returns {Promise<{ universe: Object, symbols: Array<string>, source: string }>}
+ */
+async function resolveSymbols(id = builtins.defaultUniverse) {
+  const universe = getUniverse(id);
+  const builtin = findBuiltin(universe.id);
+
+  if (builtin?.constituents && providers.getChain("constituents").length > 0) {
+    try {
+      const { symbols, provider } = await getConstituents(builtin.constituents);
+      if (symbols.length > 0) {
+        return {
+          universe,
+          symbols: symbols.slice(0, MAX_SYMBOLS),
+          source: `${provider}-constituents`,
+        };
+      }
+    } catch (error) {
+      console.warn(
+        `⚠️ Constituents unavailable for ${universe.id}:`,
+        error.message || error.error
+      );
+    }
+  }
+
+  return { universe, symbols: universe.symbols, source: universe.type };
+}
+
+// ============================================
+// USER-DEFINED UNIVERSES
+// ============================================
+
+function normalizeSymbols(symbols) {
+  const list = Array.isArray(symbols)
+    ? symbols
+    : typeof symbols === "string"
+    ? symbols.split(/[\s,]+/)
+    : [];
+
+  const normalized = [
+    ...new Set(list.map((s) => String(s).trim().toUpperCase()).filter(Boolean)),
+  ];
+
+  const invalid = normalized.filter((s) => !SYMBOL_PATTERN.test(s));
+  if (invalid.length > 0) {
+    throw universeError(`Invalid symbols: ${invalid.join(", ")}`, 400);
+  }
+  if (normalized.length === 0) {
+    throw universeError("A universe needs at least one symbol", 400);
+  }
+  if (normalized.length > MAX_SYMBOLS) {
+    throw universeError(`A universe is limited to ${MAX_SYMBOLS} symbols`, 400);
+  }
+
+  return normalized;
+}
+
+const slugify = (name) =>
+  String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+function createUniverse({ id, name, description = "", symbols } = {}) {
+  if (!name || !String(name).trim()) {
+    throw universeError("Universe name is required", 400);
+  }
+
+  const universeId = slugify(id || name);
+  if (!universeId) throw universeError("Invalid universe id", 400);
+  if (findBuiltin(universeId) || findCustom(universeId)) {
+    throw universeError(`Universe already exists: ${universeId}`, 409);
+  }
+
+  const now = new Date().toISOString();
+  const universe = {
+    id: universeId,
+    name: String(name).trim(),
+    description,
+    category: "custom",
+    symbols: normalizeSymbols(symbols),
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  customStore.update((store) => {
+    store.universes.push(universe);
+  });
+
+  console.log(
+    `🌐 Universe created: ${universe.id} (${universe.symbols.length} symbols)`
+  );
+  return getUniverse(universe.id);
+}
+
+const assertEditable = (id) => {
+  if (findBuiltin(id)) {
+    throw universeError(`Built-in universe ${id} is read-only`, 403);
+  }
+  if (parsePersonalId(id)) {
+    throw universeError(
+      `${id} is managed through /api/watchlists and /api/portfolios`,
+      403
+    );
+  }
+};
+
+function updateUniverse(id, { name, description, symbols } = {}) {
+  assertEditable(id);
+  if (!findCustom(id)) throw universeError(`Universe not found: ${id}`, 404);
+
+  const patch = { updatedAt: new Date().toISOString() };
+  if (name !== undefined) patch.name = String(name).trim();
+  if (description !== undefined) patch.description = description;
+  if (symbols !== undefined) patch.symbols = normalizeSymbols(symbols);
+
+  customStore.update((store) => {
+    store.universes = store.universes.map((u) =>
+      u.id === id ? { ...u, ...patch } : u
+    );
+  });
+
+  return getUniverse(id);
+}
+
+function deleteUniverse(id) {
+  assertEditable(id);
+  if (!findCustom(id)) throw universeError(`Universe not found: ${id}`, 404);
+
+  customStore.update((store) => {
+    store.universes = store.universes.filter((u) => u.id !== id);
+  });
+
+  console.log(`🗑️ Universe deleted: ${id}`);
+  return { id, deleted: true };
+}
+
+module.exports = {
+  DEFAULT_UNIVERSE: builtins.defaultUniverse,
+  MAX_SYMBOLS,
+  listUniverses,
+  getUniverse,
+  resolveSymbols,
+  createUniverse,
+  updateUniverse,
+  deleteUniverse,
+};
@@ -1,6 +1,9 @@
 // src/api/InstitutionalDataService.js - ENHANCED v4.1.0
 // Added economic calendar and news detail methods
 
+import { NISS_SCALE } from "../engine/NISSCalculationEngine";
+import economicSchedule from "../utils/EconomicSchedule";
+
 class InstitutionalDataService {
   constructor() {
     this.version = "4.1.0-economic-calendar";
@@ -32,9 +35,13 @@ class InstitutionalDataService {
     const startTime = Date.now();
     const params = new URLSearchParams({
       limit: options.limit || 50,
-      minNissScore: options.minNissScore || 5.0,
+      minNissScore: options.minNissScore ?? NISS_SCALE.min,
       includeAll: options.includeAll || true,
     });
+    if (options.universe) params.set("universe", options.universe);
+    if (options.excludeEarningsWithin != null) {
+      params.set("excludeEarningsWithin", options.excludeEarningsWithin);
+    }
 
     try {
       console.log("🔍 Starting stock screening...");
@@ -192,10 +199,106 @@ class InstitutionalDataService {
       return response;
     } catch (error) {
       console.error("❌ Earnings calendar failed:", error.message);
+      throw error;
+    }
+  }
 
-      // Return fallback static earnings
-      return this.getFallbackEarningsCalendar(days);
+  async getEarningsHistory(symbol) {
+    if (!symbol) {
+      throw new Error("Symbol is required for earnings history");
     }
+
+    const cacheKey = `earnings-history-${symbol}`;
+    const cached = this.getCachedData(cacheKey);
+    if (cached) return cached;
+
+    console.log(`📈 Fetching earnings history for ${symbol}...`);
+
+    const response = await this.makeRequestWithRetry(
+      `/api/earnings/${symbol}/history`
+    );
+
+    this.setCachedData(cacheKey, response, 30 * 60 * 1000); // 30 minutes
+    return response;
+  }
+
+  async getPostEarningsDrift(days = 30, symbols = null) {
+    const cacheKey = `earnings-drift-${days}-${symbols || "all"}`;
+    const cached = this.getCachedData(cacheKey);
+    if (cached) return cached;
+
+    console.log(`📈 Fetching post-earnings drift for ${days} days...`);
+
+    const params = new URLSearchParams({ days: days.toString() });
+    if (symbols) params.append("symbols", symbols);
+
+    const response = await this.makeRequestWithRetry(
+      `/api/earnings/drift?${params}`
+    );
+
+    this.setCachedData(cacheKey, response, 15 * 60 * 1000); // 15 minutes
+    return response;
+  }
+
+  async getEconomicSurpriseIndex(days = 180) {
+    const cacheKey = `macro-surprise-${days}`;
+    const cached = this.getCachedData(cacheKey);
+    if (cached) return cached;
+
+    console.log("📊 Fetching economic surprise index...");
+
+    const response = await this.makeRequestWithRetry(
+      `/api/macro/surprise-index?days=${days}`
+    );
+
+    this.setCachedData(cacheKey, response, 30 * 60 * 1000); // 30 minutes
+    return response;
+  }
+
+  async getReleaseReactions(releaseId, count = 8) {
+    if (!releaseId) {
+      throw new Error("Release id is required for release reactions");
+    }
+
+    const cacheKey = `macro-reactions-${releaseId}-${count}`;
+    const cached = this.getCachedData(cacheKey);
+    if (cached) return cached;
+
+    console.log(`📊 Fetching market reactions to ${releaseId}...`);
+
+    const response = await this.makeRequestWithRetry(
+      `/api/macro/releases/${releaseId}/reactions?count=${count}`
+    );
+
+    this.setCachedData(cacheKey, response, 30 * 60 * 1000); // 30 minutes
+    return response;
+  }
+
+  // ============================================
+  // CALENDAR FEED METHODS
+  // ============================================
+
+  // Subscription URL for calendar clients; webcal: opens the subscribe
+  // dialog instead of downloading a snapshot
+  getCalendarFeedUrl(options = {}) {
+    const params = new URLSearchParams();
+    if (options.days) params.set("days", options.days);
+    if (options.types) params.set("types", options.types.join(","));
+    if (options.impact) params.set("impact", options.impact.join(","));
+    if (options.watchlist) params.set("watchlist", options.watchlist);
+
+    const query = params.toString();
+    const url = `${this.backendBaseUrl}/api/calendar.ics${
+      query ? `?${query}` : ""
+    }`;
+    return options.webcal ? url.replace(/^https?:/, "webcal:") : url;
+  }
+
+  async importCalendarEvents(ics, options = {}) {
+    return this.makeApiCall("/api/calendar/import", {
+      method: "POST",
+      body: { ics, symbol: options.symbol, impact: options.impact },
+    });
   }
 
   // ============================================
@@ -221,9 +324,7 @@ class InstitutionalDataService {
       return response;
     } catch (error) {
       console.error(`❌ News analysis failed for ${symbol}:`, error.message);
-
-      // Return mock news data as fallback
-      return this.getFallbackNewsData(symbol);
+      throw error;
     }
   }
 
@@ -248,307 +349,333 @@ class InstitutionalDataService {
       return response;
     } catch (error) {
       console.error(`❌ Detailed news failed for ${symbol}:`, error.message);
-
-      // Return enhanced mock news data
-      return this.getFallbackDetailedNews(symbol);
+      throw error;
     }
   }
 
   // ============================================
-  // FALLBACK DATA METHODS
+  // PERFORMANCE TRACKING METHODS
   // ============================================
 
-  getFallbackEconomicCalendar(days = 7) {
-    console.log("📅 Generating fallback economic calendar...");
+  async getPerformanceSummary(symbol = null) {
+    try {
+      console.log("📓 Fetching signal performance summary...");
+
+      const cacheKey = `performance-summary-${symbol || "all"}`;
+      const cached = this.getCachedData(cacheKey);
+      if (cached) return cached;
 
-    const calendarData = [];
-    const today = new Date();
+      const params = new URLSearchParams();
+      if (symbol) params.append("symbol", symbol);
 
-    for (let i = 0; i < days; i++) {
-      const date = new Date(today);
-      date.setDate(today.getDate() + i);
+      const response = await this.makeRequestWithRetry(
+        `/api/performance/summary?${params}`,
+        { timeout: 30000 }
+      );
 
-      const dayEvents = this.getStaticEconomicEvents(date);
+      console.log(
+        "✅ Performance summary received:",
+        response.data?.totalSignals || 0,
+        "signals"
+      );
 
-      if (dayEvents.length > 0) {
-        calendarData.push({
-          date: date.toISOString().split("T")[0],
-          dayName: date.toLocaleDateString("en-US", { weekday: "short" }),
-          dayNumber: date.getDate(),
-          month: date.toLocaleDateString("en-US", { month: "short" }),
-          events: dayEvents,
-        });
-      }
+      this.setCachedData(cacheKey, response, 10 * 60 * 1000); // 10 minutes
+      return response;
+    } catch (error) {
+      console.error("❌ Performance summary failed:", error.message);
+      throw error;
     }
+  }
 
-    return {
-      success: true,
-      data: calendarData,
-      metadata: {
-        daysRequested: days,
-        totalEvents: calendarData.reduce(
-          (sum, day) => sum + day.events.length,
-          0
-        ),
-        source: "fallback",
-        lastUpdated: new Date().toISOString(),
-      },
-    };
+  async getSignalJournal(options = {}) {
+    const params = new URLSearchParams({ limit: options.limit || 100 });
+    if (options.symbol) params.append("symbol", options.symbol);
+    if (options.action) params.append("action", options.action);
+
+    return this.makeRequestWithRetry(`/api/performance/journal?${params}`);
   }
 
-  getFallbackEarningsCalendar(days = 7) {
-    console.log("📈 Generating fallback earnings calendar...");
-
-    const earningsData = [];
-    const today = new Date();
-
-    const majorStocks = [
-      "AAPL",
-      "MSFT",
-      "GOOGL",
-      "AMZN",
-      "TSLA",
-      "META",
-      "NVDA",
-    ];
-
-    for (let i = 0; i < days; i++) {
-      const date = new Date(today);
-      date.setDate(today.getDate() + i);
-
-      if (date.getDay() !== 0 && date.getDay() !== 6) {
-        // Weekdays only
-        const numEarnings = Math.floor(Math.random() * 2) + 1;
-        const dayEarnings = [];
-
-        for (let j = 0; j < numEarnings; j++) {
-          const randomStock =
-            majorStocks[Math.floor(Math.random() * majorStocks.length)];
-          const time = Math.random() > 0.5 ? "Pre-market" : "After-market";
-
-          dayEarnings.push({
-            symbol: randomStock,
-            companyName: `${randomStock} Company`,
-            time,
-            impact: "HIGH",
-            epsEstimated: (Math.random() * 5).toFixed(2),
-            revenueEstimated: (Math.random() * 100000000000).toFixed(0),
-            source: "fallback",
-          });
-        }
+  // ============================================
+  // BACKTESTING METHODS
+  // ============================================
 
-        if (dayEarnings.length > 0) {
-          earningsData.push({
-            date: date.toISOString().split("T")[0],
-            dayName: date.toLocaleDateString("en-US", { weekday: "short" }),
-            dayNumber: date.getDate(),
-            month: date.toLocaleDateString("en-US", { month: "short" }),
-            earnings: dayEarnings,
-          });
-        }
-      }
-    }
+  async getBacktestFixtures() {
+    const cacheKey = "backtest-fixtures";
+    const cached = this.getCachedData(cacheKey);
+    if (cached) return cached;
 
-    return {
-      success: true,
-      data: earningsData,
-      metadata: {
-        daysRequested: days,
-        totalEarnings: earningsData.reduce(
-          (sum, day) => sum + day.earnings.length,
-          0
-        ),
-        source: "fallback",
-        lastUpdated: new Date().toISOString(),
-      },
-    };
+    const response = await this.makeRequestWithRetry("/api/backtest/fixtures");
+    this.setCachedData(cacheKey, response);
+    return response;
   }
 
-  getStaticEconomicEvents(date) {
-    const dayOfWeek = date.getDay();
-    const events = [];
-
-    switch (dayOfWeek) {
-      case 1: // Monday
-        events.push(
-          {
-            time: "14:30",
-            event: "ISM Manufacturing PMI",
-            impact: "HIGH",
-            country: "US",
-          },
-          {
-            time: "15:00",
-            event: "Construction Spending",
-            impact: "MEDIUM",
-            country: "US",
-          }
-        );
-        break;
-      case 2: // Tuesday
-        events.push({
-          time: "14:30",
-          event: "JOLTs Job Openings",
-          impact: "MEDIUM",
-          country: "US",
-        });
-        break;
-      case 3: // Wednesday
-        events.push(
-          {
-            time: "14:15",
-            event: "ADP Employment Change",
-            impact: "HIGH",
-            country: "US",
-          },
-          {
-            time: "20:00",
-            event: "Fed Beige Book",
-            impact: "HIGH",
-            country: "US",
-          }
-        );
-        break;
-      case 4: // Thursday
-        events.push(
-          {
-            time: "14:30",
-            event: "Initial Jobless Claims",
-            impact: "MEDIUM",
-            country: "US",
-          },
-          {
-            time: "16:00",
-            event: "ISM Services PMI",
-            impact: "HIGH",
-            country: "US",
-          }
-        );
-        break;
-      case 5: // Friday
-        events.push(
-          {
-            time: "14:30",
-            event: "Non-Farm Payrolls",
-            impact: "HIGH",
-            country: "US",
-          },
-          {
-            time: "14:30",
-            event: "Unemployment Rate",
-            impact: "HIGH",
-            country: "US",
-          }
-        );
-        break;
+  async runBacktest(options = {}) {
+    try {
+      console.log("🧪 Running backtest...", options);
+
+      // Not retried: a backtest is deterministic, a failure will fail again
+      const response = await this.makeApiCall("/api/backtest/run", {
+        method: "POST",
+        body: options,
+        timeout: 60000,
+      });
+
+      console.log(
+        "✅ Backtest complete:",
+        response.data?.trades?.length || 0,
+        "trades"
+      );
+      return response;
+    } catch (error) {
+      console.error("❌ Backtest failed:", error.message);
+      throw error;
     }
+  }
+
+  // ============================================
+  // SCREENING UNIVERSE METHODS
+  // ============================================
 
-    return events.map((event) => ({ ...event, source: "static" }));
+  async getUniverses() {
+    const cacheKey = "universes";
+    const cached = this.getCachedData(cacheKey);
+    if (cached) return cached;
+
+    const response = await this.makeRequestWithRetry("/api/universe");
+    this.setCachedData(cacheKey, response, 60 * 60 * 1000); // 1 hour
+    return response;
   }
 
-  getFallbackNewsData(symbol) {
-    console.log(`📰 Generating fallback news for ${symbol}...`);
+  async getUniverse(id) {
+    return this.makeRequestWithRetry(`/api/universe/${encodeURIComponent(id)}`);
+  }
 
-    const mockNews = [
-      {
-        headline: `${symbol} Shows Strong Performance in Latest Quarter`,
-        source: "MarketWatch",
-        timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
-        sentiment: "BULLISH",
-        relevanceScore: 8.5,
-        url: `https://marketwatch.com/stocks/${symbol}`,
-      },
-      {
-        headline: `Analysts Upgrade ${symbol} Price Target`,
-        source: "Bloomberg",
-        timestamp: new Date(Date.now() - 6 * 60 * 60 * 1000).toISOString(),
-        sentiment: "BULLISH",
-        relevanceScore: 7.8,
-        url: `https://bloomberg.com/stocks/${symbol}`,
-      },
-    ];
+  async createUniverse(universe) {
+    const response = await this.makeApiCall("/api/universe", {
+      method: "POST",
+      body: universe,
+    });
+    this.cache.delete("universes");
+    return response;
+  }
 
-    return {
-      success: true,
-      symbol,
-      articles: mockNews,
-      summary: {
-        totalArticles: mockNews.length,
-        avgSentiment: "BULLISH",
-        avgRelevance: 8.2,
-        source: "fallback",
-      },
-      timestamp: new Date().toISOString(),
+  async updateUniverse(id, changes) {
+    const response = await this.makeApiCall(
+      `/api/universe/${encodeURIComponent(id)}`,
+      { method: "PUT", body: changes }
+    );
+    this.cache.delete("universes");
+    return response;
+  }
+
+  async deleteUniverse(id) {
+    const response = await this.makeApiCall(
+      `/api/universe/${encodeURIComponent(id)}`,
+      { method: "DELETE" }
+    );
+    this.cache.delete("universes");
+    return response;
+  }
+
+  // ============================================
+  // ALERTING METHODS
+  // ============================================
+
+  async getAlertRules() {
+    return this.makeRequestWithRetry("/api/alerts/rules");
+  }
+
+  async createAlertRule(rule) {
+    return this.makeApiCall("/api/alerts/rules", {
+      method: "POST",
+      body: rule,
+    });
+  }
+
+  async updateAlertRule(id, changes) {
+    return this.makeApiCall(`/api/alerts/rules/${encodeURIComponent(id)}`, {
+      method: "PUT",
+      body: changes,
+    });
+  }
+
+  async deleteAlertRule(id) {
+    return this.makeApiCall(`/api/alerts/rules/${encodeURIComponent(id)}`, {
+      method: "DELETE",
+    });
+  }
+
+  async testAlertRule(id) {
+    return this.makeApiCall(
+      `/api/alerts/rules/${encodeURIComponent(id)}/test`,
+      { method: "POST" }
+    );
+  }
+
+  async getAlertEvents(options = {}) {
+    const params = new URLSearchParams({ limit: options.limit || 50 });
+    if (options.since) params.append("since", options.since);
+    if (options.symbol) params.append("symbol", options.symbol);
+
+    return this.makeRequestWithRetry(`/api/alerts/events?${params}`);
+  }
+
+  // ============================================
+  // WATCHLIST & PORTFOLIO METHODS
+  // ============================================
+
+  async getWatchlist(id = "default") {
+    return this.makeRequestWithRetry(
+      `/api/watchlists/${encodeURIComponent(id)}`
+    );
+  }
+
+  async addWatchlistSymbols(id, symbols) {
+    return this.makeApiCall(
+      `/api/watchlists/${encodeURIComponent(id)}/symbols`,
+      { method: "POST", body: { symbols } }
+    );
+  }
+
+  async removeWatchlistSymbol(id, symbol) {
+    return this.makeApiCall(
+      `/api/watchlists/${encodeURIComponent(id)}/symbols/${encodeURIComponent(
+        symbol
+      )}`,
+      { method: "DELETE" }
+    );
+  }
+
+  async getPortfolios() {
+    return this.makeRequestWithRetry("/api/portfolios");
+  }
+
+  async getPortfolio(id = "default", options = {}) {
+    const params = new URLSearchParams();
+    if (options.quotes === false) params.append("quotes", "false");
+
+    return this.makeRequestWithRetry(
+      `/api/portfolios/${encodeURIComponent(id)}?${params}`
+    );
+  }
+
+  async createPortfolio(portfolio) {
+    const response = await this.makeApiCall("/api/portfolios", {
+      method: "POST",
+      body: portfolio,
+    });
+    this.cache.delete("universes"); // Portfolios double as universes
+    return response;
+  }
+
+  async updatePortfolio(id, changes) {
+    return this.makeApiCall(`/api/portfolios/${encodeURIComponent(id)}`, {
+      method: "PUT",
+      body: changes,
+    });
+  }
+
+  async getPortfolioRisk(portfolioId, symbol) {
+    return this.makeApiCall(
+      `/api/portfolios/${encodeURIComponent(
+        portfolioId
+      )}/risk/${encodeURIComponent(symbol)}`,
+      { timeout: 30000 }
+    );
+  }
+
+  async deletePortfolio(id) {
+    const response = await this.makeApiCall(
+      `/api/portfolios/${encodeURIComponent(id)}`,
+      { method: "DELETE" }
+    );
+    this.cache.delete("universes");
+    return response;
+  }
+
+  async savePosition(portfolioId, symbol, position) {
+    return this.makeApiCall(
+      `/api/portfolios/${encodeURIComponent(
+        portfolioId
+      )}/positions/${encodeURIComponent(symbol)}`,
+      { method: "PUT", body: position }
+    );
+  }
+
+  async removePosition(portfolioId, symbol) {
+    return this.makeApiCall(
+      `/api/portfolios/${encodeURIComponent(
+        portfolioId
+      )}/positions/${encodeURIComponent(symbol)}`,
+      { method: "DELETE" }
+    );
+  }
+
+  // ============================================
+  // LIVE STREAMING METHODS
+  // ============================================
+
+  /**
+   * Open the live Server-Sent Events stream
+   * @param {Array<string>} symbols - Symbols to follow
+   * @param {Object} handlers - { onQuote, onNews, onNiss, onAlert, onOpen, onError }
+   * @returns {EventSource|null} Caller closes it; null when unsupported
+   */
+  openStream(symbols = [], handlers = {}) {
+    if (typeof EventSource === "undefined") {
+      console.warn("⚠️ EventSource not supported, live updates disabled");
+      return null;
+    }
+
+    const params = new URLSearchParams({ symbols: symbols.join(",") });
+    const source = new EventSource(
+      `${this.backendBaseUrl}/api/stream?${params}`
+    );
+
+    const listen = (event, handler) => {
+      if (!handler) return;
+      source.addEventListener(event, (message) => {
+        try {
+          handler(JSON.parse(message.data));
+        } catch (error) {
+          console.error(`❌ Bad ${event} stream event:`, error.message);
+        }
+      });
     };
+
+    listen("ready", handlers.onOpen);
+    listen("quote", handlers.onQuote);
+    listen("news", handlers.onNews);
+    listen("niss", handlers.onNiss);
+    listen("alert", handlers.onAlert);
+    source.onerror = () => handlers.onError?.(source.readyState);
+
+    console.log(`📡 Live stream opened for ${symbols.length} symbols`);
+    return source;
   }
 
-  getFallbackDetailedNews(symbol) {
-    console.log(`📰 Generating detailed fallback news for ${symbol}...`);
-
-    const detailedNews = [
-      {
-        id: 1,
-        headline: `${symbol} Reports Strong Q4 Earnings, Beats Estimates`,
-        source: "Reuters",
-        timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
-        url: `https://reuters.com/business/finance/${symbol.toLowerCase()}-earnings`,
-        sentiment: "BULLISH",
-        relevanceScore: 9.2,
-        summary: `${symbol} exceeded analyst expectations with strong quarterly results, driving positive market sentiment.`,
-        category: "earnings",
-        impact: "HIGH",
-      },
-      {
-        id: 2,
-        headline: `Analysts Upgrade ${symbol} Following Product Launch`,
-        source: "Bloomberg",
-        timestamp: new Date(Date.now() - 5 * 60 * 60 * 1000).toISOString(),
-        url: `https://bloomberg.com/news/articles/${symbol.toLowerCase()}-upgrade`,
-        sentiment: "BULLISH",
-        relevanceScore: 8.7,
-        summary: `Multiple analysts raised price targets for ${symbol} citing successful product launch and market expansion.`,
-        category: "analyst",
-        impact: "MEDIUM",
-      },
-      {
-        id: 3,
-        headline: `${symbol} CEO Discusses Growth Strategy in Interview`,
-        source: "CNBC",
-        timestamp: new Date(Date.now() - 12 * 60 * 60 * 1000).toISOString(),
-        url: `https://cnbc.com/video/${symbol.toLowerCase()}-ceo-interview`,
-        sentiment: "NEUTRAL",
-        relevanceScore: 7.5,
-        summary: `CEO outlines strategic initiatives and addresses market concerns in comprehensive interview.`,
-        category: "management",
-        impact: "MEDIUM",
-      },
-      {
-        id: 4,
-        headline: `Market Volatility Affects ${symbol} Trading Volume`,
-        source: "MarketWatch",
-        timestamp: new Date(Date.now() - 18 * 60 * 60 * 1000).toISOString(),
-        url: `https://marketwatch.com/story/${symbol.toLowerCase()}-trading-volume`,
-        sentiment: "NEUTRAL",
-        relevanceScore: 6.8,
-        summary: `Increased trading volume observed amid broader market volatility and sector rotation.`,
-        category: "market",
-        impact: "LOW",
-      },
-    ];
+  // ============================================
+  // FALLBACK DATA METHODS
+  // ============================================
+
+  getFallbackEconomicCalendar(days = 7) {
+    console.log("📅 Generating fallback economic calendar...");
+
+    // Same release schedule the backend serves, without provider values
+    const calendarData = economicSchedule.buildCalendar(new Date(), days);
 
     return {
       success: true,
-      symbol,
-      articles: detailedNews,
+      data: calendarData,
       metadata: {
-        totalArticles: detailedNews.length,
-        timeframe: "24h",
-        avgSentiment: "BULLISH",
-        avgRelevance: 8.1,
-        highImpactCount: detailedNews.filter((a) => a.impact === "HIGH").length,
+        daysRequested: days,
+        totalEvents: calendarData.reduce(
+          (sum, day) => sum + day.events.length,
+          0
+        ),
         source: "fallback",
+        lastUpdated: new Date().toISOString(),
       },
-      timestamp: new Date().toISOString(),
     };
   }
 
@@ -672,6 +799,20 @@ class InstitutionalDataService {
     }
   }
 
+  async getOptionsFlow(symbol) {
+    if (!symbol) {
+      throw new Error("Symbol is required for options flow");
+    }
+
+    const cacheKey = `options-${symbol}`;
+    const cached = this.getCachedData(cacheKey);
+    if (cached) return cached;
+
+    const response = await this.makeRequestWithRetry(`/api/options/${symbol}`);
+    this.setCachedData(cacheKey, response, 15 * 60 * 1000); // 15 minutes
+    return response;
+  }
+
   async getCatalystAnalysis(symbol) {
     if (!symbol) {
       throw new Error("Symbol is required for catalyst analysis");
@@ -2,6 +2,8 @@
 // Updated to use backend proxy instead of direct API calls
 
 import { API_CONFIG } from "./config";
+import nissEngine from "../engine/NISSCalculationEngine";
+import financialSentiment from "../utils/FinancialSentiment";
 
 class DataService {
   constructor() {
@@ -107,10 +109,8 @@ class DataService {
           category: article.category,
           relevanceScore: article.relevanceScore,
           sentiment:
-            article.sentiment ||
-            this.analyzeSentiment(
-              article.headline + " " + (article.summary || "")
-            ),
+            article.sentimentScore ??
+            this.analyzeSentiment(article.headline, article.summary),
         }));
       }
 
@@ -146,7 +146,7 @@ class DataService {
           if (batchData[symbol]) {
             const quote = batchData[symbol];
             const news = await this.getNews(symbol); // Get news separately
-            const nissScore = this.calculateNISS(quote, news);
+            const nissScore = this.calculateNISS(quote, news, symbol);
 
             results.push({
               symbol,
@@ -370,92 +370,34 @@ class DataService {
     return Object.values(stocks).flat();
   }
 
-  analyzeSentiment(text) {
-    const positiveWords = [
-      "buy",
-      "bullish",
-      "growth",
-      "profit",
-      "gain",
-      "increase",
-      "positive",
-      "upgrade",
-      "strong",
-      "beat",
-      "exceed",
-      "outperform",
-      "boost",
-      "rise",
-    ];
-
-    const negativeWords = [
-      "sell",
-      "bearish",
-      "loss",
-      "decline",
-      "decrease",
-      "negative",
-      "downgrade",
-      "weak",
-      "miss",
-      "underperform",
-      "drop",
-      "fall",
-      "crash",
-    ];
-
-    if (!text) return 0;
-
-    const words = text.toLowerCase().split(/\s+/);
-    let score = 0;
-
-    words.forEach((word) => {
-      if (positiveWords.includes(word)) score += 1;
-      if (negativeWords.includes(word)) score -= 1;
-    });
-
-    // Normalize to -1 to 1 range
-    return Math.max(-1, Math.min(1, score / Math.max(words.length / 10, 1)));
+  // Finance lexicon score, same scorer the backend and NISS engine use
+  analyzeSentiment(headline, summary = "") {
+    return financialSentiment.analyze(headline || "", summary || "").score;
   }
 
-  calculateNISS(quote, news) {
+  // Delegates to the shared engine so this path scores like the backend
+  calculateNISS(quote, news, symbol = quote?.symbol) {
     if (!quote) return 0;
 
-    const priceChange = quote.changePercent || 0;
-    const newsCount = news ? news.length : 0;
-
-    // Recent news (last 24 hours)
-    const oneDayAgo = Date.now() - 24 * 60 * 60 * 1000;
-    const recentNews = news
-      ? news.filter((article) => article.datetime * 1000 > oneDayAgo).length
-      : 0;
-
-    // Average sentiment
-    const avgSentiment =
-      news && news.length > 0
-        ? news.reduce((sum, article) => sum + article.sentiment, 0) /
-          news.length
-        : 0;
-
-    // Enhanced NISS calculation that can go negative
-    const priceScore = priceChange * 10; // Preserves sign (+/-)
-    const newsScore = newsCount * 5;
-    const recencyScore = recentNews * 10;
-    const sentimentScore = avgSentiment * 50; // Can be negative
-
-    // Final NISS score - can range from highly negative to highly positive
-    let nissScore = priceScore + newsScore + recencyScore + sentimentScore;
-
-    // Apply directional bias based on sentiment and price action
-    if (priceChange < -2 && avgSentiment < -0.3) {
-      // Strong negative bias
-      nissScore = nissScore - Math.abs(nissScore * 0.5);
-    } else if (priceChange > 2 && avgSentiment > 0.3) {
-      // Strong positive bias
-      nissScore = nissScore + Math.abs(nissScore * 0.2);
-    }
+    const result = nissEngine.calculateNISS(
+      {
+        symbol,
+        price: quote.price || quote.c,
+        changePercent: quote.changePercent || 0,
+        volume: quote.volume || 0,
+        avgVolume: quote.avgVolume || 0,
+        marketCap: quote.marketCap || 0,
+      },
+      (news || []).map((article) => ({
+        headline: article.headline,
+        source: article.source,
+        sentiment: article.sentiment,
+        // Finnhub timestamps are in seconds
+        datetime: article.datetime ? article.datetime * 1000 : undefined,
+      }))
+    );
 
-    return Math.round(nissScore);
+    return result.score;
   }
 
   async getStockData(symbol) {
@@ -464,7 +406,7 @@ class DataService {
       this.getNews(symbol),
     ]);
 
-    const nissScore = this.calculateNISS(quote, news);
+    const nissScore = this.calculateNISS(quote, news, symbol);
 
     return {
       symbol,
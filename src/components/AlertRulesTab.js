@@ -0,0 +1,479 @@
+// src/components/AlertRulesTab.js
+// Alert rule builder, delivery tests and the fired-alert history
+
+import React, { useState, useEffect, useCallback } from "react";
+import { Bell, BellRing, Plus, Send, Trash2, X } from "lucide-react";
+
+import InstitutionalDataService from "../api/InstitutionalDataService";
+
+const EMPTY_CONDITION = { field: "nissScore", operator: "gte", value: "60" };
+
+const EMPTY_RULE = {
+  name: "",
+  symbols: "",
+  universe: "",
+  conditions: [EMPTY_CONDITION],
+  channels: ["browser"],
+  webhookUrl: "",
+  email: "",
+  cooldownMinutes: 60,
+};
+
+const OPERATOR_LABELS = {
+  gt: ">",
+  gte: "≥",
+  lt: "<",
+  lte: "≤",
+  eq: "=",
+  neq: "≠",
+  crossesAbove: "crosses above",
+  crossesBelow: "crosses below",
+  changesTo: "changes to",
+};
+
+const describeConditions = (conditions = []) =>
+  conditions
+    .map(
+      (c) =>
+        `${c.field} ${OPERATOR_LABELS[c.operator] || c.operator} ${c.value}`
+    )
+    .join(" AND ");
+
+const AlertRulesTab = () => {
+  const [rules, setRules] = useState([]);
+  const [schema, setSchema] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_RULE);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [permission, setPermission] = useState(
+    typeof Notification !== "undefined" ? Notification.permission : "denied"
+  );
+
+  const loadAlerts = useCallback(async () => {
+    try {
+      const [rulesResponse, eventsResponse] = await Promise.all([
+        InstitutionalDataService.getAlertRules(),
+        InstitutionalDataService.getAlertEvents({ limit: 25 }),
+      ]);
+      setRules(rulesResponse.data || []);
+      setSchema(rulesResponse.metadata || null);
+      setEvents(eventsResponse.data || []);
+    } catch (err) {
+      console.error("❌ Alert rules loading failed:", err);
+      setMessage({ type: "error", text: err.message });
+    }
+  }, []);
+
+  useEffect(() => {
+    loadAlerts();
+  }, [loadAlerts]);
+
+  // ============================================
+  // DRAFT EDITING
+  // ============================================
+
+  const updateCondition = (index, changes) => {
+    setDraft((current) => ({
+      ...current,
+      conditions: current.conditions.map((condition, i) => {
+        if (i !== index) return condition;
+
+        const next = { ...condition, ...changes };
+        const field = schema?.fields?.[next.field];
+        // Keep the operator/value valid when the field type changes
+        if (field && !schema.operators[field.type].includes(next.operator)) {
+          next.operator = schema.operators[field.type][0];
+        }
+        if (changes.field && field?.type === "enum") {
+          next.value = field.values[0];
+        }
+        return next;
+      }),
+    }));
+  };
+
+  const toggleChannel = (channel) => {
+    setDraft((current) => ({
+      ...current,
+      channels: current.channels.includes(channel)
+        ? current.channels.filter((c) => c !== channel)
+        : [...current.channels, channel],
+    }));
+  };
+
+  // ============================================
+  // ACTIONS
+  // ============================================
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setMessage(null);
+
+    try {
+      await InstitutionalDataService.createAlertRule({
+        ...draft,
+        symbols: draft.symbols.split(/[\s,]+/).filter(Boolean),
+        universe: draft.universe || null,
+        cooldownMinutes: Number(draft.cooldownMinutes),
+      });
+      setDraft(EMPTY_RULE);
+      setMessage({ type: "success", text: "Alert rule created" });
+      await loadAlerts();
+    } catch (err) {
+      setMessage({
+        type: "error",
+        text: `Could not save rule: ${err.message}`,
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    await InstitutionalDataService.updateAlertRule(rule.id, {
+      enabled: !rule.enabled,
+    });
+    loadAlerts();
+  };
+
+  const handleDelete = async (rule) => {
+    await InstitutionalDataService.deleteAlertRule(rule.id);
+    loadAlerts();
+  };
+
+  const handleTest = async (rule) => {
+    try {
+      const response = await InstitutionalDataService.testAlertRule(rule.id);
+      const failed = Object.entries(response.data?.delivery || {}).filter(
+        ([, result]) => !result.delivered
+      );
+      setMessage(
+        failed.length === 0
+          ? { type: "success", text: `Test alert sent for "${rule.name}"` }
+          : {
+              type: "error",
+              text: failed
+                .map(([channel, result]) => `${channel}: ${result.error}`)
+                .join("; "),
+            }
+      );
+    } catch (err) {
+      setMessage({ type: "error", text: err.message });
+    }
+  };
+
+  const requestPermission = async () => {
+    if (typeof Notification === "undefined") return;
+    setPermission(await Notification.requestPermission());
+  };
+
+  // ============================================
+  // RENDER
+  // ============================================
+
+  const fields = schema?.fields || {};
+  const channelStatus = schema?.channels || {};
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <Bell className="w-6 h-6 text-blue-600" />
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Alert Rules</h2>
+            <p className="text-sm text-gray-600">
+              Evaluated after every screening pass
+            </p>
+          </div>
+        </div>
+        {permission !== "granted" && (
+          <button
+            onClick={requestPermission}
+            className="flex items-center space-x-2 px-4 py-2 text-sm bg-blue-50 text-blue-700 rounded-lg hover:bg-blue-100"
+          >
+            <BellRing className="w-4 h-4" />
+            <span>Enable desktop notifications</span>
+          </button>
+        )}
+      </div>
+
+      {message && (
+        <div
+          className={`px-4 py-3 rounded-lg text-sm ${
+            message.type === "error"
+              ? "bg-red-50 text-red-700"
+              : "bg-green-50 text-green-700"
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      {/* Rule builder */}
+      <div className="bg-white border border-gray-200 rounded-lg p-6 space-y-4">
+        <h3 className="text-lg font-semibold text-gray-900">New rule</h3>
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <input
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            placeholder="Rule name"
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <input
+            value={draft.symbols}
+            onChange={(e) => setDraft({ ...draft, symbols: e.target.value })}
+            placeholder="Symbols (blank = all screened)"
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <select
+            value={draft.universe}
+            onChange={(e) => setDraft({ ...draft, universe: e.target.value })}
+            disabled={Boolean(draft.symbols.trim())}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="">All screened symbols</option>
+            <option value="watchlist:default">My watchlist</option>
+            <option value="portfolio:default">My portfolio</option>
+          </select>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <span>Cooldown (min)</span>
+            <input
+              type="number"
+              min="0"
+              value={draft.cooldownMinutes}
+              onChange={(e) =>
+                setDraft({ ...draft, cooldownMinutes: e.target.value })
+              }
+              className="w-24 px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+        </div>
+
+        <div className="space-y-2">
+          {draft.conditions.map((condition, index) => {
+            const field = fields[condition.field];
+            const operators = field ? schema.operators[field.type] : [];
+
+            return (
+              <div key={index} className="flex items-center space-x-2">
+                <select
+                  value={condition.field}
+                  onChange={(e) =>
+                    updateCondition(index, { field: e.target.value })
+                  }
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                >
+                  {Object.keys(fields).map((name) => (
+                    <option key={name} value={name}>
+                      {fields[name].label || name}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={condition.operator}
+                  onChange={(e) =>
+                    updateCondition(index, { operator: e.target.value })
+                  }
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                >
+                  {operators.map((op) => (
+                    <option key={op} value={op}>
+                      {OPERATOR_LABELS[op] || op}
+                    </option>
+                  ))}
+                </select>
+                {field?.type === "enum" ? (
+                  <select
+                    value={condition.value}
+                    onChange={(e) =>
+                      updateCondition(index, { value: e.target.value })
+                    }
+                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  >
+                    {field.values.map((value) => (
+                      <option key={value} value={value}>
+                        {value}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <input
+                    type="number"
+                    value={condition.value}
+                    onChange={(e) =>
+                      updateCondition(index, { value: e.target.value })
+                    }
+                    className="w-28 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                )}
+                {draft.conditions.length > 1 && (
+                  <button
+                    onClick={() =>
+                      setDraft({
+                        ...draft,
+                        conditions: draft.conditions.filter(
+                          (_, i) => i !== index
+                        ),
+                      })
+                    }
+                    className="p-2 text-gray-400 hover:text-red-600"
+                    title="Remove condition"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            );
+          })}
+          <button
+            onClick={() =>
+              setDraft({
+                ...draft,
+                conditions: [...draft.conditions, EMPTY_CONDITION],
+              })
+            }
+            className="flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-800"
+          >
+            <Plus className="w-4 h-4" />
+            <span>Add condition (AND)</span>
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4">
+          {["browser", "webhook", "email"].map((channel) => (
+            <label
+              key={channel}
+              className="flex items-center space-x-2 text-sm text-gray-700"
+            >
+              <input
+                type="checkbox"
+                checked={draft.channels.includes(channel)}
+                onChange={() => toggleChannel(channel)}
+              />
+              <span className="capitalize">{channel}</span>
+              {channel !== "browser" &&
+                channelStatus[channel]?.configured === false && (
+                  <span className="text-xs text-gray-400">(needs setup)</span>
+                )}
+            </label>
+          ))}
+          {draft.channels.includes("webhook") && (
+            <input
+              value={draft.webhookUrl}
+              onChange={(e) =>
+                setDraft({ ...draft, webhookUrl: e.target.value })
+              }
+              placeholder="https://hooks.example.com/..."
+              className="flex-1 min-w-[200px] px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+          )}
+          {draft.channels.includes("email") && (
+            <input
+              value={draft.email}
+              onChange={(e) => setDraft({ ...draft, email: e.target.value })}
+              placeholder="alerts@example.com"
+              className="flex-1 min-w-[200px] px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+          )}
+        </div>
+
+        <button
+          onClick={handleCreate}
+          disabled={saving || !draft.name}
+          className={`px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 ${
+            saving || !draft.name ? "opacity-50 cursor-not-allowed" : ""
+          }`}
+        >
+          {saving ? "Saving..." : "Create rule"}
+        </button>
+      </div>
+
+      {/* Rules */}
+      <div className="bg-white border border-gray-200 rounded-lg divide-y divide-gray-100">
+        {rules.length === 0 ? (
+          <div className="p-6 text-center text-sm text-gray-500">
+            No alert rules yet
+          </div>
+        ) : (
+          rules.map((rule) => (
+            <div
+              key={rule.id}
+              className="p-4 flex items-center justify-between"
+            >
+              <div>
+                <div className="flex items-center space-x-2">
+                  <span className="font-semibold text-gray-900">
+                    {rule.name}
+                  </span>
+                  <span className="text-xs text-gray-500">
+                    {rule.symbols.length > 0
+                      ? rule.symbols.join(", ")
+                      : rule.universe || "All screened"}
+                  </span>
+                </div>
+                <div className="text-sm text-gray-600">
+                  {describeConditions(rule.conditions)}
+                </div>
+                <div className="text-xs text-gray-400">
+                  {rule.channels.join(" · ")} · cooldown {rule.cooldownMinutes}m
+                </div>
+              </div>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => handleToggle(rule)}
+                  className={`px-3 py-1 text-xs font-medium rounded-full ${
+                    rule.enabled
+                      ? "bg-green-100 text-green-700"
+                      : "bg-gray-100 text-gray-500"
+                  }`}
+                >
+                  {rule.enabled ? "Enabled" : "Paused"}
+                </button>
+                <button
+                  onClick={() => handleTest(rule)}
+                  className="p-2 text-gray-400 hover:text-blue-600"
+                  title="Send test alert"
+                >
+                  <Send className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleDelete(rule)}
+                  className="p-2 text-gray-400 hover:text-red-600"
+                  title="Delete rule"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      {/* Recent alerts */}
+      <div className="bg-white border border-gray-200 rounded-lg p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-3">
+          Recent alerts
+        </h3>
+        {events.length === 0 ? (
+          <p className="text-sm text-gray-500">No alerts have fired yet</p>
+        ) : (
+          <ul className="space-y-2">
+            {events.map((event) => (
+              <li key={event.id} className="text-sm flex justify-between">
+                <span className="text-gray-800">{event.message}</span>
+                <span className="text-gray-400 ml-4 whitespace-nowrap">
+                  {new Date(event.triggeredAt).toLocaleString()}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AlertRulesTab;
@@ -0,0 +1,493 @@
+// src/components/BacktestResultsTab.js
+// Historical replay of the NISS engine and trade setups over fixture data
+
+import React, { useState, useEffect, useMemo } from "react";
+import {
+  Activity,
+  BarChart3,
+  Play,
+  RefreshCw,
+  Target,
+  TrendingDown,
+  TrendingUp,
+} from "lucide-react";
+
+import InstitutionalDataService from "../api/InstitutionalDataService";
+
+const PERIOD_OPTIONS = [3, 6, 9];
+
+const formatPercent = (value, decimals = 2) =>
+  `${(value || 0) >= 0 ? "+" : ""}${(value || 0).toFixed(decimals)}%`;
+
+const formatCurrency = (value) =>
+  new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: "USD",
+    maximumFractionDigits: 0,
+  }).format(value || 0);
+
+// ============================================
+// EQUITY CURVE CHART
+// ============================================
+
+const EquityCurveChart = ({ curve = [], height = 160 }) => {
+  const width = 600;
+
+  const paths = useMemo(() => {
+    if (curve.length < 2) return null;
+
+    const equities = curve.map((point) => point.equity);
+    const min = Math.min(...equities);
+    const max = Math.max(...equities);
+    const range = max - min || 1;
+    const maxDrawdown = Math.min(...curve.map((p) => p.drawdown), -0.01);
+
+    const x = (i) => (i / (curve.length - 1)) * width;
+    const equityY = (value) => height - ((value - min) / range) * height;
+    const drawdownY = (value) => (value / maxDrawdown) * (height / 3);
+
+    return {
+      equity: curve
+        .map((p, i) => `${x(i).toFixed(1)},${equityY(p.equity).toFixed(1)}`)
+        .join(" "),
+      drawdown: [
+        `0,0`,
+        ...curve.map(
+          (p, i) => `${x(i).toFixed(1)},${drawdownY(p.drawdown).toFixed(1)}`
+        ),
+        `${width},0`,
+      ].join(" "),
+    };
+  }, [curve, height]);
+
+  if (!paths) {
+    return (
+      <div className="text-center text-sm text-gray-500 py-8">
+        Not enough data for an equity curve
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-1">
+      <svg
+        viewBox={`0 0 ${width} ${height}`}
+        preserveAspectRatio="none"
+        className="w-full h-40"
+      >
+        <polyline
+          points={paths.equity}
+          fill="none"
+          stroke="#2563eb"
+          strokeWidth="2"
+        />
+      </svg>
+      <svg
+        viewBox={`0 0 ${width} ${height / 3}`}
+        preserveAspectRatio="none"
+        className="w-full h-12"
+      >
+        <polygon points={paths.drawdown} fill="#fecaca" stroke="#dc2626" />
+      </svg>
+      <div className="flex justify-between text-xs text-gray-500">
+        <span>{curve[0].date}</span>
+        <span>Drawdown</span>
+        <span>{curve[curve.length - 1].date}</span>
+      </div>
+    </div>
+  );
+};
+
+// ============================================
+// MAIN COMPONENT
+// ============================================
+
+const BacktestResultsTab = () => {
+  const [fixtures, setFixtures] = useState(null);
+  const [selectedSymbols, setSelectedSymbols] = useState([]);
+  const [months, setMonths] = useState(6);
+  const [maxHoldingDays, setMaxHoldingDays] = useState(10);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [runError, setRunError] = useState(null);
+
+  useEffect(() => {
+    const loadFixtures = async () => {
+      try {
+        const response = await InstitutionalDataService.getBacktestFixtures();
+        if (response.success && response.data) {
+          setFixtures(response.data);
+          setSelectedSymbols(response.data.symbols.map((s) => s.symbol));
+        }
+      } catch (err) {
+        console.error("❌ Backtest fixtures loading failed:", err);
+        setRunError(err.message);
+      }
+    };
+
+    loadFixtures();
+  }, []);
+
+  const toggleSymbol = (symbol) => {
+    setSelectedSymbols((current) =>
+      current.includes(symbol)
+        ? current.filter((s) => s !== symbol)
+        : [...current, symbol]
+    );
+  };
+
+  const handleRun = async () => {
+    setRunning(true);
+    setRunError(null);
+    try {
+      const response = await InstitutionalDataService.runBacktest({
+        symbols: selectedSymbols,
+        months,
+        maxHoldingDays,
+      });
+      setResult(response.data);
+    } catch (err) {
+      setRunError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const renderGroupTable = (title, groups = {}) => (
+    <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+      <div className="px-6 py-3 border-b border-gray-200">
+        <h3 className="text-sm font-medium text-gray-900">{title}</h3>
+      </div>
+      {Object.keys(groups).length === 0 ? (
+        <div className="px-6 py-6 text-sm text-center text-gray-500">
+          No trades in this window
+        </div>
+      ) : (
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              {[
+                "Group",
+                "Trades",
+                "Win Rate",
+                "Avg Return",
+                "Total",
+                "Max DD",
+                "Sharpe",
+              ].map((heading) => (
+                <th
+                  key={heading}
+                  className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                >
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {Object.entries(groups).map(([group, stats]) => (
+              <tr key={group}>
+                <td className="px-4 py-2 text-sm font-medium text-gray-900">
+                  {group}
+                </td>
+                <td className="px-4 py-2 text-sm text-gray-600">
+                  {stats.trades}
+                </td>
+                <td className="px-4 py-2 text-sm text-gray-600">
+                  {stats.winRate.toFixed(1)}%
+                </td>
+                <td
+                  className={`px-4 py-2 text-sm ${
+                    stats.avgReturn >= 0 ? "text-green-600" : "text-red-600"
+                  }`}
+                >
+                  {formatPercent(stats.avgReturn)}
+                </td>
+                <td className="px-4 py-2 text-sm text-gray-600">
+                  {formatPercent(stats.totalReturn, 3)}
+                </td>
+                <td className="px-4 py-2 text-sm text-red-600">
+                  {stats.maxDrawdown.toFixed(3)}%
+                </td>
+                <td className="px-4 py-2 text-sm text-gray-600">
+                  {stats.sharpe.toFixed(2)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+
+  const summary = result?.summary;
+
+  // ============================================
+  // MAIN RENDER
+  // ============================================
+
+  return (
+    <div className="p-6 space-y-6">
+      {/* Run Configuration */}
+      <div className="bg-white border border-gray-200 rounded-lg p-4">
+        <div className="flex flex-wrap items-end gap-4">
+          <div>
+            <div className="text-xs font-medium text-gray-700 mb-1">
+              Symbols
+            </div>
+            <div className="flex flex-wrap gap-2">
+              {(fixtures?.symbols || []).map(({ symbol }) => (
+                <button
+                  key={symbol}
+                  onClick={() => toggleSymbol(symbol)}
+                  className={`px-3 py-1 text-xs font-medium rounded-full border ${
+                    selectedSymbols.includes(symbol)
+                      ? "bg-blue-50 border-blue-300 text-blue-700"
+                      : "bg-white border-gray-200 text-gray-500"
+                  }`}
+                >
+                  {symbol}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <div className="text-xs font-medium text-gray-700 mb-1">Period</div>
+            <select
+              value={months}
+              onChange={(e) => setMonths(parseInt(e.target.value))}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+            >
+              {PERIOD_OPTIONS.map((option) => (
+                <option key={option} value={option}>
+                  Last {option} months
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <div className="text-xs font-medium text-gray-700 mb-1">
+              Max Hold (days)
+            </div>
+            <input
+              type="number"
+              min="1"
+              max="60"
+              value={maxHoldingDays}
+              onChange={(e) => setMaxHoldingDays(parseInt(e.target.value) || 1)}
+              className="w-20 border border-gray-300 rounded-md px-2 py-1 text-sm"
+            />
+          </div>
+
+          <button
+            onClick={handleRun}
+            disabled={running || selectedSymbols.length === 0}
+            className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {running ? (
+              <RefreshCw className="w-4 h-4 animate-spin" />
+            ) : (
+              <Play className="w-4 h-4" />
+            )}
+            <span>{running ? "Running..." : "Run Backtest"}</span>
+          </button>
+        </div>
+
+        {fixtures && (
+          <p className="text-xs text-gray-500 mt-3">
+            Fixture data {fixtures.from} → {fixtures.to} · benchmark{" "}
+            {fixtures.benchmark}
+          </p>
+        )}
+      </div>
+
+      {runError && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">
+          Backtest unavailable: {runError}
+        </div>
+      )}
+
+      {!result && !runError && (
+        <div className="text-center py-12 text-gray-500">
+          <BarChart3 className="w-12 h-12 mx-auto mb-4 text-gray-300" />
+          <p>
+            Replay NISS signals and trade setups over historical fixture data
+          </p>
+        </div>
+      )}
+
+      {summary && (
+        <>
+          {/* Key Metrics Cards */}
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            <div className="bg-white border border-gray-200 rounded-lg p-4">
+              <div className="flex items-center space-x-2 mb-2">
+                {summary.totalReturn >= 0 ? (
+                  <TrendingUp className="w-4 h-4 text-green-600" />
+                ) : (
+                  <TrendingDown className="w-4 h-4 text-red-600" />
+                )}
+                <span className="text-sm font-medium text-gray-700">
+                  Total Return
+                </span>
+              </div>
+              <div
+                className={`text-2xl font-bold ${
+                  summary.totalReturn >= 0 ? "text-green-600" : "text-red-600"
+                }`}
+              >
+                {formatPercent(summary.totalReturn, 3)}
+              </div>
+              <div className="text-xs text-gray-500">
+                {formatCurrency(summary.finalEquity)} final equity
+              </div>
+            </div>
+
+            <div className="bg-white border border-gray-200 rounded-lg p-4">
+              <div className="flex items-center space-x-2 mb-2">
+                <Target className="w-4 h-4 text-blue-600" />
+                <span className="text-sm font-medium text-gray-700">
+                  Win Rate
+                </span>
+              </div>
+              <div className="text-2xl font-bold text-blue-600">
+                {summary.winRate.toFixed(1)}%
+              </div>
+              <div className="text-xs text-gray-500">
+                {summary.trades} trades · {summary.signalsEvaluated} signals
+              </div>
+            </div>
+
+            <div className="bg-white border border-gray-200 rounded-lg p-4">
+              <div className="flex items-center space-x-2 mb-2">
+                <Activity className="w-4 h-4 text-purple-600" />
+                <span className="text-sm font-medium text-gray-700">
+                  Sharpe
+                </span>
+              </div>
+              <div className="text-2xl font-bold text-purple-600">
+                {summary.sharpe.toFixed(2)}
+              </div>
+              <div className="text-xs text-gray-500">Annualized, daily</div>
+            </div>
+
+            <div className="bg-white border border-gray-200 rounded-lg p-4">
+              <div className="flex items-center space-x-2 mb-2">
+                <TrendingDown className="w-4 h-4 text-red-600" />
+                <span className="text-sm font-medium text-gray-700">
+                  Max Drawdown
+                </span>
+              </div>
+              <div className="text-2xl font-bold text-red-600">
+                {summary.maxDrawdown.toFixed(3)}%
+              </div>
+              <div className="text-xs text-gray-500">Realized equity</div>
+            </div>
+
+            <div className="bg-white border border-gray-200 rounded-lg p-4">
+              <div className="flex items-center space-x-2 mb-2">
+                <BarChart3 className="w-4 h-4 text-yellow-600" />
+                <span className="text-sm font-medium text-gray-700">
+                  Avg Trade
+                </span>
+              </div>
+              <div className="text-2xl font-bold text-yellow-600">
+                {formatPercent(summary.avgReturn)}
+              </div>
+              <div className="text-xs text-gray-500">
+                {summary.targetHits} target · {summary.stopHits} stop exits
+              </div>
+            </div>
+          </div>
+
+          {/* Equity Curve */}
+          <div className="bg-white border border-gray-200 rounded-lg p-4">
+            <h3 className="text-sm font-medium text-gray-900 mb-3">
+              Equity Curve
+            </h3>
+            <EquityCurveChart curve={result.equityCurve} />
+          </div>
+
+          {/* Breakdowns */}
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {renderGroupTable("By Signal Type", result.bySignal)}
+            {renderGroupTable("By Confidence", result.byConfidence)}
+          </div>
+
+          {/* Trade Log */}
+          <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+            <div className="px-6 py-3 border-b border-gray-200">
+              <h3 className="text-sm font-medium text-gray-900">Trade Log</h3>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {[
+                      "Symbol",
+                      "Signal",
+                      "NISS",
+                      "Entry",
+                      "Exit",
+                      "Reason",
+                      "Return",
+                    ].map((heading) => (
+                      <th
+                        key={heading}
+                        className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                      >
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {result.trades.map((trade) => (
+                    <tr
+                      key={`${trade.symbol}-${trade.entryDate}`}
+                      className="hover:bg-gray-50"
+                      title={trade.headline || ""}
+                    >
+                      <td className="px-4 py-2 text-sm font-medium text-gray-900">
+                        {trade.symbol}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-gray-600">
+                        {trade.action} · {trade.confidence}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-gray-600">
+                        {trade.nissScore.toFixed(1)}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-gray-600">
+                        {trade.entryDate} @ ${trade.entryPrice.toFixed(2)}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-gray-600">
+                        {trade.exitDate} @ ${trade.exitPrice.toFixed(2)}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-gray-600">
+                        {trade.exitReason}
+                        {trade.targetsHit > 0 && ` (T${trade.targetsHit})`}
+                      </td>
+                      <td
+                        className={`px-4 py-2 text-sm font-medium ${
+                          trade.returnPct >= 0
+                            ? "text-green-600"
+                            : "text-red-600"
+                        }`}
+                      >
+                        {formatPercent(trade.returnPct)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BacktestResultsTab;
@@ -17,8 +17,13 @@ import {
   BarChart3,
   Globe,
   Star,
+  Upload,
 } from "lucide-react";
 
+import { NISS_SCALE, NISS_THRESHOLDS } from "../engine/NISSCalculationEngine";
+import economicSchedule from "../utils/EconomicSchedule";
+import tradeSetupHelper from "../utils/enhanced/TradeSetupHelper";
+
 // Import will be available after you update InstitutionalDataService.js
 // For now, we'll handle the case where methods don't exist yet
 let InstitutionalDataService;
@@ -29,6 +34,19 @@ try {
   InstitutionalDataService = null;
 }
 
+// High-impact releases inside a catalyst's holding window, with the past
+// reaction stats the calendar carries for them
+const getMacroRisk = (timeframe, calendar) => {
+  const reactions = new Map(
+    calendar.flatMap((day) =>
+      day.events.map((event) => [event.id, event.reaction])
+    )
+  );
+  return tradeSetupHelper
+    .getMacroEventsInWindow(timeframe)
+    .map((event) => ({ ...event, reaction: reactions.get(event.id) }));
+};
+
 const CatalystAnalysisTab = ({
   screeningResults = [],
   onSelectStock = () => {},
@@ -36,6 +54,7 @@ const CatalystAnalysisTab = ({
   onToggleWatchlist = () => {},
   loading = false,
   error = null,
+  flashes = {},
 }) => {
   console.log("🎯 CatalystAnalysisTab v2.1 receiving data:", {
     resultCount: screeningResults.length,
@@ -50,52 +69,58 @@ const CatalystAnalysisTab = ({
   const [showNewsModal, setShowNewsModal] = useState(false);
   const [expandedCalendar, setExpandedCalendar] = useState(true);
   const [economicCalendarData, setEconomicCalendarData] = useState(null);
+  const [surpriseIndex, setSurpriseIndex] = useState(null);
   const [calendarLoading, setCalendarLoading] = useState(false);
+  const [calendarImportStatus, setCalendarImportStatus] = useState(null);
   const [newsData, setNewsData] = useState(null);
   const [newsLoading, setNewsLoading] = useState(false);
+  const [newsError, setNewsError] = useState(null);
+  const [catalystAnalysis, setCatalystAnalysis] = useState(null);
 
   // ============================================
   // HELPER FUNCTIONS (DEFINED FIRST)
   // ============================================
 
-  // Helper function to determine catalyst type
-  const determineCatalystType = (stock) => {
-    const score = stock.nissScore || 0;
-    const sentiment = stock.sentiment || "NEUTRAL";
-
-    if (score >= 8) {
-      return sentiment === "BULLISH" ? "Earnings Beat" : "Major News";
-    } else if (score >= 7) {
-      return "Product Launch";
-    } else {
-      return "Market Update";
-    }
-  };
+  // Helper function to determine catalyst type: the event type the backend
+  // classified from the stock's most relevant story (see services/catalysts)
+  const determineCatalystType = (stock) =>
+    stock.topCatalyst?.label || "No Clear Catalyst";
 
   // Helper function to generate catalyst description
   const generateCatalystDescription = (stock) => {
-    const types = [
-      `Strong momentum in ${stock.symbol} driven by ${
-        stock.newsCount || 0
-      } news articles`,
-      `Significant price movement with NISS score of ${(
-        stock.nissScore || 0
-      ).toFixed(1)}`,
-      `Market attention increasing with ${
-        stock.confidence || "MEDIUM"
-      } confidence level`,
-      `Technical breakout potential with current sentiment: ${
-        stock.sentiment || "NEUTRAL"
-      }`,
-    ];
-
-    return types[Math.floor(Math.random() * types.length)];
+    if (stock.topHeadline) return stock.topHeadline;
+
+    return `NISS score of ${(stock.nissScore || 0).toFixed(1)} on ${
+      stock.newsCount || 0
+    } recent stories, sentiment ${stock.newsSentiment || "NEUTRAL"}`;
+  };
+
+  // Split text into plain and highlighted fragments at evidence spans
+  const highlightEvidence = (text, evidence = [], section = "headline") => {
+    const spans = evidence
+      .filter((span) => span.section === section && span.end <= text.length)
+      .sort((a, b) => a.start - b.start);
+
+    const fragments = [];
+    let cursor = 0;
+    spans.forEach((span) => {
+      if (span.start < cursor) return;
+      fragments.push(text.slice(cursor, span.start));
+      fragments.push(
+        <mark key={span.start} className="bg-yellow-100 text-gray-900 rounded">
+          {text.slice(span.start, span.end)}
+        </mark>
+      );
+      cursor = span.end;
+    });
+    fragments.push(text.slice(cursor));
+    return fragments;
   };
 
   // Helper function to calculate price target
   const calculatePriceTarget = (stock) => {
     const currentPrice = stock.currentPrice || 0;
-    const nissMultiplier = (stock.nissScore || 0) / 10;
+    const nissMultiplier = (stock.nissScore || 0) / NISS_SCALE.max;
     return currentPrice * (1 + nissMultiplier * 0.05);
   };
 
@@ -125,152 +150,53 @@ const CatalystAnalysisTab = ({
     return Globe;
   };
 
-  // Fallback economic calendar data
-  const getFallbackEconomicCalendar = () => {
-    const today = new Date();
-    const calendarData = [];
-
-    for (let i = 0; i < 7; i++) {
-      const date = new Date(today);
-      date.setDate(today.getDate() + i);
-      const dayOfWeek = date.getDay();
-
-      if (dayOfWeek >= 1 && dayOfWeek <= 5) {
-        // Weekdays only
-        const events = [];
-
-        // Add sample economic events based on day of week
-        switch (dayOfWeek) {
-          case 1: // Monday
-            events.push(
-              {
-                time: "14:30",
-                event: "ISM Manufacturing PMI",
-                impact: "HIGH",
-                country: "US",
-              },
-              {
-                time: "15:00",
-                event: "Construction Spending",
-                impact: "MEDIUM",
-                country: "US",
-              }
-            );
-            break;
-          case 2: // Tuesday
-            events.push({
-              time: "14:30",
-              event: "JOLTs Job Openings",
-              impact: "MEDIUM",
-              country: "US",
-            });
-            break;
-          case 3: // Wednesday
-            events.push(
-              {
-                time: "14:15",
-                event: "ADP Employment Change",
-                impact: "HIGH",
-                country: "US",
-              },
-              {
-                time: "20:00",
-                event: "Fed Beige Book",
-                impact: "HIGH",
-                country: "US",
-              }
-            );
-            break;
-          case 4: // Thursday
-            events.push(
-              {
-                time: "14:30",
-                event: "Initial Jobless Claims",
-                impact: "MEDIUM",
-                country: "US",
-              },
-              {
-                time: "16:00",
-                event: "ISM Services PMI",
-                impact: "HIGH",
-                country: "US",
-              }
-            );
-            break;
-          case 5: // Friday
-            events.push(
-              {
-                time: "14:30",
-                event: "Non-Farm Payrolls",
-                impact: "HIGH",
-                country: "US",
-              },
-              {
-                time: "14:30",
-                event: "Unemployment Rate",
-                impact: "HIGH",
-                country: "US",
-              }
-            );
-            break;
-        }
+  // "Actual 3.1% · Fcst 3.0% · Prev 2.9%" for whichever values are known
+  const formatReleaseValues = (event) =>
+    [
+      ["Actual", event.actual],
+      ["Fcst", event.forecast ?? event.estimate],
+      ["Prev", event.previous],
+    ]
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([label, value]) => `${label} ${value}${event.unit || ""}`)
+      .join(" · ");
+
+  // "Last 8 CPI YoY prints moved SPY ±1.2% on average"
+  const formatReleaseReaction = (event) =>
+    event.reaction
+      ? `Last ${event.reaction.count} ${event.event} prints moved SPY ±${event.reaction.avgAbsMove}% on average`
+      : null;
+
+  // Fallback economic calendar: the release schedule without provider values
+  // Private events (investor days, conferences) from an .ics file go into
+  // the subscription feed
+  const handleCalendarImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file || !InstitutionalDataService?.importCalendarEvents) return;
 
-        if (events.length > 0) {
-          calendarData.push({
-            date: date.toISOString().split("T")[0],
-            dayName: date.toLocaleDateString("en-US", { weekday: "short" }),
-            dayNumber: date.getDate(),
-            events: events,
-          });
-        }
-      }
+    try {
+      const response = await InstitutionalDataService.importCalendarEvents(
+        await file.text()
+      );
+      const { created, updated } = response.data;
+      setCalendarImportStatus(
+        `Imported ${created} new, ${updated} updated events`
+      );
+    } catch (err) {
+      console.error("❌ Calendar import failed:", err);
+      setCalendarImportStatus(`Import failed: ${err.message}`);
     }
-
-    return calendarData;
   };
 
-  // Fallback news data
-  const getFallbackNewsData = (symbol) => {
-    return [
-      {
-        id: 1,
-        headline: `${symbol} Reports Strong Q4 Earnings, Beats Estimates`,
-        source: "Reuters",
-        timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
-        url: `https://reuters.com/stocks/${symbol}`,
-        sentiment: "BULLISH",
-        relevanceScore: 9.2,
-        impact: "HIGH",
-        summary: `${symbol} exceeded analyst expectations with strong quarterly results.`,
-      },
-      {
-        id: 2,
-        headline: `Analysts Upgrade ${symbol} Following Product Launch`,
-        source: "Bloomberg",
-        timestamp: new Date(Date.now() - 5 * 60 * 60 * 1000).toISOString(),
-        url: `https://bloomberg.com/stocks/${symbol}`,
-        sentiment: "BULLISH",
-        relevanceScore: 8.7,
-        impact: "MEDIUM",
-        summary: `Multiple analysts raised price targets for ${symbol} citing successful product launch.`,
-      },
-      {
-        id: 3,
-        headline: `${symbol} CEO Discusses Growth Strategy in Interview`,
-        source: "CNBC",
-        timestamp: new Date(Date.now() - 12 * 60 * 60 * 1000).toISOString(),
-        url: `https://cnbc.com/stocks/${symbol}`,
-        sentiment: "NEUTRAL",
-        relevanceScore: 7.5,
-        impact: "MEDIUM",
-        summary: `CEO outlines strategic initiatives and addresses market concerns.`,
-      },
-    ];
-  };
+  const getFallbackEconomicCalendar = () =>
+    economicSchedule.buildCalendar(new Date(), 7);
 
   // Load detailed news for selected stock
   const loadDetailedNews = async (stock) => {
     setNewsLoading(true);
+    setNewsData(null);
+    setNewsError(null);
     try {
       console.log(`📰 Loading detailed news for ${stock.symbol}...`);
 
@@ -293,34 +219,37 @@ const CatalystAnalysisTab = ({
         }
       }
 
-      // Fallback to mock data
-      console.log("📰 Using fallback news data");
-      const fallbackNews = {
-        success: true,
-        articles: getFallbackNewsData(stock.symbol),
-        metadata: {
-          source: "fallback",
-          totalArticles: 3,
-        },
-      };
-      setNewsData(fallbackNews);
+      setNewsError("News service returned no articles");
     } catch (error) {
       console.error("❌ News loading failed:", error);
-      // Use fallback data on error
-      const fallbackNews = {
-        success: true,
-        articles: getFallbackNewsData(stock.symbol),
-        metadata: {
-          source: "fallback-error",
-          totalArticles: 3,
-        },
-      };
-      setNewsData(fallbackNews);
+      setNewsError(error.message);
     } finally {
       setNewsLoading(false);
     }
   };
 
+  // Load classified catalysts for selected stock
+  const loadCatalystAnalysis = async (stock) => {
+    if (
+      !InstitutionalDataService ||
+      !InstitutionalDataService.getCatalystAnalysis
+    ) {
+      return;
+    }
+
+    try {
+      const response = await InstitutionalDataService.getCatalystAnalysis(
+        stock.symbol
+      );
+      if (response.success && response.data) {
+        setCatalystAnalysis(response.data);
+      }
+    } catch (error) {
+      // The news list still renders; the breakdown is simply omitted
+      console.error("❌ Catalyst analysis loading failed:", error);
+    }
+  };
+
   // Get news data for display
   const getNewsForStock = (stock) => {
     if (!stock) return [];
@@ -363,6 +292,7 @@ const CatalystAnalysisTab = ({
 
           if (calendarResponse.success && calendarResponse.data) {
             setEconomicCalendarData(calendarResponse.data);
+            setSurpriseIndex(calendarResponse.metadata?.surpriseIndex ?? null);
             console.log(
               "✅ Economic calendar loaded:",
               calendarResponse.data.length,
@@ -418,7 +348,8 @@ const CatalystAnalysisTab = ({
       const processed = screeningResults
         .filter((stock) => {
           const nissScore = stock.nissScore || 0;
-          return nissScore >= 6; // High NISS scores likely have catalysts
+          // Strong NISS readings either way likely have catalysts
+          return Math.abs(nissScore) >= NISS_THRESHOLDS.notable;
         })
         .map((stock) => {
           const currentPrice = stock.currentPrice || 0;
@@ -427,15 +358,21 @@ const CatalystAnalysisTab = ({
           return {
             symbol: stock.symbol,
             catalystType: determineCatalystType(stock),
+            catalystConfidence: stock.topCatalyst?.confidence ?? null,
             impact:
-              stock.nissScore >= 8
+              Math.abs(stock.nissScore || 0) >= NISS_THRESHOLDS.strong
                 ? "HIGH"
-                : stock.nissScore >= 7
+                : Math.abs(stock.nissScore || 0) >= NISS_THRESHOLDS.actionable
                 ? "MEDIUM"
                 : "LOW",
             confidence: stock.confidence || "MEDIUM",
             newsCount: stock.newsCount || 0,
             timeframe: "1-3 days",
+            macroRisk: getMacroRisk("1-3 days", economicCalendar),
+            earningsRisk: tradeSetupHelper.getEarningsInWindow(
+              stock,
+              "1-3 days"
+            ),
             description: generateCatalystDescription(stock),
             priceTarget: priceTarget,
             currentPrice: currentPrice,
@@ -456,7 +393,7 @@ const CatalystAnalysisTab = ({
       console.error("❌ Error processing catalyst data:", err);
       return [];
     }
-  }, [screeningResults]);
+  }, [screeningResults, economicCalendar]);
 
   // ============================================
   // EVENT HANDLERS (SINGLE DEFINITION)
@@ -466,7 +403,7 @@ const CatalystAnalysisTab = ({
     if (stock) {
       setSelectedStock(stock);
       setShowNewsModal(true);
-      await loadDetailedNews(stock);
+      await Promise.all([loadDetailedNews(stock), loadCatalystAnalysis(stock)]);
     }
   };
 
@@ -474,6 +411,7 @@ const CatalystAnalysisTab = ({
     setShowNewsModal(false);
     setSelectedStock(null);
     setNewsData(null);
+    setCatalystAnalysis(null);
   };
 
   // ============================================
@@ -530,7 +468,13 @@ const CatalystAnalysisTab = ({
             {catalystData.map((catalyst, index) => (
               <div
                 key={`catalyst-${catalyst.symbol}-${index}`}
-                className="bg-white border border-gray-200 rounded-lg p-6 hover:shadow-md transition-shadow cursor-pointer"
+                className={`border rounded-lg p-6 hover:shadow-md transition-all duration-300 cursor-pointer ${
+                  flashes[catalyst.symbol] === "up"
+                    ? "bg-green-50 border-green-300"
+                    : flashes[catalyst.symbol] === "down"
+                    ? "bg-red-50 border-red-300"
+                    : "bg-white border-gray-200"
+                }`}
                 onClick={() => handleStockClick(catalyst)}
               >
                 {/* Header */}
@@ -557,6 +501,12 @@ const CatalystAnalysisTab = ({
                     <span className="text-sm font-medium text-gray-700">
                       {catalyst.catalystType}
                     </span>
+                    {catalyst.catalystConfidence !== null && (
+                      <span className="text-xs text-gray-500">
+                        {(catalyst.catalystConfidence * 100).toFixed(0)}%
+                        confidence
+                      </span>
+                    )}
                   </div>
                 </div>
 
@@ -565,6 +515,32 @@ const CatalystAnalysisTab = ({
                   {catalyst.description}
                 </p>
 
+                {/* Macro and earnings event risk inside the holding window */}
+                {(catalyst.macroRisk.length > 0 || catalyst.earningsRisk) && (
+                  <div className="flex items-start space-x-2 mb-4 p-2 bg-yellow-50 border border-yellow-200 rounded">
+                    <AlertTriangle className="w-4 h-4 text-yellow-600 mt-0.5" />
+                    <div className="text-xs text-yellow-800">
+                      {catalyst.macroRisk.map((event) => (
+                        <div key={event.id}>
+                          {catalyst.timeframe} window spans {event.event} (
+                          {event.date})
+                          {event.reaction &&
+                            ` · SPY ±${event.reaction.avgAbsMove}% avg on the last ${event.reaction.count}`}
+                        </div>
+                      ))}
+                      {catalyst.earningsRisk && (
+                        <div>
+                          {catalyst.timeframe} window spans earnings (
+                          {catalyst.earningsRisk.date}
+                          {catalyst.earningsRisk.time &&
+                            `, ${catalyst.earningsRisk.time}`}
+                          )
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                )}
+
                 {/* Metrics Grid */}
                 <div className="grid grid-cols-2 gap-4 mb-4">
                   <div>
@@ -677,6 +653,20 @@ const CatalystAnalysisTab = ({
           </button>
         </div>
 
+        {expandedCalendar && surpriseIndex !== null && (
+          <div className="flex items-center justify-between mb-4 text-xs">
+            <span className="text-gray-500">Economic surprise index</span>
+            <span
+              className={`font-medium ${
+                surpriseIndex >= 0 ? "text-green-600" : "text-red-600"
+              }`}
+            >
+              {surpriseIndex > 0 ? "+" : ""}
+              {surpriseIndex}
+            </span>
+          </div>
+        )}
+
         {expandedCalendar && (
           <div className="space-y-4">
             {calendarLoading ? (
@@ -699,7 +689,10 @@ const CatalystAnalysisTab = ({
                     {day.events.map((event, idx) => {
                       const IconComponent = getEventIcon(event);
                       return (
-                        <div key={idx} className="bg-gray-50 rounded-lg p-3">
+                        <div
+                          key={event.id || idx}
+                          className="bg-gray-50 rounded-lg p-3"
+                        >
                           <div className="flex items-start space-x-3">
                             <IconComponent className="w-4 h-4 text-gray-600 mt-0.5" />
                             <div className="flex-1 min-w-0">
@@ -721,6 +714,16 @@ const CatalystAnalysisTab = ({
                               <p className="text-xs text-gray-500 mt-1">
                                 {event.country}
                               </p>
+                              {formatReleaseValues(event) && (
+                                <p className="text-xs text-gray-600 mt-1">
+                                  {formatReleaseValues(event)}
+                                </p>
+                              )}
+                              {formatReleaseReaction(event) && (
+                                <p className="text-xs text-blue-700 mt-1">
+                                  {formatReleaseReaction(event)}
+                                </p>
+                              )}
                             </div>
                           </div>
                         </div>
@@ -739,6 +742,38 @@ const CatalystAnalysisTab = ({
             )}
           </div>
         )}
+
+        {expandedCalendar && InstitutionalDataService?.getCalendarFeedUrl && (
+          <div className="mt-4 pt-3 border-t border-gray-200 text-xs">
+            <div className="flex items-center justify-between">
+              <a
+                href={InstitutionalDataService.getCalendarFeedUrl({
+                  impact: ["HIGH", "MEDIUM"],
+                  watchlist: watchlist.length > 0 ? "default" : null,
+                  webcal: true,
+                })}
+                className="flex items-center text-blue-600 hover:text-blue-800"
+                title="Economic releases, watchlist earnings and private events"
+              >
+                <ExternalLink className="w-3 h-3 mr-1" />
+                Subscribe (.ics)
+              </a>
+              <label className="flex items-center text-gray-600 hover:text-gray-800 cursor-pointer">
+                <Upload className="w-3 h-3 mr-1" />
+                Import .ics
+                <input
+                  type="file"
+                  accept=".ics,text/calendar"
+                  onChange={handleCalendarImport}
+                  className="hidden"
+                />
+              </label>
+            </div>
+            {calendarImportStatus && (
+              <p className="text-gray-500 mt-2">{calendarImportStatus}</p>
+            )}
+          </div>
+        )}
       </div>
 
       {/* News Details Modal */}
@@ -768,6 +803,45 @@ const CatalystAnalysisTab = ({
 
             {/* Modal Content */}
             <div className="p-6 overflow-y-auto max-h-[calc(90vh-100px)]">
+              {catalystAnalysis && catalystAnalysis.primary && (
+                <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center space-x-2">
+                      <Target className="w-5 h-5 text-blue-600" />
+                      <span className="font-medium text-gray-900">
+                        {catalystAnalysis.primary.label}
+                      </span>
+                      <span className="text-sm text-gray-600">
+                        {(catalystAnalysis.primary.confidence * 100).toFixed(0)}
+                        % confidence
+                      </span>
+                    </div>
+                    <span className="text-xs text-gray-500">
+                      {catalystAnalysis.catalysts.length} classified stories
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-700 mt-2">
+                    {catalystAnalysis.primary.headline}
+                  </p>
+                  <div className="flex flex-wrap gap-2 mt-3">
+                    {catalystAnalysis.catalysts
+                      .filter(
+                        (story, idx, stories) =>
+                          stories.findIndex((s) => s.type === story.type) ===
+                          idx
+                      )
+                      .map((story) => (
+                        <span
+                          key={story.type}
+                          className="px-2 py-1 text-xs font-medium rounded bg-white border border-blue-200 text-blue-700"
+                        >
+                          {story.label} ×{catalystAnalysis.byType[story.type]}
+                        </span>
+                      ))}
+                  </div>
+                </div>
+              )}
+
               <h3 className="text-lg font-medium text-gray-900 mb-4">
                 Recent News Articles
               </h3>
@@ -781,13 +855,16 @@ const CatalystAnalysisTab = ({
                 <div className="space-y-4">
                   {getNewsForStock(selectedStock).map((article) => (
                     <div
-                      key={article.id}
+                      key={article.storyId || article.id}
                       className="border border-gray-200 rounded-lg p-4 hover:bg-gray-50"
                     >
                       <div className="flex items-start justify-between mb-3">
                         <div className="flex-1">
                           <h4 className="text-lg font-medium text-gray-900 mb-2 leading-tight">
-                            {article.headline}
+                            {highlightEvidence(
+                              article.headline,
+                              article.catalyst?.evidence
+                            )}
                           </h4>
                           <div className="flex items-center space-x-4 text-sm text-gray-600">
                             <div className="flex items-center space-x-1">
@@ -812,6 +889,21 @@ const CatalystAnalysisTab = ({
                           )}
                         </div>
                         <div className="ml-4 flex flex-col items-end space-y-2">
+                          {article.catalyst &&
+                            article.catalyst.type !== "other" && (
+                              <span
+                                className="px-2 py-1 text-xs font-medium rounded bg-blue-100 text-blue-700"
+                                title={`${(
+                                  article.catalyst.confidence * 100
+                                ).toFixed(
+                                  0
+                                )}% confidence: ${article.catalyst.evidence
+                                  .map((span) => `"${span.text}"`)
+                                  .join(", ")}`}
+                              >
+                                {article.catalyst.label}
+                              </span>
+                            )}
                           <span
                             className={`px-2 py-1 text-xs font-medium rounded-full ${
                               article.sentiment === "BULLISH"
@@ -851,7 +943,9 @@ const CatalystAnalysisTab = ({
                       <div className="text-center py-8">
                         <Building className="w-8 h-8 text-gray-400 mx-auto mb-2" />
                         <p className="text-gray-500">
-                          No recent news available
+                          {newsError
+                            ? `News unavailable: ${newsError}`
+                            : "No recent news available"}
                         </p>
                       </div>
                     )}
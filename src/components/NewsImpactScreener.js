@@ -1,7 +1,13 @@
 // src/components/NewsImpactScreener.js - v4.2.0-enhanced-ui
 // UPDATED - Enhanced UX/UI with brand integration and improved header design
 
-import React, { useState, useEffect, useCallback, useRef } from "react";
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from "react";
 import {
   RefreshCw,
   AlertCircle,
@@ -14,10 +20,21 @@ import {
 import StockScreener from "./StockScreener";
 import CatalystAnalysisTab from "./CatalystAnalysisTab";
 import PerformanceTrackingTab from "./PerformanceTrackingTab";
+import BacktestResultsTab from "./BacktestResultsTab";
+import AlertRulesTab from "./AlertRulesTab";
+import PortfolioTab from "./PortfolioTab";
 import ErrorBoundary from "./ErrorBoundary";
 
 // Import the fixed data service
 import InstitutionalDataService from "../api/InstitutionalDataService";
+import { NISS_SCALE, NISS_THRESHOLDS } from "../engine/NISSCalculationEngine";
+
+// How long a row stays highlighted after a live NISS change
+const FLASH_DURATION = 1500;
+
+const WATCHLIST_ID = "default";
+// Where older versions kept the watchlist; migrated to the server on load
+const LEGACY_WATCHLIST_KEY = "institutionalWatchlist";
 
 const NewsImpactScreener = () => {
   console.log("🚀 NewsImpactScreener v4.2.0-enhanced-ui starting...");
@@ -26,6 +43,9 @@ const NewsImpactScreener = () => {
   const loadingRef = useRef(false);
   const mountedRef = useRef(false);
   const initialLoadDone = useRef(false);
+  const universeRef = useRef(null);
+  const earningsWindowRef = useRef(null);
+  const flashTimers = useRef({});
 
   // ============================================
   // CORE STATE MANAGEMENT
@@ -37,6 +57,17 @@ const NewsImpactScreener = () => {
   const [screeningResults, setScreeningResults] = useState([]);
   const [selectedStock, setSelectedStock] = useState(null);
 
+  // Live stream: connection state and rows flashing after a NISS change
+  const [streamStatus, setStreamStatus] = useState("idle");
+  const [flashes, setFlashes] = useState({});
+
+  // Screening universe (null = backend default)
+  const [universes, setUniverses] = useState([]);
+  const [selectedUniverse, setSelectedUniverse] = useState(null);
+
+  // Hide names reporting earnings within N days (null = show all)
+  const [earningsWindow, setEarningsWindow] = useState(null);
+
   // Service status tracking
   const [serviceStatus, setServiceStatus] = useState({
     connected: false,
@@ -57,18 +88,8 @@ const NewsImpactScreener = () => {
     dataSource: "LOADING",
   });
 
-  // Watchlist management
-  const [watchlist, setWatchlist] = useState(() => {
-    try {
-      const saved = localStorage.getItem("institutionalWatchlist");
-      const parsed = saved ? JSON.parse(saved) : [];
-      console.log("📋 Loaded watchlist:", parsed.length, "items");
-      return Array.isArray(parsed) ? parsed : [];
-    } catch (err) {
-      console.error("❌ Error loading watchlist:", err);
-      return [];
-    }
-  });
+  // Watchlist management (server-side, see /api/watchlists)
+  const [watchlist, setWatchlist] = useState([]);
 
   // ============================================
   // COMPREHENSIVE DATA LOADING
@@ -112,8 +133,10 @@ const NewsImpactScreener = () => {
       console.log("🔍 Starting stock screening...");
       const screeningData = await InstitutionalDataService.performScreening({
         limit: 50,
-        minNissScore: 5.0,
+        minNissScore: NISS_SCALE.min,
         includeAll: true,
+        universe: universeRef.current,
+        excludeEarningsWithin: earningsWindowRef.current,
       });
 
       if (screeningData && Array.isArray(screeningData.stocks)) {
@@ -130,7 +153,7 @@ const NewsImpactScreener = () => {
           bearish: screeningData.stocks.filter((s) => s.sentiment === "BEARISH")
             .length,
           highConfidence: screeningData.stocks.filter(
-            (s) => (s.nissScore || 0) >= 7
+            (s) => Math.abs(s.nissScore || 0) >= NISS_THRESHOLDS.actionable
           ).length,
           successRate: screeningData.summary?.successRate || 0,
         };
@@ -182,6 +205,154 @@ const NewsImpactScreener = () => {
     };
   }, [loadComprehensiveData]);
 
+  useEffect(() => {
+    InstitutionalDataService.getUniverses()
+      .then((response) => {
+        setUniverses(response.data || []);
+        setSelectedUniverse(
+          (current) => current || response.metadata?.defaultUniverse || null
+        );
+      })
+      .catch((err) => {
+        console.warn("⚠️ Universe list unavailable:", err.message);
+      });
+  }, []);
+
+  // Load the server watchlist, moving any list saved by older versions
+  // of the app in localStorage over to the server first
+  useEffect(() => {
+    const loadWatchlist = async () => {
+      let legacy = [];
+      try {
+        const saved = localStorage.getItem(LEGACY_WATCHLIST_KEY);
+        legacy = saved ? JSON.parse(saved) : [];
+      } catch (err) {
+        console.error("❌ Error reading legacy watchlist:", err);
+      }
+
+      try {
+        if (Array.isArray(legacy) && legacy.length > 0) {
+          await InstitutionalDataService.addWatchlistSymbols(
+            WATCHLIST_ID,
+            legacy
+              .filter((item) => item?.symbol)
+              .map(({ symbol, addedAt }) => ({ symbol, addedAt }))
+          );
+          localStorage.removeItem(LEGACY_WATCHLIST_KEY);
+          console.log("📋 Migrated local watchlist:", legacy.length, "items");
+        }
+
+        const response = await InstitutionalDataService.getWatchlist(
+          WATCHLIST_ID
+        );
+        setWatchlist(response.data?.symbols || []);
+        console.log(
+          "📋 Loaded watchlist:",
+          response.data?.symbols?.length || 0,
+          "items"
+        );
+      } catch (err) {
+        console.error("❌ Error loading watchlist:", err);
+        if (Array.isArray(legacy)) setWatchlist(legacy);
+      }
+    };
+
+    loadWatchlist();
+  }, []);
+
+  // ============================================
+  // LIVE STREAM
+  // ============================================
+
+  const streamSymbolsKey = useMemo(
+    () =>
+      screeningResults
+        .map((stock) => stock.symbol)
+        .filter(Boolean)
+        .sort()
+        .join(","),
+    [screeningResults]
+  );
+
+  const flashRow = useCallback((symbol, direction) => {
+    setFlashes((prev) => ({ ...prev, [symbol]: direction }));
+
+    clearTimeout(flashTimers.current[symbol]);
+    flashTimers.current[symbol] = setTimeout(() => {
+      setFlashes((prev) => {
+        const { [symbol]: _cleared, ...rest } = prev;
+        return rest;
+      });
+    }, FLASH_DURATION);
+  }, []);
+
+  const updateRow = useCallback((symbol, update) => {
+    setScreeningResults((prev) =>
+      prev.map((stock) =>
+        stock.symbol === symbol ? { ...stock, ...update(stock) } : stock
+      )
+    );
+  }, []);
+
+  useEffect(() => {
+    if (!streamSymbolsKey) return undefined;
+
+    const source = InstitutionalDataService.openStream(
+      streamSymbolsKey.split(","),
+      {
+        onOpen: () => setStreamStatus("live"),
+        onError: () => setStreamStatus("reconnecting"),
+        onQuote: (tick) =>
+          updateRow(tick.symbol, () => ({
+            currentPrice: tick.price,
+            price: tick.price,
+            change: tick.change,
+            changePercent: tick.changePercent,
+            volume: tick.volume,
+          })),
+        onNews: ({ symbol, article }) =>
+          updateRow(symbol, (stock) => ({
+            newsCount: (stock.newsCount || 0) + 1,
+            latestNews: article,
+          })),
+        onNiss: (update) => {
+          updateRow(update.symbol, () => ({
+            nissScore: update.nissScore,
+            sentiment: update.sentiment,
+            confidence: update.confidence,
+          }));
+          if (update.delta !== 0) {
+            flashRow(update.symbol, update.delta > 0 ? "up" : "down");
+          }
+        },
+        onAlert: (alert) => {
+          console.log("🔔 Alert received:", alert.message);
+          if (
+            typeof Notification !== "undefined" &&
+            Notification.permission === "granted"
+          ) {
+            new Notification(`NISS alert: ${alert.symbol}`, {
+              body: alert.headline
+                ? `${alert.message}\n${alert.headline}`
+                : alert.message,
+              tag: alert.id,
+            });
+          }
+        },
+      }
+    );
+
+    return () => {
+      source?.close();
+      setStreamStatus("idle");
+    };
+  }, [streamSymbolsKey, updateRow, flashRow]);
+
+  useEffect(() => {
+    const timers = flashTimers.current;
+    return () => Object.values(timers).forEach(clearTimeout);
+  }, []);
+
   // ============================================
   // EVENT HANDLERS
   // ============================================
@@ -191,6 +362,27 @@ const NewsImpactScreener = () => {
     loadComprehensiveData();
   }, [loadComprehensiveData]);
 
+  const handleUniverseChange = useCallback(
+    (universeId) => {
+      console.log("🌐 Screening universe changed:", universeId);
+      universeRef.current = universeId;
+      setSelectedUniverse(universeId);
+      loadComprehensiveData();
+    },
+    [loadComprehensiveData]
+  );
+
+  const handleEarningsWindowChange = useCallback(
+    (days) => {
+      const value = days === "" ? null : parseInt(days, 10);
+      console.log("📅 Earnings exclusion window changed:", value);
+      earningsWindowRef.current = value;
+      setEarningsWindow(value);
+      loadComprehensiveData();
+    },
+    [loadComprehensiveData]
+  );
+
   const handleTabChange = useCallback(
     (newTab) => {
       console.log(`🔄 Tab changing from '${activeTab}' to '${newTab}'`);
@@ -205,38 +397,49 @@ const NewsImpactScreener = () => {
     setSelectedStock(stock);
   }, []);
 
-  const handleToggleWatchlist = useCallback((stock) => {
-    if (!stock?.symbol) return;
-
-    console.log("📋 Toggling watchlist for:", stock.symbol);
-    setWatchlist((prev) => {
-      const isInWatchlist = prev.some((item) => item.symbol === stock.symbol);
-      let newWatchlist;
-
-      if (isInWatchlist) {
-        newWatchlist = prev.filter((item) => item.symbol !== stock.symbol);
-        console.log("➖ Removed from watchlist:", stock.symbol);
-      } else {
-        newWatchlist = [
-          ...prev,
-          { ...stock, addedAt: new Date().toISOString() },
-        ];
-        console.log("➕ Added to watchlist:", stock.symbol);
-      }
+  const handleToggleWatchlist = useCallback(
+    async (stock) => {
+      if (!stock?.symbol) return;
+
+      console.log("📋 Toggling watchlist for:", stock.symbol);
+      const isInWatchlist = watchlist.some(
+        (item) => item.symbol === stock.symbol
+      );
+      const previous = watchlist;
+
+      // Update optimistically, then take the server's list as the truth
+      setWatchlist(
+        isInWatchlist
+          ? watchlist.filter((item) => item.symbol !== stock.symbol)
+          : [
+              ...watchlist,
+              { symbol: stock.symbol, addedAt: new Date().toISOString() },
+            ]
+      );
 
-      // Save to localStorage
       try {
-        localStorage.setItem(
-          "institutionalWatchlist",
-          JSON.stringify(newWatchlist)
+        const response = isInWatchlist
+          ? await InstitutionalDataService.removeWatchlistSymbol(
+              WATCHLIST_ID,
+              stock.symbol
+            )
+          : await InstitutionalDataService.addWatchlistSymbols(WATCHLIST_ID, [
+              stock.symbol,
+            ]);
+        setWatchlist(response.data?.symbols || []);
+        console.log(
+          isInWatchlist
+            ? "➖ Removed from watchlist:"
+            : "➕ Added to watchlist:",
+          stock.symbol
         );
       } catch (err) {
         console.error("❌ Error saving watchlist:", err);
+        setWatchlist(previous);
       }
-
-      return newWatchlist;
-    });
-  }, []);
+    },
+    [watchlist]
+  );
 
   // Handle component errors
   const handleComponentError = useCallback((error, errorInfo) => {
@@ -289,6 +492,17 @@ const NewsImpactScreener = () => {
         >
           {connected ? "Online" : "Offline"}
         </span>
+        {streamStatus !== "idle" && (
+          <span
+            className={`text-xs font-medium px-2 py-0.5 rounded-full ${
+              streamStatus === "live"
+                ? "bg-green-100 text-green-700"
+                : "bg-yellow-100 text-yellow-700"
+            }`}
+          >
+            {streamStatus === "live" ? "● Live" : "Reconnecting..."}
+          </span>
+        )}
       </div>
     );
   };
@@ -298,6 +512,9 @@ const NewsImpactScreener = () => {
       { id: "screener", name: "Stock Screener", icon: "🔍" },
       { id: "catalyst", name: "Catalyst Analysis", icon: "🎯" },
       { id: "performance", name: "Performance Tracking", icon: "📊" },
+      { id: "backtest", name: "Backtest", icon: "🧪" },
+      { id: "portfolio", name: "Portfolio", icon: "💼" },
+      { id: "alerts", name: "Alerts", icon: "🔔" },
     ];
 
     return (
@@ -330,6 +547,7 @@ const NewsImpactScreener = () => {
       loading,
       error,
       marketContext,
+      flashes,
     };
 
     switch (activeTab) {
@@ -363,6 +581,33 @@ const NewsImpactScreener = () => {
           </ErrorBoundary>
         );
 
+      case "backtest":
+        return (
+          <ErrorBoundary
+            componentName="Backtest"
+            onError={handleComponentError}
+          >
+            <BacktestResultsTab {...commonProps} />
+          </ErrorBoundary>
+        );
+
+      case "portfolio":
+        return (
+          <ErrorBoundary
+            componentName="Portfolio"
+            onError={handleComponentError}
+          >
+            <PortfolioTab {...commonProps} />
+          </ErrorBoundary>
+        );
+
+      case "alerts":
+        return (
+          <ErrorBoundary componentName="Alerts" onError={handleComponentError}>
+            <AlertRulesTab {...commonProps} />
+          </ErrorBoundary>
+        );
+
       default:
         return (
           <div className="text-center py-8">
@@ -397,6 +642,33 @@ const NewsImpactScreener = () => {
             {/* Right side: Status and Actions */}
             <div className="flex items-center space-x-6">
               {renderConnectionStatus()}
+              {universes.length > 0 && (
+                <select
+                  value={selectedUniverse || ""}
+                  onChange={(e) => handleUniverseChange(e.target.value)}
+                  disabled={loading}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white text-gray-700 focus:ring-2 focus:ring-blue-500"
+                  title="Screening universe"
+                >
+                  {universes.map((universe) => (
+                    <option key={universe.id} value={universe.id}>
+                      {universe.name} ({universe.symbolCount})
+                    </option>
+                  ))}
+                </select>
+              )}
+              <select
+                value={earningsWindow ?? ""}
+                onChange={(e) => handleEarningsWindowChange(e.target.value)}
+                disabled={loading}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white text-gray-700 focus:ring-2 focus:ring-blue-500"
+                title="Hide names reporting earnings within"
+              >
+                <option value="">All earnings dates</option>
+                <option value="3">No earnings in 3 days</option>
+                <option value="7">No earnings in 7 days</option>
+                <option value="14">No earnings in 14 days</option>
+              </select>
               <button
                 onClick={handleRefresh}
                 disabled={loading}
@@ -452,8 +724,10 @@ const NewsImpactScreener = () => {
               <div className="text-center">
                 <div className="text-3xl font-bold text-purple-600 mb-1">
                   {
-                    screeningResults.filter((s) => (s.nissScore || 0) >= 7)
-                      .length
+                    screeningResults.filter(
+                      (s) =>
+                        Math.abs(s.nissScore || 0) >= NISS_THRESHOLDS.actionable
+                    ).length
                   }
                 </div>
                 <div className="text-sm text-gray-600 font-medium">
@@ -1,7 +1,7 @@
 // src/components/PerformanceTrackingTab.js - CLEAN VERSION
 // Simple, elegant design matching Catalyst tab aesthetic
 
-import React, { useMemo } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import {
   BarChart3,
   TrendingUp,
@@ -11,8 +11,14 @@ import {
   Activity,
   Star,
   Eye,
+  XCircle,
 } from "lucide-react";
 
+import InstitutionalDataService from "../api/InstitutionalDataService";
+import { NISS_SCALE, NISS_THRESHOLDS } from "../engine/NISSCalculationEngine";
+
+const HORIZON_LABELS = { "1d": "1 Day", "5d": "5 Days", "20d": "20 Days" };
+
 const PerformanceTrackingTab = ({
   screeningResults = [],
   onSelectStock = () => {},
@@ -28,6 +34,35 @@ const PerformanceTrackingTab = ({
     error,
   });
 
+  // ============================================
+  // SIGNAL JOURNAL STATE
+  // ============================================
+
+  const [journalSummary, setJournalSummary] = useState(null);
+  const [journalLoading, setJournalLoading] = useState(false);
+  const [journalError, setJournalError] = useState(null);
+  const [selectedHorizon, setSelectedHorizon] = useState("5d");
+
+  useEffect(() => {
+    const loadJournalSummary = async () => {
+      setJournalLoading(true);
+      try {
+        const response = await InstitutionalDataService.getPerformanceSummary();
+        if (response.success && response.data) {
+          setJournalSummary(response.data);
+          setJournalError(null);
+        }
+      } catch (err) {
+        console.error("❌ Signal journal loading failed:", err);
+        setJournalError(err.message);
+      } finally {
+        setJournalLoading(false);
+      }
+    };
+
+    loadJournalSummary();
+  }, []);
+
   // ============================================
   // HELPER FUNCTIONS (DEFINED FIRST)
   // ============================================
@@ -87,7 +122,6 @@ const PerformanceTrackingTab = ({
       console.log("⚠️ No screening results available for performance analysis");
       return {
         totalAnalyzed: 0,
-        successRate: 0,
         avgNissScore: 0,
         topPerformers: [],
         sectorBreakdown: {},
@@ -97,11 +131,6 @@ const PerformanceTrackingTab = ({
 
     try {
       const totalAnalyzed = screeningResults.length;
-      const successfulSignals = screeningResults.filter(
-        (stock) => (stock.nissScore || 0) >= 6
-      ).length;
-      const successRate =
-        totalAnalyzed > 0 ? (successfulSignals / totalAnalyzed) * 100 : 0;
 
       const avgNissScore =
         totalAnalyzed > 0
@@ -118,7 +147,6 @@ const PerformanceTrackingTab = ({
         .map((stock, index) => ({
           ...stock,
           rank: index + 1,
-          changePercent: stock.changePercent || (Math.random() - 0.5) * 10,
         }));
 
       // Sector breakdown
@@ -142,7 +170,6 @@ const PerformanceTrackingTab = ({
 
       const metrics = {
         totalAnalyzed,
-        successRate,
         avgNissScore,
         topPerformers,
         sectorBreakdown,
@@ -151,7 +178,6 @@ const PerformanceTrackingTab = ({
 
       console.log("✅ Performance metrics calculated:", {
         totalAnalyzed: metrics.totalAnalyzed,
-        successRate: metrics.successRate.toFixed(1) + "%",
         avgNissScore: metrics.avgNissScore.toFixed(2),
         topPerformersCount: metrics.topPerformers.length,
       });
@@ -161,7 +187,6 @@ const PerformanceTrackingTab = ({
       console.error("❌ Error calculating performance metrics:", err);
       return {
         totalAnalyzed: 0,
-        successRate: 0,
         avgNissScore: 0,
         topPerformers: [],
         sectorBreakdown: {},
@@ -170,6 +195,12 @@ const PerformanceTrackingTab = ({
     }
   }, [screeningResults]);
 
+  // Realized outcomes for the selected forward-return horizon
+  const horizonStats = journalSummary?.horizons?.[selectedHorizon] || null;
+
+  const formatReturn = (value) =>
+    `${(value || 0) >= 0 ? "+" : ""}${(value || 0).toFixed(2)}%`;
+
   // ============================================
   // RENDER CONDITIONS
   // ============================================
@@ -205,23 +236,26 @@ const PerformanceTrackingTab = ({
 
   return (
     <div className="p-6 space-y-6">
-      {/* Header */}
-      
-
       {/* Key Metrics Cards */}
       <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
         <div className="bg-white border border-gray-200 rounded-lg p-4">
           <div className="flex items-center space-x-2 mb-2">
             <Target className="w-4 h-4 text-blue-600" />
             <span className="text-sm font-medium text-gray-700">
-              Success Rate
+              Hit Rate ({HORIZON_LABELS[selectedHorizon]})
             </span>
           </div>
           <div className="text-2xl font-bold text-blue-600">
-            {performanceMetrics.successRate.toFixed(1)}%
+            {horizonStats && horizonStats.directional > 0
+              ? `${horizonStats.hitRate.toFixed(1)}%`
+              : "—"}
           </div>
           <div className="text-xs text-gray-500">
-            {performanceMetrics.totalAnalyzed} stocks analyzed
+            {horizonStats
+              ? `${horizonStats.directional} scored trade signals`
+              : journalLoading
+              ? "Loading signal journal..."
+              : "No scored signals yet"}
           </div>
         </div>
 
@@ -235,7 +269,9 @@ const PerformanceTrackingTab = ({
           <div className="text-2xl font-bold text-green-600">
             {performanceMetrics.avgNissScore.toFixed(1)}
           </div>
-          <div className="text-xs text-gray-500">Out of 10.0</div>
+          <div className="text-xs text-gray-500">
+            Scale {NISS_SCALE.min} to +{NISS_SCALE.max}
+          </div>
         </div>
 
         <div className="bg-white border border-gray-200 rounded-lg p-4">
@@ -246,9 +282,15 @@ const PerformanceTrackingTab = ({
             </span>
           </div>
           <div className="text-2xl font-bold text-purple-600">
-            {screeningResults.filter((s) => (s.nissScore || 0) >= 7).length}
+            {
+              screeningResults.filter(
+                (s) => Math.abs(s.nissScore || 0) >= NISS_THRESHOLDS.actionable
+              ).length
+            }
+          </div>
+          <div className="text-xs text-gray-500">
+            |NISS| ≥ {NISS_THRESHOLDS.actionable}
           </div>
-          <div className="text-xs text-gray-500">NISS ≥ 7.0</div>
         </div>
 
         <div className="bg-white border border-gray-200 rounded-lg p-4">
@@ -271,6 +313,137 @@ const PerformanceTrackingTab = ({
         </div>
       </div>
 
+      {/* Signal Outcomes */}
+      <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">
+              Signal Outcomes
+            </h3>
+            <p className="text-sm text-gray-600">
+              Journaled screening signals scored against realized returns
+              {journalSummary &&
+                ` · ${journalSummary.totalSignals} signals, ${journalSummary.pending} pending`}
+            </p>
+          </div>
+          <div className="flex space-x-1 bg-gray-100 p-1 rounded-lg">
+            {Object.entries(HORIZON_LABELS).map(([horizon, label]) => (
+              <button
+                key={horizon}
+                onClick={() => setSelectedHorizon(horizon)}
+                className={`px-3 py-1 text-xs font-medium rounded-md ${
+                  selectedHorizon === horizon
+                    ? "bg-white text-blue-600 shadow-sm"
+                    : "text-gray-600 hover:text-gray-900"
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {journalError && (
+          <div className="px-6 py-4 text-sm text-red-700 bg-red-50">
+            Signal journal unavailable: {journalError}
+          </div>
+        )}
+
+        {!journalError && !horizonStats && (
+          <div className="px-6 py-8 text-center text-sm text-gray-500">
+            {journalLoading
+              ? "Scoring journaled signals..."
+              : "Signals are scored once their holding window has elapsed."}
+          </div>
+        )}
+
+        {horizonStats && (
+          <div className="p-6 space-y-6">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <div>
+                <div className="text-xs text-gray-500">Avg Return</div>
+                <div
+                  className={`text-lg font-semibold ${
+                    horizonStats.avgReturn >= 0
+                      ? "text-green-600"
+                      : "text-red-600"
+                  }`}
+                >
+                  {formatReturn(horizonStats.avgReturn)}
+                </div>
+              </div>
+              <div>
+                <div className="text-xs text-gray-500">Avg Raw Return</div>
+                <div className="text-lg font-semibold text-gray-900">
+                  {formatReturn(horizonStats.avgRawReturn)}
+                </div>
+              </div>
+              <div>
+                <div className="text-xs text-gray-500">Targets Hit</div>
+                <div className="flex items-center space-x-1 text-lg font-semibold text-green-600">
+                  <Target className="w-4 h-4" />
+                  <span>
+                    {horizonStats.targetHits.target1} /{" "}
+                    {horizonStats.targetHits.target2} /{" "}
+                    {horizonStats.targetHits.target3}
+                  </span>
+                </div>
+              </div>
+              <div>
+                <div className="text-xs text-gray-500">Stops Hit</div>
+                <div className="flex items-center space-x-1 text-lg font-semibold text-red-600">
+                  <XCircle className="w-4 h-4" />
+                  <span>{horizonStats.stopHits}</span>
+                </div>
+              </div>
+            </div>
+
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Action
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Signals
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Hit Rate
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Avg Return
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {Object.entries(horizonStats.byAction).map(([action, data]) => (
+                  <tr key={action}>
+                    <td className="px-4 py-2 text-sm font-medium text-gray-900">
+                      {action}
+                    </td>
+                    <td className="px-4 py-2 text-sm text-gray-600">
+                      {data.count}
+                    </td>
+                    <td className="px-4 py-2 text-sm text-gray-600">
+                      {data.hitRate === null
+                        ? "—"
+                        : `${data.hitRate.toFixed(1)}%`}
+                    </td>
+                    <td
+                      className={`px-4 py-2 text-sm ${
+                        data.avgReturn >= 0 ? "text-green-600" : "text-red-600"
+                      }`}
+                    >
+                      {formatReturn(data.avgReturn)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
       {/* Top Performers Table */}
       <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
         <div className="px-6 py-4 border-b border-gray-200">
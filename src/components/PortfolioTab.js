@@ -0,0 +1,424 @@
+// src/components/PortfolioTab.js
+// Server-side portfolio positions with live valuation
+
+import React, { useState, useEffect, useCallback } from "react";
+import { Briefcase, RefreshCw, ShieldCheck, Trash2 } from "lucide-react";
+
+import InstitutionalDataService from "../api/InstitutionalDataService";
+
+const PORTFOLIO_ID = "default";
+
+const EMPTY_POSITION = { symbol: "", quantity: "", costBasis: "" };
+
+// Blank fields fall back to TradeSetupHelper's defaults
+const ACCOUNT_FIELDS = [
+  { key: "equity", label: "Equity ($)", placeholder: "100000" },
+  {
+    key: "maxRiskPerTradePercent",
+    label: "Max risk / trade %",
+    placeholder: "1",
+  },
+  { key: "maxSectorExposurePercent", label: "Max sector %", placeholder: "25" },
+  { key: "maxCorrelation", label: "Max correlation", placeholder: "0.7" },
+];
+
+const formatMoney = (value) =>
+  value === null || value === undefined
+    ? "—"
+    : value.toLocaleString(undefined, {
+        style: "currency",
+        currency: "USD",
+        maximumFractionDigits: 2,
+      });
+
+const pnlClass = (value) =>
+  value > 0 ? "text-green-600" : value < 0 ? "text-red-600" : "text-gray-600";
+
+const PortfolioTab = () => {
+  const [portfolio, setPortfolio] = useState(null);
+  const [draft, setDraft] = useState(EMPTY_POSITION);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [account, setAccount] = useState({});
+  const [riskSymbol, setRiskSymbol] = useState("");
+  const [risk, setRisk] = useState(null);
+  const [checkingRisk, setCheckingRisk] = useState(false);
+
+  const loadPortfolio = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await InstitutionalDataService.getPortfolio(
+        PORTFOLIO_ID
+      );
+      setPortfolio(response.data || null);
+      setAccount(response.data?.account || {});
+    } catch (err) {
+      console.error("❌ Portfolio loading failed:", err);
+      setMessage({ type: "error", text: err.message });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPortfolio();
+  }, [loadPortfolio]);
+
+  // ============================================
+  // ACTIONS
+  // ============================================
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+
+    try {
+      const symbol = draft.symbol.trim().toUpperCase();
+      await InstitutionalDataService.savePosition(PORTFOLIO_ID, symbol, {
+        quantity: Number(draft.quantity),
+        costBasis: Number(draft.costBasis),
+      });
+      setDraft(EMPTY_POSITION);
+      setMessage({ type: "success", text: `${symbol} position saved` });
+      await loadPortfolio();
+    } catch (err) {
+      setMessage({
+        type: "error",
+        text: `Could not save position: ${err.message}`,
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (symbol) => {
+    try {
+      await InstitutionalDataService.removePosition(PORTFOLIO_ID, symbol);
+      await loadPortfolio();
+    } catch (err) {
+      setMessage({ type: "error", text: err.message });
+    }
+  };
+
+  const handleSaveAccount = async () => {
+    setMessage(null);
+    try {
+      const changes = {};
+      ACCOUNT_FIELDS.forEach(({ key }) => {
+        if (account[key] !== undefined && account[key] !== "") {
+          changes[key] = Number(account[key]);
+        }
+      });
+      await InstitutionalDataService.updatePortfolio(PORTFOLIO_ID, {
+        account: changes,
+      });
+      setMessage({ type: "success", text: "Account limits saved" });
+    } catch (err) {
+      setMessage({
+        type: "error",
+        text: `Could not save account limits: ${err.message}`,
+      });
+    }
+  };
+
+  const handleCheckRisk = async () => {
+    setCheckingRisk(true);
+    setRisk(null);
+    try {
+      const response = await InstitutionalDataService.getPortfolioRisk(
+        PORTFOLIO_ID,
+        riskSymbol.trim().toUpperCase()
+      );
+      setRisk(response.data || null);
+    } catch (err) {
+      setMessage({ type: "error", text: err.message });
+    } finally {
+      setCheckingRisk(false);
+    }
+  };
+
+  // ============================================
+  // RENDER
+  // ============================================
+
+  const positions = portfolio?.positions || [];
+  const totals = portfolio?.totals;
+  const canSave =
+    draft.symbol.trim() && Number(draft.quantity) && draft.costBasis !== "";
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <Briefcase className="w-6 h-6 text-blue-600" />
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">
+              {portfolio?.name || "Portfolio"}
+            </h2>
+            <p className="text-sm text-gray-600">
+              Screen or alert on these positions with the "portfolio:
+              {PORTFOLIO_ID}" universe
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={loadPortfolio}
+          disabled={loading}
+          className="flex items-center space-x-2 px-4 py-2 text-sm bg-blue-50 text-blue-700 rounded-lg hover:bg-blue-100"
+        >
+          <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} />
+          <span>Refresh prices</span>
+        </button>
+      </div>
+
+      {message && (
+        <div
+          className={`px-4 py-3 rounded-lg text-sm ${
+            message.type === "error"
+              ? "bg-red-50 text-red-700"
+              : "bg-green-50 text-green-700"
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      {/* Totals */}
+      {totals && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="bg-white border border-gray-200 rounded-lg p-4">
+            <div className="text-sm text-gray-600">Market value</div>
+            <div className="text-2xl font-bold text-gray-900">
+              {formatMoney(totals.marketValue)}
+            </div>
+          </div>
+          <div className="bg-white border border-gray-200 rounded-lg p-4">
+            <div className="text-sm text-gray-600">Cost basis</div>
+            <div className="text-2xl font-bold text-gray-900">
+              {formatMoney(totals.costValue)}
+            </div>
+          </div>
+          <div className="bg-white border border-gray-200 rounded-lg p-4">
+            <div className="text-sm text-gray-600">Unrealized P&amp;L</div>
+            <div
+              className={`text-2xl font-bold ${pnlClass(totals.unrealizedPnL)}`}
+            >
+              {formatMoney(totals.unrealizedPnL)}
+              {totals.unrealizedPnLPercent !== null && (
+                <span className="text-sm ml-2">
+                  ({totals.unrealizedPnLPercent}%)
+                </span>
+              )}
+            </div>
+            {totals.priced < totals.positions && (
+              <div className="text-xs text-gray-400">
+                {totals.positions - totals.priced} positions without a quote
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Position editor */}
+      <div className="bg-white border border-gray-200 rounded-lg p-6 space-y-4">
+        <h3 className="text-lg font-semibold text-gray-900">
+          Add or update position
+        </h3>
+        <div className="flex flex-wrap items-center gap-4">
+          <input
+            value={draft.symbol}
+            onChange={(e) => setDraft({ ...draft, symbol: e.target.value })}
+            placeholder="Symbol"
+            className="w-32 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <input
+            type="number"
+            value={draft.quantity}
+            onChange={(e) => setDraft({ ...draft, quantity: e.target.value })}
+            placeholder="Quantity (negative = short)"
+            className="w-56 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={draft.costBasis}
+            onChange={(e) => setDraft({ ...draft, costBasis: e.target.value })}
+            placeholder="Cost basis / share"
+            className="w-44 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <button
+            onClick={handleSave}
+            disabled={saving || !canSave}
+            className={`px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 ${
+              saving || !canSave ? "opacity-50 cursor-not-allowed" : ""
+            }`}
+          >
+            {saving ? "Saving..." : "Save position"}
+          </button>
+        </div>
+      </div>
+
+      {/* Account limits & trade sizing */}
+      <div className="bg-white border border-gray-200 rounded-lg p-6 space-y-4">
+        <div className="flex items-center space-x-2">
+          <ShieldCheck className="w-5 h-5 text-blue-600" />
+          <h3 className="text-lg font-semibold text-gray-900">
+            Account limits &amp; trade sizing
+          </h3>
+        </div>
+        <div className="flex flex-wrap items-end gap-4">
+          {ACCOUNT_FIELDS.map(({ key, label, placeholder }) => (
+            <label key={key} className="text-sm text-gray-700">
+              <span className="block mb-1">{label}</span>
+              <input
+                type="number"
+                min="0"
+                value={account[key] ?? ""}
+                onChange={(e) =>
+                  setAccount({ ...account, [key]: e.target.value })
+                }
+                placeholder={placeholder}
+                className="w-36 px-3 py-2 border border-gray-300 rounded-lg"
+              />
+            </label>
+          ))}
+          <button
+            onClick={handleSaveAccount}
+            className="px-4 py-2 bg-gray-100 text-gray-800 rounded-lg text-sm font-medium hover:bg-gray-200"
+          >
+            Save limits
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4 pt-2 border-t border-gray-100">
+          <input
+            value={riskSymbol}
+            onChange={(e) => setRiskSymbol(e.target.value)}
+            placeholder="Symbol to size"
+            className="w-40 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <button
+            onClick={handleCheckRisk}
+            disabled={checkingRisk || !riskSymbol.trim()}
+            className={`px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 ${
+              checkingRisk || !riskSymbol.trim()
+                ? "opacity-50 cursor-not-allowed"
+                : ""
+            }`}
+          >
+            {checkingRisk ? "Checking..." : "Check position size"}
+          </button>
+        </div>
+
+        {risk && (
+          <div
+            className={`rounded-lg p-4 text-sm ${
+              risk.assessment.vetoed ? "bg-red-50" : "bg-blue-50"
+            }`}
+          >
+            <div className="font-semibold text-gray-900">
+              {risk.symbol}: {risk.action} ·{" "}
+              {risk.assessment.vetoed
+                ? "Vetoed"
+                : `${risk.assessment.positionSize}% of equity`}{" "}
+              · max loss {risk.assessment.maxLoss}
+            </div>
+            <div className="text-gray-600">
+              Sector exposure {risk.assessment.portfolioImpact}
+              {risk.portfolio?.sector && ` (${risk.portfolio.sector})`} ·
+              correlation {risk.assessment.correlationRisk}
+              {risk.portfolio?.maxCorrelation &&
+                ` (${risk.portfolio.maxCorrelation.symbol} ${risk.portfolio.maxCorrelation.correlation})`}
+            </div>
+            {risk.positionSize?.reasoning && (
+              <div className="text-xs text-gray-500 mt-1">
+                {risk.positionSize.reasoning}
+              </div>
+            )}
+            {risk.assessment.reasons.length > 0 && (
+              <ul className="list-disc list-inside mt-2 text-gray-700">
+                {risk.assessment.reasons.map((reason) => (
+                  <li key={reason}>{reason}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Positions */}
+      <div className="bg-white border border-gray-200 rounded-lg overflow-x-auto">
+        {positions.length === 0 ? (
+          <div className="p-6 text-center text-sm text-gray-500">
+            No positions yet
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                {[
+                  "Symbol",
+                  "Quantity",
+                  "Cost basis",
+                  "Price",
+                  "Market value",
+                  "Unrealized P&L",
+                  "",
+                ].map((heading) => (
+                  <th
+                    key={heading}
+                    className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                  >
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {positions.map((position) => (
+                <tr key={position.symbol}>
+                  <td className="px-4 py-3 font-semibold text-gray-900">
+                    {position.symbol}
+                  </td>
+                  <td className="px-4 py-3">{position.quantity}</td>
+                  <td className="px-4 py-3">
+                    {formatMoney(position.costBasis)}
+                  </td>
+                  <td className="px-4 py-3">{formatMoney(position.price)}</td>
+                  <td className="px-4 py-3">
+                    {formatMoney(position.marketValue)}
+                  </td>
+                  <td
+                    className={`px-4 py-3 ${pnlClass(position.unrealizedPnL)}`}
+                  >
+                    {formatMoney(position.unrealizedPnL)}
+                    {position.unrealizedPnLPercent !== null &&
+                      position.unrealizedPnLPercent !== undefined && (
+                        <span className="text-xs ml-1">
+                          ({position.unrealizedPnLPercent}%)
+                        </span>
+                      )}
+                  </td>
+                  <td className="px-4 py-3 text-right">
+                    <button
+                      onClick={() => handleRemove(position.symbol)}
+                      className="p-2 text-gray-400 hover:text-red-600"
+                      title="Remove position"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PortfolioTab;
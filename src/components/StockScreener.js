@@ -17,6 +17,8 @@ import {
   Target,
 } from "lucide-react";
 
+import { NISS_SCALE, NISS_THRESHOLDS } from "../engine/NISSCalculationEngine";
+
 const StockScreener = ({
   screeningResults = [],
   onSelectStock = () => {},
@@ -24,6 +26,7 @@ const StockScreener = ({
   onToggleWatchlist = () => {},
   loading = false,
   error = null,
+  flashes = {},
 }) => {
   console.log("🔍 StockScreener receiving data:", {
     resultCount: screeningResults.length,
@@ -36,7 +39,7 @@ const StockScreener = ({
   const [filters, setFilters] = useState({
     confidence: "ALL",
     sentiment: "ALL",
-    nissThreshold: 0,
+    nissThreshold: NISS_SCALE.min,
     sortBy: "nissScore",
     sortOrder: "desc",
   });
@@ -78,9 +81,14 @@ const StockScreener = ({
   // Helper function to get NISS score color
   const getNissScoreColor = (score) => {
     const numScore = parseFloat(score) || 0;
-    if (numScore >= 8) return "text-green-600 font-bold";
-    if (numScore >= 6) return "text-blue-600 font-semibold";
-    if (numScore >= 4) return "text-yellow-600 font-medium";
+    if (numScore >= NISS_THRESHOLDS.actionable)
+      return "text-green-600 font-bold";
+    if (numScore >= NISS_THRESHOLDS.directional)
+      return "text-blue-600 font-semibold";
+    if (numScore <= -NISS_THRESHOLDS.actionable)
+      return "text-red-600 font-bold";
+    if (numScore <= -NISS_THRESHOLDS.directional)
+      return "text-yellow-600 font-medium";
     return "text-gray-600";
   };
 
@@ -490,9 +498,9 @@ const StockScreener = ({
               </label>
               <input
                 type="range"
-                min="0"
-                max="10"
-                step="0.5"
+                min={NISS_SCALE.min}
+                max={NISS_SCALE.max}
+                step="5"
                 value={filters.nissThreshold}
                 onChange={(e) =>
                   setFilters((prev) => ({
@@ -503,8 +511,8 @@ const StockScreener = ({
                 className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer slider"
               />
               <div className="flex justify-between text-xs text-gray-500 mt-1">
-                <span>0</span>
-                <span>10</span>
+                <span>{NISS_SCALE.min}</span>
+                <span>+{NISS_SCALE.max}</span>
               </div>
             </div>
 
@@ -581,7 +589,13 @@ const StockScreener = ({
                 return (
                   <tr
                     key={stock.symbol || index}
-                    className="hover:bg-gradient-to-r hover:from-blue-50 hover:to-transparent cursor-pointer transition-all duration-150"
+                    className={`hover:bg-gradient-to-r hover:from-blue-50 hover:to-transparent cursor-pointer transition-all duration-150 ${
+                      flashes[stock.symbol] === "up"
+                        ? "bg-green-50"
+                        : flashes[stock.symbol] === "down"
+                        ? "bg-red-50"
+                        : ""
+                    }`}
                     onClick={() => handleStockClick(stock)}
                   >
                     <td className="px-6 py-4 whitespace-nowrap">
@@ -686,7 +700,7 @@ const StockScreener = ({
                 setFilters({
                   confidence: "ALL",
                   sentiment: "ALL",
-                  nissThreshold: 0,
+                  nissThreshold: NISS_SCALE.min,
                   sortBy: "nissScore",
                   sortOrder: "desc",
                 })
@@ -1,12 +1,54 @@
 // src/engine/NISSCalculationEngine.js
 // NISS Calculation Engine - Single Source of Truth
 // Implements Enhanced Trading Cheat Sheet 6-Component Framework
-
-import _ from "lodash";
+// Isomorphic (CommonJS): required by the Express backend, imported by the React app
+
+const financialSentiment = require("../utils/FinancialSentiment");
+
+// Declared NISS scale: -100 (maximally bearish) to +100 (maximally bullish)
+const NISS_SCALE = {
+  min: -100,
+  max: 100,
+  neutral: 0,
+};
+
+// Score magnitudes every consumer should compare against (apply to |score|)
+const NISS_THRESHOLDS = {
+  strong: 75, // STRONG BUY / STRONG SELL territory
+  actionable: 60, // BUY / SELL territory
+  notable: 40, // Worth surfacing as a catalyst
+  directional: 15, // BULLISH / BEARISH sentiment
+};
+
+/**
+ * Map a NISS score to the sentiment label used across the app
+ * @param {number} score - NISS score on NISS_SCALE
+ * @returns {string} BULLISH, BEARISH or NEUTRAL
+ */
+const getNISSSentiment = (score) => {
+  if ((score || 0) >= NISS_THRESHOLDS.directional) return "BULLISH";
+  if ((score || 0) <= -NISS_THRESHOLDS.directional) return "BEARISH";
+  return "NEUTRAL";
+};
+
+/**
+ * Map a NISS score to a signal strength bucket
+ * @param {number} score - NISS score on NISS_SCALE
+ * @returns {string} STRONG, ACTIONABLE, NOTABLE or WEAK
+ */
+const getNISSStrength = (score) => {
+  const magnitude = Math.abs(score || 0);
+  if (magnitude >= NISS_THRESHOLDS.strong) return "STRONG";
+  if (magnitude >= NISS_THRESHOLDS.actionable) return "ACTIONABLE";
+  if (magnitude >= NISS_THRESHOLDS.notable) return "NOTABLE";
+  return "WEAK";
+};
 
 class NISSCalculationEngine {
   constructor() {
-    this.version = "3.0.0";
+    this.version = "3.1.0";
+    this.scale = NISS_SCALE;
+    this.thresholds = NISS_THRESHOLDS;
     this.frameworkType = "Enhanced Institutional";
 
     // Component weights (exactly matching Enhanced Trading Cheat Sheet)
@@ -19,6 +61,13 @@ class NISSCalculationEngine {
       volumeAnalysis: 0.1, // 10% - Volume surge confirmation
     };
 
+    // Optional earnings component: a report at most `sessions` old takes up
+    // to `weight` of the blend, fading to nothing across the drift window
+    this.earningsWindow = {
+      sessions: 20,
+      weight: 0.15,
+    };
+
     // Market regime adjustment ranges
     this.regimeAdjustment = {
       min: -20,
@@ -53,7 +102,8 @@ class NISSCalculationEngine {
     newsData = [],
     technicalData = {},
     optionsData = {},
-    marketContext = {}
+    marketContext = {},
+    earningsData = null
   ) {
     try {
       const startTime = performance.now();
@@ -66,7 +116,11 @@ class NISSCalculationEngine {
       // Calculate all 6 components
       const components = {
         priceAction: this.calculatePriceActionScore(stock),
-        newsImpact: this.calculateNewsImpactScore(newsData, stock.symbol),
+        newsImpact: this.calculateNewsImpactScore(
+          newsData,
+          stock.symbol,
+          marketContext.asOf
+        ),
         technicalMomentum: this.calculateTechnicalMomentum(
           technicalData,
           stock
@@ -85,15 +139,28 @@ class NISSCalculationEngine {
         components.relativeStrength * this.componentWeights.relativeStrength +
         components.volumeAnalysis * this.componentWeights.volumeAnalysis;
 
+      // Recently reported names blend in their earnings surprise
+      const earnings = this.calculateEarningsScore(earningsData);
+      if (earnings) components.earningsSurprise = earnings.score;
+      const blendedScore = earnings
+        ? weightedScore * (1 - earnings.weight) +
+          earnings.score * earnings.weight
+        : weightedScore;
+
       // Apply market regime adjustment
       const regimeAdjustment = this.calculateMarketRegimeAdjustment(
         marketContext,
         components
       );
 
-      // Final score calculation
-      const rawScore = weightedScore + regimeAdjustment;
-      const finalScore = Math.max(-100, Math.min(100, rawScore));
+      // Components are 0-100 around a neutral 50; re-center the weighted
+      // blend onto NISS_SCALE before applying the regime adjustment
+      const centeredScore = (blendedScore - 50) * 2;
+      const rawScore = centeredScore + regimeAdjustment;
+      const finalScore = Math.max(
+        NISS_SCALE.min,
+        Math.min(NISS_SCALE.max, rawScore)
+      );
 
       // Calculate confidence level
       const confidence = this.calculateConfidence(components, regimeAdjustment);
@@ -113,6 +180,9 @@ class NISSCalculationEngine {
           timestamp: new Date().toISOString(),
           symbol: stock.symbol,
           componentWeights: this.componentWeights,
+          earningsWeight: earnings
+            ? Math.round(earnings.weight * 1000) / 1000
+            : 0,
         },
       };
     } catch (error) {
@@ -201,12 +271,16 @@ class NISSCalculationEngine {
   // COMPONENT 2: NEWS IMPACT SCORE (0-100)
   // ============================================
 
-  calculateNewsImpactScore(newsData, symbol) {
+  calculateNewsImpactScore(newsData, symbol, asOf) {
     try {
       if (!Array.isArray(newsData) || newsData.length === 0) {
         return 50; // Neutral score if no news
       }
 
+      // Age news against the newest article (not the wall clock) unless the
+      // caller pins a reference time, so identical inputs score identically
+      const referenceTime = asOf || this.getLatestNewsTime(newsData);
+
       let totalScore = 0;
       let weightedTotal = 0;
 
@@ -215,20 +289,22 @@ class NISSCalculationEngine {
         // Calculate base relevance score
         const relevanceScore = this.calculateRelevanceScore(
           news.headline || news.title,
-          symbol
+          symbol,
+          news.salience
         );
 
-        // Get source credibility multiplier
-        const credibilityMultiplier = this.getSourceCredibilityMultiplier(
-          news.source
-        );
+        // Source credibility, raised when several outlets ran the story
+        const credibilityMultiplier =
+          this.getSourceCredibilityMultiplier(news.source) *
+          this.getCorroborationMultiplier(news.sourceCount);
 
         // Calculate sentiment impact
-        const sentimentImpact = (news.sentiment || 0) * 25; // -25 to +25 range
+        const sentimentImpact = this.getNewsSentiment(news) * 25; // -25 to +25 range
 
         // Time decay factor (newer news has more impact)
         const timeDecay = this.calculateTimeDecay(
-          news.datetime || news.publishedAt
+          news.datetime || news.publishedAt,
+          referenceTime
         );
 
         // Calculate weighted news score
@@ -553,6 +629,48 @@ class NISSCalculationEngine {
     }
   }
 
+  // ============================================
+  // OPTIONAL: EARNINGS SURPRISE (0-100)
+  // ============================================
+
+  // earningsData: { epsSurprise, revenueSurprise, sessionsSince, reaction1 }
+  // (backend services/earnings). Returns null outside the drift window.
+  calculateEarningsScore(earningsData) {
+    try {
+      if (!earningsData || typeof earningsData.epsSurprise !== "number") {
+        return null;
+      }
+
+      const { sessions, weight } = this.earningsWindow;
+      const sessionsSince = earningsData.sessionsSince || 0;
+      if (sessionsSince > sessions) return null;
+
+      const clamp = (value) => Math.max(-1, Math.min(1, value));
+
+      // A 10% EPS or 3% revenue surprise saturates its side
+      const eps = clamp(earningsData.epsSurprise / 10);
+      const revenue =
+        typeof earningsData.revenueSurprise === "number"
+          ? clamp(earningsData.revenueSurprise / 3)
+          : eps;
+      let surprise = eps * 0.6 + revenue * 0.4;
+
+      // Halve it when the first session traded against the numbers
+      const reaction = earningsData.reaction1;
+      if (reaction && Math.sign(reaction) !== Math.sign(surprise)) {
+        surprise *= 0.5;
+      }
+
+      return {
+        score: Math.round((50 + surprise * 50) * 100) / 100,
+        weight: weight * (1 - sessionsSince / (sessions + 1)),
+      };
+    } catch (error) {
+      console.error("Earnings Score calculation error:", error);
+      return null;
+    }
+  }
+
   // ============================================
   // CONFIDENCE CALCULATION
   // ============================================
@@ -571,7 +689,8 @@ class NISSCalculationEngine {
       const bearishComponents = Object.values(components).filter(
         (score) => score < 40
       ).length;
-      const neutralComponents = 6 - bullishComponents - bearishComponents;
+      const neutralComponents =
+        Object.keys(components).length - bullishComponents - bearishComponents;
 
       // Calculate confidence based on alignment and strength
       let confidence = "LOW";
@@ -606,16 +725,21 @@ class NISSCalculationEngine {
   // HELPER METHODS
   // ============================================
 
-  calculateRelevanceScore(headline, symbol) {
+  // salience (0-1, from backend entity extraction) says how central the
+  // symbol is to the article; without it, look for the ticker as a word
+  calculateRelevanceScore(headline, symbol, salience) {
     if (!headline || !symbol) return 50;
 
     const text = headline.toLowerCase();
-    const symbolLower = symbol.toLowerCase();
 
     let score = 40; // Base score
 
     // Direct symbol mention (highest priority)
-    if (text.includes(symbolLower)) score += 30;
+    if (typeof salience === "number") {
+      score += 30 * salience;
+    } else if (this.mentionsTicker(headline, symbol)) {
+      score += 30;
+    }
 
     // High-impact keywords
     const highImpactKeywords = [
@@ -657,6 +781,12 @@ class NISSCalculationEngine {
     return Math.min(100, Math.max(0, score));
   }
 
+  // Whole-word (or $cashtag) ticker match, so "V" doesn't match every "v"
+  mentionsTicker(text, symbol) {
+    const ticker = symbol.toUpperCase().replace(".", "\\.");
+    return new RegExp(`(^|[^A-Za-z$])\\$?${ticker}([^A-Za-z]|$)`).test(text);
+  }
+
   getSourceCredibilityMultiplier(source) {
     if (!source) return this.sourceCredibility.default;
 
@@ -667,10 +797,38 @@ class NISSCalculationEngine {
     return this.sourceCredibility[sourceKey] || this.sourceCredibility.default;
   }
 
-  calculateTimeDecay(datetime) {
+  // Numeric sentiment in [-1, 1] is used as given; labels or missing values
+  // are scored from the headline and summary with the finance lexicon
+  getNewsSentiment(news) {
+    if (typeof news.sentiment === "number" && !isNaN(news.sentiment)) {
+      return Math.max(-1, Math.min(1, news.sentiment));
+    }
+
+    return financialSentiment.analyze(
+      news.headline || news.title || "",
+      news.summary || ""
+    ).score;
+  }
+
+  // Stories carried by more outlets weigh more: +10% per doubling, max +30%
+  getCorroborationMultiplier(sourceCount) {
+    if (!sourceCount || sourceCount <= 1) return 1;
+    return Math.min(1.3, 1 + 0.1 * Math.log2(sourceCount));
+  }
+
+  getLatestNewsTime(newsData) {
+    const times = newsData
+      .map((news) => new Date(news.datetime || news.publishedAt).getTime())
+      .filter((time) => !isNaN(time));
+
+    return times.length > 0 ? Math.max(...times) : Date.now();
+  }
+
+  // asOf lets historical replays age news relative to the replay date
+  calculateTimeDecay(datetime, asOf = Date.now()) {
     if (!datetime) return 0.5; // Default decay for unknown time
 
-    const now = Date.now();
+    const now = new Date(asOf).getTime();
     const newsTime = new Date(datetime).getTime();
     const ageHours = (now - newsTime) / (1000 * 60 * 60);
 
@@ -697,7 +855,7 @@ class NISSCalculationEngine {
     let riskReward = 1;
 
     // Determine action based on score and confidence
-    if (score > 75 && confidence === "HIGH") {
+    if (score > NISS_THRESHOLDS.strong && confidence === "HIGH") {
       action = "STRONG BUY";
       stopLoss = price * 0.95; // 5% stop loss
       targets = [
@@ -706,7 +864,7 @@ class NISSCalculationEngine {
         { level: 3, price: price * 1.12, probability: 0.4 },
       ];
       riskReward = 2.4;
-    } else if (score > 60 && confidence !== "LOW") {
+    } else if (score > NISS_THRESHOLDS.actionable && confidence !== "LOW") {
       action = "BUY";
       stopLoss = price * 0.96; // 4% stop loss
       targets = [
@@ -715,7 +873,7 @@ class NISSCalculationEngine {
         { level: 3, price: price * 1.09, probability: 0.3 },
       ];
       riskReward = 2.25;
-    } else if (score < -75 && confidence === "HIGH") {
+    } else if (score < -NISS_THRESHOLDS.strong && confidence === "HIGH") {
       action = "STRONG SELL";
       stopLoss = price * 1.05; // 5% stop loss for shorts
       targets = [
@@ -724,7 +882,7 @@ class NISSCalculationEngine {
         { level: 3, price: price * 0.88, probability: 0.4 },
       ];
       riskReward = 2.4;
-    } else if (score < -60 && confidence !== "LOW") {
+    } else if (score < -NISS_THRESHOLDS.actionable && confidence !== "LOW") {
       action = "SELL";
       stopLoss = price * 1.04; // 4% stop loss for shorts
       targets = [
@@ -770,8 +928,13 @@ class NISSCalculationEngine {
 }
 
 // Export singleton instance
+// CommonJS so the backend backtester can run the same engine as the UI
 const nissCalculationEngine = new NISSCalculationEngine();
-export default nissCalculationEngine;
+module.exports = nissCalculationEngine;
 
 // Named exports for specific functions
-export { NISSCalculationEngine };
+module.exports.NISSCalculationEngine = NISSCalculationEngine;
+module.exports.NISS_SCALE = NISS_SCALE;
+module.exports.NISS_THRESHOLDS = NISS_THRESHOLDS;
+module.exports.getNISSSentiment = getNISSSentiment;
+module.exports.getNISSStrength = getNISSStrength;
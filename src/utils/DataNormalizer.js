@@ -1,7 +1,6 @@
 // src/utils/DataNormalizer.js
 // Data normalization utilities for consistent data handling across the application
-
-import _ from "lodash";
+// CommonJS so the backend options route normalizes with the same rules
 
 class DataNormalizer {
   constructor() {
@@ -134,8 +133,13 @@ class DataNormalizer {
       }
 
       return {
+        symbol: rawOptions.symbol || null,
+        // Derived from volumes when the provider does not report it
         putCallRatio: this.extractNumericValue(
-          rawOptions.putCallRatio,
+          rawOptions.putCallRatio ??
+            (rawOptions.callVolume > 0
+              ? rawOptions.putVolume / rawOptions.callVolume
+              : null),
           1,
           0,
           10
@@ -155,10 +159,14 @@ class DataNormalizer {
         unusualActivity: Boolean(rawOptions.unusualActivity),
         impliedVolatility: this.extractNumericValue(
           rawOptions.impliedVolatility,
-          0.3,
+          null,
           0,
           5
         ),
+        ivRank: this.extractNumericValue(rawOptions.ivRank, null, 0, 100),
+        // Summarized from a truncated chain
+        partial: Boolean(rawOptions.partial),
+        asOf: rawOptions.asOf || null,
         timestamp: new Date().toISOString(),
         dataSource: rawOptions.dataSource || "API",
       };
@@ -329,15 +337,18 @@ class DataNormalizer {
     };
   }
 
+  // Neutral values: calculateOptionsFlow scores these at 50, so missing
+  // options data never moves NISS
   generateDefaultOptions() {
     return {
-      putCallRatio: 0.8 + Math.random() * 0.6,
-      callVolume: Math.floor(Math.random() * 10000),
-      putVolume: Math.floor(Math.random() * 8000),
-      callOI: Math.floor(Math.random() * 50000),
-      putOI: Math.floor(Math.random() * 40000),
-      unusualActivity: Math.random() < 0.1,
-      impliedVolatility: 0.2 + Math.random() * 0.4,
+      putCallRatio: 1,
+      callVolume: 0,
+      putVolume: 0,
+      callOI: 0,
+      putOI: 0,
+      unusualActivity: false,
+      impliedVolatility: null,
+      ivRank: null,
       timestamp: new Date().toISOString(),
       dataSource: "Default",
     };
@@ -348,4 +359,4 @@ class DataNormalizer {
 // Create singleton instance
 // ✅ ONLY these lines at the end:
 const dataNormalizer = new DataNormalizer();
-export default dataNormalizer;
+module.exports = dataNormalizer;
@@ -0,0 +1,402 @@
+// src/utils/EconomicSchedule.js
+// US economic release calendar generated from the recurring rules in
+// src/data/economicSchedule.json: first-Friday payrolls, mid-month CPI/PPI,
+// weekly jobless claims, published FOMC dates, moved off federal holidays.
+// Correct offline; providers only add actual/forecast/previous values.
+// CommonJS so the backend calendar and the frontend fallback agree
+
+const schedule = require("../data/economicSchedule.json");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// DATE HELPERS (UTC calendar days)
+// ============================================
+
+const toTime = (date) => Date.parse(`${date}T00:00:00Z`);
+const toDate = (time) => new Date(time).toISOString().split("T")[0];
+const weekdayOf = (time) => new Date(time).getUTCDay();
+const yearOf = (date) => Number(date.slice(0, 4));
+const daysInMonth = (year, month) =>
+  new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// n-th weekday (0 = Sunday) of a month; n = -1 for the last one
+function nthWeekday(year, month, weekday, n) {
+  if (n < 0) {
+    const last = Date.UTC(year, month - 1, daysInMonth(year, month));
+    return last - ((weekdayOf(last) - weekday + 7) % 7) * DAY_MS;
+  }
+  const first = Date.UTC(year, month - 1, 1);
+  const time =
+    first + (((weekday - weekdayOf(first) + 7) % 7) + 7 * (n - 1)) * DAY_MS;
+  return new Date(time).getUTCMonth() === month - 1 ? time : null;
+}
+
+// US Eastern is UTC-4 from the second Sunday of March to the first Sunday
+// of November, UTC-5 otherwise
+function easternOffsetHours(date) {
+  const year = yearOf(date);
+  const time = toTime(date);
+  const dstStart = nthWeekday(year, 3, 0, 2);
+  const dstEnd = nthWeekday(year, 11, 0, 1);
+  return time >= dstStart && time < dstEnd ? 4 : 5;
+}
+
+const normalizeName = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+class EconomicScheduleGenerator {
+  constructor(definition = schedule) {
+    this.country = definition.country;
+    this.timezone = definition.timezone;
+    this.holidayRules = definition.holidays;
+    this.marketOpenHolidays = new Set(
+      definition.holidays
+        .filter((holiday) => holiday.marketOpen)
+        .map((holiday) => holiday.name)
+    );
+    this.releases = definition.releases;
+
+    this.releaseById = new Map(
+      this.releases.map((release) => [release.id, release])
+    );
+    this.releaseByName = new Map();
+    this.releases.forEach((release) =>
+      [release.event, ...(release.aliases || [])].forEach((name) =>
+        this.releaseByName.set(normalizeName(name), release)
+      )
+    );
+
+    this.holidayCache = new Map(); // year -> Map(date -> name)
+    this.occurrenceCache = new Map(); // `${id}:${year}` -> Set(date)
+  }
+
+  // ============================================
+  // HOLIDAYS & BUSINESS DAYS
+  // ============================================
+
+  // Federal holidays by rule; fixed dates on a weekend are observed on the
+  // nearest weekday, which can fall in the neighbouring year
+  holidaysFor(year) {
+    if (this.holidayCache.has(year)) return this.holidayCache.get(year);
+
+    const holidays = new Map();
+    this.holidayRules.forEach(({ name, rule }) => {
+      let time =
+        rule.type === "fixed"
+          ? Date.UTC(year, rule.month - 1, rule.day)
+          : nthWeekday(year, rule.month, rule.weekday, rule.n);
+      if (time === null) return;
+
+      if (rule.type === "fixed") {
+        if (weekdayOf(time) === 6) time -= DAY_MS;
+        else if (weekdayOf(time) === 0) time += DAY_MS;
+      }
+      holidays.set(toDate(time), name);
+    });
+
+    this.holidayCache.set(year, holidays);
+    return holidays;
+  }
+
+  /**
+   * Federal holiday observed on a date
+   * @param {string} date - YYYY-MM-DD
+   * @returns {string|null} Holiday name
+   */
+  holidayOn(date) {
+    const year = yearOf(date);
+    return (
+      this.holidaysFor(year).get(date) ||
+      this.holidaysFor(year + 1).get(date) ||
+      null
+    );
+  }
+
+  isBusinessDay(date) {
+    const weekday = weekdayOf(toTime(date));
+    return weekday !== 0 && weekday !== 6 && !this.holidayOn(date);
+  }
+
+  // US stock market session: a business day, or a holiday (Columbus Day,
+  // Veterans Day) on which only agencies close. Good Friday is not modelled.
+  isTradingDay(date) {
+    if (this.isBusinessDay(date)) return true;
+    const weekday = weekdayOf(toTime(date));
+    return (
+      weekday !== 0 &&
+      weekday !== 6 &&
+      this.marketOpenHolidays.has(this.holidayOn(date))
+    );
+  }
+
+  // ============================================
+  // RULES
+  // ============================================
+
+  // Candidate dates a rule produces for one year, before holiday shifts
+  ruleDates(rule, year) {
+    const months = rule.months || [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+    const perMonth = (pick) =>
+      months.map((month) => pick(month)).filter((time) => time !== null);
+
+    switch (rule.type) {
+      // Published dates; years not listed use the fallback rule, if any
+      case "dates": {
+        const dates = rule.dates.filter((date) => yearOf(date) === year);
+        return dates.length === 0 && rule.fallback
+          ? this.ruleDates(rule.fallback, year)
+          : dates;
+      }
+
+      case "weekly": {
+        const dates = [];
+        let time = nthWeekday(year, 1, rule.weekday, 1);
+        while (new Date(time).getUTCFullYear() === year) {
+          dates.push(toDate(time));
+          time += 7 * DAY_MS;
+        }
+        return dates;
+      }
+
+      case "nthWeekday":
+        return perMonth((month) =>
+          nthWeekday(year, month, rule.weekday, rule.n)
+        ).map(toDate);
+
+      // n-th business day of the month, n = -1 for the last
+      case "businessDay":
+        return perMonth((month) => {
+          const days = [];
+          for (let day = 1; day <= daysInMonth(year, month); day++) {
+            const date = toDate(Date.UTC(year, month - 1, day));
+            if (this.isBusinessDay(date)) days.push(date);
+          }
+          return (
+            (rule.n < 0 ? days[days.length + rule.n] : days[rule.n - 1]) || null
+          );
+        });
+
+      // Business day closest to a day of the month, earlier on ties
+      case "nearDay":
+        return perMonth((month) => {
+          const target = Date.UTC(year, month - 1, rule.day);
+          for (let distance = 0; distance < 7; distance++) {
+            for (const time of [
+              target - distance * DAY_MS,
+              target + distance * DAY_MS,
+            ]) {
+              if (this.isBusinessDay(toDate(time))) return toDate(time);
+            }
+          }
+          return null;
+        });
+
+      // The n-th weekday after the Sunday-Saturday week containing the
+      // month's reference day (BLS: payrolls come out on the third Friday
+      // after the week including the 12th, usually the next month's first;
+      // delayWeeks pushes reference months around the holidays back)
+      case "afterReferenceWeek":
+        return perMonth((month) => {
+          const reference = Date.UTC(year, month - 1, rule.referenceDay);
+          const saturday = reference + (6 - weekdayOf(reference)) * DAY_MS;
+          const first = saturday + ((rule.weekday - 6 + 7) % 7 || 7) * DAY_MS;
+          const weeks = rule.n - 1 + (rule.delayWeeks?.[month] || 0);
+          return toDate(first + 7 * weeks * DAY_MS);
+        });
+
+      case "relative":
+        return [...this.occurrences(rule.to, year)].map((date) =>
+          toDate(toTime(date) + rule.offsetDays * DAY_MS)
+        );
+
+      default:
+        console.warn(`⚠️ Unknown economic schedule rule: ${rule.type}`);
+        return [];
+    }
+  }
+
+  // Move a date off weekends and holidays: previous, next or skip (null)
+  shift(date, direction = "next") {
+    if (this.isBusinessDay(date)) return date;
+    if (direction === "skip") return null;
+
+    const step = direction === "previous" ? -DAY_MS : DAY_MS;
+    let time = toTime(date);
+    do {
+      time += step;
+    } while (!this.isBusinessDay(toDate(time)));
+    return toDate(time);
+  }
+
+  /**
+   * Dates a release comes out in a year
+   * @param {string} releaseId - Release id from the schedule file
+   * @param {number} year - Calendar year
+   * @returns {Set<string>} YYYY-MM-DD dates
+   */
+  occurrences(releaseId, year) {
+    const key = `${releaseId}:${year}`;
+    if (this.occurrenceCache.has(key)) return this.occurrenceCache.get(key);
+
+    const release = this.releaseById.get(releaseId);
+    const dates = new Set();
+    if (release) {
+      this.checkPublishedDates(release, year);
+      // Neighbouring years too: shifts and offsets cross year boundaries
+      [year - 1, year, year + 1].forEach((candidateYear) =>
+        this.ruleDates(release.rule, candidateYear).forEach((date) => {
+          const shifted = this.shift(date, release.holidayShift);
+          const moved =
+            release.overrides && shifted in release.overrides
+              ? release.overrides[shifted]
+              : shifted;
+          if (moved && yearOf(moved) === year) dates.add(moved);
+        })
+      );
+    }
+
+    this.occurrenceCache.set(key, dates);
+    return dates;
+  }
+
+  // A dates rule with nothing for the year silently drops the release (or
+  // falls back to an approximation), so say so; years before the table
+  // starts are out of scope
+  checkPublishedDates(release, year) {
+    const { rule } = release;
+    if (rule.type !== "dates") return;
+    const years = rule.dates.map(yearOf);
+    if (year < Math.min(...years) || years.includes(year)) return;
+
+    console.warn(
+      rule.fallback
+        ? `⚠️ No published ${release.event} dates for ${year}; using the ${rule.fallback.type} approximation`
+        : `⚠️ No published ${release.event} dates for ${year}; the release is missing from the calendar`
+    );
+  }
+
+  // ============================================
+  // EVENTS
+  // ============================================
+
+  /**
+   * UTC instant of a US Eastern wall-clock time
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} time - HH:MM, US Eastern
+   * @returns {string} ISO timestamp
+   */
+  easternToUtc(date, time) {
+    const [hours, minutes] = time.split(":").map(Number);
+    return new Date(
+      toTime(date) +
+        ((hours + easternOffsetHours(date)) * 60 + minutes) * 60 * 1000
+    ).toISOString();
+  }
+
+  toEvent(release, date) {
+    const datetime = this.easternToUtc(date, release.time);
+
+    return {
+      id: `${release.id}-${date}`,
+      releaseId: release.id,
+      date,
+      time: release.time,
+      datetime,
+      event: release.event,
+      impact: release.impact,
+      category: release.category,
+      unit: release.unit,
+      country: this.country,
+      actual: null,
+      forecast: null,
+      previous: null,
+      source: "Schedule",
+    };
+  }
+
+  /**
+   * Scheduled releases on a date, in release-time order
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Array<Object>} Events with id, releaseId, time (US Eastern),
+   *   datetime (UTC), event, impact, category, unit and null
+   *   actual/forecast/previous
+   */
+  eventsOn(date) {
+    const year = yearOf(date);
+    return this.releases
+      .filter((release) => this.occurrences(release.id, year).has(date))
+      .map((release) => this.toEvent(release, date))
+      .sort((a, b) => a.time.localeCompare(b.time));
+  }
+
+  /**
+   * Scheduled releases between two dates, inclusive
+   * @param {string} from - YYYY-MM-DD
+   * @param {string} to - YYYY-MM-DD
+   * @returns {Array<Object>} Events in release order
+   */
+  eventsBetween(from, to) {
+    const events = [];
+    for (let time = toTime(from); time <= toTime(to); time += DAY_MS) {
+      events.push(...this.eventsOn(toDate(time)));
+    }
+    return events;
+  }
+
+  /**
+   * Calendar days with releases, in the shape the economic calendar API and
+   * CatalystAnalysisTab render
+   * @param {string|Date} start - First day
+   * @param {number} days - Days to cover
+   * @returns {Array<{ date: string, dayName: string, dayNumber: number,
+   *   month: string, events: Array }>}
+   */
+  buildCalendar(start, days = 7) {
+    const first = toTime(toDate(new Date(start).getTime()));
+    const calendar = [];
+
+    for (let i = 0; i < days; i++) {
+      const day = new Date(first + i * DAY_MS);
+      const date = toDate(day.getTime());
+      const events = this.eventsOn(date);
+      if (events.length === 0) continue;
+
+      calendar.push({
+        date,
+        dayName: day.toLocaleDateString("en-US", {
+          weekday: "short",
+          timeZone: "UTC",
+        }),
+        dayNumber: day.getUTCDate(),
+        month: day.toLocaleDateString("en-US", {
+          month: "short",
+          timeZone: "UTC",
+        }),
+        events,
+      });
+    }
+    return calendar;
+  }
+
+  getRelease(releaseId) {
+    return this.releaseById.get(releaseId) || null;
+  }
+
+  /**
+   * Schedule release a provider's event name refers to
+   * @param {string} name - e.g. "Nonfarm Payrolls" or "CPI (YoY)"
+   * @returns {Object|null} Release definition
+   */
+  matchRelease(name) {
+    return this.releaseByName.get(normalizeName(name)) || null;
+  }
+}
+
+// Export singleton instance
+const economicSchedule = new EconomicScheduleGenerator();
+module.exports = economicSchedule;
+
+module.exports.EconomicScheduleGenerator = EconomicScheduleGenerator;
@@ -0,0 +1,103 @@
+import { EconomicScheduleGenerator } from "./EconomicSchedule";
+
+// Fresh generator per test: occurrences are cached, and warnings are only
+// logged when a year is first generated
+let schedule;
+let warn;
+
+beforeEach(() => {
+  schedule = new EconomicScheduleGenerator();
+  warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  warn.mockRestore();
+});
+
+test("payrolls follow the reference week and move off Independence Day", () => {
+  expect([...schedule.occurrences("nfp", 2025)]).toEqual([
+    "2025-01-10",
+    "2025-02-07",
+    "2025-03-07",
+    "2025-04-04",
+    "2025-05-02",
+    "2025-06-06",
+    "2025-07-03",
+    "2025-08-01",
+    "2025-09-05",
+    "2025-10-03",
+    "2025-11-07",
+    "2025-12-05",
+  ]);
+});
+
+test("weekly releases move to the previous day on Thanksgiving and Christmas", () => {
+  const claims = [...schedule.occurrences("jobless-claims", 2025)];
+
+  expect(claims).toContain("2025-11-26");
+  expect(claims).toContain("2025-12-24");
+  expect(claims).not.toContain("2025-11-27");
+  expect(claims).not.toContain("2025-12-25");
+});
+
+test("fixed holidays on a weekend are observed on the nearest weekday", () => {
+  expect(schedule.holidayOn("2021-12-24")).toBe("Christmas Day");
+  expect(schedule.holidayOn("2021-12-31")).toBe("New Year's Day");
+});
+
+test("markets stay open on agency-only holidays", () => {
+  expect(schedule.isBusinessDay("2025-10-13")).toBe(false);
+  expect(schedule.isTradingDay("2025-10-13")).toBe(true);
+  expect(schedule.isTradingDay("2025-12-25")).toBe(false);
+  expect(schedule.isTradingDay("2025-10-11")).toBe(false);
+});
+
+test("FOMC decisions use the published 2027 dates", () => {
+  expect([...schedule.occurrences("fomc", 2027)]).toEqual([
+    "2027-01-27",
+    "2027-03-17",
+    "2027-04-28",
+    "2027-06-09",
+    "2027-07-28",
+    "2027-09-15",
+    "2027-10-27",
+    "2027-12-08",
+  ]);
+  expect(warn).not.toHaveBeenCalled();
+  expect(schedule.occurrences("fomc-minutes", 2027)).toContain("2027-02-17");
+});
+
+test("CPI uses published dates and falls back with a warning", () => {
+  expect(schedule.occurrences("cpi", 2025)).toContain("2025-10-24");
+  expect(schedule.occurrences("cpi", 2026)).toContain("2026-02-13");
+  expect(warn).not.toHaveBeenCalled();
+
+  const approximated = schedule.occurrences("cpi", 2027);
+  expect(approximated.size).toBe(12);
+  expect(approximated).toContain("2027-01-12");
+  expect(warn).toHaveBeenCalledWith(
+    expect.stringContaining("No published CPI YoY dates for 2027")
+  );
+});
+
+test("a year past the published FOMC dates warns that it is missing", () => {
+  expect(schedule.occurrences("fomc", 2028).size).toBe(0);
+  expect(warn).toHaveBeenCalledWith(
+    expect.stringContaining("the release is missing from the calendar")
+  );
+});
+
+test("years before the published dates do not warn", () => {
+  schedule.occurrences("fomc", 2023);
+
+  expect(warn).not.toHaveBeenCalled();
+});
+
+test("release times convert from US Eastern across daylight saving", () => {
+  expect(schedule.easternToUtc("2025-01-10", "08:30")).toBe(
+    "2025-01-10T13:30:00.000Z"
+  );
+  expect(schedule.easternToUtc("2025-07-03", "08:30")).toBe(
+    "2025-07-03T12:30:00.000Z"
+  );
+});
@@ -0,0 +1,447 @@
+// src/utils/FinancialSentiment.js
+// Finance lexicon sentiment scorer (Loughran-McDonald style word lists)
+// Tokenizes headline and body, flips negated terms, damps hedged clauses and
+// scales terms by intensity modifiers; returns a continuous score in [-1, 1]
+// CommonJS so backend news enrichment and the NISS engine score text alike
+
+// Single-word terms and their weights. Inflections (beats, beating, rallied)
+// resolve to these base forms; irregular past tenses are listed explicitly.
+const POSITIVE_TERMS = {
+  beat: 1,
+  exceed: 1,
+  outperform: 1,
+  upgrade: 1,
+  gain: 0.75,
+  surge: 1.5,
+  soar: 1.5,
+  rally: 1,
+  jump: 1,
+  climb: 0.75,
+  rise: 0.5,
+  rose: 0.5,
+  rebound: 0.75,
+  strong: 1,
+  strength: 0.75,
+  robust: 1,
+  solid: 0.5,
+  resilient: 0.75,
+  growth: 0.75,
+  grow: 0.5,
+  grew: 0.5,
+  profit: 0.75,
+  profitable: 1,
+  improve: 0.75,
+  improvement: 0.75,
+  boost: 1,
+  lift: 0.75,
+  success: 1,
+  successful: 1,
+  win: 1,
+  won: 1,
+  optimistic: 1,
+  bullish: 1,
+  upbeat: 1,
+  positive: 0.75,
+  favorable: 0.75,
+  expand: 0.5,
+  expansion: 0.5,
+  accelerate: 0.75,
+  approve: 1,
+  approval: 1,
+  breakthrough: 1.5,
+  excellent: 1,
+  exceptional: 1,
+  outstanding: 1,
+  better: 0.5,
+  "better-than-expected": 1.5,
+  buyback: 0.75,
+};
+
+const NEGATIVE_TERMS = {
+  miss: 1,
+  disappoint: 1,
+  underperform: 1,
+  downgrade: 1,
+  weak: 1,
+  weakness: 1,
+  decline: 1,
+  loss: 1,
+  fall: 1,
+  fell: 1,
+  drop: 1,
+  plunge: 1.5,
+  plummet: 1.5,
+  slump: 1.25,
+  tumble: 1.25,
+  sink: 1,
+  sank: 1,
+  slide: 0.75,
+  slid: 0.75,
+  crash: 1.5,
+  bearish: 1,
+  pessimistic: 1,
+  negative: 0.75,
+  adverse: 1,
+  concern: 0.75,
+  worry: 0.75,
+  warn: 1,
+  warning: 1,
+  cut: 0.75,
+  pressure: 0.5,
+  headwind: 0.75,
+  shortfall: 1,
+  downturn: 1,
+  slowdown: 0.75,
+  lawsuit: 1,
+  probe: 1,
+  investigation: 1,
+  fraud: 1.5,
+  recall: 1,
+  bankruptcy: 1.5,
+  default: 1,
+  layoff: 0.75,
+  delay: 0.75,
+  halt: 1,
+  suspend: 1,
+  penalty: 1,
+  impairment: 1,
+  writedown: 1,
+  restatement: 1.25,
+  resign: 0.75,
+  failure: 1,
+  breach: 1,
+  fail: 1,
+  worse: 0.5,
+  "worse-than-expected": 1.5,
+};
+
+// Multi-word terms checked before single words, so "raises guidance" counts
+// once and ambiguous words like high, low and lower only score in context
+const PHRASES = [
+  { terms: ["raise", "guidance"], weight: 1.5 },
+  { terms: ["raise", "outlook"], weight: 1.5 },
+  { terms: ["raise", "forecast"], weight: 1.5 },
+  { terms: ["raise", "dividend"], weight: 1 },
+  { terms: ["raise", "price", "target"], weight: 1 },
+  { terms: ["top", "estimate"], weight: 1 },
+  { terms: ["above", "estimate"], weight: 1 },
+  { terms: ["above", "expectation"], weight: 1 },
+  { terms: ["meet", "estimate"], weight: 0.5 },
+  { terms: ["meet", "expectation"], weight: 0.5 },
+  { terms: ["better", "than", "expected"], weight: 1.5 },
+  { terms: ["record", "high"], weight: 1 },
+  { terms: ["all-time", "high"], weight: 1 },
+  { terms: ["new", "high"], weight: 0.75 },
+  { terms: ["cut", "guidance"], weight: -1.5 },
+  { terms: ["cut", "outlook"], weight: -1.5 },
+  { terms: ["cut", "forecast"], weight: -1.5 },
+  { terms: ["cut", "dividend"], weight: -1.5 },
+  { terms: ["cut", "price", "target"], weight: -1 },
+  { terms: ["lower", "guidance"], weight: -1.5 },
+  { terms: ["lower", "outlook"], weight: -1.5 },
+  { terms: ["lower", "forecast"], weight: -1.5 },
+  { terms: ["lower", "price", "target"], weight: -1 },
+  { terms: ["below", "estimate"], weight: -1 },
+  { terms: ["below", "expectation"], weight: -1 },
+  { terms: ["worse", "than", "expected"], weight: -1.5 },
+  { terms: ["weigh", "on"], weight: -0.75 },
+  { terms: ["record", "low"], weight: -1 },
+  { terms: ["new", "low"], weight: -0.75 },
+  { terms: ["multi-year", "low"], weight: -1 },
+];
+
+// Uncertainty words: every sentiment term in the same sentence is damped
+const HEDGES = [
+  "may",
+  "might",
+  "could",
+  "possibly",
+  "possible",
+  "perhaps",
+  "reportedly",
+  "rumor",
+  "rumored",
+  "speculation",
+  "speculate",
+  "uncertain",
+  "uncertainty",
+  "unclear",
+  "unconfirmed",
+  "consider",
+  "mull",
+  "explore",
+];
+
+const NEGATORS = [
+  "not",
+  "no",
+  "never",
+  "without",
+  "nor",
+  "neither",
+  "hardly",
+  "barely",
+  "cannot",
+  "lack",
+];
+
+// Multipliers for the sentiment term right after (or just before) them
+const INTENSIFIERS = {
+  sharply: 1.5,
+  sharp: 1.5,
+  steep: 1.5,
+  steeply: 1.5,
+  significantly: 1.5,
+  significant: 1.25,
+  substantially: 1.5,
+  strongly: 1.5,
+  dramatically: 1.75,
+  massive: 1.75,
+  huge: 1.5,
+  deeply: 1.5,
+  very: 1.25,
+  record: 1.5,
+  biggest: 1.5,
+  slightly: 0.5,
+  modestly: 0.6,
+  modest: 0.6,
+  marginally: 0.5,
+  somewhat: 0.6,
+  mildly: 0.6,
+  partially: 0.6,
+};
+
+const NEGATION_WINDOW = 3; // tokens after a negator that it flips
+const NEGATION_FACTOR = -0.75;
+const HEDGE_FACTOR = 0.5;
+
+// Headlines carry most of the signal; the body confirms or tempers it
+const SECTION_WEIGHTS = { headline: 0.65, body: 0.35 };
+
+// score = raw / sqrt(raw² + NORMALIZATION_ALPHA): one plain term in a
+// headline scores about 0.45, three about 0.83
+const NORMALIZATION_ALPHA = 4;
+
+// |score| at or above this is BULLISH / BEARISH
+const SENTIMENT_THRESHOLD = 0.25;
+
+const SENTENCE_SPLIT = /[.;:!?]+(?=\s|$)|\s[-–—|]\s/;
+const TOKEN = /[a-z]+(?:['’][a-z]+)*(?:-[a-z]+)*|,/g;
+
+class FinancialSentimentAnalyzer {
+  constructor() {
+    this.version = "1.0.0";
+    console.log("💬 FinancialSentimentAnalyzer initialized");
+  }
+
+  // ============================================
+  // PUBLIC API
+  // ============================================
+
+  /**
+   * Score an article's headline and body
+   * @param {string} headline - Article headline
+   * @param {string} [body] - Summary or body text
+   * @returns {{ score: number, label: string, matches: Array, uncertainty: number }}
+   *   score in [-1, 1]; matches lists every scored term with its signed
+   *   weight, section and whether it was negated or hedged
+   */
+  analyze(headline, body = "") {
+    const sections = [
+      { name: "headline", ...this.scoreText(headline, "headline") },
+      { name: "body", ...this.scoreText(body, "body") },
+    ].filter((section) => section.matches.length > 0);
+
+    const totalWeight = sections.reduce(
+      (sum, section) => sum + SECTION_WEIGHTS[section.name],
+      0
+    );
+    const score =
+      totalWeight > 0
+        ? sections.reduce(
+            (sum, section) =>
+              sum + section.score * SECTION_WEIGHTS[section.name],
+            0
+          ) / totalWeight
+        : 0;
+
+    return {
+      score: Math.round(score * 1000) / 1000,
+      label: this.labelFor(score),
+      matches: sections.flatMap((section) => section.matches),
+      uncertainty: sections.reduce(
+        (sum, section) => sum + section.uncertainty,
+        0
+      ),
+    };
+  }
+
+  /**
+   * Continuous score for one piece of text
+   * @param {string} text - Headline or body
+   * @returns {number} Score in [-1, 1]
+   */
+  score(text) {
+    return this.analyze(text).score;
+  }
+
+  /**
+   * Map a continuous score (or average of scores) to the app's labels
+   * @param {number} score - Score in [-1, 1]
+   * @returns {string} BULLISH, BEARISH or NEUTRAL
+   */
+  labelFor(score) {
+    if ((score || 0) >= SENTIMENT_THRESHOLD) return "BULLISH";
+    if ((score || 0) <= -SENTIMENT_THRESHOLD) return "BEARISH";
+    return "NEUTRAL";
+  }
+
+  // ============================================
+  // SCORING
+  // ============================================
+
+  scoreText(text, section) {
+    const matches = [];
+    let uncertainty = 0;
+
+    this.splitSentences(text).forEach((sentence) => {
+      const tokens = sentence.match(TOKEN) || [];
+      const hedges = tokens.filter((token) => this.isHedge(token)).length;
+      uncertainty += hedges;
+
+      let negatedUntil = -1;
+      for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+
+        // Negation scope ends at a comma
+        if (token === ",") {
+          negatedUntil = -1;
+          continue;
+        }
+        if (this.isNegator(token, tokens[i + 1])) {
+          if (this.baseForm(token, ["fail"])) i++; // "fails to" negates
+          negatedUntil = i + NEGATION_WINDOW;
+          continue;
+        }
+
+        const term = this.matchTerm(tokens, i);
+        if (!term) continue;
+
+        const negated = i <= negatedUntil;
+        const hedged = hedges > 0;
+        const weight =
+          term.weight *
+          this.intensityAround(tokens, i, i + term.length - 1) *
+          (negated ? NEGATION_FACTOR : 1) *
+          (hedged ? HEDGE_FACTOR : 1);
+
+        matches.push({
+          term: tokens.slice(i, i + term.length).join(" "),
+          weight: Math.round(weight * 1000) / 1000,
+          section,
+          negated,
+          hedged,
+        });
+        i += term.length - 1;
+      }
+    });
+
+    const raw = matches.reduce((sum, match) => sum + match.weight, 0);
+    return {
+      score: raw / Math.sqrt(raw * raw + NORMALIZATION_ALPHA),
+      matches,
+      uncertainty,
+    };
+  }
+
+  splitSentences(text) {
+    if (!text || typeof text !== "string") return [];
+    return text
+      .toLowerCase()
+      .split(SENTENCE_SPLIT)
+      .filter((sentence) => sentence && sentence.trim());
+  }
+
+  // Phrase first, then single word; returns { weight, length } or null
+  matchTerm(tokens, index) {
+    const phrase = PHRASES.find(({ terms }) =>
+      terms.every((term, offset) =>
+        this.baseForm(tokens[index + offset], [term])
+      )
+    );
+    if (phrase) return { weight: phrase.weight, length: phrase.terms.length };
+
+    const positive = this.baseForm(tokens[index], Object.keys(POSITIVE_TERMS));
+    if (positive) return { weight: POSITIVE_TERMS[positive], length: 1 };
+
+    const negative = this.baseForm(tokens[index], Object.keys(NEGATIVE_TERMS));
+    if (negative) return { weight: -NEGATIVE_TERMS[negative], length: 1 };
+
+    return null;
+  }
+
+  // Product of intensifiers in the two tokens before and one after a term,
+  // without reaching across a comma
+  intensityAround(tokens, start, end) {
+    const before =
+      tokens[start - 1] === ","
+        ? []
+        : [
+            tokens[start - 1],
+            tokens[start - 2] === "," ? null : tokens[start - 2],
+          ];
+
+    return [...before, tokens[end + 1]]
+      .filter((token) => token && INTENSIFIERS[token])
+      .reduce((product, token) => product * INTENSIFIERS[token], 1);
+  }
+
+  isNegator(token, next) {
+    return (
+      Boolean(this.baseForm(token, NEGATORS)) ||
+      /n['’]t$/.test(token) ||
+      (Boolean(this.baseForm(token, ["fail"])) && next === "to")
+    );
+  }
+
+  isHedge(token) {
+    return Boolean(this.baseForm(token, HEDGES));
+  }
+
+  // ============================================
+  // TOKEN NORMALIZATION
+  // ============================================
+
+  /**
+   * The entry of `candidates` the token is an inflection of, if any
+   * ("downgraded" -> "downgrade", "losses" -> "loss", "rallied" -> "rally")
+   */
+  baseForm(token, candidates) {
+    if (!token || token === ",") return null;
+    return this.variantsOf(token).find((form) => candidates.includes(form));
+  }
+
+  variantsOf(token) {
+    const forms = [token];
+    const undouble = (stem) =>
+      /([b-df-hj-np-tv-z])\1$/.test(stem) ? [stem, stem.slice(0, -1)] : [stem];
+
+    if (/ie[sd]$/.test(token)) forms.push(`${token.slice(0, -3)}y`);
+    if (token.endsWith("es")) forms.push(token.slice(0, -2));
+    if (token.endsWith("s")) forms.push(token.slice(0, -1));
+    if (token.endsWith("ed")) {
+      forms.push(...undouble(token.slice(0, -2)), token.slice(0, -1));
+    }
+    if (token.endsWith("ing")) {
+      forms.push(...undouble(token.slice(0, -3)), `${token.slice(0, -3)}e`);
+    }
+    return forms;
+  }
+}
+
+// Export singleton instance
+const financialSentiment = new FinancialSentimentAnalyzer();
+module.exports = financialSentiment;
+
+module.exports.FinancialSentimentAnalyzer = FinancialSentimentAnalyzer;
+module.exports.SENTIMENT_THRESHOLD = SENTIMENT_THRESHOLD;
@@ -0,0 +1,71 @@
+import financialSentiment, { SENTIMENT_THRESHOLD } from "./FinancialSentiment";
+
+const analyze = (headline, body) => financialSentiment.analyze(headline, body);
+
+test("one plain term in a headline scores about 0.45", () => {
+  expect(analyze("Apple beats estimates")).toMatchObject({
+    score: 0.447,
+    label: "BULLISH",
+  });
+  expect(analyze("Apple misses estimates")).toMatchObject({
+    score: -0.447,
+    label: "BEARISH",
+  });
+});
+
+test("inflections resolve to their base term", () => {
+  expect(analyze("Apple rallied").score).toBe(0.447);
+  expect(analyze("Apple rallies").score).toBe(0.447);
+});
+
+test("negators flip and damp the terms after them", () => {
+  const negated = analyze("Apple did not beat estimates");
+
+  expect(negated.score).toBe(-0.351);
+  expect(negated.matches[0]).toMatchObject({ term: "beat", negated: true });
+  expect(analyze("Apple failed to beat estimates").score).toBe(-0.351);
+});
+
+test("intensifiers scale the neighbouring term", () => {
+  expect(analyze("Apple sharply beats estimates").score).toBe(0.6);
+});
+
+test("hedged clauses count half and add uncertainty", () => {
+  const hedged = analyze("Apple may beat estimates");
+
+  expect(hedged.score).toBe(0.243);
+  expect(hedged.label).toBe("NEUTRAL");
+  expect(hedged.uncertainty).toBe(1);
+});
+
+test("opposing terms cancel out", () => {
+  expect(
+    analyze("Apple shares fall, but analysts upgrade the stock").score
+  ).toBe(0);
+});
+
+test("the headline outweighs the body", () => {
+  // 0.65 x 0.447 + 0.35 x -0.6
+  expect(analyze("Apple beats estimates", "Margins fell sharply.").score).toBe(
+    0.081
+  );
+  // A section without sentiment terms does not dilute the other
+  expect(analyze("Apple schedules meeting", "Revenue surged.").score).toBe(0.6);
+});
+
+test("text without sentiment terms is neutral", () => {
+  expect(analyze("Apple schedules annual meeting")).toEqual({
+    score: 0,
+    label: "NEUTRAL",
+    matches: [],
+    uncertainty: 0,
+  });
+  expect(analyze(undefined).score).toBe(0);
+});
+
+test("labels use the shared threshold", () => {
+  expect(financialSentiment.labelFor(SENTIMENT_THRESHOLD)).toBe("BULLISH");
+  expect(financialSentiment.labelFor(-SENTIMENT_THRESHOLD)).toBe("BEARISH");
+  expect(financialSentiment.labelFor(0.2)).toBe("NEUTRAL");
+  expect(financialSentiment.labelFor(null)).toBe("NEUTRAL");
+});
@@ -1,22 +1,102 @@
 // src/utils/enhanced/TradeSetupHelper.js - SECTION 1
 // Enhanced Trading Cheat Sheet Implementation - Core Setup
 
+const { NISS_THRESHOLDS } = require("../../engine/NISSCalculationEngine");
+const economicSchedule = require("../EconomicSchedule");
+
+// Used for any account fields the caller does not provide
+const DEFAULT_ACCOUNT_PROFILE = {
+  equity: 100000,
+  maxRiskPerTradePercent: 1, // Loss at the stop as % of equity
+  maxSectorExposurePercent: 25, // Sector value as % of equity after the trade
+  maxCorrelation: 0.7, // Above this a held name counts as the same bet
+};
+
+const MIN_CORRELATION_OBSERVATIONS = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_HOLDING_SESSIONS = 3;
+
+// US Eastern time an earnings session's report is treated as landing
+const EARNINGS_SESSION_TIMES = {
+  "Before Market": "08:00",
+  "During Market": "12:00",
+  "After Market": "16:05",
+};
+
+// Strong signals fall back to their moderate class across a report
+const EARNINGS_DOWNGRADES = {
+  "STRONG BUY": {
+    action: "BUY",
+    priority: 2,
+    color: "bg-green-500",
+    maxPositionSize: 1.5,
+    urgency: "MONITOR",
+  },
+  "STRONG SELL": {
+    action: "SELL",
+    priority: 2,
+    color: "bg-red-500",
+    maxPositionSize: 1.0,
+    urgency: "MONITOR",
+  },
+};
+
 class TradeSetupHelper {
   constructor() {
-    this.version = "3.0.0";
+    this.version = "3.1.0";
+    this.portfolioContext = { account: DEFAULT_ACCOUNT_PROFILE, holdings: [] };
     console.log(`🎯 TradeSetupHelper v${this.version} initialized`);
   }
 
+  /**
+   * Set the default account profile and holdings used for position sizing
+   * @param {Object} context
+   * @param {Object} context.account - { equity, maxRiskPerTradePercent, maxSectorExposurePercent, maxCorrelation }
+   * @param {Array} context.holdings - [{ symbol, sector, marketValue, returns: { [date]: dailyReturn } }]
+   */
+  setPortfolioContext({ account = {}, holdings = [] } = {}) {
+    this.portfolioContext = this._normalizePortfolioContext({
+      account,
+      holdings,
+    });
+    return this.portfolioContext;
+  }
+
+  getPortfolioContext() {
+    return this.portfolioContext;
+  }
+
+  /**
+   * @private
+   */
+  _normalizePortfolioContext(context) {
+    if (!context) return this.portfolioContext;
+
+    const account = { ...DEFAULT_ACCOUNT_PROFILE };
+    Object.keys(DEFAULT_ACCOUNT_PROFILE).forEach((key) => {
+      const value = Number(context.account?.[key]);
+      if (isFinite(value) && value > 0) account[key] = value;
+    });
+
+    return {
+      account,
+      holdings: Array.isArray(context.holdings) ? context.holdings : [],
+    };
+  }
+
   // ============================================
   // ENHANCED TRADING CHEAT SHEET CALCULATIONS
   // ============================================
 
   /**
    * Generate comprehensive trade signal based on Enhanced Trading Cheat Sheet
-   * @param {Object} stock - Stock data with NISS components
+   * @param {Object} stock - Stock data with NISS components (sector and
+   *   returns enable portfolio concentration/correlation checks)
+   * @param {Object} portfolioContext - Optional { account, holdings } override
    * @returns {Object} Complete trade signal with setup
    */
-  generateEnhancedTradeSignal(stock) {
+  generateEnhancedTradeSignal(stock, portfolioContext = null) {
     try {
       const {
         nissScore,
@@ -30,14 +110,25 @@ class TradeSetupHelper {
       } = stock;
 
       // Enhanced Trading Cheat Sheet Signal Classification
-      const signal = this._classifySignal(stock);
+      const signal = this._applyEarningsGuard(
+        stock,
+        this._classifySignal(stock)
+      );
       const setup = this._calculateTradeSetup(stock, signal);
-      const riskManagement = this._calculateRiskManagement(stock, setup);
+      const riskManagement = this._calculateRiskManagement(
+        stock,
+        signal,
+        setup,
+        portfolioContext
+          ? this._normalizePortfolioContext(portfolioContext)
+          : this.portfolioContext
+      );
 
       return {
         ...signal,
         setup,
         riskManagement,
+        nextEarnings: stock.nextEarnings || null,
         timestamp: new Date().toISOString(),
         cheatSheetCompliant: this._validateCheatSheetCompliance(stock, signal),
       };
@@ -135,7 +226,7 @@ class TradeSetupHelper {
       stock;
 
     return (
-      (nissScore || 0) > 75 &&
+      (nissScore || 0) > NISS_THRESHOLDS.strong &&
       confidence === "HIGH" &&
       (volumeData?.relativeVolume || 0) > 2 &&
       (priceData?.change || 0) > 0 &&
@@ -153,7 +244,7 @@ class TradeSetupHelper {
     const { nissScore, confidence, volumeData, technicalData } = stock;
 
     return (
-      (nissScore || 0) >= 60 &&
+      (nissScore || 0) >= NISS_THRESHOLDS.actionable &&
       confidence !== "LOW" &&
       (volumeData?.relativeVolume || 0) > 1.5 &&
       (technicalData?.momentum || 0) > 0 &&
@@ -170,7 +261,7 @@ class TradeSetupHelper {
       stock;
 
     return (
-      (nissScore || 0) < -75 &&
+      (nissScore || 0) < -NISS_THRESHOLDS.strong &&
       confidence === "HIGH" &&
       (volumeData?.relativeVolume || 0) > 2 &&
       (priceData?.change || 0) < 0 &&
@@ -187,7 +278,7 @@ class TradeSetupHelper {
     const { nissScore, confidence, volumeData, technicalData } = stock;
 
     return (
-      (nissScore || 0) <= -60 &&
+      (nissScore || 0) <= -NISS_THRESHOLDS.actionable &&
       confidence !== "LOW" &&
       (volumeData?.relativeVolume || 0) > 1.5 &&
       (technicalData?.momentum || 0) < 0 &&
@@ -272,6 +363,8 @@ class TradeSetupHelper {
       const riskRewardRatio =
         riskPerShare > 0 ? rewardPerShare / riskPerShare : 0;
 
+      const timeframe = this._getOptimalTimeframe(stock, signal);
+
       return {
         action: signal.action,
         entry: {
@@ -281,8 +374,9 @@ class TradeSetupHelper {
         stopLoss,
         targets,
         riskReward: `1:${riskRewardRatio.toFixed(1)}`,
-        timeframe: this._getOptimalTimeframe(stock, signal),
+        timeframe,
         marketTiming: this._getOptimalTiming(stock, signal),
+        eventRisk: this._getEventRisk(stock, timeframe),
       };
     } catch (error) {
       console.error("Error calculating trade setup:", error);
@@ -404,6 +498,152 @@ class TradeSetupHelper {
     );
   }
 
+  /**
+   * High-impact economic releases inside a holding window
+   * @param {string} timeframe - Holding period such as "1-3 days"
+   * @param {Date|string} [from] - Entry time, defaults to now
+   * @returns {Array<Object>} Scheduled events (see EconomicSchedule.eventsOn)
+   *   released after the entry and before the window's last session closes
+   */
+  getMacroEventsInWindow(timeframe, from = new Date()) {
+    const { start, end, sessions } = this._holdingWindow(timeframe, from);
+
+    return sessions
+      .flatMap((date) => economicSchedule.eventsOn(date))
+      .filter(
+        (event) =>
+          event.impact === "HIGH" &&
+          Date.parse(event.datetime) > start &&
+          Date.parse(event.datetime) <= end
+      );
+  }
+
+  /**
+   * Sessions a position is held for: the entry session plus the
+   * timeframe's sessions after it, ending at the last one's 16:00 ET close
+   * @private
+   */
+  _holdingWindow(timeframe, from = new Date()) {
+    const start = new Date(from).getTime();
+    const holding = this._holdingSessions(timeframe);
+    const sessions = [];
+
+    let time = Date.parse(new Date(start).toISOString().split("T")[0]);
+    while (sessions.length <= holding) {
+      const date = new Date(time).toISOString().split("T")[0];
+      if (economicSchedule.isTradingDay(date)) sessions.push(date);
+      time += DAY_MS;
+    }
+
+    const lastSession = sessions[sessions.length - 1];
+    return {
+      start,
+      end: Date.parse(economicSchedule.easternToUtc(lastSession, "16:00")),
+      sessions,
+    };
+  }
+
+  /**
+   * Upper bound of a "1-3 days" style timeframe, in sessions
+   * @private
+   */
+  _holdingSessions(timeframe) {
+    const match = String(timeframe || "").match(/(\d+)(?:\s*-\s*(\d+))?\s*day/);
+    if (!match) return DEFAULT_HOLDING_SESSIONS;
+    return parseInt(match[2] || match[1], 10);
+  }
+
+  /**
+   * Scheduled events that can gap the position while it is held
+   * @private
+   */
+  _getEventRisk(stock, timeframe) {
+    const events = this.getMacroEventsInWindow(
+      timeframe,
+      stock.asOf || new Date()
+    ).map((event) => ({
+      type: "macro",
+      id: event.id,
+      event: event.event,
+      date: event.date,
+      time: event.time,
+      impact: event.impact,
+    }));
+
+    const report = this.getEarningsInWindow(stock, timeframe);
+    if (report) {
+      events.push({
+        type: "earnings",
+        id: `earnings-${stock.symbol}-${report.date}`,
+        event: `${stock.symbol} earnings`,
+        date: report.date,
+        time: report.time,
+        impact: "HIGH",
+      });
+    }
+
+    return {
+      events,
+      warnings: events.map(
+        (event) => `Holding window spans ${event.event} (${event.date})`
+      ),
+    };
+  }
+
+  /**
+   * The symbol's next earnings report, when it lands inside the holding
+   * window. Pre-market reports count from 08:00 ET, after-hours ones from
+   * 16:05 ET so a report after the final session's close is outside.
+   * @param {Object} stock - Needs nextEarnings { date, time }; asOf optional
+   * @param {string} timeframe - Holding period such as "1-3 days"
+   * @returns {Object|null} stock.nextEarnings or null
+   */
+  getEarningsInWindow(stock, timeframe) {
+    const report = stock.nextEarnings;
+    if (!report?.date) return null;
+
+    const { start, end } = this._holdingWindow(
+      timeframe,
+      stock.asOf || new Date()
+    );
+    const reportTime = Date.parse(
+      economicSchedule.easternToUtc(
+        report.date,
+        EARNINGS_SESSION_TIMES[report.time] || "12:00"
+      )
+    );
+
+    return reportTime > start && reportTime <= end ? report : null;
+  }
+
+  /**
+   * Downgrade a signal whose holding window crosses an earnings report:
+   * strong signals drop to their moderate class, moderate ones keep their
+   * action at half the position size
+   * @private
+   */
+  _applyEarningsGuard(stock, signal) {
+    if (signal.action === "HOLD") return signal;
+
+    const timeframe = this._getOptimalTimeframe(stock, signal);
+    const report = this.getEarningsInWindow(stock, timeframe);
+    if (!report) return signal;
+
+    const downgrade = EARNINGS_DOWNGRADES[signal.action];
+    return {
+      ...signal,
+      ...(downgrade || { maxPositionSize: signal.maxPositionSize / 2 }),
+      reasoning: `${signal.reasoning}; earnings ${report.date} (${
+        report.time || "time TBD"
+      }) inside ${timeframe} hold`,
+      earningsGuard: {
+        originalAction: signal.action,
+        reportDate: report.date,
+        reportTime: report.time || null,
+      },
+    };
+  }
+
   /**
    * Get optimal market timing
    * @private
@@ -482,9 +722,14 @@ class TradeSetupHelper {
    * Calculate comprehensive risk management
    * @private
    */
-  _calculateRiskManagement(stock, setup) {
+  _calculateRiskManagement(
+    stock,
+    signal,
+    setup,
+    context = this.portfolioContext
+  ) {
     try {
-      const { confidence, nissScore, marketData } = stock;
+      const { marketData } = stock;
 
       // Kelly Criterion for position sizing
       const kellySizing = this._calculateKellyPosition(stock);
@@ -492,24 +737,42 @@ class TradeSetupHelper {
       // Market regime adjustment
       const regimeAdjustment = this._getRegimeAdjustment(marketData);
 
-      // Final position size
-      const baseSize = Math.min(
-        kellySizing,
-        setup.action?.includes("STRONG") ? 2.5 : 1.5
+      // Signal-based size before portfolio limits, capped at the signal's
+      // maxPositionSize (which the earnings guard lowers)
+      const maxSize =
+        signal?.maxPositionSize ??
+        (setup.action?.includes("STRONG") ? 2.5 : 1.5);
+      const baseSize = Math.min(kellySizing, maxSize);
+      const signalSize = Math.max(0.5, baseSize * regimeAdjustment);
+
+      // Portfolio limits scale the size down or veto the trade
+      const portfolioRisk = this._assessPortfolioRisk(
+        stock,
+        signalSize,
+        setup,
+        context
       );
-      const adjustedSize = Math.max(0.5, baseSize * regimeAdjustment);
+      const adjustedSize = portfolioRisk.adjustedSize;
 
       return {
         positionSize: {
           percentage: adjustedSize.toFixed(1),
-          reasoning: `Kelly: ${kellySizing.toFixed(
-            1
-          )}% × Regime: ${regimeAdjustment.toFixed(2)}`,
-          maxDollarRisk: this._calculateMaxDollarRisk(adjustedSize, setup),
+          reasoning: [
+            `Kelly: ${kellySizing.toFixed(
+              1
+            )}% × Regime: ${regimeAdjustment.toFixed(2)}`,
+            ...portfolioRisk.adjustments,
+          ].join(" → "),
+          maxDollarRisk: this._calculateMaxDollarRisk(
+            adjustedSize,
+            setup,
+            context.account
+          ),
+          vetoed: portfolioRisk.vetoed,
         },
         riskLevel: this._assessRiskLevel(stock, setup),
         stopLossLevel: this._getStopLossLevel(setup),
-        portfolioCorrelation: this._assessPortfolioRisk(stock),
+        portfolioCorrelation: portfolioRisk,
         timeDecay: this._getTimeDecayRisk(stock, setup),
       };
     } catch (error) {
@@ -522,7 +785,7 @@ class TradeSetupHelper {
         },
         riskLevel: "MEDIUM",
         stopLossLevel: "NORMAL",
-        portfolioCorrelation: { sectorExposure: "LOW" },
+        portfolioCorrelation: { sectorExposure: "LOW", reasons: [] },
         timeDecay: { level: "LOW" },
       };
     }
@@ -578,11 +841,13 @@ class TradeSetupHelper {
    * Calculate maximum dollar risk
    * @private
    */
-  _calculateMaxDollarRisk(positionSizePercent, setup) {
+  _calculateMaxDollarRisk(
+    positionSizePercent,
+    setup,
+    account = DEFAULT_ACCOUNT_PROFILE
+  ) {
     try {
-      // Placeholder - should be calculated based on actual account size
-      const accountSize = 100000; // $100k default
-      const positionValue = accountSize * (positionSizePercent / 100);
+      const positionValue = account.equity * (positionSizePercent / 100);
       const stopPercent = Math.abs(parseFloat(setup.stopLoss?.percentage || 0));
       const dollarRisk = positionValue * (stopPercent / 100);
 
@@ -614,7 +879,7 @@ class TradeSetupHelper {
     else if (confidence === "MEDIUM") riskScore += 1;
 
     // NISS magnitude risk
-    if (Math.abs(nissScore || 0) < 60) riskScore += 2;
+    if (Math.abs(nissScore || 0) < NISS_THRESHOLDS.actionable) riskScore += 2;
 
     // Market regime risk
     const regime = this._assessMarketRegime(marketData);
@@ -644,23 +909,175 @@ class TradeSetupHelper {
   }
 
   /**
-   * Assess portfolio correlation risk
+   * Assess sector concentration and return correlation against current
+   * holdings, then apply the account limits to the proposed size
    * @private
    */
-  _assessPortfolioRisk(stock) {
-    // Placeholder for portfolio correlation analysis
-    // In a real implementation, this would check:
-    // - Sector concentration
-    // - Similar positions
-    // - Overall portfolio exposure
+  _assessPortfolioRisk(stock, proposedSize, setup, context) {
+    const { account, holdings } = context;
+    const reasons = [];
+    const adjustments = [];
+    let size = proposedSize;
+    let vetoed = false;
+
+    const exposurePercent = (value) =>
+      account.equity > 0 ? (Math.abs(value || 0) / account.equity) * 100 : 0;
+    const others = holdings.filter((h) => h.symbol !== stock.symbol);
+    const existing = holdings.find((h) => h.symbol === stock.symbol);
+
+    if (existing) {
+      reasons.push(
+        `Already hold ${stock.symbol} (${exposurePercent(
+          existing.marketValue
+        ).toFixed(1)}% of equity)`
+      );
+    }
+
+    // Sector concentration, counting the existing position in this name
+    const sector = stock.sector || existing?.sector || null;
+    const currentSectorPercent = sector
+      ? holdings
+          .filter((h) => h.sector === sector)
+          .reduce((sum, h) => sum + exposurePercent(h.marketValue), 0)
+      : 0;
+    const sectorRoom = account.maxSectorExposurePercent - currentSectorPercent;
+
+    if (sector && sectorRoom <= 0) {
+      vetoed = true;
+      reasons.push(
+        `${sector} is already ${currentSectorPercent.toFixed(
+          1
+        )}% of equity (limit ${account.maxSectorExposurePercent}%)`
+      );
+    } else if (sector && size > sectorRoom) {
+      adjustments.push(`Sector cap: ${sectorRoom.toFixed(1)}%`);
+      reasons.push(
+        `Sized down to keep ${sector} under ${account.maxSectorExposurePercent}% of equity`
+      );
+      size = sectorRoom;
+    }
+
+    // Pairwise correlation with each other holding
+    const correlations = others
+      .map((holding) => ({
+        symbol: holding.symbol,
+        correlation: this._calculateReturnCorrelation(
+          stock.returns,
+          holding.returns
+        ),
+      }))
+      .filter((c) => c.correlation !== null)
+      .map((c) => ({
+        ...c,
+        correlation: Math.round(c.correlation * 100) / 100,
+      }))
+      .sort((a, b) => b.correlation - a.correlation);
+    const highest = correlations[0] || null;
+    const correlated = correlations.filter(
+      (c) => c.correlation >= account.maxCorrelation
+    );
+
+    if (correlated.length > 0) {
+      reasons.push(
+        `Moves with ${correlated
+          .map((c) => `${c.symbol} (${c.correlation.toFixed(2)})`)
+          .join(", ")}`
+      );
+    }
+    if (correlated.length > 0 && !vetoed) {
+      // Each highly correlated holding is treated as part of the same bet
+      const scale = Math.max(0.25, 1 - 0.25 * correlated.length);
+      adjustments.push(`Correlation: ×${scale.toFixed(2)}`);
+      size *= scale;
+    }
+
+    // Loss at the stop must stay within the per-trade risk budget
+    const stopPercent = Math.abs(parseFloat(setup.stopLoss?.percentage || 0));
+    if (stopPercent > 0 && !vetoed) {
+      const maxSizeForRisk =
+        (account.maxRiskPerTradePercent / stopPercent) * 100;
+      if (size > maxSizeForRisk) {
+        adjustments.push(`Risk budget: ${maxSizeForRisk.toFixed(1)}%`);
+        reasons.push(
+          `Capped so a ${stopPercent.toFixed(1)}% stop risks ${
+            account.maxRiskPerTradePercent
+          }% of equity`
+        );
+        size = maxSizeForRisk;
+      }
+    }
+
+    if (vetoed) {
+      size = 0;
+      adjustments.push("Vetoed");
+    }
+
+    const sectorAfter = sector ? currentSectorPercent + size : null;
+    const sectorExposure =
+      sectorAfter === null || sectorAfter < account.maxSectorExposurePercent / 2
+        ? "LOW"
+        : sectorAfter < account.maxSectorExposurePercent
+        ? "MEDIUM"
+        : "HIGH";
+    const correlationRisk =
+      correlated.length > 0
+        ? "HIGH"
+        : highest && highest.correlation >= account.maxCorrelation * 0.7
+        ? "ELEVATED"
+        : "ACCEPTABLE";
 
     return {
-      sectorExposure: "LOW", // LOW, MEDIUM, HIGH
-      correlationRisk: "ACCEPTABLE",
-      recommendation: "Position size acceptable for portfolio diversification",
+      sectorExposure, // LOW, MEDIUM, HIGH
+      sector,
+      sectorExposurePercent:
+        sectorAfter === null ? null : Math.round(sectorAfter * 10) / 10,
+      correlationRisk, // ACCEPTABLE, ELEVATED, HIGH
+      maxCorrelation: highest,
+      correlatedHoldings: correlated.map((c) => c.symbol),
+      holdingsCompared: correlations.length,
+      proposedSize,
+      adjustedSize: size,
+      adjustments,
+      vetoed,
+      reasons,
+      recommendation: vetoed
+        ? "Skip: trade would breach portfolio limits"
+        : size < proposedSize
+        ? "Reduce size for portfolio limits"
+        : "Position size acceptable for portfolio diversification",
     };
   }
 
+  /**
+   * Pearson correlation of two { [date]: dailyReturn } series over shared dates
+   * @private
+   */
+  _calculateReturnCorrelation(seriesA, seriesB) {
+    if (!seriesA || !seriesB) return null;
+
+    const dates = Object.keys(seriesA).filter(
+      (date) => isFinite(seriesA[date]) && isFinite(seriesB[date])
+    );
+    if (dates.length < MIN_CORRELATION_OBSERVATIONS) return null;
+
+    const a = dates.map((date) => seriesA[date]);
+    const b = dates.map((date) => seriesB[date]);
+    const meanA = a.reduce((sum, v) => sum + v, 0) / a.length;
+    const meanB = b.reduce((sum, v) => sum + v, 0) / b.length;
+
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    for (let i = 0; i < a.length; i++) {
+      covariance += (a[i] - meanA) * (b[i] - meanB);
+      varianceA += (a[i] - meanA) ** 2;
+      varianceB += (b[i] - meanB) ** 2;
+    }
+
+    if (varianceA === 0 || varianceB === 0) return null;
+    return covariance / Math.sqrt(varianceA * varianceB);
+  }
+
   /**
    * Calculate time decay risk
    * @private
@@ -724,11 +1141,14 @@ class TradeSetupHelper {
 
     try {
       // NISS threshold check
-      if (signal.action.includes("BUY") && (stock.nissScore || 0) >= 60) {
+      if (
+        signal.action.includes("BUY") &&
+        (stock.nissScore || 0) >= NISS_THRESHOLDS.actionable
+      ) {
         compliance.nissThreshold = true;
       } else if (
         signal.action.includes("SELL") &&
-        (stock.nissScore || 0) <= -60
+        (stock.nissScore || 0) <= -NISS_THRESHOLDS.actionable
       ) {
         compliance.nissThreshold = true;
       }
@@ -853,16 +1273,22 @@ class TradeSetupHelper {
 
   /**
    * Get risk assessment for portfolio manager
+   * @param {Object} stock - Stock data (see generateEnhancedTradeSignal)
+   * @param {Object} portfolioContext - Optional { account, holdings } override
    */
-  getRiskAssessment(stock) {
+  getRiskAssessment(stock, portfolioContext = null) {
     try {
-      const signal = this.generateEnhancedTradeSignal(stock);
+      const signal = this.generateEnhancedTradeSignal(stock, portfolioContext);
+      const portfolio = signal.riskManagement?.portfolioCorrelation || {};
 
       return {
         overallRisk: signal.riskManagement?.riskLevel || "MEDIUM",
         timeDecay: signal.riskManagement?.timeDecay?.level || "LOW",
-        portfolioImpact:
-          signal.riskManagement?.portfolioCorrelation?.sectorExposure || "LOW",
+        portfolioImpact: portfolio.sectorExposure || "LOW",
+        correlationRisk: portfolio.correlationRisk || "ACCEPTABLE",
+        positionSize: signal.riskManagement?.positionSize?.percentage || "1.0",
+        vetoed: portfolio.vetoed || false,
+        reasons: portfolio.reasons || [],
         maxLoss:
           signal.riskManagement?.positionSize?.maxDollarRisk?.formatted ||
           "$500",
@@ -874,6 +1300,10 @@ class TradeSetupHelper {
         overallRisk: "HIGH",
         timeDecay: "MEDIUM",
         portfolioImpact: "MEDIUM",
+        correlationRisk: "ACCEPTABLE",
+        positionSize: "0.0",
+        vetoed: false,
+        reasons: [],
         maxLoss: "$500",
         compliance: false,
       };
@@ -1048,8 +1478,7 @@ class TradeSetupHelper {
       if (actualOutcome) {
         trackingData.actualOutcome = {
           ...actualOutcome,
-          success: this._calculateTradeSuccess(setup, actualOutcome),
-          performance: this._calculatePerformanceMetrics(setup, actualOutcome),
+          ...this.evaluateOutcome(setup, actualOutcome),
         };
       }
 
@@ -1064,6 +1493,22 @@ class TradeSetupHelper {
     }
   }
 
+  /**
+   * Score a previously generated setup against what the market actually did
+   * @param {Object} predictedSetup - Setup as returned in signal.setup
+   * @param {Object} actualOutcome - { exitPrice, exitReason, holdTime }
+   * @returns {Object} { success, performance }
+   */
+  evaluateOutcome(predictedSetup, actualOutcome) {
+    return {
+      success: this._calculateTradeSuccess(predictedSetup, actualOutcome),
+      performance: this._calculatePerformanceMetrics(
+        predictedSetup,
+        actualOutcome
+      ),
+    };
+  }
+
   /**
    * Calculate trade success metrics
    * @private
@@ -1186,5 +1631,6 @@ class TradeSetupHelper {
 }
 
 // Export singleton instance
+// CommonJS so the backend can require the same helper the UI imports
 const tradeSetupHelper = new TradeSetupHelper();
-export default tradeSetupHelper;
+module.exports = tradeSetupHelper;
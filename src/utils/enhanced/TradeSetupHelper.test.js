@@ -0,0 +1,119 @@
+import tradeSetupHelper from "./TradeSetupHelper";
+
+// Monday morning ET; a "1-3 days" hold runs to Thursday's 16:00 ET close
+const asOf = "2025-07-14T14:00:00Z";
+
+const buy = {
+  symbol: "AAPL",
+  nissScore: 70,
+  confidence: "MEDIUM",
+  currentPrice: 100,
+  priceData: { change: 1 },
+  volumeData: { relativeVolume: 2 },
+  technicalData: { momentum: 1, atr: 2 },
+  asOf,
+};
+
+const strongBuy = {
+  ...buy,
+  nissScore: 90,
+  confidence: "HIGH",
+  volumeData: { relativeVolume: 3 },
+  technicalData: { momentum: 1, priceAboveSMA20: true, atr: 2 },
+};
+
+const reporting = (stock, date, time) => ({
+  ...stock,
+  nextEarnings: { date, time },
+});
+
+const signalFor = (stock) =>
+  tradeSetupHelper.generateEnhancedTradeSignal(stock);
+
+test("a BUY without a report in its window is unchanged", () => {
+  const signal = signalFor(reporting(buy, "2025-07-30", "After Market"));
+
+  expect(signal.action).toBe("BUY");
+  expect(signal.maxPositionSize).toBe(1.5);
+  expect(signal.earningsGuard).toBeUndefined();
+  expect(signal.riskManagement.positionSize.percentage).toBe("1.5");
+});
+
+test("a BUY across a report keeps its action at half the size", () => {
+  const signal = signalFor(reporting(buy, "2025-07-15", "After Market"));
+
+  expect(signal.action).toBe("BUY");
+  expect(signal.maxPositionSize).toBe(0.75);
+  expect(signal.riskManagement.positionSize.percentage).toBe("0.8");
+  expect(signal.earningsGuard).toEqual({
+    originalAction: "BUY",
+    reportDate: "2025-07-15",
+    reportTime: "After Market",
+  });
+  expect(signal.setup.eventRisk.events).toContainEqual(
+    expect.objectContaining({ type: "earnings", date: "2025-07-15" })
+  );
+});
+
+test("a STRONG BUY across a report drops to BUY sizing", () => {
+  expect(signalFor(strongBuy).action).toBe("STRONG BUY");
+
+  const signal = signalFor(reporting(strongBuy, "2025-07-15", "Before Market"));
+
+  expect(signal.action).toBe("BUY");
+  expect(signal.maxPositionSize).toBe(1.5);
+  expect(signal.riskManagement.positionSize.percentage).toBe("1.5");
+  expect(signal.earningsGuard.originalAction).toBe("STRONG BUY");
+});
+
+test("a report after the final session's close is outside the window", () => {
+  expect(
+    tradeSetupHelper.getEarningsInWindow(
+      reporting(buy, "2025-07-17", "After Market"),
+      "1-3 days"
+    )
+  ).toBeNull();
+  expect(
+    tradeSetupHelper.getEarningsInWindow(
+      reporting(buy, "2025-07-17", "Before Market"),
+      "1-3 days"
+    )
+  ).toEqual({ date: "2025-07-17", time: "Before Market" });
+});
+
+test("the window counts sessions on agency-only holidays", () => {
+  // Friday before Columbus Day: the market is open Monday, so the hold
+  // closes Wednesday and a Thursday report is outside it
+  const friday = { ...buy, asOf: "2025-10-10T14:00:00Z" };
+
+  expect(
+    tradeSetupHelper.getEarningsInWindow(
+      reporting(friday, "2025-10-16", "Before Market"),
+      "1-3 days"
+    )
+  ).toBeNull();
+  expect(
+    tradeSetupHelper.getEarningsInWindow(
+      reporting(friday, "2025-10-15", "Before Market"),
+      "1-3 days"
+    )
+  ).toEqual({ date: "2025-10-15", time: "Before Market" });
+});
+
+test("a report that has already come out is outside the window", () => {
+  expect(
+    tradeSetupHelper.getEarningsInWindow(
+      reporting(buy, "2025-07-14", "Before Market"),
+      "1-3 days"
+    )
+  ).toBeNull();
+});
+
+test("HOLD signals are not guarded", () => {
+  const signal = signalFor(
+    reporting({ ...buy, nissScore: 10 }, "2025-07-15", "Before Market")
+  );
+
+  expect(signal.action).toBe("HOLD");
+  expect(signal.earningsGuard).toBeUndefined();
+});